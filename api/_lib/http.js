@@ -0,0 +1,48 @@
+// Minimal request/response helpers shared by the serverless API routes.
+// Handlers only rely on the plain Node http interface so the same code runs
+// on Vercel and inside the Vite dev server middleware.
+
+export const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+};
+
+// Query string as URLSearchParams so repeated parameters (e.g. `project`) keep every value
+export const getQuery = (req) => new URL(req.url || '/', 'http://localhost').searchParams;
+
+// Origin the browser used to reach us, honouring proxy headers on Vercel
+export const getRequestOrigin = (req) => {
+  const proto = req.headers['x-forwarded-proto']?.split(',')[0] || 'http';
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}`;
+};
+
+export const readBody = async (req) => {
+  // Vercel pre-parses JSON bodies; the dev middleware hands us the raw stream
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body || '{}') : req.body;
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8');
+  if (!raw) return {};
+
+  if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw).entries());
+  }
+  return JSON.parse(raw);
+};
+
+// Path below a route prefix, e.g. '/players/1' for '/api/opendota/players/1'.
+// Works for both the full Vercel URL and the dev middleware's stripped URL.
+export const getRoutePath = (req, prefix) => {
+  const { pathname } = new URL(req.url || '/', 'http://localhost');
+  const marker = `/${prefix}/`;
+  const index = pathname.indexOf(marker);
+  return index === -1 ? '/' : pathname.slice(index + marker.length - 1);
+};
@@ -0,0 +1,60 @@
+// Forwards allow-listed requests to an upstream API, attaching the
+// server-held API key so it never has to be bundled into the client.
+// Everything is read-only (GET) except the few routes listed for POST.
+
+import { sendJson, getQuery, getRoutePath } from './http.js';
+
+/**
+ * Create a proxy handler for one upstream API
+ * @param {Object} options
+ * @param {string} options.prefix - Route prefix under /api (e.g. 'opendota')
+ * @param {() => string} options.getUpstreamUrl - Upstream base URL
+ * @param {Array<RegExp>} options.allowedRoutes - Paths that may be forwarded
+ * @param {Array<RegExp>} [options.allowedPostRoutes] - Paths that may also be POSTed (no body)
+ * @param {string} options.keyParam - Query parameter carrying the API key
+ * @param {() => string|undefined} options.getApiKey - Reads the key from the environment
+ * @returns {Function} Node request handler
+ */
+export const createProxyHandler = ({ prefix, getUpstreamUrl, allowedRoutes, allowedPostRoutes = [], keyParam, getApiKey }) => {
+  return async function handler(req, res) {
+    const routePath = getRoutePath(req, prefix);
+    const isGetRoute = allowedRoutes.some(pattern => pattern.test(routePath));
+    const isPostRoute = allowedPostRoutes.some(pattern => pattern.test(routePath));
+
+    if (!isGetRoute && !isPostRoute) {
+      return sendJson(res, 404, { error: `Route not proxied: ${routePath}` });
+    }
+
+    const allowedMethods = [isGetRoute && 'GET', isPostRoute && 'POST'].filter(Boolean);
+    if (!allowedMethods.includes(req.method)) {
+      res.setHeader('Allow', allowedMethods.join(', '));
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    const upstream = new URL(`${getUpstreamUrl()}${routePath}`);
+    for (const [key, value] of getQuery(req)) {
+      // Clients cannot supply their own key through the proxy
+      if (key !== keyParam) upstream.searchParams.append(key, value);
+    }
+
+    const apiKey = getApiKey();
+    if (apiKey) {
+      upstream.searchParams.set(keyParam, apiKey);
+    }
+
+    try {
+      const response = await fetch(upstream, { method: req.method });
+      const body = await response.text();
+
+      res.statusCode = response.status;
+      res.setHeader('Content-Type', response.headers.get('content-type') || 'application/json');
+      res.setHeader('Cache-Control', 'no-store');
+      const retryAfter = response.headers.get('retry-after');
+      if (retryAfter) res.setHeader('Retry-After', retryAfter);
+      res.end(body);
+    } catch (error) {
+      console.error(`[API PROXY] ${prefix}${routePath} failed:`, error.message);
+      sendJson(res, 502, { error: 'Upstream API unreachable' });
+    }
+  };
+};
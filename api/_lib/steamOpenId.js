@@ -0,0 +1,168 @@
+// Steam OpenID 2.0 assertion verification
+// Replays the positive assertion to the provider with check_authentication and
+// validates return_to, realm and nonce freshness before trusting claimed_id.
+
+export const STEAM_OPENID_PROVIDER = 'https://steamcommunity.com/openid/login';
+
+const OPENID_NS = 'http://specs.openid.net/auth/2.0';
+const CLAIMED_ID_PATTERN = /^https:\/\/steamcommunity\.com\/openid\/id\/(\d{17})$/;
+const NONCE_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z)/;
+const REQUIRED_SIGNED_FIELDS = ['op_endpoint', 'claimed_id', 'identity', 'return_to', 'response_nonce', 'assoc_handle'];
+
+// Nonces older than this are rejected outright, so we only need to remember
+// the ones we have seen for the same window.
+const DEFAULT_MAX_NONCE_AGE = 5 * 60 * 1000;
+const ALLOWED_CLOCK_SKEW = 60 * 1000;
+
+const verificationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// In-memory nonce store. Serverless instances are short lived, but combined
+// with the nonce age limit this still blocks replays within an instance.
+export const createNonceStore = () => {
+  const seen = new Map();
+
+  return {
+    // Returns false when the nonce has already been used
+    claim(nonce, expiresAt, now = Date.now()) {
+      for (const [key, expiry] of seen) {
+        if (expiry <= now) seen.delete(key);
+      }
+      if (seen.has(nonce)) return false;
+      seen.set(nonce, expiresAt);
+      return true;
+    }
+  };
+};
+
+// Parse OpenID key-value form ("key:value\n" lines)
+const parseKeyValueForm = (text) => {
+  return text.split('\n').reduce((acc, line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      acc[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    return acc;
+  }, {});
+};
+
+const stripQueryAndHash = (value) => {
+  const url = new URL(value);
+  return `${url.origin}${url.pathname}`;
+};
+
+export const createSteamOpenIdVerifier = ({
+  providerUrl = STEAM_OPENID_PROVIDER,
+  nonceStore = createNonceStore(),
+  fetchImpl = globalThis.fetch,
+  maxNonceAge = DEFAULT_MAX_NONCE_AGE,
+  now = () => Date.now()
+} = {}) => {
+  const checkReturnTo = (params, { returnTo, realm }) => {
+    const assertedReturnTo = params['openid.return_to'];
+    if (!assertedReturnTo) {
+      throw verificationError('missing_return_to', 'Assertion is missing openid.return_to');
+    }
+
+    let assertedUrl;
+    try {
+      assertedUrl = stripQueryAndHash(assertedReturnTo);
+    } catch {
+      throw verificationError('invalid_return_to', 'Assertion return_to is not a valid URL');
+    }
+
+    if (assertedUrl !== stripQueryAndHash(returnTo)) {
+      throw verificationError('return_to_mismatch', 'Assertion return_to does not match this deployment');
+    }
+
+    // return_to must live under the realm we asked Steam to authenticate for
+    const realmUrl = new URL(realm);
+    const returnToUrl = new URL(assertedReturnTo);
+    if (returnToUrl.origin !== realmUrl.origin || !returnToUrl.pathname.startsWith(realmUrl.pathname)) {
+      throw verificationError('realm_mismatch', 'Assertion return_to is outside the configured realm');
+    }
+  };
+
+  const checkNonce = (params) => {
+    const nonce = params['openid.response_nonce'];
+    const match = nonce?.match(NONCE_PATTERN);
+    if (!match) {
+      throw verificationError('invalid_nonce', 'Assertion nonce is missing or malformed');
+    }
+
+    const issuedAt = Date.parse(match[1]);
+    const currentTime = now();
+    if (issuedAt > currentTime + ALLOWED_CLOCK_SKEW || currentTime - issuedAt > maxNonceAge) {
+      throw verificationError('stale_nonce', 'Assertion nonce has expired');
+    }
+
+    if (!nonceStore.claim(nonce, issuedAt + maxNonceAge + ALLOWED_CLOCK_SKEW, currentTime)) {
+      throw verificationError('nonce_reused', 'Assertion nonce has already been used');
+    }
+  };
+
+  const checkAuthentication = async (params) => {
+    const body = new URLSearchParams({ ...params, 'openid.mode': 'check_authentication' });
+
+    let response;
+    try {
+      response = await fetchImpl(providerUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: body.toString()
+      });
+    } catch (error) {
+      throw verificationError('provider_unreachable', `Steam OpenID provider unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw verificationError('provider_error', `Steam OpenID provider error: ${response.status}`);
+    }
+
+    const result = parseKeyValueForm(await response.text());
+    if (result.is_valid !== 'true') {
+      throw verificationError('invalid_signature', 'Steam rejected the assertion signature');
+    }
+  };
+
+  /**
+   * Verify a Steam OpenID positive assertion
+   * @param {Object} params - openid.* query parameters from the callback URL
+   * @param {Object} expected - { returnTo, realm } this deployment sent to Steam
+   * @returns {Promise<{steamId: string, claimedId: string}>}
+   */
+  const verify = async (params, expected) => {
+    if (params['openid.ns'] !== OPENID_NS) {
+      throw verificationError('invalid_namespace', 'Assertion is not an OpenID 2.0 response');
+    }
+    if (params['openid.mode'] !== 'id_res') {
+      throw verificationError('invalid_mode', `Unexpected openid.mode: ${params['openid.mode']}`);
+    }
+    if (params['openid.op_endpoint'] !== providerUrl) {
+      throw verificationError('endpoint_mismatch', 'Assertion was not issued by the Steam OpenID provider');
+    }
+
+    const claimedId = params['openid.claimed_id'];
+    const claimedMatch = claimedId?.match(CLAIMED_ID_PATTERN);
+    if (!claimedMatch || params['openid.identity'] !== claimedId) {
+      throw verificationError('invalid_claimed_id', 'Assertion claimed_id is not a Steam identity');
+    }
+
+    const signed = (params['openid.signed'] || '').split(',');
+    const unsigned = REQUIRED_SIGNED_FIELDS.filter(field => !signed.includes(field));
+    if (unsigned.length > 0) {
+      throw verificationError('unsigned_fields', `Assertion does not sign: ${unsigned.join(', ')}`);
+    }
+
+    checkReturnTo(params, expected);
+    checkNonce(params);
+    await checkAuthentication(params);
+
+    return { steamId: claimedMatch[1], claimedId };
+  };
+
+  return { verify };
+};
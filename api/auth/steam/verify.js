@@ -0,0 +1,45 @@
+// POST /api/auth/steam/verify
+// Verifies the Steam OpenID callback parameters server-side and returns the
+// authenticated SteamID64. The client must not trust claimed_id on its own.
+
+import { sendJson, readBody, getRequestOrigin } from '../../_lib/http.js';
+import { createSteamOpenIdVerifier, STEAM_OPENID_PROVIDER } from '../../_lib/steamOpenId.js';
+
+const verifier = createSteamOpenIdVerifier({
+  providerUrl: process.env.STEAM_OPENID_PROVIDER_URL || STEAM_OPENID_PROVIDER
+});
+
+// Mirrors AuthService.getDeploymentUrls: configured URLs for production,
+// otherwise whatever origin the request came in on (preview/local).
+const getExpectedUrls = (req) => {
+  if (process.env.STEAM_RETURN_URL && process.env.STEAM_REALM) {
+    return { returnTo: process.env.STEAM_RETURN_URL, realm: process.env.STEAM_REALM };
+  }
+
+  const origin = getRequestOrigin(req);
+  return { returnTo: `${origin}/auth/steam/callback`, realm: origin };
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  let params;
+  try {
+    const body = await readBody(req);
+    params = body.params || body;
+  } catch {
+    return sendJson(res, 400, { error: 'Invalid request body' });
+  }
+
+  try {
+    const { steamId } = await verifier.verify(params, getExpectedUrls(req));
+    return sendJson(res, 200, { steamId });
+  } catch (error) {
+    console.warn('[STEAM VERIFY] Assertion rejected:', error.code, error.message);
+    const status = error.code === 'provider_unreachable' || error.code === 'provider_error' ? 502 : 401;
+    return sendJson(res, status, { error: error.message, code: error.code });
+  }
+}
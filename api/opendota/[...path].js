@@ -0,0 +1,36 @@
+// GET /api/opendota/* - OpenDota proxy holding OPENDOTA_API_KEY server-side
+// Only the routes AuthService calls are forwarded; POST is limited to parse requests.
+
+import { createProxyHandler } from '../_lib/proxy.js';
+
+export const OPENDOTA_ROUTES = [
+  /^\/players\/\d+$/,
+  /^\/players\/\d+\/(wl|recentMatches|matches|heroes|ratings|totals|peers|wordcloud)$/,
+  /^\/matches\/\d+$/,
+  /^\/heroes$/,
+  /^\/heroes\/\d+\/(matchups|players)$/,
+  /^\/constants\/(patch|item_ids)$/,
+  /^\/benchmarks$/,
+  /^\/heroStats$/,
+  // Player search by name
+  /^\/search$/,
+  /^\/(proMatches|proPlayers|leagues|teams)$/,
+  /^\/leagues\/\d+\/(matches|teams)$/,
+  /^\/teams\/\d+\/(matches|players)$/,
+  // Parse job status
+  /^\/request\/\d+$/
+];
+
+// Ask OpenDota to parse a match replay
+export const OPENDOTA_POST_ROUTES = [
+  /^\/request\/\d+$/
+];
+
+export default createProxyHandler({
+  prefix: 'opendota',
+  getUpstreamUrl: () => process.env.OPENDOTA_API_URL || 'https://api.opendota.com/api',
+  allowedRoutes: OPENDOTA_ROUTES,
+  allowedPostRoutes: OPENDOTA_POST_ROUTES,
+  keyParam: 'api_key',
+  getApiKey: () => process.env.OPENDOTA_API_KEY
+});
@@ -0,0 +1,16 @@
+// GET /api/steam/* - Steam Web API proxy holding STEAM_API_KEY server-side
+// Paths mirror the Steam Web API so the client only swaps its base URL.
+
+import { createProxyHandler } from '../_lib/proxy.js';
+
+export const STEAM_ROUTES = [
+  /^\/ISteamUser\/GetPlayerSummaries\/v0002\/?$/
+];
+
+export default createProxyHandler({
+  prefix: 'steam',
+  getUpstreamUrl: () => process.env.STEAM_API_URL || 'https://api.steampowered.com',
+  allowedRoutes: STEAM_ROUTES,
+  keyParam: 'key',
+  getApiKey: () => process.env.STEAM_API_KEY
+});
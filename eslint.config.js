@@ -34,4 +34,11 @@ export default [
       ],
     },
   },
+  {
+    // Serverless API routes, the GSI receiver and build config run on Node
+    files: ['api/**/*.js', 'gsi/**/*.js', '*.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
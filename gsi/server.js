@@ -0,0 +1,155 @@
+// Local Game State Integration receiver
+// Dota 2 POSTs game state here (see gamestate_integration_dota2companion.cfg);
+// the web app listens on GET /events (Server-Sent Events) for each update.
+//
+//   node gsi/server.js                         relay the running game
+//   node gsi/server.js --record match.ndjson   relay and record every post
+//   node gsi/server.js --replay public/gsi/replay.ndjson [--speed 4]
+//                                              play back a recording instead
+
+import fs from 'node:fs';
+import http from 'node:http';
+import process from 'node:process';
+import { pathToFileURL } from 'node:url';
+import { sendJson, readBody } from '../api/_lib/http.js';
+import { parseReplay } from '../src/utils/gsi.js';
+
+const DEFAULT_PORT = 3001;
+const ENV_FILE = '.env.local';
+const LOOP_PAUSE = 2000;
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.token] - Expected auth.token; posts without it are rejected
+ * @param {string} [options.recordPath] - Append each post to this NDJSON file
+ * @returns {http.Server & {broadcast: Function, clients: Set}}
+ */
+export const createGsiServer = ({ token, recordPath } = {}) => {
+  const clients = new Set();
+  let latest = null;
+  let recordStart = null;
+
+  const broadcast = (state) => {
+    latest = state;
+    const message = `data: ${JSON.stringify(state)}\n\n`;
+    clients.forEach(client => client.write(message));
+  };
+
+  const record = (state) => {
+    if (!recordPath) return;
+    recordStart ??= Date.now();
+    fs.appendFileSync(recordPath, JSON.stringify({ t: Date.now() - recordStart, state }) + '\n');
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url || '/', 'http://localhost');
+
+    if (req.method === 'GET' && pathname === '/events') {
+      res.writeHead(200, {
+        // The app runs on another port, so the stream needs CORS
+        'Access-Control-Allow-Origin': '*',
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      if (latest) res.write(`data: ${JSON.stringify(latest)}\n\n`);
+
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    if (req.method === 'POST' && pathname === '/') {
+      // Dota 2 always posts JSON; anything else (e.g. a cross-site form post) is refused
+      if (!(req.headers['content-type'] || '').startsWith('application/json')) {
+        return sendJson(res, 415, { error: 'Expected application/json' });
+      }
+
+      let state;
+      try {
+        state = await readBody(req);
+      } catch {
+        return sendJson(res, 400, { error: 'Invalid JSON' });
+      }
+
+      if (token && state.auth?.token !== token) {
+        return sendJson(res, 401, { error: 'Invalid token' });
+      }
+
+      delete state.auth;
+      record(state);
+      broadcast(state);
+      res.statusCode = 200;
+      return res.end();
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  });
+
+  server.broadcast = broadcast;
+  server.clients = clients;
+  return server;
+};
+
+/**
+ * Broadcast recorded frames with their original spacing
+ * @param {Object} server - From createGsiServer
+ * @param {Array<{t: number, state: Object}>} frames - Recording, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.speed=1] - Playback speed multiplier
+ * @param {boolean} [options.loop=true] - Start over at the end
+ * @returns {Function} Stops playback
+ */
+export const replayFrames = (server, frames, { speed = 1, loop = true } = {}) => {
+  let index = 0;
+  let timer = null;
+
+  const next = () => {
+    const frame = frames[index];
+    server.broadcast(frame.state);
+    index++;
+
+    if (index < frames.length) {
+      timer = setTimeout(next, Math.max(0, (frames[index].t - frame.t) / speed));
+    } else if (loop) {
+      index = 0;
+      timer = setTimeout(next, LOOP_PAUSE);
+    }
+  };
+
+  if (frames.length > 0) next();
+  return () => clearTimeout(timer);
+};
+
+const readArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  // GSI_PORT and GSI_TOKEN live next to the app's settings; variables already set win
+  if (fs.existsSync(ENV_FILE)) process.loadEnvFile(ENV_FILE);
+
+  const args = readArgs(process.argv.slice(2));
+  const port = parseInt(args.port || process.env.GSI_PORT) || DEFAULT_PORT;
+  const server = createGsiServer({
+    token: process.env.GSI_TOKEN,
+    recordPath: typeof args.record === 'string' ? args.record : undefined
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`[gsi] listening on http://127.0.0.1:${port} (stream at /events)`);
+
+    if (typeof args.replay === 'string') {
+      const frames = parseReplay(fs.readFileSync(args.replay, 'utf8'));
+      console.log(`[gsi] replaying ${frames.length} frames from ${args.replay}`);
+      replayFrames(server, frames, { speed: parseFloat(args.speed) || 1 });
+    }
+  });
+}
@@ -37,10 +37,26 @@ import {
   ReloadOutlined,
   UserOutlined,
   MenuOutlined,
-  CloseOutlined
+  CloseOutlined,
+  ClockCircleOutlined,
+  UsergroupAddOutlined,
+  SwapOutlined
 } from '@ant-design/icons';
 import { darkTheme } from './theme/antdTheme.js';
 import MatchAnalysis from './components/MatchAnalysis/MatchAnalysis.jsx';
+import MatchesPage from './components/Matches/MatchesPage.jsx';
+import MatchComparison from './components/MatchAnalysis/MatchComparison.jsx';
+import HeroesPage from './components/Heroes/HeroesPage.jsx';
+import TeammatesPage from './components/Teammates/TeammatesPage.jsx';
+import PlayerProfile from './components/Players/PlayerProfile.jsx';
+import PlayerSearch from './components/Players/PlayerSearch.jsx';
+import HeadToHeadPage from './components/HeadToHead/HeadToHeadPage.jsx';
+import AccountManager from './components/Accounts/AccountManager.jsx';
+import DraftPage from './components/Draft/DraftPage.jsx';
+import ProScenePage from './components/ProScene/ProScenePage.jsx';
+import LiveGamePage from './components/LiveGame/LiveGamePage.jsx';
+import { useRoute, navigate } from './hooks/useRoute.js';
+import { buildPath } from './utils/routes.js';
 import AssetTest from './components/AssetTest.jsx';
 
 const { Header, Content, Sider } = Layout;
@@ -63,29 +79,71 @@ import * as RadixTooltip from '@radix-ui/react-tooltip';
 import * as Dialog from '@radix-ui/react-dialog';
 import { clsx } from 'clsx';
 import authService from './services/auth.service.js';
+import accountsService from './services/accounts.service.js';
 import { DataProvider, useData } from './contexts/DataContext.jsx';
 import { AuthContext } from './contexts/AuthContext.js';
+import { useRequestQueue } from './hooks/useRequestQueue.js';
+import { useGradingData } from './hooks/useGradingData.js';
 import AntDashboard from './components/Dashboard/AntDashboard.jsx';
 import './styles/dashboard.css';
 import {
   transformMatches,
   transformHeroStats,
   transformRatings,
-  calculateTodaySession,
   calculateCoreMetrics,
   getRankName,
   getDefaultMetrics,
   getDefaultHeroStats
 } from './utils/dataTransforms.js';
+import { gradeMatches, getBracket } from './utils/grading.js';
+import { calculateCurrentSession } from './utils/sessions.js';
+import { useSessionSettings } from './hooks/useSessionSettings.js';
+
+// Generate session token
+const generateSessionToken = () => {
+  return btoa(Math.random().toString(36).substring(2) + Date.now().toString(36));
+};
+
+// Demo sessions read bundled fixtures; every other mode talks to OpenDota
+const backendFor = (mode) => (mode === 'demo' ? 'demo' : 'opendota');
+const DEFAULT_AUTH_MODE = import.meta.env.VITE_AUTH_MODE || 'development';
 
 // Authentication Provider
 const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [authMode, setAuthMode] = useState(
-    import.meta.env.VITE_AUTH_MODE || 'development'
-  );
+  const [authMode, setAuthMode] = useState(DEFAULT_AUTH_MODE);
+  // Every account signed in on this device, for the switcher
+  const [accounts, setAccounts] = useState(() => accountsService.list());
+  const [combinedView, setCombinedViewState] = useState(() => accountsService.isCombined());
+
+  // Make an account the active session and remember it in the saved list
+  const startSession = useCallback((userData, mode) => {
+    const authData = {
+      user: userData,
+      token: generateSessionToken(),
+      authMode: mode,
+      expiresAt: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
+      lastDataSync: Date.now()
+    };
+
+    localStorage.setItem('dota2_auth', JSON.stringify(authData));
+    authService.setBackend(backendFor(mode));
+    setUser(userData);
+    setAuthMode(mode);
+    // The demo player is not a real account, so it stays out of the switcher
+    if (mode !== 'demo') setAccounts(accountsService.save(userData, mode));
+  }, []);
+
+  // Leave the active session; the next sign-in starts from the live API
+  const endSession = () => {
+    setUser(null);
+    setError(null);
+    localStorage.removeItem('dota2_auth');
+    authService.setBackend('opendota');
+    if (authMode === 'demo') setAuthMode(DEFAULT_AUTH_MODE);
+  };
 
   // Check for existing session on mount
   useEffect(() => {
@@ -98,8 +156,12 @@ const AuthProvider = ({ children }) => {
           const now = new Date().getTime();
           
           if (authData.expiresAt && now < authData.expiresAt) {
+            const mode = authData.authMode || 'development';
+            authService.setBackend(backendFor(mode));
             setUser(authData.user);
-            setAuthMode(authData.authMode || 'development');
+            setAuthMode(mode);
+            // Sessions from before the saved account list join it here
+            if (mode !== 'demo') setAccounts(accountsService.save(authData.user, mode));
           } else {
             // Session expired, clear storage
             localStorage.removeItem('dota2_auth');
@@ -123,20 +185,24 @@ const AuthProvider = ({ children }) => {
     
     try {
       const userData = await authService.loginWithPlayerId(playerId);
-      
-      // Save to localStorage
-      const authData = {
-        user: userData,
-        token: generateSessionToken(),
-        authMode: 'development',
-        expiresAt: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
-        lastDataSync: Date.now()
-      };
-      
-      localStorage.setItem('dota2_auth', JSON.stringify(authData));
-      setUser(userData);
-      setAuthMode('development');
-      
+      startSession(userData, 'development');
+      return userData;
+    } catch (error) {
+      setError(error.message);
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Demo Mode: recorded data, no account or network needed
+  const loginWithDemo = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const userData = await authService.loginWithDemo();
+      startSession(userData, 'demo');
       return userData;
     } catch (error) {
       setError(error.message);
@@ -166,18 +232,7 @@ const AuthProvider = ({ children }) => {
       const userData = await authService.handleSteamCallback(urlParams);
       console.log('Steam callback successful, userData:', userData);
       
-      // Save to localStorage
-      const authData = {
-        user: userData,
-        token: generateSessionToken(),
-        authMode: 'steam',
-        expiresAt: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
-        lastDataSync: Date.now()
-      };
-      
-      localStorage.setItem('dota2_auth', JSON.stringify(authData));
-      setUser(userData);
-      setAuthMode('steam');
+      startSession(userData, 'steam');
       
       console.log('Authentication state updated successfully');
       return userData;
@@ -189,7 +244,7 @@ const AuthProvider = ({ children }) => {
       console.log('Setting isLoading to false');
       setIsLoading(false);
     }
-  }, []); // Empty dependency array since this function doesn't depend on any props/state
+  }, [startSession]);
 
   // Refresh user data
   const refreshUserData = async () => {
@@ -206,6 +261,7 @@ const AuthProvider = ({ children }) => {
       localStorage.setItem('dota2_auth', JSON.stringify(savedAuth));
       
       setUser(updatedData);
+      if (authMode !== 'demo') setAccounts(accountsService.save(updatedData, savedAuth.authMode || authMode));
       return updatedData;
     } catch (error) {
       setError('Failed to refresh user data');
@@ -221,20 +277,54 @@ const AuthProvider = ({ children }) => {
     setAuthMode(newMode);
   };
   
+  // The saved list is updated before cached data is dropped, so it is current even if that fails
+  const forgetAccount = (accountId) => accountsService.remove(accountId)
+    .catch((error) => {
+      console.error('Failed to clear cached account data:', error);
+      return accountsService.list();
+    })
+    .then(setAccounts);
+
+  // Signing out forgets the active account and its cached data; other saved accounts stay
   const logout = () => {
-    setUser(null);
+    const accountId = user?.accountId;
+    endSession();
+    if (accountId) {
+      forgetAccount(accountId);
+    }
+  };
+
+  // Saved accounts open without signing in again; each keeps its own cached data
+  const switchAccount = (accountId) => {
+    const account = accounts.find(entry => entry.accountId === String(accountId));
+    if (!account || account.accountId === String(user?.accountId)) return;
     setError(null);
-    localStorage.removeItem('dota2_auth');
-    authService.clearCache();
+    startSession(account.user, account.authMode);
+  };
+
+  // Back to the login page with the current account still saved
+  const addAccount = () => {
+    endSession();
   };
-  
-  const clearError = () => setError(null);
 
-  // Generate session token
-  const generateSessionToken = () => {
-    return btoa(Math.random().toString(36).substring(2) + Date.now().toString(36));
+  const removeAccount = async (accountId) => {
+    if (String(accountId) === String(user?.accountId)) {
+      logout();
+      return;
+    }
+    await forgetAccount(accountId);
+  };
+
+  const setAccountLinked = (accountId, linked) => {
+    setAccounts(accountsService.setLinked(accountId, linked));
+  };
+
+  const setCombinedView = (combined) => {
+    setCombinedViewState(accountsService.setCombined(combined));
   };
   
+  const clearError = () => setError(null);
+  
   return (
     <AuthContext.Provider value={{
       user,
@@ -242,16 +332,26 @@ const AuthProvider = ({ children }) => {
       error,
       authMode,
       loginWithPlayerId,
+      loginWithDemo,
       loginWithSteam,
       handleSteamCallback,
       refreshUserData,
       toggleAuthMode,
       logout,
       clearError,
+      // Saved accounts
+      accounts,
+      combinedView,
+      switchAccount,
+      addAccount,
+      removeAccount,
+      setAccountLinked,
+      setCombinedView,
       isAuthenticated: !!user,
       // Helper functions
       getFamousPlayers: () => authService.getFamousPlayers(),
-      isDevMode: authMode === 'development'
+      isDevMode: authMode === 'development',
+      isDemo: authMode === 'demo'
     }}>
       {children}
     </AuthContext.Provider>
@@ -309,13 +409,16 @@ const AnimatedNumber = ({ value, duration = 1000, prefix = '', suffix = '' }) =>
 };
 
 // Ant Design Navigation Component  
-const Navigation = ({ currentPage, setCurrentPage, mobileMenuOpen, setMobileMenuOpen }) => {
-  const { user, logout, refreshUserData, isLoading } = useAuth();
+const Navigation = ({ currentPage, setCurrentPage, onSelectPlayer, mobileMenuOpen, setMobileMenuOpen }) => {
+  const { user, logout, refreshUserData, isLoading, accounts, switchAccount } = useAuth();
+  const [accountManagerOpen, setAccountManagerOpen] = useState(false);
   
   const menuItems = [
     { key: 'dashboard', icon: <HomeOutlined />, label: 'Dashboard' },
     { key: 'matches', icon: <TrophyOutlined />, label: 'Matches' },
     { key: 'heroes', icon: <TeamOutlined />, label: 'Heroes' },
+    { key: 'teammates', icon: <UsergroupAddOutlined />, label: 'Teammates' },
+    { key: 'head-to-head', icon: <SwapOutlined />, label: 'Head to Head' },
     { key: 'live', icon: <ThunderboltOutlined />, label: 'Live Game' },
     { key: 'pro', icon: <TrophyOutlined />, label: 'Pro Scene' },
     { key: 'draft', icon: <TeamOutlined />, label: 'Draft' }
@@ -343,7 +446,30 @@ const Navigation = ({ currentPage, setCurrentPage, mobileMenuOpen, setMobileMenu
     }
   };
 
+  // Other saved accounts switch straight from the dropdown
+  const otherAccounts = accounts.filter(account => account.accountId !== String(user?.accountId));
+
   const userMenuItems = [
+    ...(otherAccounts.length > 0 ? [
+      {
+        type: 'group',
+        key: 'accounts',
+        label: 'Switch account',
+        children: otherAccounts.map(account => ({
+          key: `account-${account.accountId}`,
+          icon: <Avatar size={18} src={account.user?.avatar} icon={<UserOutlined />} />,
+          label: account.user?.personaName || `Player ${account.accountId}`,
+          onClick: () => switchAccount(account.accountId)
+        }))
+      },
+      { type: 'divider' }
+    ] : []),
+    {
+      key: 'manage-accounts',
+      icon: <SwapOutlined />,
+      label: 'Manage accounts',
+      onClick: () => setAccountManagerOpen(true)
+    },
     {
       key: 'profile',
       icon: <UserOutlined />,
@@ -406,7 +532,13 @@ const Navigation = ({ currentPage, setCurrentPage, mobileMenuOpen, setMobileMenu
           onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
           className="md:hidden text-white"
         />
+
+        <div className="hidden lg:block">
+          <PlayerSearch onSelectPlayer={onSelectPlayer} />
+        </div>
         
+        <RateLimitIndicator />
+
         {/* Refresh Button */}
         <Tooltip title={isLoading ? 'Refreshing...' : 'Refresh Data'}>
           <Button
@@ -435,13 +567,17 @@ const Navigation = ({ currentPage, setCurrentPage, mobileMenuOpen, setMobileMenu
                 {user?.personaName || user?.displayName || 'Player'}
               </span>
               <span className="text-xs text-gray-500">
-                {user?.authMode === 'development' ? `ID: ${user?.accountId}` : `#${user?.steamId || '12345'}`}
+                {user?.authMode === 'demo'
+                  ? 'Demo data'
+                  : user?.authMode === 'development' ? `ID: ${user?.accountId}` : `#${user?.steamId || '12345'}`}
               </span>
             </div>
           </div>
         </Dropdown>
       </Space>
 
+      <AccountManager open={accountManagerOpen} onClose={() => setAccountManagerOpen(false)} />
+
       {/* Mobile Menu Overlay */}
       {mobileMenuOpen && (
         <div className="md:hidden absolute top-16 left-0 right-0 bg-gray-900 border-b border-gray-700 z-50">
@@ -465,11 +601,29 @@ const Navigation = ({ currentPage, setCurrentPage, mobileMenuOpen, setMobileMenu
   );
 };
 
+// Shown while OpenDota requests are held back by the rate limiter
+const RateLimitIndicator = () => {
+  const { waitingForRateLimit, queued, pending } = useRequestQueue();
+  if (!waitingForRateLimit) return null;
+
+  return (
+    <Tooltip title={`Waiting for rate limit: ${queued} queued, ${pending} pending`}>
+      <Badge count={queued} size="small" color="#f59e0b">
+        <span className="flex items-center gap-1 text-xs text-yellow-400">
+          <ClockCircleOutlined />
+          <span className="hidden lg:inline">Waiting for rate limit</span>
+        </span>
+      </Badge>
+    </Tooltip>
+  );
+};
+
 // Enhanced Login Page with Dual Authentication Modes
 const LoginPage = () => {
   const { 
     loginWithPlayerId, 
     loginWithSteam, 
+    loginWithDemo,
     isLoading, 
     error, 
     clearError, 
@@ -530,6 +684,14 @@ const LoginPage = () => {
     }
   };
 
+  const handleDemoLogin = async () => {
+    try {
+      await loginWithDemo();
+    } catch (error) {
+      console.error('Demo login failed:', error.message);
+    }
+  };
+
   const handleQuickSelect = (accountId) => {
     setPlayerId(accountId);
     setFormErrors({});
@@ -764,6 +926,22 @@ const LoginPage = () => {
               </div>
             </div>
           )}
+
+          {/* Demo Mode - recorded data, works offline */}
+          <div className="mt-6 pt-6 border-t border-gray-700/50">
+            <button
+              type="button"
+              onClick={handleDemoLogin}
+              disabled={isLoading}
+              className="w-full py-3 px-4 rounded-lg font-medium flex items-center justify-center space-x-2 bg-gray-700/30 hover:bg-gray-700/50 border border-gray-600/30 text-cyan-400 transition-all disabled:opacity-50"
+            >
+              <Play className="w-5 h-5" />
+              <span>Try the demo</span>
+            </button>
+            <p className="text-gray-500 text-xs text-center mt-2">
+              Explore with a recorded player's matches - no account or connection needed
+            </p>
+          </div>
         </motion.div>
       </motion.div>
     </motion.div>
@@ -779,10 +957,12 @@ const CommandCenterDashboard = () => {
   const { user } = useAuth();
   const { 
     recentMatches, 
+    matchHistory,
     heroStats, 
     winLoss, 
     ratings, 
     heroes,
+    mmrTimeline,
     loading, 
     isLoading
   } = useData();
@@ -793,10 +973,11 @@ const CommandCenterDashboard = () => {
   const [ALERT_LEVEL, SET_ALERT_LEVEL] = useState('normal'); // normal, warning, danger, flow
 
   // Professional Analytics Calculations
-  const todaySession = useMemo(() => {
-    if (!recentMatches) return { wins: 0, losses: 0, mmrChange: 0, currentStreak: 0, gamesUntilBehaviorUpdate: 15 };
-    return calculateTodaySession(recentMatches);
-  }, [recentMatches]);
+  const [sessionSettings] = useSessionSettings();
+  const currentSession = useMemo(() => {
+    const matches = matchHistory?.length ? matchHistory : recentMatches;
+    return calculateCurrentSession(matches, mmrTimeline, sessionSettings);
+  }, [recentMatches, matchHistory, mmrTimeline, sessionSettings]);
 
   // Tilt-O-Meter™ Calculation
   const tiltMeter = useMemo(() => {
@@ -845,53 +1026,21 @@ const CommandCenterDashboard = () => {
     return { level: Math.round(tiltScore), status, message };
   }, [recentMatches]);
 
-  // Performance Efficiency Index (PEI)
+  // Performance Efficiency Index (PEI): last 20 games graded against hero benchmarks and bracket win rates
+  const recent20 = useMemo(() => (recentMatches || []).slice(0, 20), [recentMatches]);
+  const gradingData = useGradingData(recent20.map(match => match.hero_id));
+
+  const matchGrades = useMemo(() => gradeMatches(recent20, {
+    benchmarksByHero: gradingData.benchmarksByHero,
+    heroStats: gradingData.heroStats,
+    bracket: getBracket(user?.rank_tier),
+    heroNames: Object.fromEntries((heroes || []).map(hero => [hero.id, hero.localized_name]))
+  }), [recent20, gradingData, user?.rank_tier, heroes]);
+
   const performanceIndex = useMemo(() => {
-    if (!recentMatches || !winLoss) return { score: 50, grade: 'C', trend: 'stable' };
-    
-    const recent20 = recentMatches.slice(0, 20);
-    if (recent20.length < 5) return { score: 50, grade: 'C', trend: 'stable' };
-    
-    const metrics = recent20.reduce((acc, match) => {
-      const kda = (match.kills + match.assists) / Math.max(match.deaths, 1);
-      const gpm = match.gold_per_min || 0;
-      const xpm = match.xp_per_min || 0;
-      const duration = match.duration || 1800; // 30 min default
-      const isWin = match.radiant_win === (match.player_slot < 128);
-      
-      acc.kdaTotal += Math.min(kda, 10); // Cap KDA at 10
-      acc.gpmTotal += Math.min(gpm, 1000); // Cap GPM at 1000
-      acc.xpmTotal += Math.min(xpm, 1000); // Cap XPM at 1000
-      acc.winRate += isWin ? 1 : 0;
-      acc.avgDuration += duration;
-      
-      return acc;
-    }, { kdaTotal: 0, gpmTotal: 0, xpmTotal: 0, winRate: 0, avgDuration: 0 });
-    
-    const avgKDA = metrics.kdaTotal / recent20.length;
-    const avgGPM = metrics.gpmTotal / recent20.length;
-    const avgXPM = metrics.xpmTotal / recent20.length;
-    const winRate = (metrics.winRate / recent20.length) * 100;
-    
-    // Weighted scoring system
-    const score = Math.round(
-      (avgKDA / 4) * 25 + // KDA worth 25%
-      (avgGPM / 600) * 20 + // GPM worth 20%
-      (avgXPM / 700) * 15 + // XPM worth 15%
-      (winRate / 100) * 40 // Win rate worth 40%
-    );
-    
-    let grade;
-    if (score >= 90) grade = 'S+';
-    else if (score >= 85) grade = 'S';
-    else if (score >= 80) grade = 'A+';
-    else if (score >= 75) grade = 'A';
-    else if (score >= 70) grade = 'B+';
-    else if (score >= 65) grade = 'B';
-    else if (score >= 60) grade = 'C+';
-    else if (score >= 55) grade = 'C';
-    else if (score >= 50) grade = 'D';
-    else grade = 'F';
+    if (recent20.length < 5 || matchGrades.score === null) {
+      return { score: 50, grade: 'C', trend: 'stable', explanation: ['Not enough graded games yet'] };
+    }
     
     // Calculate trend
     const firstHalf = recent20.slice(10, 20);
@@ -903,8 +1052,13 @@ const CommandCenterDashboard = () => {
     if (secondScore > firstScore + 1) trend = 'improving';
     else if (firstScore > secondScore + 1) trend = 'declining';
     
-    return { score: Math.min(100, Math.max(0, score)), grade, trend };
-  }, [recentMatches, winLoss]);
+    return {
+      score: Math.round(matchGrades.score),
+      grade: matchGrades.grade,
+      trend,
+      explanation: matchGrades.explanation
+    };
+  }, [recent20, matchGrades]);
 
   const coreMetrics = useMemo(() => {
     if (!recentMatches && !winLoss) return getDefaultMetrics();
@@ -924,8 +1078,8 @@ const CommandCenterDashboard = () => {
   // Transformed matches for future use
   const _transformedMatches = useMemo(() => {
     if (!recentMatches || !heroes) return [];
-    return transformMatches(recentMatches, heroes);
-  }, [recentMatches, heroes]);
+    return transformMatches(recentMatches, heroes, new Map(matchGrades.matches.map(grade => [grade.matchId, grade])));
+  }, [recentMatches, heroes, matchGrades]);
 
   return (
     <RadixTooltip.Provider>
@@ -982,7 +1136,7 @@ const CommandCenterDashboard = () => {
                 <div className="glass-card px-4 py-2 border border-electric-cyan/20">
                   <div className="flex items-center space-x-3">
                     <div className="text-xs font-mono text-electric-cyan/80 uppercase tracking-wider">PEI Grade</div>
-                    <div className={cn(
+                    <div title={performanceIndex.explanation.join('\n')} className={cn(
                       "px-3 py-1 rounded-full text-sm font-bold font-futuristic",
                       performanceIndex.grade.startsWith('S') && "bg-performance-excellent/20 text-performance-excellent border border-performance-excellent/50",
                       performanceIndex.grade.startsWith('A') && "bg-performance-good/20 text-performance-good border border-performance-good/50",
@@ -1000,13 +1154,13 @@ const CommandCenterDashboard = () => {
                   <div className="flex items-center space-x-3">
                     <div className="text-xs font-mono text-electric-cyan/80 uppercase tracking-wider">Session</div>
                     <div className="text-electric-cyan font-mono font-bold">
-                      {todaySession.wins}W-{todaySession.losses}L
+                      {currentSession.wins}W-{currentSession.losses}L
                     </div>
                     <div className={cn(
                       "w-2 h-2 rounded-full",
-                      todaySession.mmrChange > 0 && "bg-neon-green animate-pulse",
-                      todaySession.mmrChange < 0 && "bg-neon-red animate-pulse",
-                      todaySession.mmrChange === 0 && "bg-electric-cyan/50"
+                      currentSession.mmrChange > 0 && "bg-neon-green animate-pulse",
+                      currentSession.mmrChange < 0 && "bg-neon-red animate-pulse",
+                      currentSession.mmrChange === 0 && "bg-electric-cyan/50"
                     )}></div>
                   </div>
                 </div>
@@ -1082,9 +1236,11 @@ const CommandCenterDashboard = () => {
                 <div className="text-center">
                   <div className="text-xs font-mono text-electric-cyan/60 mb-2 uppercase tracking-wider">MMR Velocity</div>
                   <div className="text-2xl stat-number text-electric-cyan">
-                    {todaySession.mmrChange > 0 ? '+' : ''}{todaySession.mmrChange}
+                    {currentSession.mmrChange === null ? '-' : `${currentSession.mmrEstimated ? '~' : ''}${currentSession.mmrChange > 0 ? '+' : ''}${currentSession.mmrChange}`}
+                  </div>
+                  <div className="text-xxs text-electric-cyan/50 mt-1">
+                    {currentSession.mmrChange === null ? 'Add an MMR checkpoint' : currentSession.mmrEstimated ? 'Estimated this session' : 'Per Session'}
                   </div>
-                  <div className="text-xxs text-electric-cyan/50 mt-1">Per Session</div>
                 </div>
 
                 {/* Performance Index */}
@@ -1099,7 +1255,7 @@ const CommandCenterDashboard = () => {
                   )}>
                     {performanceIndex.score}
                   </div>
-                  <div className="text-xxs text-electric-cyan/50 mt-1">Grade: {performanceIndex.grade}</div>
+                  <div className="text-xxs text-electric-cyan/50 mt-1" title={performanceIndex.explanation.join('\n')}>Grade: {performanceIndex.grade}</div>
                 </div>
 
                 {/* Streak Status */}
@@ -1108,14 +1264,14 @@ const CommandCenterDashboard = () => {
                   <div className="flex items-center justify-center">
                     <Flame className={cn(
                       "w-6 h-6 mr-1",
-                      todaySession.currentStreak > 0 ? "text-neon-green" : "text-electric-cyan/30"
+                      currentSession.currentStreak > 0 ? "text-neon-green" : "text-electric-cyan/30"
                     )} />
                     <span className="text-xl stat-number text-electric-cyan">
-                      {Math.abs(todaySession.currentStreak)}
+                      {Math.abs(currentSession.currentStreak)}
                     </span>
                   </div>
                   <div className="text-xxs text-electric-cyan/50 mt-1">
-                    {todaySession.currentStreak > 0 ? 'Wins' : todaySession.currentStreak < 0 ? 'Losses' : 'None'}
+                    {currentSession.currentStreak > 0 ? 'Wins' : currentSession.currentStreak < 0 ? 'Losses' : 'None'}
                   </div>
                 </div>
 
@@ -1528,6 +1684,8 @@ const AuthCallbackHandler = () => {
   };
 
   const finalError = error || processingError;
+  // Steam rejected the assertion, as opposed to a failure after login (e.g. OpenDota down)
+  const verificationFailed = Boolean(processingError?.verificationFailed);
 
   return (
     <div className="min-h-screen bg-space-black flex items-center justify-center">
@@ -1544,7 +1702,9 @@ const AuthCallbackHandler = () => {
               <AlertTriangle className="w-16 h-16 text-neon-red mx-auto mb-4" />
             )}
             <h2 className="command-header text-xl mb-2">
-              {finalError.switchToDevMode ? 'Steam Login Successful!' : 'Authentication Failed'}
+              {finalError.switchToDevMode
+                ? 'Steam Login Successful!'
+                : verificationFailed ? 'Steam could not verify your login' : 'Authentication Failed'}
             </h2>
             <p className={`text-sm mb-6 ${finalError.switchToDevMode ? 'text-electric-cyan/80' : 'text-neon-red/80'}`}>
               {finalError.message}
@@ -1598,26 +1758,76 @@ const AuthCallbackHandler = () => {
   );
 };
 
+// Where the match view's back button returns to
+const BACK_LABELS = {
+  dashboard: 'Back to Dashboard',
+  matches: 'Back to Matches',
+  heroes: 'Back to Heroes',
+  teammates: 'Back to Teammates',
+  pro: 'Back to Pro Scene',
+  'match-analysis': 'Back to Match',
+  'match-compare': 'Back to Comparison',
+  player: 'Back to Profile'
+};
+
 // Main App Content Component
 const AppContent = () => {
-  const { isAuthenticated, isLoading } = useAuth();
-  const [currentPage, setCurrentPage] = useState('dashboard');
+  const { isAuthenticated, isLoading, user } = useAuth();
+  const { page: currentPage, params } = useRoute();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const [selectedMatchId, setSelectedMatchId] = useState(null);
+
+  // Unknown paths fall back to the dashboard
+  useEffect(() => {
+    if (currentPage === 'not-found') navigate('/', { replace: true });
+  }, [currentPage]);
 
   // Show loading screen while checking authentication
   if (isLoading) {
     return <LoadingScreen />;
   }
 
+  const goToPage = (page, pageParams) => navigate(buildPath(page, pageParams));
+
+  // Remember the page we came from so Back can return to it
   const handleMatchClick = (matchId) => {
-    setSelectedMatchId(matchId);
-    setCurrentPage('match-analysis');
+    navigate(buildPath('match-analysis', { matchId }), { state: { from: currentPage } });
+  };
+
+  const matchReturnPage = window.history.state?.from;
+
+  const handleBackFromMatch = () => {
+    if (matchReturnPage) {
+      window.history.back();
+    } else if (currentPage === 'player-match') {
+      goToPage('player', { accountId: params.accountId });
+    } else {
+      goToPage('matches');
+    }
+  };
+
+  // Matches opened from a viewed profile stay within that player's data
+  const handlePlayerMatchClick = (matchId) => {
+    navigate(buildPath('player-match', { accountId: params.accountId, matchId }), { state: { from: currentPage } });
   };
 
-  const handleBackToDashboard = () => {
-    setSelectedMatchId(null);
-    setCurrentPage('dashboard');
+  const handleHeadToHead = (accountId) => {
+    navigate(buildPath('head-to-head', { accountId }), { state: { from: currentPage } });
+  };
+
+  const handleCompare = (matchIds) => {
+    navigate(buildPath('match-compare', { matchIds }), { state: { from: currentPage } });
+  };
+
+  // Picking matches on the comparison page keeps the page we came from
+  const handleCompareChange = (matchIds) => {
+    navigate(buildPath('match-compare', { matchIds }), { replace: true, state: window.history.state });
+  };
+
+  const handleMatchTabChange = (tab) => {
+    navigate(buildPath(currentPage, { ...params, tab }), {
+      replace: true,
+      state: window.history.state
+    });
   };
 
   const renderPage = () => {
@@ -1625,24 +1835,85 @@ const AppContent = () => {
       case 'dashboard':
         return <PlayerDashboard onMatchClick={handleMatchClick} />;
       case 'match-analysis':
-        return selectedMatchId ? (
+        return (
           <MatchAnalysis 
-            matchId={selectedMatchId} 
-            onBack={handleBackToDashboard} 
+            matchId={params.matchId} 
+            tab={params.tab}
+            onTabChange={handleMatchTabChange}
+            onBack={handleBackFromMatch} 
+            backLabel={BACK_LABELS[matchReturnPage] || 'Back to Matches'}
+            onCompare={() => handleCompare([params.matchId])}
+          />
+        );
+      case 'match-compare':
+        return (
+          <MatchComparison
+            matchIds={params.matchIds}
+            onChangeMatches={handleCompareChange}
+            onMatchClick={handleMatchClick}
+            onBack={handleBackFromMatch}
+            backLabel={BACK_LABELS[matchReturnPage] || 'Back to Matches'}
           />
-        ) : (
-          <PlayerDashboard onMatchClick={handleMatchClick} />
         );
       case 'matches':
-        return <div className="p-6 text-electric-cyan font-header">MATCHES PAGE COMING SOON...</div>;
+        return <MatchesPage onMatchClick={handleMatchClick} onCompare={handleCompare} />;
       case 'heroes':
-        return <div className="p-6 text-electric-cyan font-header">HEROES PAGE COMING SOON...</div>;
+        return (
+          <HeroesPage
+            heroId={params.heroId}
+            onSelectHero={(heroId) => goToPage('heroes', { heroId })}
+          />
+        );
+      case 'teammates':
+        return (
+          <TeammatesPage
+            peerId={params.peerId}
+            onSelectPeer={(peerId) => goToPage('teammates', { peerId })}
+            onMatchClick={handleMatchClick}
+            onHeadToHead={handleHeadToHead}
+          />
+        );
+      case 'head-to-head':
+        return (
+          <HeadToHeadPage
+            key={params.accountId}
+            accountId={params.accountId}
+            onSelectPlayer={(accountId) => goToPage('head-to-head', { accountId })}
+            onBack={matchReturnPage ? () => window.history.back() : undefined}
+            onMatchClick={handleMatchClick}
+          />
+        );
+      case 'player':
+        return params.accountId === String(user?.accountId) ? (
+          <PlayerDashboard onMatchClick={handleMatchClick} />
+        ) : (
+          <PlayerProfile
+            key={params.accountId}
+            accountId={params.accountId}
+            onBack={() => goToPage('dashboard')}
+            onMatchClick={handlePlayerMatchClick}
+            onHeadToHead={() => handleHeadToHead(params.accountId)}
+          />
+        );
+      case 'player-match':
+        return (
+          <DataProvider key={params.accountId} accountId={params.accountId} readOnly>
+            <MatchAnalysis
+              matchId={params.matchId}
+              tab={params.tab}
+              onTabChange={handleMatchTabChange}
+              onBack={handleBackFromMatch}
+              backLabel={BACK_LABELS[matchReturnPage] || BACK_LABELS.player}
+              onCompare={() => handleCompare([params.matchId])}
+            />
+          </DataProvider>
+        );
       case 'live':
-        return <div className="p-6 text-electric-cyan font-header">LIVE GAME PAGE COMING SOON...</div>;
+        return <LiveGamePage />;
       case 'draft':
-        return <div className="p-6 text-electric-cyan font-header">DRAFT PAGE COMING SOON...</div>;
+        return <DraftPage />;
       case 'pro':
-        return <div className="p-6 text-electric-cyan font-header">PRO SCENE PAGE COMING SOON...</div>;
+        return <ProScenePage onMatchClick={handleMatchClick} />;
       default:
         return <PlayerDashboard onMatchClick={handleMatchClick} />;
     }
@@ -1656,8 +1927,9 @@ const AppContent = () => {
     <DataProvider>
       <Layout className="min-h-screen">
         <Navigation 
-          currentPage={currentPage} 
-          setCurrentPage={setCurrentPage}
+          currentPage={['match-analysis', 'match-compare'].includes(currentPage) ? 'matches' : currentPage} 
+          setCurrentPage={goToPage}
+          onSelectPlayer={(accountId) => goToPage('player', { accountId })}
           mobileMenuOpen={mobileMenuOpen}
           setMobileMenuOpen={setMobileMenuOpen}
         />
@@ -0,0 +1,104 @@
+import http from 'node:http';
+import process from 'node:process';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+const listen = async (server) => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+describe('OpenDota and Steam API proxies', () => {
+  const upstreamRequests = [];
+  let upstream;
+  let proxy;
+  let proxyUrl;
+
+  beforeAll(async () => {
+    // Stand-in for both upstream APIs: echoes what it received
+    upstream = http.createServer((req, res) => {
+      upstreamRequests.push(req.url);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ url: req.url, method: req.method }));
+    });
+    const upstreamUrl = await listen(upstream);
+
+    process.env.OPENDOTA_API_URL = `${upstreamUrl}/api`;
+    process.env.OPENDOTA_API_KEY = 'server-opendota-key';
+    process.env.STEAM_API_URL = upstreamUrl;
+    process.env.STEAM_API_KEY = 'server-steam-key';
+
+    const { default: openDota } = await import('../../../api/opendota/[...path].js');
+    const { default: steam } = await import('../../../api/steam/[...path].js');
+
+    proxy = http.createServer((req, res) => {
+      const handler = req.url.startsWith('/api/steam/') ? steam : openDota;
+      handler(req, res);
+    });
+    proxyUrl = await listen(proxy);
+  });
+
+  afterAll(async () => {
+    for (const key of ['OPENDOTA_API_URL', 'OPENDOTA_API_KEY', 'STEAM_API_URL', 'STEAM_API_KEY']) {
+      delete process.env[key];
+    }
+    await new Promise(resolve => proxy.close(resolve));
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  it('forwards OpenDota requests with the server-held key', async () => {
+    const response = await fetch(`${proxyUrl}/api/opendota/benchmarks?hero_id=1`);
+    const { url } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(url).toBe('/api/benchmarks?hero_id=1&api_key=server-opendota-key');
+  });
+
+  it('ignores a key supplied by the client', async () => {
+    await fetch(`${proxyUrl}/api/opendota/players/123/wl?api_key=stolen`);
+    expect(upstreamRequests.at(-1)).toBe('/api/players/123/wl?api_key=server-opendota-key');
+  });
+
+  it('keeps every value of repeated query parameters', async () => {
+    await fetch(`${proxyUrl}/api/opendota/players/123/matches?project=match_id&project=hero_id&project=kills`);
+    expect(upstreamRequests.at(-1)).toBe(
+      '/api/players/123/matches?project=match_id&project=hero_id&project=kills&api_key=server-opendota-key'
+    );
+  });
+
+  it('forwards player searches', async () => {
+    const response = await fetch(`${proxyUrl}/api/opendota/search?q=${encodeURIComponent('Miracle-')}`);
+    const { url } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(url).toBe('/api/search?q=Miracle-&api_key=server-opendota-key');
+  });
+
+  it('forwards Steam profile lookups with the server-held key', async () => {
+    const response = await fetch(`${proxyUrl}/api/steam/ISteamUser/GetPlayerSummaries/v0002/?steamids=76561198065514372`);
+    const { url } = await response.json();
+
+    expect(url).toBe('/ISteamUser/GetPlayerSummaries/v0002/?steamids=76561198065514372&key=server-steam-key');
+  });
+
+  it('refuses routes outside the allow-list', async () => {
+    const before = upstreamRequests.length;
+    const response = await fetch(`${proxyUrl}/api/opendota/explorer?sql=select`);
+
+    expect(response.status).toBe(404);
+    expect(upstreamRequests.length).toBe(before);
+  });
+
+  it('only accepts GET', async () => {
+    const response = await fetch(`${proxyUrl}/api/opendota/heroes`, { method: 'POST' });
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('GET');
+  });
+
+  it('forwards parse requests as POST', async () => {
+    const response = await fetch(`${proxyUrl}/api/opendota/request/7812345678`, { method: 'POST' });
+    const { url, method } = await response.json();
+
+    expect(method).toBe('POST');
+    expect(url).toBe('/api/request/7812345678?api_key=server-opendota-key');
+  });
+});
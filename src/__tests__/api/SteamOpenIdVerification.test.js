@@ -0,0 +1,151 @@
+import http from 'node:http';
+import process from 'node:process';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createSteamOpenIdVerifier } from '../../../api/_lib/steamOpenId.js';
+import { startMockSteamOpenIdProvider } from '../utils/mockSteamOpenIdProvider.js';
+
+const EXPECTED = {
+  returnTo: 'http://localhost:5173/auth/steam/callback',
+  realm: 'http://localhost:5173'
+};
+
+describe('Steam OpenID assertion verification', () => {
+  let provider;
+
+  beforeAll(async () => {
+    provider = await startMockSteamOpenIdProvider();
+  });
+
+  afterAll(async () => {
+    await provider.close();
+  });
+
+  const createVerifier = () => createSteamOpenIdVerifier({ providerUrl: provider.url });
+
+  it('accepts a genuine assertion and returns the SteamID64', async () => {
+    const verifier = createVerifier();
+    const result = await verifier.verify(provider.issueAssertion(), EXPECTED);
+
+    expect(result.steamId).toBe('76561198065514372');
+    expect(provider.checkRequests.at(-1)['openid.mode']).toBe('check_authentication');
+  });
+
+  it('rejects a hand-crafted claimed_id the provider never signed', async () => {
+    const verifier = createVerifier();
+    const forged = provider.issueAssertion({
+      overrides: {
+        'openid.claimed_id': 'https://steamcommunity.com/openid/id/76561197960287930',
+        'openid.identity': 'https://steamcommunity.com/openid/id/76561197960287930',
+        'openid.sig': 'forged-signature'
+      }
+    });
+
+    await expect(verifier.verify(forged, EXPECTED)).rejects.toMatchObject({ code: 'invalid_signature' });
+  });
+
+  it('rejects assertions returned to another site', async () => {
+    const verifier = createVerifier();
+    const assertion = provider.issueAssertion({ returnTo: 'https://evil.example.com/auth/steam/callback' });
+
+    await expect(verifier.verify(assertion, EXPECTED)).rejects.toMatchObject({ code: 'return_to_mismatch' });
+  });
+
+  it('rejects assertions outside the configured realm', async () => {
+    const verifier = createVerifier();
+    const assertion = provider.issueAssertion();
+
+    await expect(
+      verifier.verify(assertion, { ...EXPECTED, realm: 'https://companion.example.com' })
+    ).rejects.toMatchObject({ code: 'realm_mismatch' });
+  });
+
+  it('rejects a replayed nonce', async () => {
+    const verifier = createVerifier();
+    const assertion = provider.issueAssertion();
+
+    await verifier.verify(assertion, EXPECTED);
+    await expect(verifier.verify(assertion, EXPECTED)).rejects.toMatchObject({ code: 'nonce_reused' });
+  });
+
+  it('rejects stale nonces', async () => {
+    const verifier = createVerifier();
+    const assertion = provider.issueAssertion({ nonceTime: new Date(Date.now() - 60 * 60 * 1000) });
+
+    await expect(verifier.verify(assertion, EXPECTED)).rejects.toMatchObject({ code: 'stale_nonce' });
+  });
+
+  it('rejects assertions from a different OpenID endpoint', async () => {
+    const verifier = createVerifier();
+    const assertion = provider.issueAssertion({
+      overrides: { 'openid.op_endpoint': 'https://evil.example.com/openid/login' }
+    });
+
+    await expect(verifier.verify(assertion, EXPECTED)).rejects.toMatchObject({ code: 'endpoint_mismatch' });
+  });
+
+  it('rejects assertions that do not sign the claimed identity', async () => {
+    const verifier = createVerifier();
+    const assertion = provider.issueAssertion({
+      overrides: { 'openid.signed': 'signed,op_endpoint,return_to,response_nonce,assoc_handle' }
+    });
+
+    await expect(verifier.verify(assertion, EXPECTED)).rejects.toMatchObject({ code: 'unsigned_fields' });
+  });
+});
+
+describe('POST /api/auth/steam/verify', () => {
+  let provider;
+  let server;
+  let endpoint;
+
+  beforeAll(async () => {
+    provider = await startMockSteamOpenIdProvider();
+    process.env.STEAM_OPENID_PROVIDER_URL = provider.url;
+    const { default: handler } = await import('../../../api/auth/steam/verify.js');
+
+    server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/api/auth/steam/verify`;
+  });
+
+  afterAll(async () => {
+    delete process.env.STEAM_OPENID_PROVIDER_URL;
+    await new Promise(resolve => server.close(resolve));
+    await provider.close();
+  });
+
+  // The handler derives return_to from the request origin when no URLs are configured
+  const callbackUrl = () => `${new URL(endpoint).origin}/auth/steam/callback`;
+
+  it('returns the verified SteamID64', async () => {
+    const params = provider.issueAssertion({ returnTo: callbackUrl() });
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ params })
+    });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ steamId: '76561198065514372' });
+  });
+
+  it('fails with 401 on a forged assertion', async () => {
+    const params = provider.issueAssertion({
+      returnTo: callbackUrl(),
+      overrides: { 'openid.sig': 'forged-signature' }
+    });
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ params })
+    });
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).code).toBe('invalid_signature');
+  });
+
+  it('only accepts POST', async () => {
+    const response = await fetch(endpoint);
+    expect(response.status).toBe(405);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import accountsService from '../../services/accounts.service.js';
+import authService from '../../services/auth.service.js';
+import cacheService from '../../services/cache.service.js';
+import matchHistoryService from '../../services/matchHistory.service.js';
+import rankHistoryService from '../../services/rankHistory.service.js';
+import { backStorageWithMemory } from '../utils/storageHelpers.js';
+
+const MAIN = { accountId: '105248644', personaName: 'Main' };
+const SMURF = { accountId: '86745912', personaName: 'Smurf' };
+
+describe('Saved accounts', () => {
+  beforeEach(async () => {
+    backStorageWithMemory();
+    await cacheService.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('lists saved accounts, most recently used first', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    accountsService.save(MAIN, 'development');
+    now.mockReturnValue(2000);
+    const accounts = accountsService.save(SMURF, 'steam');
+
+    expect(accounts.map(account => account.accountId)).toEqual(['86745912', '105248644']);
+    expect(accounts[0]).toMatchObject({ user: SMURF, authMode: 'steam', linked: false, addedAt: 2000, lastUsedAt: 2000 });
+  });
+
+  it('keeps the linked flag and first sign-in time when an account signs in again', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    accountsService.save(MAIN, 'development');
+    accountsService.setLinked(MAIN.accountId, true);
+
+    now.mockReturnValue(5000);
+    const [main] = accountsService.save({ ...MAIN, personaName: 'Renamed' }, 'development');
+
+    expect(main).toMatchObject({ linked: true, addedAt: 1000, lastUsedAt: 5000, user: { personaName: 'Renamed' } });
+  });
+
+  it('drops cached data for removed accounts only and keeps MMR checkpoints', async () => {
+    accountsService.save(MAIN, 'development');
+    accountsService.save(SMURF, 'development');
+    await cacheService.set(matchHistoryService.storageKey(SMURF.accountId), { accountId: SMURF.accountId, matches: [] });
+    await rankHistoryService.addCheckpoint(MAIN.accountId, { mmr: 3000 });
+    await rankHistoryService.addCheckpoint(SMURF.accountId, { mmr: 2500 });
+    const invalidate = vi.spyOn(authService, 'invalidatePlayer');
+
+    const accounts = await accountsService.remove(SMURF.accountId);
+
+    expect(accounts.map(account => account.accountId)).toEqual(['105248644']);
+    expect(invalidate).toHaveBeenCalledWith(SMURF.accountId);
+    expect(await matchHistoryService.load(SMURF.accountId)).toBeNull();
+    expect((await rankHistoryService.load(MAIN.accountId)).checkpoints).toHaveLength(1);
+    expect((await rankHistoryService.load(SMURF.accountId)).checkpoints).toHaveLength(1);
+  });
+
+  it('remembers the combined view setting', () => {
+    expect(accountsService.isCombined()).toBe(false);
+    accountsService.setCombined(true);
+    expect(accountsService.isCombined()).toBe(true);
+  });
+
+  it('starts empty when the stored list is unreadable', () => {
+    localStorage.setItem('dota2_accounts', '{not json');
+    expect(accountsService.list()).toEqual([]);
+  });
+});
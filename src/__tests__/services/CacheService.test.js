@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import cacheService, { CACHE_POLICIES, MAX_MEMORY_ENTRIES } from '../../services/cache.service.js';
+
+const MINUTE = 60 * 1000;
+
+describe('CacheService', () => {
+  let now;
+
+  beforeEach(async () => {
+    now = Date.parse('2025-01-01T00:00:00Z');
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    await cacheService.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('serves fresh entries without refetching', async () => {
+    const fetcher = vi.fn().mockResolvedValue(['match']);
+
+    await cacheService.fetchWithCache('recent', 'recentMatches', fetcher);
+    now += 1 * MINUTE;
+    const data = await cacheService.fetchWithCache('recent', 'recentMatches', fetcher);
+
+    expect(data).toEqual(['match']);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns stale data immediately and revalidates in the background', async () => {
+    await cacheService.fetchWithCache('recent', 'recentMatches', async () => ['old']);
+    now += CACHE_POLICIES.recentMatches.ttl + MINUTE;
+
+    const onRevalidate = vi.fn();
+    const data = await cacheService.fetchWithCache('recent', 'recentMatches', async () => ['new'], { onRevalidate });
+
+    expect(data).toEqual(['old']);
+    await vi.waitFor(() => expect(onRevalidate).toHaveBeenCalledWith(['new']));
+    expect(await cacheService.fetchWithCache('recent', 'recentMatches', vi.fn())).toEqual(['new']);
+  });
+
+  it('keeps parsed matches regardless of age', async () => {
+    await cacheService.fetchWithCache('match', 'match', async () => ({ match_id: 1, version: 21 }));
+    now += 365 * 24 * 60 * MINUTE;
+    const fetcher = vi.fn();
+
+    expect(await cacheService.fetchWithCache('match', 'match', fetcher)).toEqual({ match_id: 1, version: 21 });
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+
+  it('revalidates unparsed matches', async () => {
+    await cacheService.fetchWithCache('match', 'match', async () => ({ match_id: 1, version: null }));
+    now += 2 * 60 * MINUTE;
+
+    const onRevalidate = vi.fn();
+    await cacheService.fetchWithCache('match', 'match', async () => ({ match_id: 1, version: 21 }), { onRevalidate });
+
+    await vi.waitFor(() => expect(onRevalidate).toHaveBeenCalledWith({ match_id: 1, version: 21 }));
+  });
+
+  it('shares one request between concurrent callers', async () => {
+    const fetcher = vi.fn().mockResolvedValue({ id: 1 });
+
+    await Promise.all([
+      cacheService.fetchWithCache('heroes', 'heroes', fetcher),
+      cacheService.fetchWithCache('heroes', 'heroes', fetcher)
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not cache failed fetches', async () => {
+    await expect(
+      cacheService.fetchWithCache('heroes', 'heroes', () => Promise.reject(new Error('offline')))
+    ).rejects.toThrow('offline');
+
+    expect(await cacheService.getEntry('heroes')).toBeNull();
+  });
+
+  it('bypasses the cache on forceRefresh and deletes by key', async () => {
+    await cacheService.fetchWithCache('opendota:/players/1/wl', 'winLoss', async () => ({ win: 1 }));
+    await cacheService.fetchWithCache('opendota:/players/2/wl', 'winLoss', async () => ({ win: 2 }));
+
+    const refreshed = await cacheService.fetchWithCache(
+      'opendota:/players/1/wl', 'winLoss', async () => ({ win: 3 }), { forceRefresh: true }
+    );
+    expect(refreshed).toEqual({ win: 3 });
+
+    await cacheService.deleteWhere(key => key.startsWith('opendota:/players/1/'));
+    expect(await cacheService.getEntry('opendota:/players/1/wl')).toBeNull();
+    expect(await cacheService.getEntry('opendota:/players/2/wl')).not.toBeNull();
+  });
+
+  it('evicts the least recently used entries once the memory store is full', async () => {
+    await cacheService.set('first', 1);
+    await cacheService.set('second', 2);
+    await cacheService.getEntry('first');
+
+    for (let index = 0; index < MAX_MEMORY_ENTRIES - 1; index += 1) {
+      await cacheService.set(`filler:${index}`, index);
+    }
+
+    expect(cacheService.memory.size).toBe(MAX_MEMORY_ENTRIES);
+    expect(await cacheService.getEntry('first')).not.toBeNull();
+    expect(await cacheService.getEntry('second')).toBeNull();
+  });
+});
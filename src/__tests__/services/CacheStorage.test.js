@@ -0,0 +1,57 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import cacheService from '../../services/cache.service.js';
+
+const MINUTE = 60 * 1000;
+
+// Read through IndexedDB rather than the memory map in front of it
+const readStored = (key) => {
+  cacheService.memory.clear();
+  return cacheService.getEntry(key);
+};
+
+describe('CacheService with IndexedDB', () => {
+  let now;
+
+  beforeEach(async () => {
+    now = Date.parse('2025-01-01T00:00:00Z');
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    await cacheService.clear();
+  });
+
+  afterEach(() => {
+    cacheService.maxStoredEntries = 5000;
+    vi.restoreAllMocks();
+  });
+
+  it('keeps entries across reloads of the memory cache', async () => {
+    await cacheService.fetchWithCache('match', 'match', async () => ({ match_id: 1, version: 21 }));
+    now += 365 * 24 * 60 * MINUTE;
+
+    expect(await readStored('match')).toMatchObject({ data: { match_id: 1, version: 21 } });
+  });
+
+  it('drops the entries written longest ago once the store is full', async () => {
+    cacheService.maxStoredEntries = 3;
+
+    for (const key of ['first', 'second', 'third', 'fourth']) {
+      now += MINUTE;
+      await cacheService.set(key, key);
+    }
+
+    expect(await readStored('first')).toBeNull();
+    for (const key of ['second', 'third', 'fourth']) {
+      expect(await readStored(key)).toMatchObject({ data: key });
+    }
+  });
+
+  it('deletes stored entries by key', async () => {
+    await cacheService.set('opendota:/players/1/wl', { win: 1 });
+    await cacheService.set('opendota:/players/2/wl', { win: 2 });
+
+    await cacheService.deleteWhere(key => key.startsWith('opendota:/players/1/'));
+
+    expect(await readStored('opendota:/players/1/wl')).toBeNull();
+    expect(await readStored('opendota:/players/2/wl')).not.toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import demoService, { DEMO_ACCOUNT_ID } from '../../services/demo.service.js';
+import authService from '../../services/auth.service.js';
+import cacheService from '../../services/cache.service.js';
+import { HISTORY_FIELDS } from '../../services/matchHistory.service.js';
+import { isMatchParsed } from '../../utils/dataTransforms.js';
+
+const DUO_ID = 4000000002;
+
+describe('Demo backend', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('derives win/loss, heroes and totals from the recorded matches', async () => {
+    const matches = await demoService.request(`/players/${DEMO_ACCOUNT_ID}/matches`);
+    const wins = matches.filter(match => (match.player_slot < 128) === match.radiant_win).length;
+
+    const [profile, wl, heroes, totals] = await Promise.all([
+      demoService.request(`/players/${DEMO_ACCOUNT_ID}`),
+      demoService.request(`/players/${DEMO_ACCOUNT_ID}/wl`),
+      demoService.request(`/players/${DEMO_ACCOUNT_ID}/heroes`),
+      demoService.request(`/players/${DEMO_ACCOUNT_ID}/totals`)
+    ]);
+
+    expect(profile.profile.personaname).toBe('Demo Carry');
+    expect(wl).toEqual({ win: wins, lose: matches.length - wins });
+    expect(heroes.reduce((sum, hero) => sum + hero.games, 0)).toBe(matches.length);
+    expect(totals.find(total => total.field === 'kills')).toEqual({
+      field: 'kills',
+      n: matches.length,
+      sum: matches.reduce((sum, match) => sum + match.kills, 0)
+    });
+  });
+
+  it('applies match list filters, paging and projections', async () => {
+    const withDuo = await demoService.request(`/players/${DEMO_ACCOUNT_ID}/matches?included_account_id=${DUO_ID}`);
+    expect(withDuo.length).toBeGreaterThan(0);
+    expect(withDuo.every(match => Object.values(match.heroes).some(entry => entry.account_id === DUO_ID))).toBe(true);
+
+    const query = new URLSearchParams({ limit: 5, offset: 2 });
+    HISTORY_FIELDS.forEach(field => query.append('project', field));
+    const all = await demoService.request(`/players/${DEMO_ACCOUNT_ID}/matches`);
+    const page = await demoService.request(`/players/${DEMO_ACCOUNT_ID}/matches?${query}`);
+
+    expect(page.map(match => match.match_id)).toEqual(all.slice(2, 7).map(match => match.match_id));
+    expect(Object.keys(page[0])).not.toContain('heroes');
+  });
+
+  it('counts the duo partner as the most frequent peer', async () => {
+    const peers = await demoService.request(`/players/${DEMO_ACCOUNT_ID}/peers`);
+    const duo = peers.find(peer => peer.account_id === DUO_ID);
+
+    expect(peers[0]).toBe(duo);
+    expect(duo).toMatchObject({ personaname: 'Ward Bot' });
+    expect(duo.with_games).toBeGreaterThan(0);
+  });
+
+  it('moves the recording forward so the newest game is recent', async () => {
+    const [newest] = await demoService.request(`/players/${DEMO_ACCOUNT_ID}/recentMatches`);
+    const hoursAgo = (Date.now() / 1000 - newest.start_time) / 3600;
+
+    expect(hoursAgo).toBeGreaterThan(0);
+    expect(hoursAgo).toBeLessThan(48);
+    expect(newest.heroes).toBeUndefined();
+  });
+
+  it('serves a detail for every listed game, parsed for the newest only', async () => {
+    const lists = await Promise.all(['4000000001', '4000000002', '4000000003', '4000000004']
+      .map(accountId => demoService.request(`/players/${accountId}/matches`)));
+    const listed = [...new Set(lists.flat().map(match => match.match_id))];
+    const details = await Promise.all(listed.map(matchId => demoService.request(`/matches/${matchId}`)));
+
+    details.forEach(match => expect(match.players).toHaveLength(10));
+    expect(details.every(match => match.start_time * 1000 <= Date.now())).toBe(true);
+
+    const [newest] = lists[0];
+    const older = lists[0][50];
+    const parsed = details[listed.indexOf(newest.match_id)];
+    const unparsed = details[listed.indexOf(older.match_id)];
+    expect(isMatchParsed(parsed)).toBe(true);
+    expect(parsed.players.find(player => player.account_id === Number(DEMO_ACCOUNT_ID)).gold_t.length).toBeGreaterThan(20);
+    expect(isMatchParsed(unparsed)).toBe(false);
+    expect(unparsed.players.find(player => player.account_id === Number(DEMO_ACCOUNT_ID))).toMatchObject({
+      hero_id: older.hero_id, kills: older.kills, deaths: older.deaths, assists: older.assists
+    });
+  });
+
+  it('rejects what was not recorded the way OpenDota errors do', async () => {
+    await expect(demoService.request('/players/105248644')).rejects.toMatchObject({ status: 404 });
+    await expect(demoService.request('/matches/1')).rejects.toMatchObject({ status: 404 });
+    await expect(demoService.request('/proMatches')).rejects.toMatchObject({ status: 404 });
+    await expect(demoService.request('/request/1', { method: 'POST' })).rejects.toMatchObject({ status: 501 });
+  });
+});
+
+describe('Auth service data backends', () => {
+  beforeEach(async () => {
+    await cacheService.clear();
+  });
+
+  afterEach(() => {
+    authService.setBackend('opendota');
+    vi.restoreAllMocks();
+  });
+
+  it('signs in to the demo without touching the network', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+
+    const user = await authService.loginWithDemo();
+
+    expect(user).toMatchObject({ accountId: DEMO_ACCOUNT_ID, personaName: 'Demo Carry', authMode: 'demo' });
+    expect(user.stats.totalMatches).toBeGreaterThan(0);
+    expect(authService.backend).toBe('demo');
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('keeps demo and live responses in separate cache entries', async () => {
+    authService.setBackend('demo');
+    await authService.fetchWinLoss(DEMO_ACCOUNT_ID);
+
+    expect(await cacheService.getEntry(`demo:/players/${DEMO_ACCOUNT_ID}/wl`)).not.toBeNull();
+    expect(await cacheService.getEntry(`opendota:/players/${DEMO_ACCOUNT_ID}/wl`)).toBeNull();
+
+    await authService.invalidatePlayer(DEMO_ACCOUNT_ID);
+    expect(await cacheService.getEntry(`demo:/players/${DEMO_ACCOUNT_ID}/wl`)).toBeNull();
+  });
+
+  it('refuses unknown backends', () => {
+    expect(() => authService.setBackend('stratz')).toThrow('Unknown data backend');
+    expect(authService.backend).toBe('opendota');
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import authService from '../../services/auth.service.js';
+import cacheService from '../../services/cache.service.js';
+import matchHistoryService, { HISTORY_FIELDS, combineHistories } from '../../services/matchHistory.service.js';
+import { queryMatches, summarizeMatches, getPatchName, getPatchRange } from '../../utils/matchQuery.js';
+
+const ACCOUNT_ID = '105248644';
+
+// Newest first, like /players/{id}/matches
+const makeMatches = (count, newestId) => Array.from({ length: count }, (_, index) => ({
+  match_id: newestId - index,
+  start_time: 1700000000 + (newestId - index) * 3600,
+  player_slot: index % 2 ? 0 : 128,
+  radiant_win: true,
+  hero_id: index % 3 === 0 ? 1 : 8,
+  lobby_type: index % 5 === 0 ? 0 : 7,
+  party_size: 1
+}));
+
+// Serves pages of a fixed list the way the API applies limit/offset
+const serveMatches = (allMatches) => vi.spyOn(authService, 'fetchPlayerMatches')
+  .mockImplementation(async (_accountId, { limit, offset }) => allMatches.slice(offset, offset + limit));
+
+describe('Match history sync', () => {
+  beforeEach(async () => {
+    await cacheService.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('pages through the full list on first sync with a projection', async () => {
+    const fetchPage = serveMatches(makeMatches(1200, 5000));
+
+    const history = await matchHistoryService.sync(ACCOUNT_ID);
+
+    expect(history.matches).toHaveLength(1200);
+    expect(history.added).toBe(1200);
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+    expect(fetchPage.mock.calls[1][1]).toMatchObject({ limit: 500, offset: 500, significant: 0, project: HISTORY_FIELDS });
+  });
+
+  it('only fetches matches newer than the last sync', async () => {
+    serveMatches(makeMatches(600, 5000));
+    await matchHistoryService.sync(ACCOUNT_ID);
+    vi.restoreAllMocks();
+
+    const fetchPage = serveMatches(makeMatches(603, 5003));
+    const history = await matchHistoryService.sync(ACCOUNT_ID);
+
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+    expect(history.added).toBe(3);
+    expect(history.matches).toHaveLength(603);
+    expect(history.matches[0].match_id).toBe(5003);
+  });
+
+  it('keeps the stored list available offline', async () => {
+    serveMatches(makeMatches(10, 100));
+    await matchHistoryService.sync(ACCOUNT_ID);
+
+    const stored = await matchHistoryService.load(ACCOUNT_ID);
+    expect(stored.matches.map(match => match.match_id)).toEqual(makeMatches(10, 100).map(match => match.match_id));
+    expect(stored.lastSyncedAt).toEqual(expect.any(Number));
+  });
+
+  it('combines linked accounts into one tagged list', () => {
+    const combined = combineHistories([
+      { accountId: ACCOUNT_ID, matches: makeMatches(3, 100) },
+      { accountId: '86745912', matches: [...makeMatches(2, 200), makeMatches(1, 100)[0]] }
+    ]);
+
+    expect(combined.map(match => match.match_id)).toEqual([200, 199, 100, 99, 98]);
+    expect(combined.map(match => match.account_id)).toEqual([86745912, 86745912, 105248644, 105248644, 105248644]);
+  });
+});
+
+describe('queryMatches', () => {
+  const matches = makeMatches(40, 1000);
+
+  it('filters by hero, result and lobby type', () => {
+    const rows = queryMatches(matches, { heroId: 1, result: 'win', lobbyType: 7 });
+
+    expect(rows.length).toBeGreaterThan(0);
+    rows.forEach(match => {
+      expect(match.hero_id).toBe(1);
+      expect(match.lobby_type).toBe(7);
+      expect(match.player_slot).toBeLessThan(128);
+    });
+  });
+
+  it('sorts, pages and limits by date range', () => {
+    const from = new Date(matches[9].start_time * 1000);
+    const rows = queryMatches(matches, { from, order: 'asc', offset: 2, limit: 3 });
+
+    expect(rows.map(match => match.match_id)).toEqual([993, 994, 995]);
+  });
+
+  it('summarizes wins and losses', () => {
+    expect(summarizeMatches(matches)).toEqual({ games: 40, wins: 20, losses: 20, winRate: 50 });
+  });
+});
+
+describe('patch helpers', () => {
+  const patches = [
+    { name: '7.36', date: '2024-05-22T00:00:00Z' },
+    { name: '7.37', date: '2024-08-01T00:00:00Z' }
+  ];
+  const seconds = (iso) => Date.parse(iso) / 1000;
+
+  it('finds the patch a match was played on', () => {
+    expect(getPatchName(patches, seconds('2024-06-10T12:00:00Z'))).toBe('7.36');
+    expect(getPatchName(patches, seconds('2024-09-01T12:00:00Z'))).toBe('7.37');
+    expect(getPatchName(patches, seconds('2023-01-01T00:00:00Z'))).toBeNull();
+  });
+
+  it('turns a patch into a from/to range', () => {
+    expect(getPatchRange(patches, '7.36')).toEqual({
+      from: seconds('2024-05-22T00:00:00Z'),
+      to: seconds('2024-08-01T00:00:00Z') - 1
+    });
+    expect(getPatchRange(patches, '7.37').to).toBeUndefined();
+    expect(getPatchRange(patches, '6.88')).toBeNull();
+  });
+});
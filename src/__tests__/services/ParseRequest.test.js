@@ -0,0 +1,69 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import authService from '../../services/auth.service.js';
+import parseService from '../../services/parse.service.js';
+import { isMatchParsed } from '../../utils/dataTransforms.js';
+
+const MATCH_ID = '7812345678';
+
+const unparsedMatch = { match_id: 7812345678, version: null, players: [{ hero_id: 8 }] };
+const parsedMatch = { match_id: 7812345678, version: 21, players: [{ hero_id: 8, lh_t: [0, 4, 9] }] };
+
+describe('Replay parse requests', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('detects matches without replay data', () => {
+    expect(isMatchParsed(unparsedMatch)).toBe(false);
+    expect(isMatchParsed(parsedMatch)).toBe(true);
+    expect(isMatchParsed({ players: [{ lh_t: [] }] })).toBe(true);
+    expect(isMatchParsed(null)).toBe(false);
+  });
+
+  it('polls the job until it finishes, then reloads the match', async () => {
+    const requestParse = vi.spyOn(authService, 'requestParse').mockResolvedValue({ job: { jobId: 991 } });
+    const fetchJob = vi.spyOn(authService, 'fetchParseJob')
+      .mockResolvedValueOnce({ jobId: 991, attempts: 1 })
+      .mockResolvedValueOnce(null);
+    const fetchMatch = vi.spyOn(authService, 'fetchMatch').mockResolvedValue(parsedMatch);
+    const onProgress = vi.fn();
+
+    const match = await parseService.request(MATCH_ID, { onProgress, interval: 1 });
+
+    expect(match).toBe(parsedMatch);
+    expect(requestParse).toHaveBeenCalledWith(MATCH_ID);
+    expect(fetchJob).toHaveBeenCalledTimes(2);
+    expect(fetchJob).toHaveBeenCalledWith(991);
+    expect(fetchMatch).toHaveBeenCalledWith(MATCH_ID, { forceRefresh: true });
+    expect(onProgress.mock.calls.map(([progress]) => progress.stage))
+      .toEqual(['requesting', 'queued', 'queued', 'fetching']);
+  });
+
+  it('shares one request between concurrent callers', async () => {
+    const requestParse = vi.spyOn(authService, 'requestParse').mockResolvedValue({ job: { jobId: 991 } });
+    vi.spyOn(authService, 'fetchParseJob').mockResolvedValue(null);
+    vi.spyOn(authService, 'fetchMatch').mockResolvedValue(parsedMatch);
+
+    await Promise.all([
+      parseService.request(MATCH_ID, { interval: 1 }),
+      parseService.request(MATCH_ID, { interval: 1 })
+    ]);
+
+    expect(requestParse).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails when the replay could not be parsed', async () => {
+    vi.spyOn(authService, 'requestParse').mockResolvedValue({ job: { jobId: 991 } });
+    vi.spyOn(authService, 'fetchParseJob').mockResolvedValue(null);
+    vi.spyOn(authService, 'fetchMatch').mockResolvedValue(unparsedMatch);
+
+    await expect(parseService.request(MATCH_ID, { interval: 1 })).rejects.toThrow(/could not parse/);
+  });
+
+  it('gives up on jobs that stay queued', async () => {
+    vi.spyOn(authService, 'requestParse').mockResolvedValue({ job: { jobId: 991 } });
+    vi.spyOn(authService, 'fetchParseJob').mockResolvedValue({ jobId: 991 });
+
+    await expect(parseService.request(MATCH_ID, { interval: 5, timeout: 20 })).rejects.toThrow(/too long/);
+  });
+});
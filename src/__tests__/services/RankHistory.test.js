@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import cacheService from '../../services/cache.service.js';
+import rankHistoryService from '../../services/rankHistory.service.js';
+import { buildMmrTimeline, getConfirmedPoints, rankTierToMmr } from '../../utils/rankHistory.js';
+import { calculateCurrentSession } from '../../utils/sessions.js';
+import { backStorageWithMemory } from '../utils/storageHelpers.js';
+
+const ACCOUNT_ID = '105248644';
+
+const ranked = (matchId, startTime, won) => ({
+  match_id: matchId, start_time: startTime, player_slot: 0, radiant_win: won, lobby_type: 7
+});
+
+describe('Rank history', () => {
+  beforeEach(async () => {
+    backStorageWithMemory();
+    await cacheService.clear();
+  });
+
+  it('records rank changes and merges ratings across syncs', async () => {
+    await rankHistoryService.record(ACCOUNT_ID, {
+      profile: { rank_tier: 54, leaderboard_rank: null },
+      ratings: [{ match_id: 1, time: '2023-01-01T00:00:00Z', solo_competitive_rank: 3400 }]
+    });
+    await rankHistoryService.record(ACCOUNT_ID, {
+      profile: { rank_tier: 54 },
+      ratings: [
+        { match_id: 1, time: '2023-01-01T00:00:00Z', solo_competitive_rank: 3400 },
+        { match_id: 2, time: '2023-01-02T00:00:00Z', solo_competitive_rank: 3425 }
+      ]
+    });
+    const history = await rankHistoryService.record(ACCOUNT_ID, { profile: { rank_tier: 55 } });
+
+    expect(history.snapshots.map(snapshot => snapshot.rank_tier)).toEqual([54, 55]);
+    expect(history.ratings.map(rating => rating.match_id)).toEqual([1, 2]);
+    expect(history.ratings[0].time).toBe(1672531200);
+  });
+
+  it('stores and removes manual checkpoints', async () => {
+    await expect(rankHistoryService.addCheckpoint(ACCOUNT_ID, { mmr: 0 })).rejects.toThrow('positive MMR');
+
+    const history = await rankHistoryService.addCheckpoint(ACCOUNT_ID, { mmr: 4200, time: 1700000000, note: 'after placements' });
+    expect(history.checkpoints).toEqual([{ id: '1700000000-4200', time: 1700000000, mmr: 4200, note: 'after placements' }]);
+
+    const cleared = await rankHistoryService.removeCheckpoint(ACCOUNT_ID, '1700000000-4200');
+    expect(cleared.checkpoints).toEqual([]);
+  });
+
+  it('keeps checkpoints when the API cache is cleared', async () => {
+    await rankHistoryService.addCheckpoint(ACCOUNT_ID, { mmr: 4200, time: 1700000000 });
+    await cacheService.clear();
+
+    expect((await rankHistoryService.load(ACCOUNT_ID)).checkpoints).toHaveLength(1);
+  });
+
+  it('estimates games between confirmed points and lands on each of them', () => {
+    const history = {
+      checkpoints: [
+        { id: 'a', time: 1000, mmr: 3000 },
+        { id: 'b', time: 5000, mmr: 3100 }
+      ]
+    };
+    const matches = [
+      ranked(1, 500, true),
+      ranked(2, 2000, true),
+      ranked(3, 3000, true),
+      { ...ranked(4, 3500, false), lobby_type: 0 },
+      ranked(5, 6000, false)
+    ];
+
+    const timeline = buildMmrTimeline(history, matches);
+
+    expect(timeline.map(point => [point.time, point.mmr, point.kind])).toEqual([
+      [500, 3000, 'estimated'],
+      [1000, 3000, 'confirmed'],
+      [2000, 3050, 'estimated'],
+      [3000, 3100, 'estimated'],
+      [5000, 3100, 'confirmed'],
+      [6000, 3075, 'estimated']
+    ]);
+    expect(buildMmrTimeline({}, matches)).toEqual([]);
+  });
+
+  it('falls back to rank medals after the last exact MMR', () => {
+    expect(rankTierToMmr(54)).toBe(3619);
+    expect(rankTierToMmr(80)).toBe(5620);
+    expect(rankTierToMmr(null)).toBeNull();
+
+    const points = getConfirmedPoints({
+      ratings: [{ match_id: 1, time: 2000, solo_competitive_rank: 3300 }],
+      snapshots: [{ time: 1000, rank_tier: 52 }, { time: 3000, rank_tier: 55 }]
+    });
+    expect(points.map(point => [point.source, point.mmr])).toEqual([['ratings', 3300], ['rank', 3773]]);
+  });
+
+  it('leaves the session MMR change unknown without rank data', () => {
+    const now = 1700000000;
+    const matches = [ranked(2, now - 2400, true), ranked(1, now - 5000, true)];
+
+    expect(calculateCurrentSession(matches, [], { now }).mmrChange).toBeNull();
+
+    const timeline = buildMmrTimeline({ checkpoints: [{ id: 'a', time: now - 7 * 86400, mmr: 4000 }] }, matches);
+    expect(calculateCurrentSession(matches, timeline, { now })).toMatchObject({ wins: 2, mmrChange: 50, mmrEstimated: true });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { RequestScheduler } from '../../services/requestScheduler.service.js';
+
+const httpError = (status, retryAfter = null) => Object.assign(new Error(`HTTP ${status}`), { status, retryAfter });
+
+describe('RequestScheduler', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('holds requests beyond the burst until tokens refill', async () => {
+    vi.useFakeTimers();
+    const scheduler = new RequestScheduler({ requestsPerMinute: 60, burst: 2 });
+    const task = vi.fn().mockResolvedValue('ok');
+
+    const requests = ['a', 'b', 'c'].map(key => scheduler.schedule(key, task));
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(scheduler.getStatus()).toMatchObject({ queued: 1, waitingForRateLimit: true });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(task).toHaveBeenCalledTimes(3);
+    await expect(Promise.all(requests)).resolves.toEqual(['ok', 'ok', 'ok']);
+    expect(scheduler.getStatus()).toMatchObject({ queued: 0, pending: 0, waitingForRateLimit: false });
+  });
+
+  it('deduplicates identical in-flight requests', async () => {
+    const scheduler = new RequestScheduler({ requestsPerMinute: 60, burst: 5 });
+    const task = vi.fn().mockResolvedValue({ id: 1 });
+
+    const [first, second] = await Promise.all([
+      scheduler.schedule('/heroes', task),
+      scheduler.schedule('/heroes', task)
+    ]);
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+  });
+
+  it('retries 429 responses after Retry-After', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const scheduler = new RequestScheduler({ requestsPerMinute: 600, burst: 5 });
+    const task = vi.fn()
+      .mockRejectedValueOnce(httpError(429, 2))
+      .mockResolvedValue('ok');
+
+    const request = scheduler.schedule('/players/1', task);
+    await vi.advanceTimersByTimeAsync(1500);
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStatus().waitingForRateLimit).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(600);
+    await expect(request).resolves.toBe('ok');
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it('holds the whole queue after a 429 and frees the running slots while waiting', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const scheduler = new RequestScheduler({ requestsPerMinute: 600, burst: 2 });
+    const limited = () => vi.fn()
+      .mockRejectedValueOnce(httpError(429, 2))
+      .mockResolvedValue('ok');
+    const first = limited();
+    const second = limited();
+    const queued = vi.fn().mockResolvedValue('ok');
+
+    const requests = [
+      scheduler.schedule('/players/1', first),
+      scheduler.schedule('/players/2', second),
+      scheduler.schedule('/players/3', queued)
+    ];
+    await vi.advanceTimersByTimeAsync(1500);
+
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledTimes(1);
+    expect(queued).not.toHaveBeenCalled();
+    expect(scheduler.getStatus()).toMatchObject({ running: 0, queued: 1, waitingForRateLimit: true });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await expect(Promise.all(requests)).resolves.toEqual(['ok', 'ok', 'ok']);
+    expect(first).toHaveBeenCalledTimes(2);
+    expect(second).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up on 5xx after the retry limit and does not retry 4xx', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const scheduler = new RequestScheduler({ requestsPerMinute: 6000, burst: 10, maxRetries: 2, baseDelay: 1 });
+
+    const serverError = vi.fn().mockRejectedValue(httpError(503));
+    await expect(scheduler.schedule('/matches/1', serverError)).rejects.toMatchObject({ status: 503 });
+    expect(serverError).toHaveBeenCalledTimes(3);
+
+    const notFound = vi.fn().mockRejectedValue(httpError(404));
+    await expect(scheduler.schedule('/players/0', notFound)).rejects.toMatchObject({ status: 404 });
+    expect(notFound).toHaveBeenCalledTimes(1);
+  });
+
+  it('notifies subscribers when queue depth changes', async () => {
+    const scheduler = new RequestScheduler({ requestsPerMinute: 60, burst: 1 });
+    const listener = vi.fn();
+    const unsubscribe = scheduler.subscribe(listener);
+
+    await scheduler.schedule('/heroes', async () => 'ok');
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalled();
+    expect(listener.mock.calls.at(-1)[0]).toMatchObject({ pending: 0, running: 0 });
+  });
+});
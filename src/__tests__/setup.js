@@ -60,6 +60,9 @@ Object.defineProperty(window, 'matchMedia', {
   })),
 });
 
+// jsdom doesn't implement scrolling (used on route changes)
+window.scrollTo = vi.fn();
+
 // Mock window dimensions for responsive testing
 Object.defineProperty(window, 'innerWidth', {
   writable: true,
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { getDraftSequence, getDraftState, getMetaWinRate, suggestHeroes } from '../../utils/draft.js';
+import fixture from '../fixtures/draft.json';
+
+const count = (sequence, team, type) => sequence.filter(step => step.team === team && step.type === type).length;
+
+describe('Draft order', () => {
+  it('gives both teams five picks and seven Captains Mode bans', () => {
+    const sequence = getDraftSequence('captainsMode', 'dire');
+
+    expect(sequence).toHaveLength(24);
+    expect(sequence[0]).toEqual({ type: 'ban', team: 'dire' });
+    ['radiant', 'dire'].forEach(team => {
+      expect(count(sequence, team, 'pick')).toBe(5);
+      expect(count(sequence, team, 'ban')).toBe(7);
+    });
+    expect(() => getDraftSequence('turbo')).toThrow('Unknown draft mode');
+  });
+
+  it('fills picks and bans in All Pick order', () => {
+    const sequence = getDraftSequence('allPick');
+    const bans = [1, 2, 5, 8, 14, 74, 3, 4, 6, 7];
+    const state = getDraftState(sequence, [...bans, 11, 12, 13]);
+
+    expect(state.radiant.bans).toEqual([1, 5, 14, 3, 6]);
+    expect(state.radiant.picks).toEqual([11]);
+    expect(state.dire.picks).toEqual([12, 13]);
+    expect(state.step).toEqual({ type: 'pick', team: 'radiant' });
+
+    const complete = getDraftState(sequence, Array.from({ length: 20 }, (_, index) => index + 1));
+    expect(complete.step).toBeNull();
+  });
+});
+
+describe('Draft suggestions', () => {
+  it('reads meta win rates from public or bracket totals', () => {
+    expect(getMetaWinRate(fixture.heroStats[1])).toBeGreaterThan(51);
+    expect(getMetaWinRate(fixture.heroStats[5])).toBeCloseTo(49.5, 0);
+    expect(getMetaWinRate(undefined)).toBeNull();
+  });
+
+  it('ranks picks from personal, counter, synergy and meta data', () => {
+    const suggestions = suggestHeroes({
+      heroStats: fixture.heroStats,
+      playerHeroes: fixture.playerHeroes,
+      counters: fixture.matchups,
+      synergies: fixture.synergies,
+      unavailable: [2, 5]
+    });
+
+    expect(suggestions.map(row => row.heroId)).not.toContain(2);
+    expect(suggestions[0].heroId).toBe(8);
+    expect(suggestions[0].personal).toBeGreaterThan(55);
+    expect(suggestions[0].synergy).toBeGreaterThan(55);
+
+    // Anti-Mage loses to Axe and is rarely played
+    const antiMage = suggestions.find(row => row.heroId === 1);
+    expect(antiMage.counter).toBeLessThan(50);
+    expect(suggestions.indexOf(antiMage)).toBe(suggestions.length - 1);
+  });
+
+  it('leaves out personal data when ranking for the enemy', () => {
+    const suggestions = suggestHeroes({ heroStats: fixture.heroStats, limit: 3 });
+
+    expect(suggestions).toHaveLength(3);
+    expect(suggestions[0].heroId).toBe(2);
+    suggestions.forEach(row => {
+      expect(row.personal).toBeNull();
+      expect(row.counter).toBeNull();
+    });
+  });
+});
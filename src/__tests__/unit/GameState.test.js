@@ -0,0 +1,125 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  parseGameState, parseReplay, getRuneTimers, getRoshanTimer,
+  calculateLastHitPace, formatClock
+} from '../../utils/gsi.js';
+import { createGsiServer } from '../../../gsi/server.js';
+
+const REPLAY_PATH = path.resolve(process.cwd(), 'public/gsi/replay.ndjson');
+
+describe('Game State Integration helpers', () => {
+  const frames = parseReplay(fs.readFileSync(REPLAY_PATH, 'utf8'));
+
+  it('parses every frame of the sample replay', () => {
+    expect(frames.length).toBeGreaterThan(10);
+    frames.forEach(frame => expect(parseGameState(frame.state)).not.toBeNull());
+
+    const last = parseGameState(frames.at(-1).state);
+    expect(last.hero).toMatchObject({ id: 8, name: 'juggernaut' });
+    expect(last.inProgress).toBe(true);
+    expect(last.items.inventory[0]).toMatchObject({ slot: 'slot0', name: 'phase_boots' });
+    expect(last.items.backpack).toEqual([null, null, null]);
+    expect(last.lastRoshanKill).toBe(830);
+    expect(parseGameState({})).toBeNull();
+  });
+
+  it('counts down to the next rune spawns', () => {
+    const timers = Object.fromEntries(getRuneTimers(125).map(rune => [rune.key, rune]));
+
+    expect(timers.bounty).toMatchObject({ nextAt: 180, secondsUntil: 55 });
+    expect(timers.water).toMatchObject({ nextAt: 240 });
+    expect(timers.power).toMatchObject({ nextAt: 360 });
+    expect(timers.wisdom).toMatchObject({ nextAt: 420 });
+    expect(getRuneTimers(300).find(rune => rune.key === 'water').nextAt).toBeNull();
+    expect(getRuneTimers(-30).find(rune => rune.key === 'bounty').secondsUntil).toBe(30);
+  });
+
+  it('tracks the Roshan respawn window', () => {
+    expect(getRoshanTimer(null, 1000).status).toBe('alive');
+    expect(getRoshanTimer(1000, 1060)).toEqual({ status: 'dead', minIn: 420, maxIn: 600 });
+    expect(getRoshanTimer(1000, 1000 + 9 * 60)).toMatchObject({ status: 'maybe', minIn: 0, maxIn: 120 });
+    expect(getRoshanTimer(1000, 1000 + 12 * 60).status).toBe('alive');
+  });
+
+  it('compares last hits with the average pace', () => {
+    const history = [
+      { last_hits: 300, duration: 2400 },
+      { last_hits: 100, duration: 1200 },
+      { last_hits: 50 }
+    ];
+
+    const pace = calculateLastHitPace(60, 600, history);
+    expect(pace.averagePerMinute).toBeCloseTo(400 / 60);
+    expect(pace.expected).toBeCloseTo(66.67, 1);
+    expect(pace.ratio).toBeCloseTo(0.9);
+    expect(calculateLastHitPace(10, 120, []).ratio).toBeNull();
+    expect(formatClock(-45)).toBe('-0:45');
+    expect(formatClock(605)).toBe('10:05');
+  });
+});
+
+describe('GSI receiver', () => {
+  let server;
+
+  afterEach(async () => {
+    server.clients.forEach(client => client.end());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const listen = async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+  };
+
+  it('relays posted game state to stream listeners', async () => {
+    server = createGsiServer({ token: 'secret' });
+    const url = await listen();
+
+    const stream = await fetch(`${url}/events`);
+    const reader = stream.body.getReader();
+    await reader.read(); // ': connected' comment
+
+    const headers = { 'Content-Type': 'application/json' };
+    const rejected = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ map: {}, auth: { token: 'wrong' } })
+    });
+    expect(rejected.status).toBe(401);
+
+    const accepted = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ map: { clock_time: 42 }, auth: { token: 'secret' } })
+    });
+    expect(accepted.status).toBe(200);
+
+    const { value } = await reader.read();
+    const message = new TextDecoder().decode(value);
+    expect(JSON.parse(message.replace(/^data: /, ''))).toEqual({ map: { clock_time: 42 } });
+    await reader.cancel();
+  });
+
+  it('only accepts JSON posts and keeps them same-origin', async () => {
+    server = createGsiServer();
+    const url = await listen();
+
+    const form = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: JSON.stringify({ map: {} })
+    });
+    expect(form.status).toBe(415);
+
+    const json = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ map: {} })
+    });
+    expect(json.status).toBe(200);
+    expect(json.headers.get('access-control-allow-origin')).toBeNull();
+  });
+});
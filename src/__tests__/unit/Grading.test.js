@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  gradeFromPercentile, formatPercentile, gradeMetric, gradePlayerMatch,
+  getBracket, getBracketWinRate, gradeWinRate, gradeMatches
+} from '../../utils/grading.js';
+
+const curve = (values) => [0.1, 0.25, 0.5, 0.75, 0.9].map((percentile, index) => ({ percentile, value: values[index] }));
+
+const benchmarks = {
+  hero_id: 8,
+  result: {
+    gold_per_min: curve([350, 420, 500, 580, 650]),
+    xp_per_min: curve([400, 480, 560, 640, 720]),
+    last_hits_per_min: curve([3, 4, 5, 6, 7]),
+    hero_damage_per_min: curve([300, 400, 500, 600, 700]),
+    kills_per_min: curve([0.1, 0.15, 0.2, 0.25, 0.3]),
+    hero_healing_per_min: curve([0, 0, 0, 0, 0]),
+    tower_damage: curve([500, 1500, 3000, 5000, 8000])
+  }
+};
+
+const teamPlayer = (slot, overrides = {}) => ({
+  player_slot: slot, lane_role: 3, gold_per_min: 300, deaths: 6, obs_placed: 0, ...overrides
+});
+
+describe('Benchmark grading', () => {
+  it('turns percentiles into grades with an explanation', () => {
+    expect(gradeFromPercentile(95)).toBe('S');
+    expect(gradeFromPercentile(75)).toBe('A');
+    expect(gradeFromPercentile(60)).toBe('B');
+    expect(gradeFromPercentile(30)).toBe('C');
+    expect(gradeFromPercentile(5)).toBe('D');
+    expect(gradeFromPercentile(null)).toBeNull();
+    expect([1, 2, 3, 11, 22, 62].map(formatPercentile)).toEqual(['1st', '2nd', '3rd', '11th', '22nd', '62nd']);
+
+    const metric = gradeMetric({ key: 'gold_per_min', label: 'GPM', value: 540, points: benchmarks.result.gold_per_min, source: 'Juggernaut benchmarks' });
+    expect(metric.percentile).toBeCloseTo(62.5);
+    expect(metric).toMatchObject({ grade: 'B', explanation: '63rd percentile GPM on Juggernaut benchmarks' });
+  });
+
+  it('weights a carry on farm and ranks deaths within the match', () => {
+    const carry = teamPlayer(0, {
+      hero_id: 8, lane_role: 1, gold_per_min: 650, xp_per_min: 640, last_hits: 280, hero_damage: 24000,
+      tower_damage: 5000, kills: 8, deaths: 1
+    });
+    const match = {
+      duration: 2400,
+      players: [carry, teamPlayer(1, { lane_role: 2, gold_per_min: 500 }), teamPlayer(2), teamPlayer(3), teamPlayer(4, { lane_role: 1 })]
+    };
+
+    const grade = gradePlayerMatch(match, carry, { benchmarks, heroName: 'Juggernaut' });
+
+    expect(grade.position).toBe(1);
+    expect(grade.metrics.map(metric => metric.key)).toEqual([
+      'gold_per_min', 'xp_per_min', 'last_hits_per_min', 'hero_damage_per_min', 'tower_damage', 'deaths'
+    ]);
+    expect(grade.metrics.find(metric => metric.key === 'deaths')).toMatchObject({
+      percentile: 100, explanation: 'Fewer deaths than 100% of players in this match'
+    });
+    expect(grade.score).toBeCloseTo(85.45, 1);
+    expect(grade.grade).toBe('A');
+    expect(grade.explanation).toMatch(/percentile across 6 metrics weighted for Carry, vs Juggernaut benchmarks$/);
+  });
+
+  it('leaves a game ungraded without benchmarks', () => {
+    const grade = gradePlayerMatch({ duration: 1800 }, { player_slot: 0, lane_role: 2, gold_per_min: 600 });
+    expect(grade).toMatchObject({ score: null, grade: null, position: 2, explanation: 'No hero benchmarks loaded yet' });
+  });
+
+  it('grades results against the bracket win rate of the heroes played', () => {
+    const heroStats = [
+      { id: 8, '5_pick': 1000, '5_win': 450, '6_pick': 1000, '6_win': 550 },
+      { id: 5, '5_pick': 1000, '5_win': 550 }
+    ];
+    expect(getBracket(54)).toBe(5);
+    expect(getBracket(null)).toBeNull();
+    expect(getBracketWinRate(heroStats, 8, 5)).toBe(0.45);
+    expect(getBracketWinRate(heroStats, 8)).toBe(0.5);
+    expect(getBracketWinRate(heroStats, 99, 5)).toBeNull();
+
+    const games = (wins, total) => Array.from({ length: total }, (_, index) => ({
+      match_id: index, hero_id: 8, player_slot: 0, radiant_win: index < wins
+    }));
+
+    const even = gradeWinRate(games(9, 20), heroStats, 5);
+    expect(even.expected).toBeCloseTo(9);
+    expect(even.percentile).toBeCloseTo(50, 0);
+    expect(even.explanation).toBe('Won 9 of 20 where your heroes win 45.0% in Legend - 50th percentile');
+
+    expect(gradeWinRate(games(16, 20), heroStats, 5).grade).toBe('S');
+    expect(gradeWinRate(games(4, 20), heroStats, 5).grade).toBe('D');
+    expect(gradeWinRate(games(10, 20)).explanation).toMatch(/against a 50% baseline/);
+  });
+
+  it('blends per-game grades with the result for a run of matches', () => {
+    const matches = [
+      { match_id: 1, hero_id: 8, player_slot: 0, radiant_win: true, lane_role: 1, gold_per_min: 500, xp_per_min: 560, last_hits: 200, hero_damage: 20000, tower_damage: 3000, duration: 2400 },
+      { match_id: 2, hero_id: 5, player_slot: 0, radiant_win: false, lane_role: 1, gold_per_min: 500, duration: 2400 }
+    ];
+
+    const graded = gradeMatches(matches, { benchmarksByHero: { 8: benchmarks } });
+
+    expect(graded.matches.map(match => match.matchId)).toEqual([1, 2]);
+    expect(graded.matches[0].score).toBeCloseTo(50);
+    expect(graded.matches[1].score).toBeNull();
+    expect(graded.performance).toBeCloseTo(50);
+    expect(graded.winRate.percentile).toBeCloseTo(50, 0);
+    expect(graded.score).toBeCloseTo(50, 0);
+    expect(graded.explanation[0]).toBe('50th percentile on hero benchmarks across 1 games');
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { compareMetrics, compareTotals, compareHeroes, splitMeetings } from '../../utils/headToHead.js';
+
+const OTHER = 86745912;
+
+const met = (matchId, startTime, won, otherSlot) => ({
+  match_id: matchId,
+  start_time: startTime,
+  hero_id: 1,
+  player_slot: 0,
+  radiant_win: won,
+  heroes: {
+    0: { account_id: 105248644, hero_id: 1, player_slot: 0 },
+    [otherSlot]: { account_id: OTHER, hero_id: 2, player_slot: otherSlot }
+  }
+});
+
+describe('Head to head', () => {
+  it('scales shared metrics so the better player sits at 100', () => {
+    const rows = compareMetrics(
+      [{ label: 'GPM', value: 600, suffix: '' }, { label: 'KDA Ratio', value: 0, suffix: '' }, { label: 'XPM', value: 500, suffix: '' }],
+      [{ label: 'GPM', value: 450, suffix: '' }, { label: 'KDA Ratio', value: 0, suffix: '' }]
+    );
+
+    expect(rows).toEqual([
+      { label: 'GPM', suffix: '', a: 600, b: 450, scoreA: 100, scoreB: 75 },
+      { label: 'KDA Ratio', suffix: '', a: 0, b: 0, scoreA: 0, scoreB: 0 }
+    ]);
+  });
+
+  it('averages totals per game and picks the leader', () => {
+    const rows = compareTotals(
+      [{ field: 'kills', n: 10, sum: 80 }, { field: 'deaths', n: 10, sum: 40 }, { field: 'stuns', n: 0, sum: 0 }],
+      [{ field: 'kills', n: 20, sum: 100 }, { field: 'deaths', n: 20, sum: 120 }, { field: 'stuns', n: 20, sum: 200 }]
+    );
+
+    expect(rows).toEqual([
+      { field: 'kills', label: 'Kills', a: 8, b: 5, leader: 'a' },
+      { field: 'deaths', label: 'Deaths', a: 4, b: 6, leader: 'a' }
+    ]);
+  });
+
+  it('compares heroes both players have enough games on, biggest gap first', () => {
+    const rows = compareHeroes(
+      [{ hero_id: 1, games: 10, win: 7 }, { hero_id: 2, games: 10, win: 5 }, { hero_id: 3, games: 2, win: 2 }],
+      [{ hero_id: '1', games: 4, win: 2 }, { hero_id: '2', games: 5, win: 2 }, { hero_id: '3', games: 10, win: 1 }]
+    );
+
+    expect(rows.map(row => [row.heroId, Math.round(row.delta)])).toEqual([[1, 20], [2, 10]]);
+    expect(rows[0].b).toEqual({ games: 4, wins: 2, winRate: 50 });
+  });
+
+  it('splits meetings by side, newest first', () => {
+    const result = splitMeetings([
+      met(1, 100, true, 1),
+      met(2, 300, false, 2),
+      met(3, 200, true, 130),
+      { match_id: 4, start_time: 400, player_slot: 0, radiant_win: true, heroes: {} }
+    ], OTHER);
+
+    expect(result.together.map(match => match.match_id)).toEqual([2, 1]);
+    expect(result.against.map(match => match.match_id)).toEqual([3]);
+    expect(result.togetherWins).toBe(1);
+    expect(result.againstWins).toBe(1);
+    expect(result.against[0].otherHeroId).toBe(2);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getBenchmarkPercentile,
+  compareToBenchmarks,
+  calculateItemFrequencies,
+  summarizeMatchups,
+  calculateHeroTrend,
+  buildHeroPerformanceSeries
+} from '../../utils/heroAnalytics.js';
+
+const GPM_POINTS = [
+  { percentile: 0.1, value: 300 },
+  { percentile: 0.5, value: 500 },
+  { percentile: 0.9, value: 700 }
+];
+
+// Newest first; radiant player, so radiant_win decides the result
+const makeMatches = (results) => results.map((won, index) => ({
+  match_id: 100 - index,
+  start_time: 1700000000 - index * 3600,
+  player_slot: 0,
+  radiant_win: won,
+  gold_per_min: 500,
+  kills: 5,
+  deaths: 2,
+  assists: 10,
+  duration: 1800
+}));
+
+describe('Hero analytics', () => {
+  it('interpolates benchmark percentiles between published points', () => {
+    expect(getBenchmarkPercentile(GPM_POINTS, 500)).toBeCloseTo(50);
+    expect(getBenchmarkPercentile(GPM_POINTS, 600)).toBeCloseTo(70);
+    expect(getBenchmarkPercentile(GPM_POINTS, 900)).toBeCloseTo(90);
+    expect(getBenchmarkPercentile(GPM_POINTS, 150)).toBeCloseTo(5);
+    expect(getBenchmarkPercentile([], 500)).toBeNull();
+
+    const rows = compareToBenchmarks(makeMatches([true, false]), { result: { gold_per_min: GPM_POINTS } });
+    const gpm = rows.find(row => row.key === 'gold_per_min');
+    expect(gpm.value).toBe(500);
+    expect(gpm.percentile).toBeCloseTo(50);
+    expect(rows.find(row => row.key === 'xp_per_min').percentile).toBeNull();
+  });
+
+  it('counts each item once per game and tracks its win rate', () => {
+    const matches = [
+      { player_slot: 0, radiant_win: true, item_0: 1, item_1: 1, item_2: 48 },
+      { player_slot: 0, radiant_win: false, item_0: 1, item_1: 0 },
+      { player_slot: 128, radiant_win: false, item_0: 48 },
+      { player_slot: 128, radiant_win: true, item_0: 116 }
+    ];
+
+    const items = calculateItemFrequencies(matches, { 1: 'blink', 48: 'travel_boots' });
+
+    expect(items[0]).toEqual({ itemId: 1, name: 'blink', games: 2, frequency: 50, winRate: 50 });
+    expect(items[1]).toEqual({ itemId: 48, name: 'travel_boots', games: 2, frequency: 50, winRate: 100 });
+    expect(items[2].name).toBe('item_116');
+    expect(calculateItemFrequencies(matches, {}, 1)).toHaveLength(1);
+  });
+
+  it('splits matchups into with and against, dropping small samples', () => {
+    const { with: allies, against } = summarizeMatchups([
+      { hero_id: '2', with_games: 10, with_win: 7, against_games: 4, against_win: 1 },
+      { hero_id: '3', with_games: 5, with_win: 4, against_games: 2, against_win: 2 },
+      { hero_id: '4', with_games: 1, with_win: 1, against_games: 6, against_win: 3 }
+    ]);
+
+    expect(allies.map(row => row.heroId)).toEqual([3, 2]);
+    expect(against.map(row => row.heroId)).toEqual([4, 2]);
+    expect(against[1].winRate).toBe(25);
+  });
+
+  it('flags recent form against the overall record', () => {
+    const improving = makeMatches([...Array(10).fill(true), ...Array(10).fill(false)]);
+    expect(calculateHeroTrend(improving)).toMatchObject({ recentWinRate: 100, overallWinRate: 50, direction: 'up' });
+
+    const slumping = makeMatches([...Array(10).fill(false), ...Array(10).fill(true)]);
+    expect(calculateHeroTrend(slumping).direction).toBe('down');
+
+    // Not enough games to separate recent from overall
+    expect(calculateHeroTrend(makeMatches([true, false, false])).direction).toBe('flat');
+    expect(calculateHeroTrend([]).recentWinRate).toBeNull();
+  });
+
+  it('builds a chronological series with a rolling win rate', () => {
+    const series = buildHeroPerformanceSeries(makeMatches([true, false, false, true]), 2);
+
+    expect(series.map(point => point.matchId)).toEqual([97, 98, 99, 100]);
+    expect(series.map(point => point.rollingWinRate)).toEqual([100, 50, 0, 50]);
+    expect(series[0].kda).toBe(7.5);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getLaneOutcome, getVisionStats, getKeyItemTimings, compareItemTimings,
+  buildCurveOverlay, findComparableMatch, getDefaultPlayerSlot
+} from '../../utils/matchAnalysis.js';
+
+const perMinute = (perMinuteGain, minutes = 12) => Array.from({ length: minutes }, (_, minute) => minute * perMinuteGain);
+
+const strongLane = {
+  lh_t: perMinute(6),
+  dn_t: perMinute(1),
+  xp_t: perMinute(500),
+  life_state: Array(900).fill(0),
+  obs_placed: 2,
+  sen_placed: 4,
+  observer_kills: 1,
+  sentry_kills: 1,
+  purchase_log: [
+    { time: -80, key: 'tango' },
+    { time: -80, key: 'quelling_blade' },
+    { time: 420, key: 'phase_boots' },
+    { time: 840, key: 'blink' },
+    { time: 1500, key: 'black_king_bar' }
+  ]
+};
+
+const weakLane = {
+  lh_t: perMinute(3),
+  dn_t: perMinute(0),
+  xp_t: perMinute(250),
+  life_state: [...Array(200).fill(0), ...Array(30).fill(2), ...Array(100).fill(0), ...Array(30).fill(2), ...Array(540).fill(0)],
+  purchase_log: [
+    { time: -85, key: 'quelling_blade' },
+    { time: 600, key: 'phase_boots' },
+    { time: 620, key: 'recipe_travel_boots' },
+    { time: 1320, key: 'blink' },
+    { time: 1330, key: 'tango' }
+  ]
+};
+
+describe('Match analysis helpers', () => {
+  it('analyzes the viewer when they played, else the first player', () => {
+    const match = {
+      players: [
+        { player_slot: 0, account_id: null },
+        { player_slot: 1, account_id: 105248644 },
+        { player_slot: 128, account_id: 42 }
+      ]
+    };
+
+    expect(getDefaultPlayerSlot(match, '42')).toBe(128);
+    expect(getDefaultPlayerSlot(match, '999')).toBe(0);
+    expect(getDefaultPlayerSlot(match, undefined)).toBe(0);
+    expect(getDefaultPlayerSlot(null, '42')).toBeNull();
+  });
+
+  it('grades the lane from CS, XP and deaths at 10 minutes', () => {
+    expect(getLaneOutcome(strongLane)).toMatchObject({ outcome: 'WON', lastHits: 54, denies: 9, xp: 4500, deaths: 0 });
+    expect(getLaneOutcome(weakLane)).toMatchObject({ outcome: 'LOST', deaths: 60 });
+    expect(getLaneOutcome(null).outcome).toBe('UNKNOWN');
+  });
+
+  it('summarizes vision', () => {
+    const vision = getVisionStats(strongLane, 1800);
+
+    expect(vision.visionScore).toBe(2 * 2.5 + 4 * 1.5 + 3 + 2);
+    expect(vision.dewardEfficiency).toBe(50);
+    expect(vision.visionGrade).toBe('C');
+    expect(getVisionStats(null, 1800).visionGrade).toBe('D');
+  });
+
+  it('checks key items against their benchmark minute', () => {
+    expect(getKeyItemTimings(strongLane)).toEqual([
+      { key: 'blink', name: 'Blink Dagger', minutes: 14, benchmark: 15, fast: true },
+      { key: 'black_king_bar', name: 'Black King Bar', minutes: 25, benchmark: 25, fast: true }
+    ]);
+  });
+});
+
+describe('Match comparison', () => {
+  it('diffs first purchases, skipping consumables and recipes', () => {
+    const rows = compareItemTimings(strongLane, weakLane);
+
+    expect(rows.map(row => row.key)).toEqual(['quelling_blade', 'phase_boots', 'blink', 'black_king_bar']);
+    expect(rows.find(row => row.key === 'blink')).toMatchObject({ name: 'Blink Dagger', timeA: 840, timeB: 1320, diff: 480 });
+    expect(rows.find(row => row.key === 'phase_boots').name).toBe('Phase Boots');
+    expect(rows.find(row => row.key === 'black_king_bar')).toMatchObject({ timeB: null, diff: null });
+  });
+
+  it('builds one series per match for overlay charts', () => {
+    const data = buildCurveOverlay([
+      { label: 'A', player: { gold_t: [0, 400, 900] } },
+      { label: 'B', player: { gold_t: [0, 300] } },
+      { label: 'C', player: {} }
+    ], 'gold_t');
+
+    expect(data).toHaveLength(5);
+    expect(data[2]).toEqual({ minute: 2, value: 900, match: 'A' });
+    expect(data.filter(point => point.match === 'B').map(point => point.value)).toEqual([0, 300]);
+  });
+
+  it('suggests the latest game on the same hero with the other result', () => {
+    const history = [
+      { match_id: 5, hero_id: 8, player_slot: 0, radiant_win: true },
+      { match_id: 4, hero_id: 1, player_slot: 0, radiant_win: false },
+      { match_id: 3, hero_id: 8, player_slot: 128, radiant_win: true },
+      { match_id: 2, hero_id: 8, player_slot: 0, radiant_win: false }
+    ];
+
+    expect(findComparableMatch(history, history[0]).match_id).toBe(3);
+    expect(findComparableMatch(history, history[3]).match_id).toBe(5);
+    expect(findComparableMatch(history, history[1])).toBeNull();
+    expect(findComparableMatch(history, undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { buildMatchTimeline, getMatchStateAt, levelFromXp } from '../../utils/matchTimeline.js';
+
+const match = {
+  objectives: [
+    { time: 95, type: 'CHAT_MESSAGE_FIRSTBLOOD', player_slot: 0, key: 128 },
+    { time: 700, type: 'building_kill', key: 'npc_dota_badguys_tower1_mid', player_slot: 0 },
+    { time: 1500, type: 'CHAT_MESSAGE_ROSHAN_KILL', team: 3 }
+  ],
+  teamfights: [{ start: 1200, end: 1235, deaths: 4 }],
+  players: [
+    {
+      player_slot: 0,
+      hero_id: 8,
+      gold_t: [0, 300, 700, 1200],
+      xp_t: [0, 250, 700, 1200],
+      lh_t: [0, 4, 9, 15],
+      kills_log: [{ time: 95, key: 'npc_dota_hero_crystal_maiden' }],
+      purchase_log: [
+        { time: -80, key: 'tango' },
+        { time: -80, key: 'quelling_blade' },
+        { time: 150, key: 'recipe_wraith_band' },
+        { time: 150, key: 'wraith_band' }
+      ],
+      runes_log: [{ time: 0, key: 5 }],
+      buyback_log: []
+    },
+    {
+      player_slot: 128,
+      hero_id: 5,
+      gold_t: [0, 200, 500],
+      xp_t: [0, 200, 400],
+      lh_t: [0, 1, 2],
+      buyback_log: [{ time: 1600 }]
+    }
+  ]
+};
+
+const heroNames = { 8: 'Juggernaut', 5: 'Crystal Maiden' };
+
+describe('Match timeline', () => {
+  it('merges every log into one ordered event stream', () => {
+    const events = buildMatchTimeline(match, heroNames);
+
+    expect(events.map(event => event.type)).toEqual([
+      'purchase', 'rune', 'objective', 'kill', 'purchase', 'objective', 'teamfight', 'objective', 'buyback'
+    ]);
+    expect(events.map(event => event.time)).toEqual([...events.map(event => event.time)].sort((a, b) => a - b));
+    expect(events[1]).toMatchObject({ description: 'Juggernaut took a Bounty rune', tab: 'vision', playerSlot: 0, team: 'radiant' });
+    expect(events.find(event => event.type === 'kill')).toMatchObject({
+      description: 'Juggernaut killed crystal maiden', tab: 'combat', heroId: 8
+    });
+    expect(events.find(event => event.time === 700).description).toBe('Dire tower1 mid destroyed');
+    expect(events.find(event => event.time === 1500)).toMatchObject({ description: 'Dire killed Roshan', team: 'dire', playerSlot: null });
+    expect(events.find(event => event.type === 'buyback')).toMatchObject({ team: 'dire', description: 'Crystal Maiden bought back' });
+    expect(events.filter(event => event.type === 'purchase').map(event => event.item)).toEqual(['quelling_blade', 'wraith_band']);
+    expect(buildMatchTimeline(null)).toEqual([]);
+  });
+
+  it('shows both teams at any minute', () => {
+    const state = getMatchStateAt(match, 2);
+
+    expect(state.teams.radiant).toMatchObject({ netWorth: 700, kills: 1 });
+    expect(state.teams.dire).toMatchObject({ netWorth: 500, kills: 0 });
+    expect(state.netWorthLead).toBe(200);
+    expect(state.teams.radiant.players[0]).toMatchObject({ level: 3, lastHits: 9, items: ['quelling_blade'] });
+
+    // Series that ended early hold their last value
+    const late = getMatchStateAt(match, 3);
+    expect(late.teams.dire.netWorth).toBe(500);
+    expect(late.teams.radiant.players[0].items).toEqual(['quelling_blade', 'wraith_band']);
+  });
+
+  it('converts experience to hero level', () => {
+    expect(levelFromXp(0)).toBe(1);
+    expect(levelFromXp(240)).toBe(2);
+    expect(levelFromXp(5899)).toBe(9);
+    expect(levelFromXp(100000)).toBe(30);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toMapFraction, getWardLifetimes, getLaneHeatmap, getFightMarkers, WARD_DURATION
+} from '../../utils/minimap.js';
+
+const player = {
+  player_slot: 0,
+  hero_id: 8,
+  obs_log: [
+    { time: -30, x: 120, y: 90, key: '[120,90]', ehandle: 1 },
+    { time: 400, x: 140, y: 150, key: '[140,150]', ehandle: 2 }
+  ],
+  obs_left_log: [{ time: 330, key: '[120,90]', ehandle: 1 }],
+  sen_log: [{ time: 600, x: 100, y: 100, key: '[100,100]' }],
+  sen_left_log: [{ time: 650, key: '[100,100]' }],
+  lane_pos: { 80: { 90: 12, 91: 3 }, 81: { 90: 5 } }
+};
+
+describe('Minimap positions', () => {
+  it('maps cell coordinates onto the minimap with Radiant bottom-left', () => {
+    expect(toMapFraction(64, 64)).toEqual({ left: 0, top: 1 });
+    expect(toMapFraction(192, 192)).toEqual({ left: 1, top: 0 });
+    expect(toMapFraction(128, 128)).toEqual({ left: 0.5, top: 0.5 });
+    expect(toMapFraction(20, 250)).toEqual({ left: 0, top: 0 });
+  });
+
+  it('pairs ward placements with their removal', () => {
+    const wards = getWardLifetimes(player, 2400);
+
+    expect(wards.map(ward => ward.type)).toEqual(['observer', 'observer', 'sentry']);
+    expect(wards[0]).toMatchObject({ placedAt: -30, removedAt: 330, destroyed: false });
+    expect(wards[1]).toMatchObject({ placedAt: 400, removedAt: 400 + WARD_DURATION.observer, destroyed: false });
+    expect(wards[2]).toMatchObject({ placedAt: 600, removedAt: 650, destroyed: true });
+    expect(getWardLifetimes(player, 500)[1].removedAt).toBe(500);
+    expect(getWardLifetimes(null)).toEqual([]);
+  });
+
+  it('flattens lane positions into heatmap cells', () => {
+    expect(getLaneHeatmap(player)).toEqual([
+      { x: 80, y: 90, count: 12 },
+      { x: 80, y: 91, count: 3 },
+      { x: 81, y: 90, count: 5 }
+    ]);
+    expect(getLaneHeatmap({})).toEqual([]);
+  });
+
+  it('locates teamfights and the player\'s kills and deaths in them', () => {
+    const match = {
+      players: [player, { player_slot: 1, hero_id: 5 }, { player_slot: 128, hero_id: 2 }, { player_slot: 129, hero_id: 1 }],
+      teamfights: [
+        {
+          start: 900,
+          end: 940,
+          deaths: 3,
+          players: [
+            { deaths_pos: {}, killed: { npc_dota_hero_axe: 1 } },
+            { deaths_pos: { 130: { 130: 1 } }, killed: {} },
+            { deaths_pos: { 140: { 120: 1 } }, killed: {} },
+            { deaths_pos: { 150: { 140: 1 } }, killed: {} }
+          ]
+        },
+        {
+          start: 1500,
+          end: 1530,
+          players: [{ deaths_pos: { 100: { 100: 1 } } }, { deaths_pos: {} }, { deaths_pos: {} }, { deaths_pos: {} }]
+        },
+        { start: 2000, end: 2010, players: [] }
+      ]
+    };
+    const heroNames = { 1: 'npc_dota_hero_antimage', 2: 'npc_dota_hero_axe', 5: 'npc_dota_hero_crystal_maiden' };
+
+    const { fights, kills, deaths } = getFightMarkers(match, 0, heroNames);
+
+    expect(fights).toHaveLength(2);
+    expect(fights[0]).toEqual({ start: 900, end: 940, deaths: 3, x: 140, y: 130 });
+    expect(fights[1].deaths).toBe(1);
+    expect(kills).toEqual([{ x: 140, y: 120, time: 900, end: 940, heroId: 2 }]);
+    expect(deaths).toEqual([{ x: 100, y: 100, time: 1500, end: 1530 }]);
+  });
+});
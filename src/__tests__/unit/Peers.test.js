@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { summarizePeers, getPeerInMatch, summarizeDuoHeroes, summarizePartyResults } from '../../utils/peers.js';
+
+const PEER = 86745912;
+
+// Match list entry with the `heroes` projection; the peer is on radiant unless told otherwise
+const shared = (matchId, heroId, peerHeroId, won, { peerSlot = 1, playerSlot = 0 } = {}) => ({
+  match_id: matchId,
+  hero_id: heroId,
+  player_slot: playerSlot,
+  radiant_win: won === (playerSlot < 128),
+  heroes: {
+    [playerSlot]: { account_id: 1, hero_id: heroId, player_slot: playerSlot },
+    [peerSlot]: { account_id: PEER, hero_id: peerHeroId, player_slot: peerSlot }
+  }
+});
+
+describe('Teammate analytics', () => {
+  it('summarizes win rates with and against each peer', () => {
+    const rows = summarizePeers([
+      { account_id: 2, personaname: 'rare', with_games: 3, with_win: 1, against_games: 0, against_win: 0 },
+      { account_id: PEER, personaname: 'duo', with_games: 40, with_win: 26, against_games: 4, against_win: 1 },
+      { account_id: 3, with_games: 0, against_games: 0 }
+    ]);
+
+    expect(rows.map(row => row.name)).toEqual(['duo', 'rare']);
+    expect(rows[0]).toMatchObject({ accountId: String(PEER), withWinRate: 65, againstGames: 4, againstWinRate: 25 });
+    expect(rows[1].againstWinRate).toBeNull();
+  });
+
+  it('finds the peer and ranks duo hero pairs on the same team', () => {
+    const matches = [
+      shared(1, 8, 5, true),
+      shared(2, 8, 5, true),
+      shared(3, 8, 5, false),
+      shared(4, 74, 26, true),
+      shared(5, 14, 5, true, { peerSlot: 130 })
+    ];
+
+    expect(getPeerInMatch(matches[4], PEER)).toEqual({ heroId: 5, together: false });
+    expect(getPeerInMatch({ heroes: {} }, PEER)).toBeNull();
+
+    const duos = summarizeDuoHeroes(matches, String(PEER));
+    expect(duos.map(duo => [duo.heroId, duo.peerHeroId, duo.games, duo.wins])).toEqual([
+      [8, 5, 3, 2],
+      [74, 26, 1, 1]
+    ]);
+    expect(duos[0].winRate).toBeCloseTo(66.67, 1);
+  });
+
+  it('compares solo queue with party games', () => {
+    const game = (partySize, won) => ({ party_size: partySize, player_slot: 0, radiant_win: won });
+    const results = summarizePartyResults([
+      game(1, true), game(1, false), game(2, true), game(5, true), game(5, false), { ...game(null, true) }
+    ]);
+
+    expect(results.solo).toMatchObject({ games: 2, wins: 1, winRate: 50 });
+    expect(results.party).toMatchObject({ games: 3, wins: 2 });
+    expect(results.bySize.find(row => row.key === 5)).toMatchObject({ label: '5-stack', games: 2, winRate: 50 });
+    expect(results.bySize.find(row => row.key === 3)).toMatchObject({ games: 0, winRate: null });
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { parsePlayerQuery, steamId64ToAccountId } from '../../utils/playerSearch.js';
+
+describe('Player search', () => {
+  it('converts SteamID64s to account IDs', () => {
+    expect(steamId64ToAccountId('76561198065514372')).toBe('105248644');
+    expect(steamId64ToAccountId('76561197960265728')).toBeNull();
+    expect(steamId64ToAccountId('1234')).toBeNull();
+  });
+
+  it('opens account IDs, SteamID64s and profile links directly', () => {
+    expect(parsePlayerQuery(' 105248644 ')).toEqual({ accountId: '105248644' });
+    expect(parsePlayerQuery('76561198065514372')).toEqual({ accountId: '105248644' });
+    expect(parsePlayerQuery('https://steamcommunity.com/profiles/76561198065514372/')).toEqual({ accountId: '105248644' });
+    expect(parsePlayerQuery('https://www.opendota.com/players/105248644/matches')).toEqual({ accountId: '105248644' });
+    expect(parsePlayerQuery('dotabuff.com/players/105248644')).toEqual({ accountId: '105248644' });
+  });
+
+  it('searches by name for vanity URLs and everything else', () => {
+    expect(parsePlayerQuery('https://steamcommunity.com/id/some%20player/')).toEqual({ term: 'some player' });
+    expect(parsePlayerQuery('https://steamcommunity.com/id/100%25%/')).toEqual({ term: '100%25%' });
+    expect(parsePlayerQuery('Miracle-')).toEqual({ term: 'Miracle-' });
+    expect(parsePlayerQuery('12345678901234')).toEqual({ term: '12345678901234' });
+    expect(parsePlayerQuery('   ')).toBeNull();
+  });
+});
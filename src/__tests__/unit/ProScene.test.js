@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { getActiveLeagues, calculateLeagueStandings, getTeamForm, findProsForHeroes } from '../../utils/proScene.js';
+
+describe('Pro scene helpers', () => {
+  it('lists leagues from recent pro matches, latest first', () => {
+    const leagues = getActiveLeagues([
+      { leagueid: 1, league_name: 'Old Cup', start_time: 100 },
+      { leagueid: 2, league_name: 'The International', start_time: 300 },
+      { leagueid: 1, league_name: 'Old Cup', start_time: 200 }
+    ], [{ leagueid: 2, tier: 'premium' }]);
+
+    expect(leagues.map(league => league.leagueId)).toEqual([2, 1]);
+    expect(leagues[0].tier).toBe('premium');
+    expect(leagues[1]).toMatchObject({ matches: 2, lastMatch: 200, tier: null });
+  });
+
+  it('builds league standings from match results', () => {
+    const standings = calculateLeagueStandings([
+      { radiant_team_id: 10, dire_team_id: 20, radiant_win: true },
+      { radiant_team_id: 20, dire_team_id: 30, radiant_win: true },
+      { radiant_team_id: 30, dire_team_id: 10, radiant_win: false },
+      { radiant_team_id: 0, dire_team_id: 30, radiant_win: false }
+    ], [{ team_id: 10, name: 'Team Spirit', tag: 'TS' }]);
+
+    expect(standings.map(row => row.teamId)).toEqual([10, 20, 30]);
+    expect(standings[0]).toMatchObject({ name: 'Team Spirit', wins: 2, losses: 0, winRate: 100 });
+    expect(standings[2]).toMatchObject({ name: 'Team 30', wins: 1, losses: 2 });
+  });
+
+  it('reads team form from its side of each match', () => {
+    expect(getTeamForm([
+      { start_time: 1, radiant: true, radiant_win: true },
+      { start_time: 3, radiant: false, radiant_win: true },
+      { start_time: 2, radiant: false, radiant_win: false }
+    ])).toEqual(['L', 'W', 'W']);
+  });
+
+  it('keeps only registered pros for each hero', () => {
+    const [group] = findProsForHeroes([8], {
+      8: [
+        { account_id: 1, games_played: 40, wins: 30 },
+        { account_id: 2, games_played: 900, wins: 450 },
+        { account_id: 3, games_played: 60, wins: 30 }
+      ]
+    }, [
+      { account_id: 1, name: 'Yatoro', team_name: 'Team Spirit' },
+      { account_id: 3, personaname: 'smurf' }
+    ]);
+
+    expect(group.pros.map(pro => pro.accountId)).toEqual([3, 1]);
+    expect(group.pros[1]).toMatchObject({ name: 'Yatoro', teamName: 'Team Spirit', winRate: 75 });
+    expect(group.pros[0].name).toBe('smurf');
+  });
+});
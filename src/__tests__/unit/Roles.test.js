@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  classifyMatchPositions, getPlayerPosition, estimatePosition, summarizePositions
+} from '../../utils/roles.js';
+import { queryMatches } from '../../utils/matchQuery.js';
+
+const team = (offset, overrides = {}) => [
+  { player_slot: offset, lane_role: 1, gold_per_min: 650, lane_efficiency: 0.8, obs_placed: 0 },
+  { player_slot: offset + 1, lane_role: 2, gold_per_min: 580, lane_efficiency: 0.9, obs_placed: 1 },
+  { player_slot: offset + 2, lane_role: 3, gold_per_min: 480, lane_efficiency: 0.6, obs_placed: 2 },
+  { player_slot: offset + 3, lane_role: 3, gold_per_min: 310, lane_efficiency: 0.4, obs_placed: 8, is_roaming: true },
+  { player_slot: offset + 4, lane_role: 1, gold_per_min: 260, lane_efficiency: 0.3, obs_placed: 14, sen_placed: 6 }
+].map(player => ({ ...player, ...overrides[player.player_slot] }));
+
+describe('Role classification', () => {
+  it('assigns positions 1-5 from farm, lane and wards', () => {
+    const match = { players: [...team(0), ...team(128)] };
+    const positions = classifyMatchPositions(match);
+
+    expect([0, 1, 2, 3, 4].map(slot => positions.get(slot))).toEqual([1, 2, 3, 4, 5]);
+    expect([128, 129, 130, 131, 132].map(slot => positions.get(slot))).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('trusts farm over lane when a support took the safe lane farm', () => {
+    // Slot 0 sat in the safe lane but the supposed support out-farmed them
+    const players = team(0, {
+      0: { gold_per_min: 280, obs_placed: 12, lane_efficiency: 0.3 },
+      4: { gold_per_min: 640, obs_placed: 0, sen_placed: 0, lane_efficiency: 0.8 }
+    });
+    const match = { players };
+
+    expect(getPlayerPosition(match, 4)).toBe(1);
+    expect(getPlayerPosition(match, 0)).toBe(5);
+    expect(getPlayerPosition(match, 3)).toBe(4);
+  });
+
+  it('falls back to lane and GPM for history entries', () => {
+    expect(estimatePosition({ lane_role: 1, gold_per_min: 620 })).toBe(1);
+    expect(estimatePosition({ lane_role: 1, gold_per_min: 250 })).toBe(5);
+    expect(estimatePosition({ lane_role: 2, gold_per_min: 550 })).toBe(2);
+    expect(estimatePosition({ lane_role: 3, gold_per_min: 470 })).toBe(3);
+    expect(estimatePosition({ lane_role: 3, gold_per_min: 470, is_roaming: true })).toBe(4);
+    expect(estimatePosition({ gold_per_min: 600 })).toBeNull();
+    expect(getPlayerPosition({ player_slot: 0, lane_role: 2, gold_per_min: 600 })).toBe(2);
+  });
+
+  it('summarizes win rate and benchmarks per position', () => {
+    const matches = [
+      { player_slot: 0, radiant_win: true, lane_role: 1, gold_per_min: 660, xp_per_min: 700, last_hits: 260, duration: 2400, kills: 10, deaths: 2, assists: 5 },
+      { player_slot: 0, radiant_win: false, lane_role: 1, gold_per_min: 540, xp_per_min: 600, last_hits: 200, duration: 2400, kills: 4, deaths: 6, assists: 8 },
+      { player_slot: 130, radiant_win: true, lane_role: 1, gold_per_min: 250, xp_per_min: 350, last_hits: 20, duration: 2000, kills: 1, deaths: 8, assists: 12 },
+      { player_slot: 0, radiant_win: true, gold_per_min: 500 }
+    ];
+
+    const summary = summarizePositions(matches);
+    const carry = summary.find(row => row.position === 1);
+    const hardSupport = summary.find(row => row.position === 5);
+
+    expect(carry).toMatchObject({ games: 2, wins: 1, winRate: 50 });
+    expect(carry.share).toBeCloseTo(66.67, 1);
+    expect(carry.metrics.find(metric => metric.key === 'gold_per_min')).toMatchObject({ value: 600, benchmark: 600, ratio: 1 });
+    expect(carry.metrics.find(metric => metric.key === 'last_hits_per_min').value).toBeCloseTo(5.75);
+    expect(hardSupport).toMatchObject({ games: 1, wins: 0, winRate: 0 });
+    expect(summary.find(row => row.position === 2)).toMatchObject({ games: 0, winRate: null });
+
+    expect(queryMatches(matches, { position: 1 })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { parseRoute, buildPath } from '../../utils/routes.js';
+import { useRoute, navigate } from '../../hooks/useRoute.js';
+
+describe('Routes', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('parses page paths and their parameters', () => {
+    expect(parseRoute('/')).toEqual({ page: 'dashboard', params: {} });
+    expect(parseRoute('/matches')).toEqual({ page: 'matches', params: {} });
+    expect(parseRoute('/matches/7812345678')).toEqual({
+      page: 'match-analysis',
+      params: { matchId: '7812345678', tab: 'overview' }
+    });
+    expect(parseRoute('/matches/7812345678/vision/').params.tab).toBe('vision');
+    expect(parseRoute('/heroes/8')).toEqual({ page: 'heroes', params: { heroId: 8 } });
+    expect(parseRoute('/teammates')).toEqual({ page: 'teammates', params: {} });
+    expect(parseRoute('/teammates/86745912')).toEqual({ page: 'teammates', params: { peerId: '86745912' } });
+    expect(parseRoute('/players/105248644')).toEqual({ page: 'player', params: { accountId: '105248644' } });
+    expect(parseRoute('/players/105248644/matches/42/vision')).toEqual({
+      page: 'player-match',
+      params: { accountId: '105248644', matchId: '42', tab: 'vision' }
+    });
+    expect(parseRoute('/head-to-head')).toEqual({ page: 'head-to-head', params: {} });
+    expect(parseRoute('/head-to-head/86745912')).toEqual({ page: 'head-to-head', params: { accountId: '86745912' } });
+    expect(parseRoute('/compare/1/2')).toEqual({ page: 'match-compare', params: { matchIds: ['1', '2'] } });
+    expect(parseRoute('/compare/1')).toEqual({ page: 'match-compare', params: { matchIds: ['1'] } });
+  });
+
+  it('rejects unknown paths, ids and tabs', () => {
+    ['/nope', '/matches/abc', '/matches/1/replay', '/heroes/axe', '/teammates/bob', '/head-to-head/bob', '/live/1', '/compare', '/compare/1/x', '/matches/1/laning/extra', '/players/1/heroes', '/players/1/matches', '/players/x/matches/1', '/players/1/matches/1/replay', '/players/1/matches/1/laning/extra', '/heroes/%E0%A4%A', '/matches/%']
+      .forEach(path => expect(parseRoute(path).page).toBe('not-found'));
+  });
+
+  it('builds paths that parse back to the same route', () => {
+    const routes = [
+      { page: 'dashboard', params: {} },
+      { page: 'pro', params: {} },
+      { page: 'match-analysis', params: { matchId: '42', tab: 'overview' } },
+      { page: 'match-analysis', params: { matchId: '42', tab: 'combat' } },
+      { page: 'match-compare', params: { matchIds: ['42', '43'] } },
+      { page: 'heroes', params: { heroId: 74 } },
+      { page: 'teammates', params: { peerId: '86745912' } },
+      { page: 'player', params: { accountId: '1' } },
+      { page: 'head-to-head', params: { accountId: '86745912' } },
+      { page: 'player-match', params: { accountId: '1', matchId: '42', tab: 'overview' } },
+      { page: 'player-match', params: { accountId: '1', matchId: '42', tab: 'economy' } }
+    ];
+
+    routes.forEach(route => expect(parseRoute(buildPath(route.page, route.params))).toEqual(route));
+    expect(buildPath('match-analysis', { matchId: '42', tab: 'overview' })).toBe('/matches/42');
+  });
+
+  it('updates the current route on navigate and browser back', async () => {
+    const { result } = renderHook(() => useRoute());
+    expect(result.current.page).toBe('dashboard');
+
+    act(() => navigate('/matches/42/laning', { state: { from: 'matches' } }));
+    expect(result.current).toEqual({ page: 'match-analysis', params: { matchId: '42', tab: 'laning' } });
+    expect(window.history.state).toEqual({ from: 'matches' });
+
+    await act(async () => {
+      const popped = new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+      window.history.back();
+      await popped;
+    });
+    expect(result.current.page).toBe('dashboard');
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { detectSessions, calculateCurrentSession, getTiltLevel, formatSessionTime } from '../../utils/sessions.js';
+
+const HOUR = 3600;
+const START = 1700000000;
+
+const game = (matchId, startTime, won, overrides = {}) => ({
+  match_id: matchId,
+  start_time: startTime,
+  duration: 40 * 60,
+  player_slot: 0,
+  radiant_win: won,
+  kills: 5,
+  deaths: 5,
+  assists: 10,
+  ...overrides
+});
+
+// Two games late at night that run past midnight, then one the next evening
+const matches = [
+  game(1, START, true),
+  game(2, START + 50 * 60, false),
+  game(3, START + 100 * 60, false, { kills: 1, deaths: 10, assists: 2 }),
+  game(4, START + 20 * HOUR, true)
+];
+
+describe('Session detection', () => {
+  it('splits sessions on idle gaps after each game ends', () => {
+    const sessions = detectSessions(matches, { idleMinutes: 30 });
+
+    expect(sessions.map(session => session.matches.map(match => match.match_id))).toEqual([[4], [1, 2, 3]]);
+    expect(sessions[1]).toMatchObject({ wins: 1, losses: 2, currentStreak: -2, duration: 140 * 60, mmrChange: null });
+    expect(sessions[1].averageKDA).toBeCloseTo((3 + 3 + 0.3) / 3);
+    expect(sessions[1].tilt.map(point => point.level)).toEqual([95, 65, 42]);
+
+    // A short threshold breaks the block into single games
+    expect(detectSessions(matches, { idleMinutes: 5 })).toHaveLength(4);
+  });
+
+  it('only reports a session that is still running', () => {
+    const running = calculateCurrentSession(matches, [], { idleMinutes: 60, now: START + 20 * HOUR + 50 * 60 });
+    expect(running).toMatchObject({ active: true, gamesPlayed: 1, wins: 1, gamesUntilBehaviorUpdate: 14 });
+
+    const idle = calculateCurrentSession(matches, [], { idleMinutes: 60, now: START + 30 * HOUR });
+    expect(idle).toMatchObject({ active: false, gamesPlayed: 0, mmrChange: null });
+  });
+
+  it('rates tilt and formats times in the chosen zone', () => {
+    expect(getTiltLevel([])).toMatchObject({ level: 50, status: 'neutral' });
+    expect(getTiltLevel([game(1, START, false, { kills: 0, deaths: 12, assists: 1 })])).toMatchObject({ status: 'danger' });
+
+    expect(formatSessionTime(START, 'UTC', { hour: 'numeric', minute: '2-digit' })).toBe('10:13 PM');
+    expect(formatSessionTime(START, 'Asia/Tokyo', { hour: 'numeric', minute: '2-digit' })).toBe('7:13 AM');
+  });
+});
@@ -0,0 +1,71 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+/**
+ * Local stand-in for the Steam OpenID provider.
+ * Issues signed positive assertions and answers check_authentication the
+ * way steamcommunity.com does, so verification can be tested offline.
+ * @returns {Promise<Object>} Provider handle with url, issueAssertion and close
+ */
+export async function startMockSteamOpenIdProvider() {
+  const issuedSignatures = new Map();
+  const checkRequests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(raw).entries());
+      checkRequests.push(params);
+
+      const expectedSig = issuedSignatures.get(params['openid.assoc_handle']);
+      const isValid = params['openid.mode'] === 'check_authentication' &&
+        expectedSig !== undefined &&
+        expectedSig === params['openid.sig'];
+
+      res.setHeader('Content-Type', 'text/plain');
+      res.end(`ns:http://specs.openid.net/auth/2.0\nis_valid:${isValid}\n`);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/openid/login`;
+
+  /**
+   * Build the query parameters Steam would append to return_to
+   * @param {Object} options - steamId, returnTo, nonceTime, overrides
+   * @returns {Object} openid.* parameters
+   */
+  const issueAssertion = ({
+    steamId = '76561198065514372',
+    returnTo = 'http://localhost:5173/auth/steam/callback',
+    nonceTime = new Date(),
+    overrides = {}
+  } = {}) => {
+    const assocHandle = crypto.randomUUID();
+    const sig = crypto.randomBytes(20).toString('base64');
+    issuedSignatures.set(assocHandle, sig);
+
+    const claimedId = `https://steamcommunity.com/openid/id/${steamId}`;
+    return {
+      'openid.ns': 'http://specs.openid.net/auth/2.0',
+      'openid.mode': 'id_res',
+      'openid.op_endpoint': url,
+      'openid.claimed_id': claimedId,
+      'openid.identity': claimedId,
+      'openid.return_to': returnTo,
+      'openid.response_nonce': `${nonceTime.toISOString().split('.')[0]}Z${crypto.randomBytes(4).toString('hex')}`,
+      'openid.assoc_handle': assocHandle,
+      'openid.signed': 'signed,op_endpoint,claimed_id,identity,return_to,response_nonce,assoc_handle',
+      'openid.sig': sig,
+      ...overrides
+    };
+  };
+
+  return {
+    url,
+    issueAssertion,
+    checkRequests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
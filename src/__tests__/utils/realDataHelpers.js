@@ -1,27 +1,26 @@
-// Real player IDs for testing - these are actual professional players
+import authService from '../../services/auth.service.js';
+import demoService, { DEMO_ACCOUNT_ID } from '../../services/demo.service.js';
+
+// Recorded demo players standing in for real accounts, so the journeys run offline
+// against the same OpenDota responses the demo mode serves (src/services/demo)
 export const TEST_PLAYERS = {
-  miracle: '105248644',    // Miracle- (Team Liquid)
-  n0tail: '19672354',      // N0tail (OG)
-  puppey: '87278757',      // Puppey (Team Secret)
-  dendi: '111620041',      // Dendi (Legend)
-  arteezy: '103940975',    // Arteezy (Evil Geniuses)
-  topson: '94054712',      // Topson (OG)
-  ana: '311360822',        // ana (OG)
-  sumail: '111620041',     // SumaiL
-  ramzes: '132851371',     // Ramzes666
-  resolution: '86799300'   // Resolution
+  miracle: DEMO_ACCOUNT_ID, // Demo Carry - main account, 100 recorded matches
+  n0tail: '4000000002',     // Ward Bot - duo partner
+  puppey: '4000000003',     // Divine Shield
+  dendi: '4000000004'       // Sleepy Courier
 };
 
-// Real API endpoint - using actual OpenDota API
-const OPENDOTA_BASE_URL = 'https://api.opendota.com/api';
+// The journeys render the whole app, which requests OpenDota through authService;
+// answer those from the recordings too so no test reaches the network
+authService.backends.opendota = authService.backends.demo;
 
-// Cache for API responses to avoid rate limiting during tests
+// Cache for responses, so repeated lookups return the same objects
 const apiCache = new Map();
 
 /**
- * Fetch real player data from OpenDota API
+ * Fetch player data from the demo recordings
  * @param {string} playerId - The player's account ID
- * @returns {Promise<Object>} Real player data
+ * @returns {Promise<Object>} Player data
  */
 export async function fetchRealPlayerData(playerId) {
   const cacheKey = `player-${playerId}`;
@@ -31,12 +30,7 @@ export async function fetchRealPlayerData(playerId) {
   }
 
   try {
-    const response = await fetch(`${OPENDOTA_BASE_URL}/players/${playerId}`);
-    if (!response.ok) {
-      throw new Error(`API responded with ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const data = await demoService.request(`/players/${playerId}`);
     apiCache.set(cacheKey, data);
     return data;
   } catch (error) {
@@ -46,10 +40,10 @@ export async function fetchRealPlayerData(playerId) {
 }
 
 /**
- * Fetch real match history from OpenDota API
+ * Fetch match history from the demo recordings
  * @param {string} playerId - The player's account ID
  * @param {number} limit - Number of matches to fetch (default: 20)
- * @returns {Promise<Array>} Real match data
+ * @returns {Promise<Array>} Match data
  */
 export async function fetchRealMatches(playerId, limit = 20) {
   const cacheKey = `matches-${playerId}-${limit}`;
@@ -59,12 +53,7 @@ export async function fetchRealMatches(playerId, limit = 20) {
   }
 
   try {
-    const response = await fetch(`${OPENDOTA_BASE_URL}/players/${playerId}/matches?limit=${limit}`);
-    if (!response.ok) {
-      throw new Error(`API responded with ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const data = await demoService.request(`/players/${playerId}/matches?limit=${limit}`);
     apiCache.set(cacheKey, data);
     return data;
   } catch (error) {
@@ -74,9 +63,9 @@ export async function fetchRealMatches(playerId, limit = 20) {
 }
 
 /**
- * Fetch real hero statistics from OpenDota API
+ * Fetch hero statistics from the demo recordings
  * @param {string} playerId - The player's account ID
- * @returns {Promise<Array>} Real hero statistics
+ * @returns {Promise<Array>} Hero statistics
  */
 export async function fetchRealHeroStats(playerId) {
   const cacheKey = `heroes-${playerId}`;
@@ -86,12 +75,7 @@ export async function fetchRealHeroStats(playerId) {
   }
 
   try {
-    const response = await fetch(`${OPENDOTA_BASE_URL}/players/${playerId}/heroes`);
-    if (!response.ok) {
-      throw new Error(`API responded with ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const data = await demoService.request(`/players/${playerId}/heroes`);
     apiCache.set(cacheKey, data);
     return data;
   } catch (error) {
@@ -101,9 +85,9 @@ export async function fetchRealHeroStats(playerId) {
 }
 
 /**
- * Fetch real win/loss data from OpenDota API
+ * Fetch win/loss data from the demo recordings
  * @param {string} playerId - The player's account ID
- * @returns {Promise<Object>} Real win/loss statistics
+ * @returns {Promise<Object>} Win/loss statistics
  */
 export async function fetchRealWinLoss(playerId) {
   const cacheKey = `winloss-${playerId}`;
@@ -113,12 +97,7 @@ export async function fetchRealWinLoss(playerId) {
   }
 
   try {
-    const response = await fetch(`${OPENDOTA_BASE_URL}/players/${playerId}/wl`);
-    if (!response.ok) {
-      throw new Error(`API responded with ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const data = await demoService.request(`/players/${playerId}/wl`);
     apiCache.set(cacheKey, data);
     return data;
   } catch (error) {
@@ -128,8 +107,8 @@ export async function fetchRealWinLoss(playerId) {
 }
 
 /**
- * Fetch real hero list from OpenDota API
- * @returns {Promise<Array>} Real hero data
+ * Fetch hero list from the demo recordings
+ * @returns {Promise<Array>} Hero data
  */
 export async function fetchRealHeroes() {
   const cacheKey = 'heroes-list';
@@ -139,12 +118,7 @@ export async function fetchRealHeroes() {
   }
 
   try {
-    const response = await fetch(`${OPENDOTA_BASE_URL}/heroes`);
-    if (!response.ok) {
-      throw new Error(`API responded with ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const data = await demoService.request(`/heroes`);
     apiCache.set(cacheKey, data);
     return data;
   } catch (error) {
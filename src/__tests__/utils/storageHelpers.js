@@ -0,0 +1,11 @@
+/**
+ * Back the localStorage stub from setup.js with a Map so values can be read back
+ * @returns {Map<string, string>} The backing store
+ */
+export function backStorageWithMemory() {
+  const store = new Map();
+  localStorage.getItem.mockImplementation(key => (store.has(key) ? store.get(key) : null));
+  localStorage.setItem.mockImplementation((key, value) => store.set(key, String(value)));
+  localStorage.removeItem.mockImplementation(key => store.delete(key));
+  return store;
+}
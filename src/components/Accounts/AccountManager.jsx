@@ -0,0 +1,100 @@
+import React from 'react';
+import { Modal, List, Avatar, Switch, Button, Tag, Typography, Popconfirm, Tooltip, Space } from 'antd';
+import { UserOutlined, DeleteOutlined, PlusOutlined, LinkOutlined } from '@ant-design/icons';
+import { useAuth } from '../../hooks/useAuth.js';
+
+const { Text } = Typography;
+
+const getAccountName = (account) => account.user?.personaName || account.user?.displayName || `Player ${account.accountId}`;
+
+export const AccountManager = ({ open, onClose }) => {
+  const {
+    user,
+    accounts,
+    combinedView,
+    switchAccount,
+    addAccount,
+    removeAccount,
+    setAccountLinked,
+    setCombinedView
+  } = useAuth();
+
+  const linkedCount = accounts.filter(account => account.linked && account.accountId !== String(user?.accountId)).length;
+
+  return (
+    <Modal
+      title="Accounts"
+      open={open}
+      onCancel={onClose}
+      footer={(
+        <Button
+          icon={<PlusOutlined />}
+          onClick={() => {
+            onClose();
+            addAccount();
+          }}
+        >
+          Add account
+        </Button>
+      )}
+    >
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <Text strong className="block">Combined match history</Text>
+          <Text type="secondary" className="text-xs">
+            Merges the linked accounts&apos; games into the Matches page ({linkedCount} linked)
+          </Text>
+        </div>
+        <Switch checked={combinedView} onChange={setCombinedView} />
+      </div>
+
+      <List
+        dataSource={accounts}
+        renderItem={(account) => {
+          const isActive = account.accountId === String(user?.accountId);
+          return (
+            <List.Item
+              actions={[
+                <Tooltip key="link" title="Include in the combined history">
+                  <Switch
+                    size="small"
+                    checkedChildren={<LinkOutlined />}
+                    checked={account.linked}
+                    onChange={linked => setAccountLinked(account.accountId, linked)}
+                  />
+                </Tooltip>,
+                <Popconfirm
+                  key="remove"
+                  title="Remove this account?"
+                  description="Its cached matches and rank history are deleted too."
+                  onConfirm={() => removeAccount(account.accountId)}
+                >
+                  <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+                </Popconfirm>
+              ]}
+            >
+              <List.Item.Meta
+                avatar={<Avatar src={account.user?.avatarMedium} icon={<UserOutlined />} />}
+                title={(
+                  <Space size="small">
+                    {isActive ? (
+                      <Text strong>{getAccountName(account)}</Text>
+                    ) : (
+                      <Button type="link" size="small" className="p-0" onClick={() => switchAccount(account.accountId)}>
+                        {getAccountName(account)}
+                      </Button>
+                    )}
+                    {isActive && <Tag color="cyan">Active</Tag>}
+                  </Space>
+                )}
+                description={<Text type="secondary" className="text-xs font-mono">ID {account.accountId}</Text>}
+              />
+            </List.Item>
+          );
+        }}
+      />
+    </Modal>
+  );
+};
+
+export default AccountManager;
@@ -34,6 +34,7 @@ import MMRProgressionWidget from './widgets/MMRProgressionWidget.jsx';
 import HeroPerformanceWidget from './widgets/HeroPerformanceWidget.jsx';
 import RecentMatchesWidget from './widgets/RecentMatchesWidget.jsx';
 import PerformanceMetricsWidget from './widgets/PerformanceMetricsWidget.jsx';
+import RoleAnalyticsWidget from './widgets/RoleAnalyticsWidget.jsx';
 
 const { Content } = Layout;
 const ResponsiveGridLayout = WidthProvider(Responsive);
@@ -45,6 +46,7 @@ const WIDGET_COMPONENTS = {
   'hero-stats': HeroPerformanceWidget,
   'recent-matches': RecentMatchesWidget,
   'performance-metrics': PerformanceMetricsWidget,
+  'role-analytics': RoleAnalyticsWidget,
 };
 
 // Mobile-optimized dashboard layouts for different breakpoints
@@ -107,7 +109,13 @@ const timeRangePresets = [
   { label: 'Last 3 Months', value: [new Date(Date.now() - 90 * 24 * 60 * 60 * 1000), new Date()] }
 ];
 
-const AntDashboard = ({ onMatchClick }) => {
+/**
+ * Widget dashboard for the player in the surrounding DataProvider
+ * @param {Object} props
+ * @param {Function} [props.onMatchClick] - Opens a match from the recent matches widget
+ * @param {boolean} [props.readOnly] - Someone else's profile: the saved layout is shown but never changed
+ */
+const AntDashboard = ({ onMatchClick, readOnly = false }) => {
   const { user: USER } = useContext(AuthContext);
   const { loading, recentMatches, winLoss, heroStats, ratings } = useData();
   const { message } = App.useApp();
@@ -142,12 +150,13 @@ const AntDashboard = ({ onMatchClick }) => {
 
   // Save layouts to localStorage with debounce
   useEffect(() => {
+    if (readOnly) return undefined;
     const timeoutId = setTimeout(() => {
       localStorage.setItem('dashboard-layouts', JSON.stringify(layouts));
     }, 1000);
     
     return () => clearTimeout(timeoutId);
-  }, [layouts]);
+  }, [layouts, readOnly]);
 
   // Save active widgets to localStorage
   const saveActiveWidgets = useCallback((widgets) => {
@@ -300,7 +309,24 @@ const AntDashboard = ({ onMatchClick }) => {
   const isLoading = loading.matches && loading.heroes && loading.ratings && loading.winLoss;
 
   // Dashboard toolbar
-  const DashboardToolbar = () => (
+  const DashboardToolbar = () => readOnly ? (
+    <div className="bg-gray-900/90 backdrop-blur-sm border-b border-gray-700 px-6 py-4">
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <DatePicker.RangePicker 
+          presets={timeRangePresets}
+          value={timeRange}
+          onChange={setTimeRange}
+          placeholder={['Start Date', 'End Date']}
+        />
+        <Tooltip title={isFullscreen ? "Exit Fullscreen" : "Fullscreen"}>
+          <Button 
+            icon={isFullscreen ? <FullscreenExitOutlined /> : <FullscreenOutlined />} 
+            onClick={toggleFullscreen}
+          />
+        </Tooltip>
+      </div>
+    </div>
+  ) : (
     <div className="bg-gray-900/90 backdrop-blur-sm border-b border-gray-700 px-6 py-4">
       <div className="flex items-center justify-between flex-wrap gap-4">
         <Space size="middle" wrap>
@@ -410,8 +436,8 @@ const AntDashboard = ({ onMatchClick }) => {
               containerPadding={[utils.getSpacing('compact'), utils.getSpacing('compact')]}
               resizeHandles={device.type === 'mobile' ? [] : ['se']} // No resize on mobile
               allowOverlap={false}
-              isDraggable={!device.touchCapable} // Disable dragging on touch devices
-              isResizable={device.type !== 'mobile'} // Disable resizing on mobile
+              isDraggable={!readOnly && !device.touchCapable} // Disable dragging on touch devices
+              isResizable={!readOnly && device.type !== 'mobile'} // Disable resizing on mobile
             >
               {activeWidgetConfigs.map(({ id, component: WidgetComponent, config }) => (
                 <div key={id} className="dashboard-widget">
@@ -422,7 +448,7 @@ const AntDashboard = ({ onMatchClick }) => {
                     component={WidgetComponent}
                     loading={loading.matches || loading.heroes || loading.ratings}
                     onRefresh={handleWidgetRefresh}
-                    onRemove={handleWidgetRemove}
+                    onRemove={readOnly ? undefined : handleWidgetRemove}
                     onFullscreen={handleWidgetFullscreen}
                     isFullscreen={fullscreenWidget === id}
                     className={fullscreenWidget === id ? 'z-50' : ''}
@@ -434,7 +460,7 @@ const AntDashboard = ({ onMatchClick }) => {
             </ResponsiveGridLayout>
 
             {/* Empty state */}
-            {activeWidgets.length === 0 && (
+            {activeWidgets.length === 0 && !readOnly && (
               <div className="h-96 flex items-center justify-center text-center">
                 <Space direction="vertical" size="large">
                   <DashboardOutlined style={{ fontSize: '64px', color: '#00d9ff' }} />
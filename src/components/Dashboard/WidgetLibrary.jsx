@@ -64,12 +64,11 @@ export const WIDGET_DEFINITIONS = [
   {
     id: 'role-analytics',
     title: 'Role Analytics',
-    description: 'Analyze your performance across different roles and positions',
+    description: 'Win rate and benchmarks for each position you play, from carry to hard support',
     icon: <RadarChartOutlined style={{ fontSize: '32px', color: gamingColors.electric.orange }} />,
     category: 'analytics',
     tags: ['roles', 'positions', 'analysis'],
-    preview: '/widget-previews/role-analytics.png',
-    comingSoon: true
+    preview: '/widget-previews/role-analytics.png'
   }
 ];
 
@@ -1,153 +1,164 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { Line } from '@ant-design/plots';
-import { Space, Typography, Empty, Spin, Select, Card } from 'antd';
-import { RiseOutlined, FallOutlined, TrophyOutlined } from '@ant-design/icons';
+import { Space, Typography, Empty, Spin, Button, Popover, InputNumber, DatePicker, Input, List, Tag, App } from 'antd';
+import { RiseOutlined, FallOutlined, TrophyOutlined, PlusOutlined, DeleteOutlined } from '@ant-design/icons';
 import { useData } from '../../../contexts/DataContext.jsx';
 import { gamingColors } from '../../../theme/antdTheme.js';
 import { getRankIcon, getItemIcon } from '../../../utils/assetHelpers.js';
+import { formatDate, formatDateTime } from '../../../utils/dataTransforms.js';
+import { SOURCE_LABELS } from '../../../utils/rankHistory.js';
 
 const { Title, Text } = Typography;
 
+// Points shown when no time range is selected
+const DEFAULT_POINTS = 50;
+
+const SERIES_COLORS = [gamingColors.electric.cyan, gamingColors.electric.green];
+
+// Manual MMR entry, for players whose MMR the API no longer exposes
+const CheckpointPanel = ({ checkpoints, onAdd, onRemove }) => {
+  const { message } = App.useApp();
+  const [mmr, setMmr] = useState(null);
+  const [date, setDate] = useState(null);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleAdd = async () => {
+    setSaving(true);
+    try {
+      await onAdd({ mmr, note, ...(date ? { time: date.unix() } : {}) });
+      setMmr(null);
+      setDate(null);
+      setNote('');
+    } catch (error) {
+      message.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ width: 260 }}>
+      <Space direction="vertical" size="small" className="w-full">
+        <InputNumber
+          placeholder="MMR"
+          min={1}
+          max={15000}
+          value={mmr}
+          onChange={setMmr}
+          className="w-full"
+        />
+        <DatePicker
+          showTime
+          placeholder="When (defaults to now)"
+          value={date}
+          onChange={setDate}
+          className="w-full"
+        />
+        <Input placeholder="Note" value={note} onChange={(e) => setNote(e.target.value)} />
+        <Button type="primary" block icon={<PlusOutlined />} disabled={!mmr} loading={saving} onClick={handleAdd}>
+          Add checkpoint
+        </Button>
+      </Space>
+      {checkpoints.length > 0 && (
+        <List
+          size="small"
+          className="mt-2"
+          dataSource={[...checkpoints].reverse()}
+          renderItem={(checkpoint) => (
+            <List.Item
+              actions={[
+                <Button key="remove" type="text" size="small" icon={<DeleteOutlined />} onClick={() => onRemove(checkpoint.id)} />
+              ]}
+            >
+              <Text className="text-xs">
+                {checkpoint.mmr} • {formatDate(checkpoint.time)}{checkpoint.note ? ` • ${checkpoint.note}` : ''}
+              </Text>
+            </List.Item>
+          )}
+        />
+      )}
+    </div>
+  );
+};
+
 export const MMRProgressionWidget = ({ timeRange }) => {
-  const { user, recentMatches, loading } = useData();
-  const [selectedQueue, SETSELECTEDQUEUE] = React.useState('estimated');
-
-  // Calculate estimated MMR from recent matches
-  const mmrData = useMemo(() => {
-    if (!recentMatches || recentMatches.length === 0) return [];
-    
-    // Get base MMR from user profile or default
-    const baseMmr = user?.solo_competitive_rank || user?.competitive_rank || user?.mmr_estimate?.estimate || 2500;
-    
-    // Calculate MMR changes from recent matches (newest first)
-    const sortedMatches = [...recentMatches].sort((a, b) => b.start_time - a.start_time).slice(0, 20);
-    
-    let currentMmr = baseMmr;
-    const mmrHistory = [];
-    
-    // Work backwards through matches to calculate MMR progression
-    sortedMatches.reverse().forEach((match, index) => {
-      const date = new Date(match.start_time * 1000);
-      const isWin = match.radiant_win === (match.player_slot < 128);
-      const mmrChange = isWin ? 25 : -25; // Standard MMR change
-      
-      mmrHistory.push({
-        date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        timestamp: match.start_time,
-        estimated: currentMmr,
-        change: index === 0 ? 0 : mmrChange,
-        match_id: match.match_id,
-        isWin
-      });
-      
-      currentMmr += mmrChange;
-    });
-    
-    // Apply time range filter if provided
+  const { mmrTimeline, rankHistory, profile, readOnly, addRankCheckpoint, removeRankCheckpoint, loading } = useData();
+
+  // Confirmed points drawn solid on top of the dashed per-game estimate
+  const points = useMemo(() => {
     if (timeRange && timeRange.length === 2) {
       const [start, end] = timeRange;
-      return mmrHistory.filter(item => {
-        const date = new Date(item.timestamp * 1000);
+      return mmrTimeline.filter(point => {
+        const date = new Date(point.time * 1000);
         return date >= start && date <= end;
       });
     }
-    
-    return mmrHistory;
-  }, [recentMatches, user, timeRange]);
+    return mmrTimeline.slice(-DEFAULT_POINTS);
+  }, [mmrTimeline, timeRange]);
 
-  const config = useMemo(() => ({
-    data: mmrData,
+  const chartData = useMemo(() => [
+    ...points.map(point => ({ ...point, date: new Date(point.time * 1000), series: 'Estimated' })),
+    ...points
+      .filter(point => point.kind === 'confirmed')
+      .map(point => ({ ...point, date: new Date(point.time * 1000), series: 'Confirmed' }))
+  ], [points]);
+
+  const config = {
+    data: chartData,
     xField: 'date',
-    yField: selectedQueue,
-    smooth: true,
-    lineStyle: {
-      lineWidth: 3,
-    },
-    color: gamingColors.electric.cyan,
-    areaStyle: {
-      fill: `l(270) 0:${gamingColors.electric.cyan}00 0.5:${gamingColors.electric.cyan}40 1:${gamingColors.electric.cyan}80`,
+    yField: 'mmr',
+    colorField: 'series',
+    scale: { color: { domain: ['Estimated', 'Confirmed'], range: SERIES_COLORS } },
+    style: {
+      lineWidth: 2,
+      lineDash: (data) => ((Array.isArray(data) ? data[0] : data)?.series === 'Estimated' ? [4, 4] : [0, 0])
     },
-    xAxis: {
-      label: {
-        style: {
-          fill: gamingColors.text.secondary,
-          fontSize: 10,
-        },
-        autoRotate: true,
-      },
-      line: {
-        style: {
-          stroke: gamingColors.border,
-        },
-      },
-    },
-    yAxis: {
-      label: {
-        style: {
-          fill: gamingColors.text.secondary,
-          fontSize: 10,
-        },
-      },
-      grid: {
-        line: {
-          style: {
-            stroke: gamingColors.border,
-            lineDash: [4, 4],
-            opacity: 0.3,
-          },
-        },
-      },
+    point: { sizeField: 2 },
+    axis: {
+      x: { labelFill: gamingColors.text.secondary },
+      y: { labelFill: gamingColors.text.secondary }
     },
     tooltip: {
-      showTitle: true,
-      title: (title) => `${title}`,
-      customContent: (title, items) => {
-        if (!items?.length) return null;
-        const data = items[0]?.data || {};
-        const value = data[selectedQueue] || 0;
-        const change = data.change || 0;
-        
-        return (
-          <div className="bg-gray-800 p-3 rounded-lg border border-gray-700">
-            <div className="text-xs text-gray-400 mb-1">{title}</div>
-            <div className="text-lg font-bold text-white">{Math.round(value)} MMR</div>
-            {change !== 0 && (
-              <div className={`text-sm ${change > 0 ? 'text-green-400' : 'text-red-400'}`}>
-                {change > 0 ? '+' : ''}{change} from match
-              </div>
-            )}
-            <div className="text-xs text-gray-500 mt-1">
-              {data.isWin ? 'Victory' : 'Defeat'}
-            </div>
-          </div>
-        );
-      },
-    },
-    theme: 'dark',
-    animation: {
-      appear: {
-        animation: 'path-in',
-        duration: 1000,
-      },
+      title: (d) => formatDateTime(d.time),
+      items: [(d) => ({ name: SOURCE_LABELS[d.source], value: `${d.mmr} MMR` })]
     },
-  }), [mmrData, selectedQueue]);
-
-  const calculateMMRChange = useMemo(() => {
-    if (mmrData.length < 2) return { change: 0, trend: 'stable', current: 0 };
-    
-    const latest = mmrData[mmrData.length - 1]?.[selectedQueue] || 0;
-    const first = mmrData[0]?.[selectedQueue] || 0;
-    const change = latest - first;
-    
+    theme: 'dark'
+  };
+
+  const summary = useMemo(() => {
+    if (points.length === 0) return null;
+    const first = points[0];
+    const latest = points[points.length - 1];
+    const change = latest.mmr - first.mmr;
     return {
+      current: latest.mmr,
       change,
       trend: change > 0 ? 'up' : change < 0 ? 'down' : 'stable',
-      percentage: first > 0 ? ((change / first) * 100).toFixed(2) : 0,
-      current: Math.round(latest)
+      estimated: latest.kind === 'estimated' || first.kind === 'estimated',
+      confirmed: points.filter(point => point.kind === 'confirmed').length
     };
-  }, [mmrData, selectedQueue]);
+  }, [points]);
 
-  if (loading.matches) {
+  // Checkpoints only make sense for the account you play on
+  const addCheckpoint = !readOnly && (
+    <Popover
+      trigger="click"
+      placement="bottomRight"
+      title="MMR checkpoint"
+      content={(
+        <CheckpointPanel
+          checkpoints={rankHistory?.checkpoints || []}
+          onAdd={addRankCheckpoint}
+          onRemove={removeRankCheckpoint}
+        />
+      )}
+    >
+      <Button size="small" type="text" icon={<PlusOutlined />} className="text-gray-400" />
+    </Popover>
+  );
+
+  if (loading.matches && !mmrTimeline.length) {
     return (
       <div className="h-full flex items-center justify-center">
         <Spin size="large" />
@@ -161,10 +172,10 @@ export const MMRProgressionWidget = ({ timeRange }) => {
       <div className="flex justify-between items-center mb-3">
         <div>
           <div className="flex items-center space-x-2 mb-1">
-            <img 
-              src={getItemIcon('aegis')} 
-              alt="MMR Progression" 
-              className="w-4 h-4" 
+            <img
+              src={getItemIcon('aegis')}
+              alt="MMR Progression"
+              className="w-4 h-4"
               onError={(e) => { e.target.style.display = 'none'; }}
             />
             <Title level={5} className="text-white m-0" style={{ fontSize: '14px' }}>
@@ -172,60 +183,69 @@ export const MMRProgressionWidget = ({ timeRange }) => {
             </Title>
           </div>
           <Text type="secondary" style={{ fontSize: '10px' }} className="uppercase tracking-wider">
-            Estimated from match history
+            Solid: confirmed • Dashed: estimated per game
           </Text>
         </div>
-        
+
         <Space size="small">
-          {calculateMMRChange.current > 0 && (
+          {summary && (
             <div className="text-right">
               <div className="flex items-center">
-                <img 
-                  src={getRankIcon(user?.rank_tier || Math.floor(calculateMMRChange.current / 100))} 
-                  alt="Current Rank" 
-                  className="w-4 h-4 mr-1" 
-                  onError={(e) => { e.target.style.display = 'none'; }}
-                />
+                {profile?.rank_tier && (
+                  <img
+                    src={getRankIcon(profile.rank_tier)}
+                    alt="Current Rank"
+                    className="w-4 h-4 mr-1"
+                    onError={(e) => { e.target.style.display = 'none'; }}
+                  />
+                )}
                 <TrophyOutlined className="mr-1 text-cyan-400" />
                 <span className="font-bold text-white">
-                  {calculateMMRChange.current}
+                  {summary.estimated ? '~' : ''}{summary.current}
                 </span>
               </div>
               <Text type="secondary" style={{ fontSize: '10px' }}>
-                Current MMR
+                {points[points.length - 1].kind === 'confirmed' ? 'Current MMR' : 'Estimated MMR'}
               </Text>
             </div>
           )}
-          
-          {calculateMMRChange.change !== 0 && (
+
+          {summary && summary.change !== 0 && (
             <div className="text-right">
-              <div className={`flex items-center ${calculateMMRChange.trend === 'up' ? 'text-green-400' : 'text-red-400'}`}>
-                <img 
-                  src={getItemIcon(calculateMMRChange.trend === 'up' ? 'abyssal_blade' : 'smoke_of_deceit')} 
-                  alt={calculateMMRChange.trend === 'up' ? 'MMR Gain' : 'MMR Loss'} 
-                  className="w-3 h-3 mr-1" 
+              <div className={`flex items-center ${summary.trend === 'up' ? 'text-green-400' : 'text-red-400'}`}>
+                <img
+                  src={getItemIcon(summary.trend === 'up' ? 'abyssal_blade' : 'smoke_of_deceit')}
+                  alt={summary.trend === 'up' ? 'MMR Gain' : 'MMR Loss'}
+                  className="w-3 h-3 mr-1"
                   onError={(e) => { e.target.style.display = 'none'; }}
                 />
-                {calculateMMRChange.trend === 'up' ? <RiseOutlined /> : <FallOutlined />}
+                {summary.trend === 'up' ? <RiseOutlined /> : <FallOutlined />}
                 <span className="ml-1 font-bold text-sm">
-                  {calculateMMRChange.change > 0 ? '+' : ''}{calculateMMRChange.change}
+                  {summary.change > 0 ? '+' : ''}{summary.change}
                 </span>
               </div>
               <Text type="secondary" style={{ fontSize: '10px' }}>
-                Last {mmrData.length} games
+                {summary.confirmed} confirmed of {points.length} points
               </Text>
             </div>
           )}
+
+          {addCheckpoint}
         </Space>
       </div>
 
       {/* Chart */}
       <div className="flex-1 min-h-0">
-        {mmrData.length > 0 ? (
+        {points.length > 0 ? (
           <Line {...config} />
         ) : (
           <Empty
-            description="Play some matches to see MMR progression"
+            description={(
+              <Space direction="vertical" size={4}>
+                <Text type="secondary">No confirmed MMR yet</Text>
+                {!readOnly && <Tag color="default">Add a checkpoint with the MMR from your Dota client</Tag>}
+              </Space>
+            )}
             className="h-full flex flex-col justify-center"
           />
         )}
@@ -234,4 +254,4 @@ export const MMRProgressionWidget = ({ timeRange }) => {
   );
 };
 
-export default MMRProgressionWidget;
\ No newline at end of file
+export default MMRProgressionWidget;
@@ -11,13 +11,15 @@ import {
 import { useData } from '../../../contexts/DataContext.jsx';
 import { AuthContext } from '../../../contexts/AuthContext.js';
 import { calculateCoreMetrics } from '../../../utils/dataTransforms.js';
+import { gradeMatches, getBracket } from '../../../utils/grading.js';
+import { useGradingData } from '../../../hooks/useGradingData.js';
 import { gamingColors } from '../../../theme/antdTheme.js';
 import { getRankIcon, getItemIcon } from '../../../utils/assetHelpers.js';
 
 const { Title, Text } = Typography;
 
 export const PerformanceMetricsWidget = () => {
-  const { recentMatches, winLoss, loading, user: dataUser } = useData();
+  const { recentMatches, winLoss, heroMap, loading, user: dataUser } = useData();
   const { user } = React.useContext(AuthContext);
   
   // Get rank tier from data context user or auth context user
@@ -48,23 +50,18 @@ export const PerformanceMetricsWidget = () => {
     return gamingColors.electric.cyan;
   };
 
-  const calculatePerformanceScore = useMemo(() => {
-    if (!recentMatches || recentMatches.length === 0) return 0;
-    
-    const recent10 = recentMatches.slice(0, 10);
-    const wins = recent10.filter(match => 
-      match.radiant_win === (match.player_slot < 128)
-    ).length;
-    const winRate = (wins / recent10.length) * 100;
-    
-    const avgKDA = recent10.reduce((acc, match) => {
-      return acc + ((match.kills + match.assists) / Math.max(match.deaths, 1));
-    }, 0) / recent10.length;
-    
-    // Simple performance score calculation
-    const score = (winRate * 0.6) + (Math.min(avgKDA * 10, 40));
-    return Math.min(100, Math.round(score));
-  }, [recentMatches]);
+  // Last 10 games graded against hero benchmarks and the bracket win rates of the heroes played
+  const recent10 = useMemo(() => (recentMatches || []).slice(0, 10), [recentMatches]);
+  const { benchmarksByHero, heroStats: globalHeroStats } = useGradingData(recent10.map(match => match.hero_id));
+
+  const performanceGrade = useMemo(() => gradeMatches(recent10, {
+    benchmarksByHero,
+    heroStats: globalHeroStats,
+    bracket: getBracket(rankTier),
+    heroNames: Object.fromEntries(Object.values(heroMap || {}).map(hero => [hero.id, hero.localized_name]))
+  }), [recent10, benchmarksByHero, globalHeroStats, rankTier, heroMap]);
+
+  const calculatePerformanceScore = Math.round(performanceGrade.score ?? 0);
 
   return (
     <div className="h-full">
@@ -145,7 +142,7 @@ export const PerformanceMetricsWidget = () => {
               </Title>
             </div>
             <Text type="secondary">
-              Based on last 10 games
+              {performanceGrade.grade ? `Grade ${performanceGrade.grade} • ` : ''}Based on last 10 games
             </Text>
           </div>
           
@@ -172,12 +169,9 @@ export const PerformanceMetricsWidget = () => {
           />
           
           <div className="mt-4 text-center">
-            <Text type="secondary">
-              {calculatePerformanceScore >= 80 ? 'Excellent performance! Keep it up!' :
-               calculatePerformanceScore >= 60 ? 'Good performance, room for improvement.' :
-               calculatePerformanceScore >= 40 ? 'Average performance, focus on fundamentals.' :
-               'Need improvement, analyze your gameplay.'}
-            </Text>
+            {performanceGrade.explanation.map(line => (
+              <Text type="secondary" className="block text-xs" key={line}>{line}</Text>
+            ))}
           </div>
         </Card>
       </div>
@@ -0,0 +1,120 @@
+import React, { useMemo } from 'react';
+import { Table, Tag, Space, Typography, Empty, Spin, Progress, Tooltip } from 'antd';
+import { useData } from '../../../contexts/DataContext.jsx';
+import { summarizePositions, POSITION_METRICS } from '../../../utils/roles.js';
+import { gamingColors } from '../../../theme/antdTheme.js';
+
+const { Title, Text } = Typography;
+
+const getWinRateColor = (winRate) => {
+  if (winRate >= 60) return gamingColors.performance.excellent;
+  if (winRate >= 52) return gamingColors.performance.good;
+  if (winRate >= 48) return gamingColors.performance.average;
+  if (winRate >= 40) return gamingColors.performance.poor;
+  return gamingColors.performance.terrible;
+};
+
+// Average as a fraction of the position benchmark
+const getRatioColor = (ratio) => {
+  if (ratio >= 1.1) return gamingColors.performance.excellent;
+  if (ratio >= 0.95) return gamingColors.performance.good;
+  if (ratio >= 0.8) return gamingColors.performance.average;
+  return gamingColors.performance.poor;
+};
+
+export const RoleAnalyticsWidget = () => {
+  const { matchHistory, recentMatches, loading } = useData();
+  const matches = matchHistory || recentMatches;
+
+  const positions = useMemo(() => summarizePositions(matches), [matches]);
+  const classified = positions.reduce((sum, position) => sum + position.games, 0);
+
+  const columns = [
+    {
+      title: 'Position',
+      key: 'position',
+      render: (_, row) => (
+        <div>
+          <Text strong className="text-white block">Pos {row.position} • {row.name}</Text>
+          <Progress
+            percent={Math.round(row.share)}
+            size="small"
+            showInfo={false}
+            strokeColor={gamingColors.electric.cyan}
+            trailColor="#262626"
+          />
+          <Text type="secondary" className="text-xs">{row.games} games ({row.share.toFixed(0)}%)</Text>
+        </div>
+      )
+    },
+    {
+      title: 'Win Rate',
+      dataIndex: 'winRate',
+      key: 'winRate',
+      align: 'center',
+      render: (winRate) => winRate === null ? <Text type="secondary">-</Text> : (
+        <Tag color={getWinRateColor(winRate)} className="font-bold min-w-[60px] text-center">
+          {winRate.toFixed(0)}%
+        </Tag>
+      )
+    },
+    ...POSITION_METRICS.map(metric => ({
+      title: metric.label,
+      key: metric.key,
+      align: 'center',
+      render: (_, row) => {
+        const entry = row.metrics.find(m => m.key === metric.key);
+        if (entry.value === null) return <Text type="secondary">-</Text>;
+        return (
+          <Tooltip title={`Typical for pos ${row.position}: ${entry.benchmark}`}>
+            <span className="font-mono font-bold" style={{ color: getRatioColor(entry.ratio) }}>
+              {entry.value.toFixed(metric.key === 'gold_per_min' || metric.key === 'xp_per_min' ? 0 : 1)}
+            </span>
+          </Tooltip>
+        );
+      }
+    }))
+  ];
+
+  if (loading.matches && !matches) {
+    return (
+      <div className="flex justify-center items-center h-full">
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="mb-4">
+        <Title level={5} className="text-white m-0" style={{ fontSize: '14px' }}>
+          ROLE ANALYTICS
+        </Title>
+        <Text type="secondary" className="uppercase tracking-wider" style={{ fontSize: '10px' }}>
+          Win rate and benchmarks per position
+        </Text>
+      </div>
+
+      {classified === 0 ? (
+        <Empty description="No matches with a known lane yet" />
+      ) : (
+        <div className="flex-1 overflow-auto">
+          <Space direction="vertical" size={4} className="w-full">
+            <Table
+              columns={columns}
+              dataSource={positions.filter(position => position.games > 0)}
+              rowKey="position"
+              pagination={false}
+              size="small"
+            />
+            <Text type="secondary" className="text-xs">
+              Based on {classified} of {matches.length} matches • colors compare against a typical game in the role
+            </Text>
+          </Space>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoleAnalyticsWidget;
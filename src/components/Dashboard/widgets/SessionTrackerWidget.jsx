@@ -4,112 +4,45 @@ import { FireOutlined, TrophyOutlined, ClockCircleOutlined, AimOutlined } from '
 // import { motion } from 'framer-motion';
 import { useData } from '../../../contexts/DataContext.jsx';
 import { getItemIcon, getRuneIcon } from '../../../utils/assetHelpers.js';
-import { calculateTodaySession } from '../../../utils/dataTransforms.js';
+import { calculateCurrentSession, getTiltLevel } from '../../../utils/sessions.js';
+import { useSessionSettings } from '../../../hooks/useSessionSettings.js';
 import { MMRCounter, SessionStatus, TiltMeter } from '../../Gaming/index.jsx';
 import { gamingColors } from '../../../theme/antdTheme.js';
 
 const { Title, Text } = Typography;
 
 export const SessionTrackerWidget = () => {
-  const { recentMatches, loading } = useData();
+  const { recentMatches, matchHistory, mmrTimeline, loading } = useData();
+  const [sessionSettings] = useSessionSettings();
 
-  // Calculate today's session data using existing utility
-  const todaySession = useMemo(() => {
-    if (!recentMatches || recentMatches.length === 0) {
-      return { 
-        wins: 0, 
-        losses: 0, 
-        mmrChange: 0, 
-        currentStreak: 0, 
-        gamesPlayed: 0,
-        winRate: 0,
-        averageKDA: 0,
-        averageDuration: 0
-      };
-    }
-    
-    const sessionData = calculateTodaySession(recentMatches);
-    
-    // Calculate additional metrics
-    const gamesPlayed = sessionData.wins + sessionData.losses;
-    const winRate = gamesPlayed > 0 ? (sessionData.wins / gamesPlayed) * 100 : 0;
-    
-    // Calculate average KDA and duration for today's games
-    const todayGames = recentMatches.slice(0, gamesPlayed);
-    const avgKDA = todayGames.length > 0 ? 
-      todayGames.reduce((acc, match) => {
-        const kda = (match.kills + match.assists) / Math.max(match.deaths, 1);
-        return acc + kda;
-      }, 0) / todayGames.length : 0;
-    
-    const avgDuration = todayGames.length > 0 ?
-      todayGames.reduce((acc, match) => acc + (match.duration || 0), 0) / todayGames.length / 60 : 0;
-
-    return {
-      ...sessionData,
-      gamesPlayed,
-      winRate,
-      averageKDA: avgKDA,
-      averageDuration: avgDuration
-    };
-  }, [recentMatches]);
+  // Sessions are split on idle gaps, so prefer the full history over the 20 recent matches
+  const session = useMemo(() => {
+    const matches = matchHistory?.length ? matchHistory : recentMatches;
+    return calculateCurrentSession(matches, mmrTimeline, sessionSettings);
+  }, [recentMatches, matchHistory, mmrTimeline, sessionSettings]);
 
-  // Calculate tilt level based on recent performance
+  // Tilt after the latest game of the session, or over the last few games outside one
   const tiltLevel = useMemo(() => {
+    if (session.tilt.length > 0) return session.tilt[session.tilt.length - 1];
     if (!recentMatches || recentMatches.length < 3) {
       return { level: 50, status: 'neutral', message: 'Not enough data' };
     }
-
-    const recent5 = recentMatches.slice(0, 5);
-    const winRate = recent5.filter(match => 
-      match.radiant_win === (match.player_slot < 128)
-    ).length / recent5.length;
-    
-    const avgKDA = recent5.reduce((acc, match) => {
-      const kda = (match.kills + match.assists) / Math.max(match.deaths, 1);
-      return acc + kda;
-    }, 0) / recent5.length;
-
-    // Simple tilt calculation
-    let tiltScore = 50;
-    tiltScore += (winRate - 0.5) * 60; // Win rate impact
-    tiltScore += Math.min((avgKDA - 2) * 15, 20); // KDA impact (capped)
-    tiltScore = Math.max(0, Math.min(100, tiltScore));
-
-    let status, message;
-    if (tiltScore >= 80) {
-      status = 'flow';
-      message = 'In the zone! Keep playing!';
-    } else if (tiltScore >= 60) {
-      status = 'good';
-      message = 'Playing well, maintain focus';
-    } else if (tiltScore >= 40) {
-      status = 'neutral';
-      message = 'Stable performance';
-    } else if (tiltScore >= 20) {
-      status = 'warning';
-      message = 'Consider taking a break';
-    } else {
-      status = 'danger';
-      message = 'Stop playing now!';
-    }
-
-    return { level: Math.round(tiltScore), status, message };
-  }, [recentMatches]);
+    return getTiltLevel(recentMatches.slice(0, 5));
+  }, [session, recentMatches]);
 
   const getAlertType = () => {
-    if (todaySession.currentStreak >= 3) return 'success';
-    if (todaySession.currentStreak <= -3) return 'error';
-    if (todaySession.winRate >= 70) return 'success';
-    if (todaySession.winRate <= 30) return 'warning';
+    if (session.currentStreak >= 3) return 'success';
+    if (session.currentStreak <= -3) return 'error';
+    if (session.winRate >= 70) return 'success';
+    if (session.winRate <= 30) return 'warning';
     return 'info';
   };
 
   const getAlertMessage = () => {
-    if (todaySession.currentStreak >= 3) return `${todaySession.currentStreak} game win streak! You're on fire!`;
-    if (todaySession.currentStreak <= -3) return `${Math.abs(todaySession.currentStreak)} game loss streak. Consider taking a break.`;
-    if (todaySession.winRate >= 70) return 'Excellent win rate today! Keep it up!';
-    if (todaySession.winRate <= 30) return 'Tough session. Focus on fundamentals.';
+    if (session.currentStreak >= 3) return `${session.currentStreak} game win streak! You're on fire!`;
+    if (session.currentStreak <= -3) return `${Math.abs(session.currentStreak)} game loss streak. Consider taking a break.`;
+    if (session.winRate >= 70) return 'Excellent win rate today! Keep it up!';
+    if (session.winRate <= 30) return 'Tough session. Focus on fundamentals.';
     return 'Balanced session. Stay focused!';
   };
 
@@ -132,7 +65,7 @@ export const SessionTrackerWidget = () => {
           SESSION TRACKER
         </Title>
         <Text type="secondary" className="uppercase tracking-wider" style={{ fontSize: '10px' }}>
-          Today's Performance
+          {session.active ? 'Current session' : `New session after ${sessionSettings.idleMinutes} min idle`}
         </Text>
       </div>
 
@@ -141,9 +74,9 @@ export const SessionTrackerWidget = () => {
         <Col span={8}>
           <div className="text-center">
             <MMRCounter
-              value={todaySession.mmrChange}
-              prefix={todaySession.mmrChange > 0 ? '+' : ''}
-              trend={todaySession.mmrChange > 0 ? 'up' : todaySession.mmrChange < 0 ? 'down' : null}
+              value={session.mmrChange ?? '-'}
+              prefix={`${session.mmrEstimated ? '~' : ''}${session.mmrChange > 0 ? '+' : ''}`}
+              trend={session.mmrChange > 0 ? 'up' : session.mmrChange < 0 ? 'down' : null}
             />
           </div>
         </Col>
@@ -152,12 +85,12 @@ export const SessionTrackerWidget = () => {
           <div className="text-center">
             <Statistic
               title="Win Rate"
-              value={todaySession.winRate}
+              value={session.winRate}
               suffix="%"
               precision={1}
               valueStyle={{ 
-                color: todaySession.winRate >= 60 ? gamingColors.electric.green : 
-                       todaySession.winRate <= 40 ? gamingColors.electric.red : 
+                color: session.winRate >= 60 ? gamingColors.electric.green : 
+                       session.winRate <= 40 ? gamingColors.electric.red : 
                        gamingColors.electric.cyan,
                 fontFamily: "'JetBrains Mono', monospace"
               }}
@@ -189,16 +122,16 @@ export const SessionTrackerWidget = () => {
             <Text strong className="text-white">Session Progress</Text>
           </div>
           <Space>
-            <Tag color="success">{todaySession.wins}W</Tag>
-            <Tag color="error">{todaySession.losses}L</Tag>
+            <Tag color="success">{session.wins}W</Tag>
+            <Tag color="error">{session.losses}L</Tag>
           </Space>
         </div>
         
         <Progress
-          percent={todaySession.winRate}
+          percent={session.winRate}
           strokeColor={{
-            '0%': todaySession.winRate >= 60 ? gamingColors.electric.green : gamingColors.electric.red,
-            '100%': todaySession.winRate >= 60 ? gamingColors.performance.excellent : gamingColors.performance.terrible,
+            '0%': session.winRate >= 60 ? gamingColors.electric.green : gamingColors.electric.red,
+            '100%': session.winRate >= 60 ? gamingColors.performance.excellent : gamingColors.performance.terrible,
           }}
           format={(percent) => `${percent?.toFixed(1)}% WR`}
           className="mb-2"
@@ -218,11 +151,11 @@ export const SessionTrackerWidget = () => {
           </div>
           <Statistic
             title="Avg KDA"
-            value={todaySession.averageKDA}
+            value={session.averageKDA}
             precision={2}
             valueStyle={{ 
               fontSize: '14px',
-              color: todaySession.averageKDA >= 2 ? gamingColors.electric.green : gamingColors.electric.cyan
+              color: session.averageKDA >= 2 ? gamingColors.electric.green : gamingColors.electric.cyan
             }}
           />
         </Col>
@@ -237,7 +170,7 @@ export const SessionTrackerWidget = () => {
           </div>
           <Statistic
             title="Avg Duration"
-            value={todaySession.averageDuration}
+            value={session.averageDuration}
             suffix="min"
             precision={0}
             valueStyle={{ 
@@ -249,18 +182,18 @@ export const SessionTrackerWidget = () => {
       </Row>
 
       {/* Streak Status */}
-      {todaySession.currentStreak !== 0 && (
+      {session.currentStreak !== 0 && (
         <div className="text-center">
           <Space>
             <img 
-              src={getRuneIcon(todaySession.currentStreak > 0 ? 'double_damage' : 'regeneration')} 
+              src={getRuneIcon(session.currentStreak > 0 ? 'double_damage' : 'regeneration')} 
               alt="Streak" 
               className="w-4 h-4" 
               onError={(e) => { e.target.style.display = 'none'; }}
             />
             <FireOutlined 
               style={{ 
-                color: todaySession.currentStreak > 0 ? 
+                color: session.currentStreak > 0 ? 
                   gamingColors.electric.green : 
                   gamingColors.electric.red 
               }} 
@@ -268,12 +201,12 @@ export const SessionTrackerWidget = () => {
             <Text 
               strong 
               style={{ 
-                color: todaySession.currentStreak > 0 ? 
+                color: session.currentStreak > 0 ? 
                   gamingColors.electric.green : 
                   gamingColors.electric.red 
               }}
             >
-              {Math.abs(todaySession.currentStreak)} Game {todaySession.currentStreak > 0 ? 'Win' : 'Loss'} Streak
+              {Math.abs(session.currentStreak)} Game {session.currentStreak > 0 ? 'Win' : 'Loss'} Streak
             </Text>
           </Space>
         </div>
@@ -284,18 +217,18 @@ export const SessionTrackerWidget = () => {
         message={getAlertMessage()}
         type={getAlertType()}
         showIcon
-        icon={todaySession.currentStreak >= 3 ? <FireOutlined /> : <AimOutlined />}
+        icon={session.currentStreak >= 3 ? <FireOutlined /> : <AimOutlined />}
         className="text-sm"
       />
 
       {/* No Data State */}
-      {todaySession.gamesPlayed === 0 && (
+      {session.gamesPlayed === 0 && (
         <div className="text-center py-8">
           <TrophyOutlined style={{ fontSize: '48px', color: gamingColors.electric.cyan }} />
           <div className="mt-4">
-            <Text strong className="text-white">No games played today</Text>
+            <Text strong className="text-white">No active session</Text>
             <br />
-            <Text type="secondary" className="text-sm">Start your session to track performance!</Text>
+            <Text type="secondary" className="text-sm">Your next game starts a new session</Text>
           </div>
         </div>
       )}
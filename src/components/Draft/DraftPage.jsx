@@ -0,0 +1,357 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import {
+  Layout, Card, Row, Col, Avatar, Space, Typography, Segmented, Select,
+  Button, Input, Tag, Tooltip, Empty, List
+} from 'antd';
+import { UndoOutlined, ClearOutlined, SearchOutlined, StopOutlined, BulbOutlined } from '@ant-design/icons';
+import { useAuth } from '../../hooks/useAuth.js';
+import { useData } from '../../contexts/DataContext.jsx';
+import authService from '../../services/auth.service.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById } from '../../utils/assetHelpers.js';
+import { DRAFT_MODES, getDraftSequence, getDraftState, suggestHeroes } from '../../utils/draft.js';
+
+const { Content } = Layout;
+const { Title, Text } = Typography;
+
+const ATTRIBUTES = [
+  { key: 'str', label: 'Strength', color: gamingColors.electric.red },
+  { key: 'agi', label: 'Agility', color: gamingColors.electric.green },
+  { key: 'int', label: 'Intelligence', color: gamingColors.electric.blue },
+  { key: 'all', label: 'Universal', color: gamingColors.electric.yellow }
+];
+
+const TEAM_COLORS = {
+  radiant: gamingColors.electric.green,
+  dire: gamingColors.electric.red
+};
+
+const SIGNAL_LABELS = {
+  personal: 'You',
+  counter: 'Vs enemy',
+  synergy: 'With allies',
+  meta: 'Meta'
+};
+
+const otherTeam = (team) => team === 'radiant' ? 'dire' : 'radiant';
+
+// Fetch per-hero data once for each hero that lands on the board
+const useHeroData = (heroIds, fetcher) => {
+  const [data, setData] = useState({});
+  const requested = useRef(new Set());
+
+  useEffect(() => {
+    heroIds.filter(heroId => !requested.current.has(heroId)).forEach(heroId => {
+      requested.current.add(heroId);
+      fetcher(heroId)
+        .then(rows => setData(prev => ({ ...prev, [heroId]: rows })))
+        .catch(() => setData(prev => ({ ...prev, [heroId]: [] })));
+    });
+  }, [heroIds, fetcher]);
+
+  return data;
+};
+
+// Loaded data for just the given heroes
+const pickLoaded = (heroIds, data) => Object.fromEntries(
+  heroIds.filter(heroId => data[heroId]).map(heroId => [heroId, data[heroId]])
+);
+
+const DraftSlot = ({ heroId, type, active, heroes, heroMap }) => (
+  <Tooltip title={heroId ? heroMap[heroId]?.localized_name : null}>
+    <div
+      className="flex items-center justify-center rounded"
+      style={{
+        width: type === 'pick' ? 72 : 44,
+        height: type === 'pick' ? 44 : 28,
+        border: `1px ${active ? 'solid' : 'dashed'} ${active ? gamingColors.electric.cyan : gamingColors.border}`,
+        background: 'rgba(0, 0, 0, 0.3)',
+        opacity: type === 'ban' && heroId ? 0.6 : 1
+      }}
+    >
+      {heroId ? (
+        <Avatar
+          shape="square"
+          size={type === 'pick' ? 40 : 24}
+          src={getHeroIconById(heroId, heroes)}
+          style={type === 'ban' ? { filter: 'grayscale(1)' } : undefined}
+        />
+      ) : type === 'ban' ? (
+        <StopOutlined className="text-gray-600" />
+      ) : null}
+    </div>
+  </Tooltip>
+);
+
+const TeamBoard = ({ team, sequence, state, heroes, heroMap, isPlayerTeam }) => {
+  const slots = (type) => sequence
+    .map((step, index) => ({ ...step, index }))
+    .filter(step => step.team === team && step.type === type);
+
+  const render = (type, filled) => slots(type).map((step, position) => (
+    <DraftSlot
+      key={step.index}
+      type={type}
+      heroId={filled[position]}
+      active={state.stepIndex === step.index}
+      heroes={heroes}
+      heroMap={heroMap}
+    />
+  ));
+
+  return (
+    <Card
+      title={
+        <Space>
+          <span style={{ color: TEAM_COLORS[team] }}>{team.toUpperCase()}</span>
+          {isPlayerTeam && <Tag color="cyan">YOU</Tag>}
+        </Space>
+      }
+      className="bg-gray-800/50 border-gray-700"
+      bordered={false}
+    >
+      <Text type="secondary" className="text-xs uppercase">Picks</Text>
+      <div className="flex flex-wrap gap-2 mt-1 mb-3">{render('pick', state[team].picks)}</div>
+      <Text type="secondary" className="text-xs uppercase">Bans</Text>
+      <div className="flex flex-wrap gap-2 mt-1">{render('ban', state[team].bans)}</div>
+    </Card>
+  );
+};
+
+export const DraftPage = () => {
+  const { user } = useAuth();
+  const { heroes, heroMap, heroStats } = useData();
+  const [mode, setMode] = useState('allPick');
+  const [firstPick, setFirstPick] = useState('radiant');
+  const [playerTeam, setPlayerTeam] = useState('radiant');
+  const [draft, setDraft] = useState([]);
+  const [search, setSearch] = useState('');
+  const [globalStats, setGlobalStats] = useState([]);
+
+  useEffect(() => {
+    authService.fetchGeneralHeroStats().then(setGlobalStats).catch(() => setGlobalStats([]));
+  }, []);
+
+  const sequence = useMemo(() => getDraftSequence(mode, firstPick), [mode, firstPick]);
+  const state = useMemo(() => getDraftState(sequence, draft), [sequence, draft]);
+  const enemyTeam = otherTeam(playerTeam);
+
+  const allyPicks = state[playerTeam].picks;
+  const enemyPicks = state[enemyTeam].picks;
+  const allPicks = useMemo(() => [...allyPicks, ...enemyPicks], [allyPicks, enemyPicks]);
+
+  const fetchCounters = useCallback((heroId) => authService.fetchHeroCounters(heroId), []);
+  const fetchSynergies = useCallback(
+    (heroId) => authService.fetchHeroSynergies(user.accountId, heroId),
+    [user?.accountId]
+  );
+  const matchups = useHeroData(allPicks, fetchCounters);
+  const synergies = useHeroData(allyPicks, fetchSynergies);
+
+  // Our turn to pick: best picks for us; any other step: what the enemy wants
+  const suggestingForPlayer = state.step?.type === 'pick' && state.step.team === playerTeam;
+  const suggestions = useMemo(() => {
+    if (!state.step || globalStats.length === 0) return [];
+
+    if (suggestingForPlayer) {
+      return suggestHeroes({
+        heroStats: globalStats,
+        playerHeroes: heroStats || [],
+        counters: pickLoaded(enemyPicks, matchups),
+        synergies: pickLoaded(allyPicks, synergies),
+        unavailable: draft
+      });
+    }
+
+    return suggestHeroes({
+      heroStats: globalStats,
+      counters: pickLoaded(allyPicks, matchups),
+      unavailable: draft
+    });
+  }, [state.step, suggestingForPlayer, globalStats, heroStats, enemyPicks, allyPicks, matchups, synergies, draft]);
+
+  const heroesByAttribute = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    const sorted = [...(heroes || [])].sort((a, b) => a.localized_name.localeCompare(b.localized_name));
+    return ATTRIBUTES.map(attribute => ({
+      ...attribute,
+      heroes: sorted.filter(hero => hero.primary_attr === attribute.key)
+        .map(hero => ({ ...hero, dimmed: term && !hero.localized_name.toLowerCase().includes(term) }))
+    }));
+  }, [heroes, search]);
+
+  const selectHero = (heroId) => {
+    if (!state.step || draft.includes(heroId)) return;
+    setDraft(prev => [...prev, heroId]);
+  };
+
+  const resetDraft = () => setDraft([]);
+
+  const changeMode = (value) => {
+    setMode(value);
+    resetDraft();
+  };
+
+  const changeFirstPick = (value) => {
+    setFirstPick(value);
+    resetDraft();
+  };
+
+  const stepLabel = state.step
+    ? `${state.step.team.toUpperCase()} ${state.step.type.toUpperCase()} • ${state.stepIndex + 1}/${sequence.length}`
+    : 'DRAFT COMPLETE';
+
+  const suggestionTitle = !state.step
+    ? 'SUGGESTIONS'
+    : suggestingForPlayer
+      ? 'SUGGESTED PICKS'
+      : state.step.team === playerTeam ? 'SUGGESTED BANS' : 'LIKELY ENEMY PICKS';
+
+  return (
+    <Layout className="min-h-screen bg-gray-900">
+      <Content className="p-6">
+        {/* Header */}
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+          <div>
+            <Title level={3} className="text-white m-0">
+              DRAFT ASSISTANT
+            </Title>
+            <Text className="text-xs uppercase tracking-wider" style={{ color: state.step ? TEAM_COLORS[state.step.team] : gamingColors.text.secondary }}>
+              {stepLabel}
+            </Text>
+          </div>
+
+          <Space wrap>
+            <Segmented
+              value={mode}
+              onChange={changeMode}
+              options={Object.entries(DRAFT_MODES).map(([value, label]) => ({ value, label }))}
+            />
+            <Select
+              value={playerTeam}
+              onChange={setPlayerTeam}
+              options={[
+                { value: 'radiant', label: 'Playing Radiant' },
+                { value: 'dire', label: 'Playing Dire' }
+              ]}
+              style={{ width: 150 }}
+            />
+            <Select
+              value={firstPick}
+              onChange={changeFirstPick}
+              options={[
+                { value: 'radiant', label: 'Radiant first pick' },
+                { value: 'dire', label: 'Dire first pick' }
+              ]}
+              style={{ width: 170 }}
+            />
+            <Button icon={<UndoOutlined />} onClick={() => setDraft(prev => prev.slice(0, -1))} disabled={draft.length === 0}>
+              Undo
+            </Button>
+            <Button icon={<ClearOutlined />} onClick={resetDraft} disabled={draft.length === 0}>
+              Reset
+            </Button>
+          </Space>
+        </div>
+
+        <Row gutter={[16, 16]}>
+          {/* Board */}
+          <Col xs={24} lg={12}>
+            <TeamBoard team="radiant" sequence={sequence} state={state} heroes={heroes} heroMap={heroMap} isPlayerTeam={playerTeam === 'radiant'} />
+          </Col>
+          <Col xs={24} lg={12}>
+            <TeamBoard team="dire" sequence={sequence} state={state} heroes={heroes} heroMap={heroMap} isPlayerTeam={playerTeam === 'dire'} />
+          </Col>
+
+          {/* Hero grid */}
+          <Col xs={24} xl={16}>
+            <Card
+              className="bg-gray-800/50 border-gray-700"
+              bordered={false}
+              title="HEROES"
+              extra={
+                <Input
+                  allowClear
+                  size="small"
+                  prefix={<SearchOutlined />}
+                  placeholder="Search heroes"
+                  value={search}
+                  onChange={event => setSearch(event.target.value)}
+                  style={{ width: 200 }}
+                />
+              }
+            >
+              {heroesByAttribute.map(attribute => (
+                <div key={attribute.key} className="mb-4">
+                  <Text className="text-xs uppercase tracking-wider" style={{ color: attribute.color }}>
+                    {attribute.label}
+                  </Text>
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {attribute.heroes.map(hero => {
+                      const taken = draft.includes(hero.id);
+                      return (
+                        <Tooltip key={hero.id} title={hero.localized_name}>
+                          <Avatar
+                            shape="square"
+                            size={40}
+                            src={getHeroIconById(hero.id, heroes)}
+                            onClick={() => selectHero(hero.id)}
+                            className={taken || !state.step ? 'cursor-not-allowed' : 'cursor-pointer'}
+                            style={{ opacity: taken ? 0.2 : hero.dimmed ? 0.35 : 1 }}
+                          />
+                        </Tooltip>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </Card>
+          </Col>
+
+          {/* Suggestions */}
+          <Col xs={24} xl={8}>
+            <Card
+              title={<Space><BulbOutlined />{suggestionTitle}</Space>}
+              className="bg-gray-800/50 border-gray-700"
+              bordered={false}
+            >
+              {suggestions.length > 0 ? (
+                <List
+                  size="small"
+                  dataSource={suggestions}
+                  renderItem={suggestion => (
+                    <List.Item
+                      className="cursor-pointer"
+                      onClick={() => selectHero(suggestion.heroId)}
+                      extra={<Text strong className="text-white">{suggestion.score > 0 ? '+' : ''}{suggestion.score.toFixed(1)}</Text>}
+                    >
+                      <List.Item.Meta
+                        avatar={<Avatar shape="square" src={getHeroIconById(suggestion.heroId, heroes)} />}
+                        title={<Text className="text-white">{heroMap[suggestion.heroId]?.localized_name || `Hero ${suggestion.heroId}`}</Text>}
+                        description={
+                          <Space size={4} wrap>
+                            {Object.entries(SIGNAL_LABELS)
+                              .filter(([key]) => suggestion[key] !== null)
+                              .map(([key, label]) => (
+                                <Tag key={key} color={suggestion[key] >= 50 ? 'green' : 'red'} className="text-xs">
+                                  {label} {suggestion[key].toFixed(0)}%
+                                </Tag>
+                              ))}
+                          </Space>
+                        }
+                      />
+                    </List.Item>
+                  )}
+                />
+              ) : (
+                <Empty description={state.step ? 'Loading hero stats...' : 'Draft complete'} />
+              )}
+            </Card>
+          </Col>
+        </Row>
+      </Content>
+    </Layout>
+  );
+};
+
+export default DraftPage;
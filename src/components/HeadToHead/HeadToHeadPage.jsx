@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Layout, Card, Row, Col, Avatar, Space, Typography, Table, Tag, Tabs, Empty, Spin, Button, Breadcrumb
+} from 'antd';
+import { ArrowLeftOutlined, UserOutlined, SwapOutlined } from '@ant-design/icons';
+import { Radar } from '@ant-design/plots';
+import { useData } from '../../contexts/DataContext.jsx';
+import authService from '../../services/auth.service.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById } from '../../utils/assetHelpers.js';
+import { calculateCoreMetrics, formatDateTime, getRankName } from '../../utils/dataTransforms.js';
+import { compareMetrics, compareTotals, compareHeroes, splitMeetings, MIN_HERO_GAMES } from '../../utils/headToHead.js';
+import PlayerSearch from '../Players/PlayerSearch.jsx';
+
+const { Content } = Layout;
+const { Title, Text } = Typography;
+
+const PLAYER_COLORS = [gamingColors.electric.cyan, gamingColors.electric.orange];
+
+const formatAverage = (value) => (value >= 100 ? Math.round(value).toLocaleString() : value.toFixed(1));
+
+const getDeltaColor = (delta) => {
+  if (delta >= 10) return 'success';
+  if (delta <= -10) return 'error';
+  return 'default';
+};
+
+const PlayerCard = ({ player, color, align = 'left' }) => {
+  const games = (player.winLoss?.win || 0) + (player.winLoss?.lose || 0);
+  return (
+    <Space size="middle" className={align === 'right' ? 'flex-row-reverse text-right' : ''}>
+      <Avatar size={56} src={player.profile?.profile?.avatarfull} icon={<UserOutlined />} style={{ border: `2px solid ${color}` }} />
+      <div>
+        <Title level={4} className="text-white m-0">{player.name}</Title>
+        <Text type="secondary" className="text-xs uppercase tracking-wider">
+          {getRankName(player.profile?.rank_tier) || 'Unranked'}
+          {games > 0 && ` • ${player.winLoss.win}W - ${player.winLoss.lose}L (${((player.winLoss.win / games) * 100).toFixed(1)}%)`}
+        </Text>
+      </div>
+    </Space>
+  );
+};
+
+export const HeadToHeadPage = ({ accountId: otherId, onSelectPlayer, onBack, onMatchClick }) => {
+  const { accountId, profile, winLoss, heroStats, playerTotals, recentMatches, heroes, heroMap } = useData();
+  const [other, setOther] = useState(null);
+  const [meetings, setMeetings] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const isSelf = String(otherId) === String(accountId);
+
+  useEffect(() => {
+    if (!otherId || !accountId || isSelf) return undefined;
+    let cancelled = false;
+
+    const fetchOther = async () => {
+      setLoading(true);
+      const [profile, winLoss, heroStats, playerTotals, recentMatches, shared] = await Promise.allSettled([
+        authService.fetchOpenDotaProfile(otherId),
+        authService.fetchWinLoss(otherId),
+        authService.fetchHeroStats(otherId),
+        authService.fetchPlayerTotals(otherId),
+        authService.fetchRecentMatches(otherId, 20),
+        authService.fetchMatchesWith(accountId, otherId)
+      ]);
+      if (cancelled) return;
+
+      const value = (result, fallback) => (result.status === 'fulfilled' ? result.value : fallback);
+      setOther({
+        profile: value(profile, null),
+        winLoss: value(winLoss, null),
+        heroStats: value(heroStats, []),
+        playerTotals: value(playerTotals, []),
+        recentMatches: value(recentMatches, [])
+      });
+      setMeetings(value(shared, []));
+      setLoading(false);
+    };
+
+    fetchOther();
+    return () => {
+      cancelled = true;
+    };
+  }, [otherId, accountId, isSelf]);
+
+  const players = useMemo(() => [
+    { profile, winLoss, heroStats, playerTotals, recentMatches, name: profile?.profile?.personaname || 'You' },
+    other && { ...other, name: other.profile?.profile?.personaname || `Player ${otherId}` }
+  ], [profile, winLoss, heroStats, playerTotals, recentMatches, other, otherId]);
+  const [self, opponent] = players;
+
+  const metrics = useMemo(() => opponent && compareMetrics(
+    calculateCoreMetrics(null, self.winLoss, self.playerTotals, self.recentMatches),
+    calculateCoreMetrics(null, opponent.winLoss, opponent.playerTotals, opponent.recentMatches)
+  ), [self, opponent]);
+
+  const totals = useMemo(() => opponent && compareTotals(self.playerTotals, opponent.playerTotals), [self, opponent]);
+  const sharedHeroes = useMemo(() => opponent && compareHeroes(self.heroStats, opponent.heroStats), [self, opponent]);
+  const met = useMemo(() => splitMeetings(meetings, otherId), [meetings, otherId]);
+
+  const heroName = (heroId) => heroMap[heroId]?.localized_name || `Hero ${heroId}`;
+
+  const header = (
+    <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+      <div>
+        {onBack && (
+          <Breadcrumb
+            items={[{
+              title: (
+                <Button type="text" icon={<ArrowLeftOutlined />} onClick={onBack} className="text-gray-400 hover:text-white">
+                  Back
+                </Button>
+              )
+            }]}
+          />
+        )}
+        <Title level={3} className="text-white m-0">HEAD TO HEAD</Title>
+      </div>
+      <PlayerSearch onSelectPlayer={onSelectPlayer} />
+    </div>
+  );
+
+  if (!otherId || isSelf) {
+    return (
+      <Layout className="min-h-screen bg-gray-900">
+        <Content className="p-6">
+          {header}
+          <Empty
+            image={<SwapOutlined style={{ fontSize: 48, color: gamingColors.text.secondary }} />}
+            description={isSelf ? 'Pick someone other than yourself' : 'Search for a player to compare with'}
+            className="py-24"
+          />
+        </Content>
+      </Layout>
+    );
+  }
+
+  if (loading || !opponent) {
+    return (
+      <Layout className="min-h-screen bg-gray-900">
+        <Content className="p-6">
+          {header}
+          <div className="flex justify-center py-24">
+            <Spin size="large" />
+          </div>
+        </Content>
+      </Layout>
+    );
+  }
+
+  const radarData = metrics.flatMap(metric => [
+    { metric: metric.label, player: self.name, score: metric.scoreA, value: `${metric.a}${metric.suffix}` },
+    { metric: metric.label, player: opponent.name, score: metric.scoreB, value: `${metric.b}${metric.suffix}` }
+  ]);
+
+  const radarConfig = {
+    data: radarData,
+    xField: 'metric',
+    yField: 'score',
+    colorField: 'player',
+    scale: {
+      color: { domain: [self.name, opponent.name], range: PLAYER_COLORS },
+      x: { padding: 0.5, align: 0 },
+      y: { domain: [0, 100] }
+    },
+    area: { style: { fillOpacity: 0.2 } },
+    point: { sizeField: 3 },
+    axis: {
+      x: { grid: true, labelFill: gamingColors.text.secondary },
+      y: { label: false, title: false }
+    },
+    tooltip: { items: [(d) => ({ name: d.player, value: d.value })] },
+    height: 320,
+    theme: 'dark'
+  };
+
+  const totalsColumns = [
+    { title: 'Per game', dataIndex: 'label', key: 'label' },
+    ...['a', 'b'].map((side, index) => ({
+      title: players[index].name,
+      dataIndex: side,
+      key: side,
+      align: 'right',
+      render: (value, row) => (
+        <Text strong={row.leader === side} style={{ color: row.leader === side ? PLAYER_COLORS[index] : gamingColors.text.secondary }}>
+          {formatAverage(value)}
+        </Text>
+      )
+    }))
+  ];
+
+  const heroColumns = [
+    {
+      title: 'Hero',
+      dataIndex: 'heroId',
+      key: 'hero',
+      render: (heroId) => (
+        <Space size="small">
+          <Avatar size={24} src={getHeroIconById(heroId, heroes)} />
+          <Text className="text-white">{heroName(heroId)}</Text>
+        </Space>
+      )
+    },
+    ...['a', 'b'].map((side, index) => ({
+      title: players[index].name,
+      dataIndex: side,
+      key: side,
+      align: 'center',
+      render: (entry) => <Text className="font-mono">{entry.winRate.toFixed(0)}% <Text type="secondary">({entry.games})</Text></Text>
+    })),
+    {
+      title: 'Delta',
+      dataIndex: 'delta',
+      key: 'delta',
+      align: 'center',
+      width: 90,
+      render: (delta) => <Tag color={getDeltaColor(delta)}>{delta > 0 ? '+' : ''}{delta.toFixed(0)}</Tag>
+    }
+  ];
+
+  const meetingColumns = [
+    {
+      title: 'Date',
+      dataIndex: 'start_time',
+      key: 'date',
+      width: 150,
+      render: (time) => <Text type="secondary">{formatDateTime(time)}</Text>
+    },
+    ...[['hero_id', self.name], ['otherHeroId', opponent.name]].map(([field, title]) => ({
+      title,
+      dataIndex: field,
+      key: field,
+      render: (heroId) => heroId ? (
+        <Space size="small">
+          <Avatar size={24} src={getHeroIconById(heroId, heroes)} />
+          <Text className="text-white">{heroName(heroId)}</Text>
+        </Space>
+      ) : <Text type="secondary">-</Text>
+    })),
+    {
+      title: 'Result',
+      dataIndex: 'isWin',
+      key: 'result',
+      width: 90,
+      render: (won) => <Tag color={won ? 'success' : 'error'}>{won ? 'Win' : 'Loss'}</Tag>
+    }
+  ];
+
+  const meetingTable = (rows) => rows.length > 0 ? (
+    <Table
+      rowKey="match_id"
+      size="small"
+      columns={meetingColumns}
+      dataSource={rows}
+      pagination={{ pageSize: 10, hideOnSinglePage: true }}
+      onRow={match => ({
+        onClick: () => onMatchClick?.(match.match_id),
+        className: 'cursor-pointer'
+      })}
+    />
+  ) : (
+    <Empty description="No matches" className="py-8" />
+  );
+
+  return (
+    <Layout className="min-h-screen bg-gray-900">
+      <Content className="p-6">
+        {header}
+
+        <Card className="mb-6 bg-gray-800/50 border-gray-700" bordered={false}>
+          <div className="flex flex-wrap justify-between items-center gap-4">
+            <PlayerCard player={self} color={PLAYER_COLORS[0]} />
+            <Text type="secondary" className="font-mono text-lg">VS</Text>
+            <PlayerCard player={opponent} color={PLAYER_COLORS[1]} align="right" />
+          </div>
+        </Card>
+
+        <Row gutter={[16, 16]} className="mb-4">
+          <Col xs={24} lg={12}>
+            <Card
+              title={<span className="uppercase text-white">Core Metrics</span>}
+              extra={<Text type="secondary" className="text-xs">Last 20 matches • best = 100</Text>}
+              className="h-full bg-gray-800/50 border-gray-700"
+              bordered={false}
+            >
+              {radarData.length > 0 ? <Radar {...radarConfig} /> : <Empty description="Not enough recent matches" />}
+            </Card>
+          </Col>
+          <Col xs={24} lg={12}>
+            <Card
+              title={<span className="uppercase text-white">Career Averages</span>}
+              className="h-full bg-gray-800/50 border-gray-700"
+              bordered={false}
+              styles={{ body: { padding: 0 } }}
+            >
+              {totals.length > 0 ? (
+                <Table rowKey="field" size="small" columns={totalsColumns} dataSource={totals} pagination={false} />
+              ) : (
+                <Empty description="No totals available" className="py-8" />
+              )}
+            </Card>
+          </Col>
+        </Row>
+
+        <Row gutter={[16, 16]}>
+          <Col xs={24} lg={12}>
+            <Card
+              title={<span className="uppercase text-white">Shared Heroes</span>}
+              extra={<Text type="secondary" className="text-xs">{MIN_HERO_GAMES}+ games each</Text>}
+              className="bg-gray-800/50 border-gray-700"
+              bordered={false}
+              styles={{ body: { padding: 0 } }}
+            >
+              {sharedHeroes.length > 0 ? (
+                <Table
+                  rowKey="heroId"
+                  size="small"
+                  columns={heroColumns}
+                  dataSource={sharedHeroes}
+                  pagination={{ pageSize: 10, hideOnSinglePage: true }}
+                />
+              ) : (
+                <Empty description="No heroes both players have played" className="py-8" />
+              )}
+            </Card>
+          </Col>
+          <Col xs={24} lg={12}>
+            <Card
+              title={<span className="uppercase text-white">Matches Together</span>}
+              className="bg-gray-800/50 border-gray-700"
+              bordered={false}
+            >
+              <Tabs
+                items={[
+                  {
+                    key: 'together',
+                    label: `Same team • ${met.togetherWins}W - ${met.together.length - met.togetherWins}L`,
+                    children: meetingTable(met.together)
+                  },
+                  {
+                    key: 'against',
+                    label: `Opposing • ${met.againstWins}W - ${met.against.length - met.againstWins}L`,
+                    children: meetingTable(met.against)
+                  }
+                ]}
+              />
+            </Card>
+          </Col>
+        </Row>
+      </Content>
+    </Layout>
+  );
+};
+
+export default HeadToHeadPage;
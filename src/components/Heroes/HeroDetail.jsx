@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Layout, Card, Row, Col, Avatar, Space, Typography, Statistic, Progress,
+  Table, Button, Segmented, Empty, Spin, Tooltip, Breadcrumb
+} from 'antd';
+import { ArrowLeftOutlined, TrophyOutlined, ShoppingOutlined, TeamOutlined, LineChartOutlined, AimOutlined } from '@ant-design/icons';
+import { Line } from '@ant-design/plots';
+import { useData } from '../../contexts/DataContext.jsx';
+import authService from '../../services/auth.service.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById, getItemIcon } from '../../utils/assetHelpers.js';
+import {
+  compareToBenchmarks,
+  calculateItemFrequencies,
+  summarizeMatchups,
+  calculateHeroTrend,
+  buildHeroPerformanceSeries
+} from '../../utils/heroAnalytics.js';
+import TrendIndicator from './TrendIndicator.jsx';
+
+const { Content } = Layout;
+const { Title, Text } = Typography;
+
+const getPercentileColor = (percentile) => {
+  if (percentile >= 80) return gamingColors.performance.excellent;
+  if (percentile >= 60) return gamingColors.performance.good;
+  if (percentile >= 40) return gamingColors.performance.average;
+  if (percentile >= 20) return gamingColors.performance.poor;
+  return gamingColors.performance.terrible;
+};
+
+const formatMetric = (value) => {
+  if (value === null) return '-';
+  return value >= 100 ? Math.round(value).toLocaleString() : value.toFixed(2);
+};
+
+const SERIES_OPTIONS = [
+  { label: 'Win Rate (10 game)', value: 'rollingWinRate' },
+  { label: 'GPM', value: 'gpm' },
+  { label: 'KDA', value: 'kda' }
+];
+
+export const HeroDetail = ({ heroId, onBack }) => {
+  const { accountId, heroes, heroMap, heroStats, queryMatches } = useData();
+  const [details, setDetails] = useState({ benchmarks: null, matchups: [], itemMatches: [], itemIds: {} });
+  const [loading, setLoading] = useState(true);
+  const [series, setSeries] = useState('rollingWinRate');
+
+  const hero = heroMap[heroId];
+  const heroName = hero?.localized_name || `Hero ${heroId}`;
+
+  useEffect(() => {
+    if (!accountId) return;
+    let cancelled = false;
+
+    const fetchDetails = async () => {
+      setLoading(true);
+      const [benchmarks, matchups, itemMatches, itemIds] = await Promise.allSettled([
+        authService.fetchBenchmarks(heroId),
+        authService.fetchHeroMatchups(accountId, heroId),
+        authService.fetchHeroItems(accountId, heroId),
+        authService.fetchItemIds()
+      ]);
+      if (cancelled) return;
+
+      setDetails({
+        benchmarks: benchmarks.status === 'fulfilled' ? benchmarks.value : null,
+        matchups: matchups.status === 'fulfilled' ? matchups.value : [],
+        itemMatches: itemMatches.status === 'fulfilled' ? itemMatches.value : [],
+        itemIds: itemIds.status === 'fulfilled' ? itemIds.value : {}
+      });
+      setLoading(false);
+    };
+
+    fetchDetails();
+    return () => {
+      cancelled = true;
+    };
+  }, [heroId, accountId]);
+
+  const heroMatches = useMemo(() => queryMatches({ heroId }), [queryMatches, heroId]);
+  const overall = heroStats?.find(stat => Number(stat.hero_id) === heroId);
+  const trend = useMemo(() => calculateHeroTrend(heroMatches), [heroMatches]);
+  const benchmarkRows = useMemo(() => compareToBenchmarks(heroMatches, details.benchmarks), [heroMatches, details.benchmarks]);
+  const items = useMemo(() => calculateItemFrequencies(details.itemMatches, details.itemIds), [details.itemMatches, details.itemIds]);
+  const matchups = useMemo(() => summarizeMatchups(details.matchups), [details.matchups]);
+  const performance = useMemo(() => buildHeroPerformanceSeries(heroMatches), [heroMatches]);
+
+  const games = overall?.games ?? heroMatches.length;
+  const wins = overall?.win ?? heroMatches.filter(match => match.radiant_win === (match.player_slot < 128)).length;
+  const winRate = games ? (wins / games) * 100 : 0;
+
+  const chartConfig = useMemo(() => ({
+    data: performance.map(point => ({
+      ...point,
+      label: point.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' }),
+      value: Number(point[series].toFixed(2))
+    })),
+    xField: 'label',
+    yField: 'value',
+    smooth: true,
+    color: gamingColors.electric.cyan,
+    lineStyle: {
+      lineWidth: 2,
+    },
+    xAxis: {
+      label: {
+        style: {
+          fill: gamingColors.text.secondary,
+          fontSize: 10,
+        },
+        autoHide: true,
+      },
+    },
+    yAxis: {
+      label: {
+        style: {
+          fill: gamingColors.text.secondary,
+          fontSize: 10,
+        },
+      },
+    },
+    theme: 'dark',
+  }), [performance, series]);
+
+  const matchupColumns = [
+    {
+      title: 'Hero',
+      dataIndex: 'heroId',
+      key: 'hero',
+      render: (id) => (
+        <Space size="small">
+          <Avatar size={24} src={getHeroIconById(id, heroes)} />
+          <Text className="text-white">{heroMap[id]?.localized_name || `Hero ${id}`}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Games',
+      dataIndex: 'games',
+      key: 'games',
+      width: 80,
+      sorter: (a, b) => a.games - b.games
+    },
+    {
+      title: 'Win Rate',
+      dataIndex: 'winRate',
+      key: 'winRate',
+      width: 110,
+      defaultSortOrder: 'descend',
+      sorter: (a, b) => a.winRate - b.winRate,
+      render: (value) => (
+        <Text strong style={{ color: value >= 50 ? gamingColors.performance.excellent : gamingColors.performance.terrible }}>
+          {value.toFixed(1)}%
+        </Text>
+      )
+    }
+  ];
+
+  return (
+    <Layout className="min-h-screen bg-gray-900">
+      <Content className="p-6">
+        {/* Header */}
+        <div className="mb-6">
+          <Breadcrumb
+            items={[
+              {
+                title: (
+                  <Button type="text" icon={<ArrowLeftOutlined />} onClick={onBack} className="text-gray-400 hover:text-white">
+                    Back to Heroes
+                  </Button>
+                )
+              },
+              { title: <span className="text-white">{heroName}</span> }
+            ]}
+          />
+        </div>
+
+        <Card className="mb-6 bg-gray-800/50 border-gray-700" bordered={false}>
+          <div className="flex flex-wrap justify-between items-center gap-4">
+            <Space size="large">
+              <Avatar size={64} src={getHeroIconById(heroId, heroes)} shape="square" />
+              <div>
+                <Title level={3} className="text-white m-0">{heroName.toUpperCase()}</Title>
+                <TrendIndicator trend={trend} />
+              </div>
+            </Space>
+            <Space size="large">
+              <Statistic title="Games" value={games} prefix={<TrophyOutlined />} valueStyle={{ color: gamingColors.text.primary }} />
+              <Statistic
+                title="Win Rate"
+                value={winRate.toFixed(1)}
+                suffix="%"
+                valueStyle={{ color: winRate >= 50 ? gamingColors.performance.excellent : gamingColors.performance.poor }}
+              />
+              <Statistic title="Record" value={`${wins}W - ${games - wins}L`} valueStyle={{ color: gamingColors.text.primary }} />
+            </Space>
+          </div>
+        </Card>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Spin size="large" />
+          </div>
+        ) : (
+          <Row gutter={[16, 16]}>
+            {/* Benchmarks */}
+            <Col xs={24} lg={12}>
+              <Card
+                title={<Space><AimOutlined />BENCHMARK PERCENTILES</Space>}
+                className="h-full bg-gray-800/50 border-gray-700"
+                bordered={false}
+              >
+                {benchmarkRows.some(row => row.percentile !== null) ? (
+                  <Space direction="vertical" className="w-full">
+                    {benchmarkRows.map(row => (
+                      <div key={row.key}>
+                        <div className="flex justify-between">
+                          <Text type="secondary">{row.label}</Text>
+                          <Text className="text-white">
+                            {formatMetric(row.value)}
+                            {row.percentile !== null && (
+                              <Text type="secondary"> • top {Math.max(1, Math.round(100 - row.percentile))}%</Text>
+                            )}
+                          </Text>
+                        </div>
+                        <Progress
+                          percent={row.percentile ?? 0}
+                          showInfo={false}
+                          strokeColor={getPercentileColor(row.percentile ?? 0)}
+                          size="small"
+                        />
+                      </div>
+                    ))}
+                  </Space>
+                ) : (
+                  <Empty description="Not enough games to compare" />
+                )}
+              </Card>
+            </Col>
+
+            {/* Item builds */}
+            <Col xs={24} lg={12}>
+              <Card
+                title={<Space><ShoppingOutlined />ITEM BUILDS</Space>}
+                extra={<Text type="secondary" className="text-xs">Last {details.itemMatches.length} games</Text>}
+                className="h-full bg-gray-800/50 border-gray-700"
+                bordered={false}
+              >
+                {items.length > 0 ? (
+                  <div className="grid grid-cols-2 gap-3">
+                    {items.map(item => (
+                      <Tooltip key={item.itemId} title={`${item.winRate.toFixed(0)}% win rate with this item`}>
+                        <div className="flex items-center gap-3">
+                          <Avatar shape="square" size={32} src={getItemIcon(item.name)} />
+                          <div className="flex-1 min-w-0">
+                            <Text className="text-white text-xs block truncate">{item.name.replace(/_/g, ' ')}</Text>
+                            <Progress percent={item.frequency} size="small" format={percent => `${percent.toFixed(0)}%`} />
+                          </div>
+                        </div>
+                      </Tooltip>
+                    ))}
+                  </div>
+                ) : (
+                  <Empty description="No item data" />
+                )}
+              </Card>
+            </Col>
+
+            {/* Matchups */}
+            <Col xs={24} lg={12}>
+              <Card
+                title={<Space><TeamOutlined />WITH TEAMMATE HEROES</Space>}
+                className="bg-gray-800/50 border-gray-700"
+                bordered={false}
+                styles={{ body: { padding: 0 } }}
+              >
+                <Table
+                  rowKey="heroId"
+                  size="small"
+                  columns={matchupColumns}
+                  dataSource={matchups.with}
+                  pagination={{ pageSize: 8, hideOnSinglePage: true }}
+                  locale={{ emptyText: 'Need at least 3 games together' }}
+                />
+              </Card>
+            </Col>
+            <Col xs={24} lg={12}>
+              <Card
+                title={<Space><TeamOutlined />AGAINST ENEMY HEROES</Space>}
+                className="bg-gray-800/50 border-gray-700"
+                bordered={false}
+                styles={{ body: { padding: 0 } }}
+              >
+                <Table
+                  rowKey="heroId"
+                  size="small"
+                  columns={matchupColumns}
+                  dataSource={matchups.against}
+                  pagination={{ pageSize: 8, hideOnSinglePage: true }}
+                  locale={{ emptyText: 'Need at least 3 games against' }}
+                />
+              </Card>
+            </Col>
+
+            {/* Performance over time */}
+            <Col xs={24}>
+              <Card
+                title={<Space><LineChartOutlined />PERFORMANCE OVER TIME</Space>}
+                extra={<Segmented size="small" value={series} onChange={setSeries} options={SERIES_OPTIONS} />}
+                className="bg-gray-800/50 border-gray-700"
+                bordered={false}
+              >
+                {performance.length > 1 ? (
+                  <div style={{ height: 280 }}>
+                    <Line {...chartConfig} />
+                  </div>
+                ) : (
+                  <Empty description="Play more games on this hero to see a trend" />
+                )}
+              </Card>
+            </Col>
+          </Row>
+        )}
+      </Content>
+    </Layout>
+  );
+};
+
+export default HeroDetail;
@@ -0,0 +1,176 @@
+import React, { useState, useMemo } from 'react';
+import { Layout, Card, Table, Input, Avatar, Space, Typography, Progress, Empty, Tooltip } from 'antd';
+import { SearchOutlined } from '@ant-design/icons';
+import { useData } from '../../contexts/DataContext.jsx';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById } from '../../utils/assetHelpers.js';
+import { calculateHeroTrend } from '../../utils/heroAnalytics.js';
+import HeroDetail from './HeroDetail.jsx';
+import TrendIndicator from './TrendIndicator.jsx';
+
+const { Content } = Layout;
+const { Title, Text } = Typography;
+
+const getWinRateColor = (winRate) => {
+  if (winRate >= 60) return gamingColors.performance.excellent;
+  if (winRate >= 50) return gamingColors.performance.good;
+  if (winRate >= 45) return gamingColors.performance.average;
+  return gamingColors.performance.poor;
+};
+
+const getTimeAgo = (timestamp) => {
+  if (!timestamp) return 'Never';
+  const days = Math.floor((Date.now() / 1000 - timestamp) / 86400);
+  if (days < 1) return 'Today';
+  if (days < 30) return `${days}d ago`;
+  if (days < 365) return `${Math.floor(days / 30)}mo ago`;
+  return `${Math.floor(days / 365)}y ago`;
+};
+
+export const HeroesPage = ({ heroId, onSelectHero }) => {
+  const { heroStats, heroes, heroMap, loading, queryMatches } = useData();
+  const [search, setSearch] = useState('');
+  const [localHeroId, setLocalHeroId] = useState(null);
+
+  // The selected hero lives in the URL when the router passes it in
+  const selectedHeroId = onSelectHero ? heroId : localHeroId;
+  const setSelectedHeroId = onSelectHero || setLocalHeroId;
+
+  // Every hero the player has a game on, with form from the synced history
+  const rows = useMemo(() => {
+    if (!heroStats) return [];
+
+    const matchesByHero = new Map();
+    queryMatches().forEach(match => {
+      if (!matchesByHero.has(match.hero_id)) matchesByHero.set(match.hero_id, []);
+      matchesByHero.get(match.hero_id).push(match);
+    });
+
+    return heroStats
+      .filter(stat => stat.games > 0)
+      .map(stat => {
+        const heroId = Number(stat.hero_id);
+        return {
+          heroId,
+          name: heroMap[heroId]?.localized_name || `Hero ${heroId}`,
+          games: stat.games,
+          wins: stat.win,
+          winRate: (stat.win / stat.games) * 100,
+          lastPlayed: stat.last_played,
+          trend: calculateHeroTrend(matchesByHero.get(heroId))
+        };
+      });
+  }, [heroStats, heroMap, queryMatches]);
+
+  const filteredRows = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return term ? rows.filter(row => row.name.toLowerCase().includes(term)) : rows;
+  }, [rows, search]);
+
+  if (selectedHeroId) {
+    return <HeroDetail heroId={selectedHeroId} onBack={() => setSelectedHeroId(null)} />;
+  }
+
+  const columns = [
+    {
+      title: 'Hero',
+      dataIndex: 'name',
+      key: 'hero',
+      sorter: (a, b) => a.name.localeCompare(b.name),
+      render: (name, row) => (
+        <Space size="small">
+          <Avatar size={36} src={getHeroIconById(row.heroId, heroes)}>{name.substring(0, 2)}</Avatar>
+          <Text strong className="text-white">{name}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Games',
+      dataIndex: 'games',
+      key: 'games',
+      width: 100,
+      defaultSortOrder: 'descend',
+      sorter: (a, b) => a.games - b.games,
+      render: (games) => <Text className="text-white">{games}</Text>
+    },
+    {
+      title: 'Win Rate',
+      dataIndex: 'winRate',
+      key: 'winRate',
+      width: 200,
+      sorter: (a, b) => a.winRate - b.winRate,
+      render: (winRate, row) => (
+        <Tooltip title={`${row.wins}W - ${row.games - row.wins}L`}>
+          <Progress
+            percent={winRate}
+            format={percent => `${percent.toFixed(1)}%`}
+            strokeColor={getWinRateColor(winRate)}
+            size="small"
+          />
+        </Tooltip>
+      )
+    },
+    {
+      title: 'Last Played',
+      dataIndex: 'lastPlayed',
+      key: 'lastPlayed',
+      width: 130,
+      sorter: (a, b) => (a.lastPlayed || 0) - (b.lastPlayed || 0),
+      render: (lastPlayed) => <Text type="secondary">{getTimeAgo(lastPlayed)}</Text>
+    },
+    {
+      title: 'Trend',
+      dataIndex: 'trend',
+      key: 'trend',
+      width: 120,
+      sorter: (a, b) => a.trend.delta - b.trend.delta,
+      render: (trend) => <TrendIndicator trend={trend} />
+    }
+  ];
+
+  return (
+    <Layout className="min-h-screen bg-gray-900">
+      <Content className="p-6">
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+          <div>
+            <Title level={3} className="text-white m-0">
+              HEROES
+            </Title>
+            <Text type="secondary" className="text-xs uppercase tracking-wider">
+              {rows.length} heroes played
+            </Text>
+          </div>
+          <Input
+            allowClear
+            prefix={<SearchOutlined />}
+            placeholder="Search heroes"
+            value={search}
+            onChange={event => setSearch(event.target.value)}
+            style={{ maxWidth: 260 }}
+          />
+        </div>
+
+        <Card className="bg-gray-800/50 border-gray-700" bordered={false} styles={{ body: { padding: 0 } }}>
+          {filteredRows.length > 0 || loading.heroes ? (
+            <Table
+              rowKey="heroId"
+              size="small"
+              columns={columns}
+              dataSource={filteredRows}
+              loading={loading.heroes}
+              pagination={{ pageSize: 25, hideOnSinglePage: true }}
+              onRow={row => ({
+                onClick: () => setSelectedHeroId(row.heroId),
+                className: 'cursor-pointer'
+              })}
+            />
+          ) : (
+            <Empty description={search ? 'No heroes match your search' : 'No hero data yet'} className="py-12" />
+          )}
+        </Card>
+      </Content>
+    </Layout>
+  );
+};
+
+export default HeroesPage;
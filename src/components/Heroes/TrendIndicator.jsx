@@ -0,0 +1,28 @@
+import React from 'react';
+import { Space, Typography, Tooltip } from 'antd';
+import { RiseOutlined, FallOutlined, MinusOutlined } from '@ant-design/icons';
+import { gamingColors } from '../../theme/antdTheme.js';
+
+const { Text } = Typography;
+
+// Recent-form arrow for a calculateHeroTrend result
+export const TrendIndicator = ({ trend }) => {
+  if (trend.recentWinRate === null) return <Text type="secondary">-</Text>;
+
+  const icon = {
+    up: <RiseOutlined style={{ color: gamingColors.performance.excellent }} />,
+    down: <FallOutlined style={{ color: gamingColors.performance.terrible }} />,
+    flat: <MinusOutlined style={{ color: gamingColors.text.tertiary }} />
+  }[trend.direction];
+
+  return (
+    <Tooltip title={`Last 10: ${trend.recentWinRate.toFixed(0)}% vs ${trend.overallWinRate.toFixed(0)}% overall`}>
+      <Space size="small">
+        {icon}
+        <Text type="secondary">{trend.delta > 0 ? '+' : ''}{trend.delta.toFixed(0)}%</Text>
+      </Space>
+    </Tooltip>
+  );
+};
+
+export default TrendIndicator;
@@ -0,0 +1,299 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Layout, Card, Row, Col, Avatar, Space, Typography, Statistic, Progress,
+  Button, Select, Badge, Empty, Tag, Tooltip, Alert
+} from 'antd';
+import {
+  ThunderboltOutlined, PlayCircleOutlined, StopOutlined, FieldTimeOutlined,
+  SunOutlined, MoonOutlined, ShoppingOutlined, AimOutlined
+} from '@ant-design/icons';
+import { useData } from '../../contexts/DataContext.jsx';
+import { useGameState } from '../../hooks/useGameState.js';
+import gsiService from '../../services/gsi.service.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById, getItemIcon } from '../../utils/assetHelpers.js';
+import { getRuneTimers, getRoshanTimer, calculateLastHitPace, formatClock } from '../../utils/gsi.js';
+
+const { Content } = Layout;
+const { Title, Text, Paragraph } = Typography;
+
+const STATUS_BADGES = {
+  idle: { status: 'default', text: 'Not connected' },
+  connecting: { status: 'processing', text: 'Connecting...' },
+  live: { status: 'success', text: 'Live' },
+  replay: { status: 'warning', text: 'Replay' },
+  error: { status: 'error', text: 'Disconnected' }
+};
+
+const ItemSlot = ({ item, size = 48 }) => (
+  <Tooltip title={item ? item.name.replace(/_/g, ' ') : 'Empty'}>
+    <div
+      className="relative flex items-center justify-center rounded"
+      style={{ width: size * 1.35, height: size, background: 'rgba(0, 0, 0, 0.4)', border: `1px solid ${gamingColors.border}` }}
+    >
+      {item && <img src={getItemIcon(item.name)} alt={item.name} className="w-full h-full object-cover rounded" />}
+      {item?.charges > 0 && (
+        <span className="absolute bottom-0 right-1 text-xs text-white font-bold">{item.charges}</span>
+      )}
+      {item?.cooldown > 0 && (
+        <span className="absolute inset-0 flex items-center justify-center bg-black/60 text-white text-xs">
+          {Math.ceil(item.cooldown)}
+        </span>
+      )}
+    </div>
+  </Tooltip>
+);
+
+const SetupInstructions = () => (
+  <Card className="bg-gray-800/50 border-gray-700" bordered={false}>
+    <Empty description="No game state yet" />
+    <div className="max-w-2xl mx-auto mt-6">
+      <Title level={5} className="text-white">Connect Dota 2</Title>
+      <Paragraph className="text-gray-400">
+        1. Copy <Text code>gsi/gamestate_integration_dota2companion.cfg</Text> to{' '}
+        <Text code>steamapps/common/dota 2 beta/game/dota/cfg/gamestate_integration/</Text>
+      </Paragraph>
+      <Paragraph className="text-gray-400">
+        2. Add <Text code>-gamestateintegration</Text> to the Dota 2 launch options
+      </Paragraph>
+      <Paragraph className="text-gray-400">
+        3. Start the receiver with <Text code>npm run gsi</Text> and press Connect
+      </Paragraph>
+      <Paragraph className="text-gray-400">
+        No game running? Press Play Replay to step through the sample replay in <Text code>public/gsi/replay.ndjson</Text>.
+      </Paragraph>
+    </div>
+  </Card>
+);
+
+export const LiveGamePage = () => {
+  const { heroes, queryMatches } = useData();
+  const { status, source, game, error } = useGameState();
+  const [speed, setSpeed] = useState(4);
+
+  // Replays only run while the page is open
+  useEffect(() => () => {
+    if (gsiService.getSnapshot().source === 'replay') gsiService.stop();
+  }, []);
+
+  const pastMatches = useMemo(() => {
+    if (!game?.hero.id) return [];
+    const onHero = queryMatches({ heroId: game.hero.id, limit: 50 });
+    return onHero.length >= 5 ? onHero : queryMatches({ limit: 50 });
+  }, [game?.hero.id, queryMatches]);
+
+  const badge = STATUS_BADGES[status];
+  const runes = game ? getRuneTimers(game.clock) : [];
+  const roshan = game ? getRoshanTimer(game.lastRoshanKill, game.gameTime) : null;
+  const pace = game ? calculateLastHitPace(game.player.lastHits, game.clock, pastMatches) : null;
+  const kda = game ? (game.player.kills + game.player.assists) / Math.max(game.player.deaths, 1) : 0;
+
+  return (
+    <Layout className="min-h-screen bg-gray-900">
+      <Content className="p-6">
+        {/* Header */}
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+          <div>
+            <Title level={3} className="text-white m-0">
+              LIVE GAME
+            </Title>
+            <Badge status={badge.status} text={<Text type="secondary" className="text-xs uppercase tracking-wider">{badge.text}</Text>} />
+          </div>
+
+          <Space wrap>
+            <Button
+              type="primary"
+              icon={<ThunderboltOutlined />}
+              onClick={() => gsiService.connect()}
+              disabled={source === 'live'}
+            >
+              Connect
+            </Button>
+            <Select
+              value={speed}
+              onChange={setSpeed}
+              options={[1, 4, 10].map(value => ({ value, label: `${value}x` }))}
+              style={{ width: 80 }}
+            />
+            <Button icon={<PlayCircleOutlined />} onClick={() => gsiService.playReplay({ speed })}>
+              Play Replay
+            </Button>
+            <Button icon={<StopOutlined />} onClick={() => gsiService.stop()} disabled={status === 'idle'}>
+              Stop
+            </Button>
+          </Space>
+        </div>
+
+        {error && <Alert type="warning" showIcon message={error} className="mb-4" />}
+
+        {!game ? (
+          <SetupInstructions />
+        ) : (
+          <Row gutter={[16, 16]}>
+            {/* Hero and clock */}
+            <Col xs={24}>
+              <Card className="bg-gray-800/50 border-gray-700" bordered={false}>
+                <div className="flex flex-wrap justify-between items-center gap-4">
+                  <Space size="large">
+                    <Badge count={game.hero.level} color={gamingColors.electric.purple} offset={[-4, 56]}>
+                      <Avatar
+                        size={64}
+                        shape="square"
+                        src={getHeroIconById(game.hero.id, heroes)}
+                        style={game.hero.alive ? undefined : { filter: 'grayscale(1)' }}
+                      />
+                    </Badge>
+                    <div>
+                      <Title level={4} className="text-white m-0">
+                        {(game.hero.name || 'Unknown').replace(/_/g, ' ').toUpperCase()}
+                      </Title>
+                      <Space size="small">
+                        <Tag color={game.team === 'radiant' ? 'green' : 'red'}>{(game.team || '').toUpperCase()}</Tag>
+                        {!game.hero.alive && <Tag color="red">RESPAWN {game.hero.respawnSeconds}s</Tag>}
+                        {game.paused && <Tag color="orange">PAUSED</Tag>}
+                      </Space>
+                    </div>
+                  </Space>
+
+                  <div className="text-center">
+                    <Text className="text-4xl font-bold text-white font-mono">{formatClock(game.clock)}</Text>
+                    <div>
+                      <Space size="small">
+                        {game.daytime
+                          ? <SunOutlined style={{ color: gamingColors.electric.yellow }} />
+                          : <MoonOutlined style={{ color: gamingColors.electric.blue }} />}
+                        <Text type="secondary" className="text-xs uppercase">{game.state}</Text>
+                      </Space>
+                    </div>
+                  </div>
+
+                  <Space size="large">
+                    <Statistic title="Radiant" value={game.score.radiant} valueStyle={{ color: gamingColors.electric.green }} />
+                    <Statistic title="Dire" value={game.score.dire} valueStyle={{ color: gamingColors.electric.red }} />
+                  </Space>
+                </div>
+              </Card>
+            </Col>
+
+            {/* Economy and combat */}
+            <Col xs={24} lg={14}>
+              <Card className="h-full bg-gray-800/50 border-gray-700" bordered={false}>
+                <Row gutter={[16, 16]}>
+                  <Col xs={12} md={8}>
+                    <Statistic title="Gold" value={game.player.gold} valueStyle={{ color: gamingColors.electric.yellow }} />
+                  </Col>
+                  <Col xs={12} md={8}>
+                    <Statistic title="GPM" value={game.player.gpm} valueStyle={{ color: gamingColors.text.primary }} />
+                  </Col>
+                  <Col xs={12} md={8}>
+                    <Statistic title="XPM" value={game.player.xpm} valueStyle={{ color: gamingColors.text.primary }} />
+                  </Col>
+                  <Col xs={12} md={8}>
+                    <Statistic
+                      title="K / D / A"
+                      value={`${game.player.kills} / ${game.player.deaths} / ${game.player.assists}`}
+                      valueStyle={{ color: gamingColors.text.primary }}
+                    />
+                  </Col>
+                  <Col xs={12} md={8}>
+                    <Statistic title="KDA" value={kda.toFixed(2)} valueStyle={{ color: kda >= 3 ? gamingColors.performance.excellent : gamingColors.text.primary }} />
+                  </Col>
+                  <Col xs={12} md={8}>
+                    <Statistic
+                      title="LH / DN"
+                      value={`${game.player.lastHits} / ${game.player.denies}`}
+                      valueStyle={{ color: gamingColors.text.primary }}
+                    />
+                  </Col>
+                </Row>
+
+                {/* Last-hit pace */}
+                <div className="mt-6">
+                  <div className="flex justify-between">
+                    <Text type="secondary" className="text-xs uppercase">
+                      <AimOutlined /> Last-hit pace vs your average
+                    </Text>
+                    <Text className="text-white text-xs">
+                      {pace.expected !== null
+                        ? `${game.player.lastHits} / ${Math.round(pace.expected)} expected (${pace.averagePerMinute.toFixed(1)}/min avg)`
+                        : `${pace.perMinute.toFixed(1)}/min`}
+                    </Text>
+                  </div>
+                  {pace.ratio !== null ? (
+                    <Progress
+                      percent={Math.min(100, pace.ratio * 100)}
+                      showInfo={false}
+                      strokeColor={pace.ratio >= 1 ? gamingColors.performance.excellent : pace.ratio >= 0.8 ? gamingColors.performance.average : gamingColors.performance.poor}
+                    />
+                  ) : (
+                    <Text type="secondary" className="text-xs">No match history to compare against yet</Text>
+                  )}
+                </div>
+              </Card>
+            </Col>
+
+            {/* Timers */}
+            <Col xs={24} lg={10}>
+              <Card
+                title={<Space><FieldTimeOutlined />TIMERS</Space>}
+                className="h-full bg-gray-800/50 border-gray-700"
+                bordered={false}
+              >
+                <Space direction="vertical" className="w-full">
+                  <div className="flex justify-between">
+                    <Text className="text-white">Roshan</Text>
+                    {roshan.status === 'alive' && <Tag color="green">ALIVE</Tag>}
+                    {roshan.status === 'dead' && <Tag color="red">{formatClock(roshan.minIn)} - {formatClock(roshan.maxIn)}</Tag>}
+                    {roshan.status === 'maybe' && <Tag color="orange">MAYBE UP • {formatClock(roshan.maxIn)}</Tag>}
+                  </div>
+                  {runes.map(rune => (
+                    <div key={rune.key} className="flex justify-between">
+                      <Text className="text-white">{rune.label} rune</Text>
+                      {rune.nextAt === null ? (
+                        <Text type="secondary">-</Text>
+                      ) : (
+                        <Text style={{ color: rune.secondsUntil <= 15 ? gamingColors.electric.yellow : gamingColors.text.secondary }}>
+                          {formatClock(rune.nextAt)} (in {formatClock(rune.secondsUntil)})
+                        </Text>
+                      )}
+                    </div>
+                  ))}
+                </Space>
+              </Card>
+            </Col>
+
+            {/* Items */}
+            <Col xs={24}>
+              <Card
+                title={<Space><ShoppingOutlined />ITEMS</Space>}
+                className="bg-gray-800/50 border-gray-700"
+                bordered={false}
+              >
+                <div className="flex flex-wrap items-end gap-6">
+                  <div className="grid grid-cols-3 gap-1">
+                    {game.items.inventory.map((item, index) => <ItemSlot key={index} item={item} />)}
+                  </div>
+                  <div>
+                    <Text type="secondary" className="text-xs uppercase">Backpack</Text>
+                    <div className="flex gap-1 mt-1 opacity-70">
+                      {game.items.backpack.map((item, index) => <ItemSlot key={index} item={item} size={32} />)}
+                    </div>
+                  </div>
+                  <div>
+                    <Text type="secondary" className="text-xs uppercase">Neutral / TP</Text>
+                    <div className="flex gap-1 mt-1">
+                      <ItemSlot item={game.items.neutral} size={32} />
+                      <ItemSlot item={game.items.teleport} size={32} />
+                    </div>
+                  </div>
+                </div>
+              </Card>
+            </Col>
+          </Row>
+        )}
+      </Content>
+    </Layout>
+  );
+};
+
+export default LiveGamePage;
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useMemo, useContext } from 'react';
 import { 
   Layout, Card, Spin, Typography, Space, Tag, Row, Col, Statistic, 
   Progress, Tabs, List, Avatar, Badge, Divider, Timeline, Alert,
-  Breadcrumb, Button, Tooltip, Table, Empty, Rate, Segmented, Drawer
+  Breadcrumb, Button, Tooltip, Table, Empty, Rate, Segmented, Drawer, Select
 } from 'antd';
 import { 
   ArrowLeftOutlined, TrophyOutlined, CloseCircleOutlined,
@@ -12,12 +12,26 @@ import {
   UserOutlined, CrownOutlined, SafetyCertificateOutlined,
   EyeOutlined, RiseOutlined, FallOutlined, DashboardOutlined,
   BulbOutlined, InfoCircleOutlined, ThunderboltOutlined,
-  AimOutlined, RocketOutlined, AlertOutlined
+  AimOutlined, RocketOutlined, AlertOutlined, SwapOutlined
 } from '@ant-design/icons';
 import { Line, Bar, Pie, Radar, Area, Column } from '@ant-design/plots';
 import { gamingColors } from '../../theme/antdTheme.js';
 import { AuthContext } from '../../contexts/AuthContext.js';
+import DataContext from '../../contexts/DataContext.jsx';
 import authService from '../../services/auth.service.js';
+import parseService from '../../services/parse.service.js';
+import { isMatchParsed } from '../../utils/dataTransforms.js';
+import {
+  getLaneOutcome, getLaneDeaths, getKeyItemTimings, getVisionStats, getDefaultPlayerSlot
+} from '../../utils/matchAnalysis.js';
+import { getWardLifetimes, WARD_DURATION } from '../../utils/minimap.js';
+import { classifyMatchPositions, getPositionName } from '../../utils/roles.js';
+import {
+  gradePlayerMatch, getBracket, getBracketWinRate, formatPercentile, RANK_BRACKETS
+} from '../../utils/grading.js';
+import { formatClock } from '../../utils/gsi.js';
+import Minimap from './Minimap.jsx';
+import MatchTimeline from './MatchTimeline.jsx';
 import { 
   getHeroIcon, 
   getItemIcon, 
@@ -33,16 +47,32 @@ import {
 const { Content } = Layout;
 const { Title, Text } = Typography;
 
-export const MatchAnalysis = ({ matchId, onBack }) => {
+export const MatchAnalysis = ({ matchId, onBack, backLabel = 'Back to Dashboard', tab, onTabChange, onCompare }) => {
   const { user } = useContext(AuthContext);
+  // Player whose data is loaded, so a viewed profile opens on their hero
+  const dataContext = useContext(DataContext);
+  const playerAccountIds = [dataContext?.accountId ?? user?.accountId, ...(dataContext?.linkedAccountIds || [])];
   const [matchData, setMatchData] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [activeTab, setActiveTab] = useState('overview');
+  const [localTab, setLocalTab] = useState('overview');
+  // Bumped after a replay parse to reload the match with its parsed data
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // The tab lives in the URL when the router passes it in
+  const activeTab = tab || localTab;
+  const setActiveTab = onTabChange || setLocalTab;
   
   // Mobile responsiveness integration
   const responsive = useResponsiveWidget('match-analysis');
   const { device, windowSize, utils, content } = responsive;
 
+  // Player the tabs analyze; null until picked, defaulting to the viewer when they played
+  const [selectedSlot, setSelectedSlot] = useState(null);
+
+  useEffect(() => {
+    setSelectedSlot(null);
+  }, [matchId]);
+
   useEffect(() => {
     const fetchMatchData = async () => {
       setLoading(true);
@@ -53,22 +83,18 @@ export const MatchAnalysis = ({ matchId, onBack }) => {
         const data = await authService.fetchMatch(matchId);
         console.log(`[MATCH ANALYSIS] Match data received:`, data);
         
-        // Find the current user's player in the match
-        const userPlayer = data.players.find(p => p.account_id === parseInt(user?.accountId));
-        const userHeroId = userPlayer?.hero_id;
-        
-        // Fetch additional data for enhanced analytics using auth service
-        const [benchmarks, heroStats] = await Promise.allSettled([
-          userHeroId ? authService.fetchBenchmarks(userHeroId) : null,
-          authService.fetchGeneralHeroStats()
-        ]);
-        
-        const benchmarksData = benchmarks.status === 'fulfilled' ? benchmarks.value : null;
+        // Hero stats back the hero icons; benchmarks follow the selected player below
+        const [heroStats] = await Promise.allSettled([authService.fetchGeneralHeroStats()]);
         const heroStatsData = heroStats.status === 'fulfilled' ? heroStats.value : [];
         
-        console.log(`[MATCH ANALYSIS] Additional data loaded - benchmarks: ${!!benchmarksData}, heroStats: ${heroStatsData?.length || 0} items`);
+        console.log(`[MATCH ANALYSIS] Additional data loaded - heroStats: ${heroStatsData?.length || 0} items`);
         
-        setMatchData({ ...data, benchmarks: benchmarksData, heroStats: heroStatsData });
+        // A reload of the same match (after a parse) keeps the benchmarks already loaded
+        setMatchData(prev => ({
+          ...data,
+          benchmarks: prev?.match_id === data.match_id ? prev.benchmarks : null,
+          heroStats: heroStatsData
+        }));
       } catch (error) {
         console.error('[MATCH ANALYSIS] Error fetching match:', error);
         setMatchData(null);
@@ -83,18 +109,38 @@ export const MatchAnalysis = ({ matchId, onBack }) => {
       console.error('[MATCH ANALYSIS] No match ID provided');
       setLoading(false);
     }
-  }, [matchId, user]);
+  }, [matchId, reloadKey]);
 
+  // A combined-history match may belong to one of the linked accounts instead
+  const playerAccountId = playerAccountIds.find(id => matchData?.players?.some(player => player.account_id === Number(id)))
+    ?? playerAccountIds[0];
+  const playerSlot = selectedSlot ?? getDefaultPlayerSlot(matchData, playerAccountId);
 
   const playerData = useMemo(() => {
     if (!matchData?.players) return null;
-    
-    // Find the current player from auth context
-    const currentAccountId = user?.accountId;
-    if (!currentAccountId) return null;
-    
-    return matchData.players.find(p => p.account_id === parseInt(currentAccountId));
-  }, [matchData, user]);
+    return matchData.players.find(p => p.player_slot === playerSlot) || null;
+  }, [matchData, playerSlot]);
+
+  const selectedHeroId = playerData?.hero_id;
+
+  // Benchmarks are per hero, so reload them when another player is selected
+  useEffect(() => {
+    if (!selectedHeroId) return;
+    let cancelled = false;
+
+    authService.fetchBenchmarks(selectedHeroId)
+      .catch(error => {
+        console.warn('[MATCH ANALYSIS] Benchmarks unavailable:', error.message);
+        return null;
+      })
+      .then(benchmarks => {
+        if (!cancelled) setMatchData(prev => prev && { ...prev, benchmarks });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedHeroId, matchData?.match_id]);
 
   const teamData = useMemo(() => {
     if (!matchData?.players) return { radiant: [], dire: [] };
@@ -105,6 +151,12 @@ export const MatchAnalysis = ({ matchId, onBack }) => {
     return { radiant, dire };
   }, [matchData]);
 
+  // Timeline events open the tab that covers them, following the player involved
+  const openTimelineEvent = (event) => {
+    if (event.playerSlot !== null) setSelectedSlot(event.playerSlot);
+    setActiveTab(event.tab);
+  };
+
   if (loading) {
     return (
       <div className="h-screen flex items-center justify-center bg-gray-900">
@@ -138,7 +190,7 @@ export const MatchAnalysis = ({ matchId, onBack }) => {
                 onClick={onBack}
                 className="text-gray-400 hover:text-white"
               >
-                Back to Dashboard
+                {backLabel}
               </Button>
             </Breadcrumb.Item>
             <Breadcrumb.Item className="text-white">
@@ -186,10 +238,27 @@ export const MatchAnalysis = ({ matchId, onBack }) => {
                 prefix={<CalendarOutlined />}
                 valueStyle={{ color: gamingColors.text.primary }}
               />
+              {onCompare && (
+                <Tooltip title="Compare with another of your matches">
+                  <Button icon={<SwapOutlined />} onClick={onCompare}>Compare</Button>
+                </Tooltip>
+              )}
             </Space>
           </div>
         </Card>
 
+        <PlayerSelector
+          players={matchData.players}
+          heroStats={matchData.heroStats}
+          value={playerSlot}
+          onChange={setSelectedSlot}
+          viewerAccountId={user?.accountId}
+        />
+
+        {!isMatchParsed(matchData) && (
+          <ParseRequestBanner matchId={matchId} onParsed={() => setReloadKey(key => key + 1)} />
+        )}
+
         {/* Mobile Tab Navigation */}
         {device.type === 'mobile' ? (
           <div className="mobile-tab-navigation">
@@ -198,6 +267,7 @@ export const MatchAnalysis = ({ matchId, onBack }) => {
               onChange={setActiveTab}
               options={[
                 { label: 'Overview', value: 'overview', icon: <DashboardOutlined /> },
+                { label: 'Timeline', value: 'timeline', icon: <ClockCircleOutlined /> },
                 { label: 'Performance', value: 'performance', icon: <FireOutlined /> },
                 { label: 'Laning', value: 'laning', icon: <RiseOutlined /> },
                 { label: 'Economy', value: 'economy', icon: <ShoppingOutlined /> },
@@ -209,7 +279,8 @@ export const MatchAnalysis = ({ matchId, onBack }) => {
               size="large"
             />
             <div className="mobile-tab-content">
-              {activeTab === 'overview' && <EnhancedOverviewTab matchData={matchData} playerData={playerData} teamData={teamData} responsive={responsive} />}
+              {activeTab === 'overview' && <EnhancedOverviewTab matchData={matchData} playerData={playerData} teamData={teamData} onSelectPlayer={setSelectedSlot} responsive={responsive} />}
+              {activeTab === 'timeline' && <MatchTimeline matchData={matchData} onOpenEvent={openTimelineEvent} />}
               {activeTab === 'performance' && <EnhancedPerformanceTab matchData={matchData} playerData={playerData} responsive={responsive} />}
               {activeTab === 'laning' && <LaningPhaseTab playerData={playerData} responsive={responsive} />}
               {activeTab === 'economy' && <EconomyResourcesTab matchData={matchData} playerData={playerData} responsive={responsive} />}
@@ -235,7 +306,17 @@ export const MatchAnalysis = ({ matchId, onBack }) => {
                     {device.type !== 'tablet' && 'Overview'}
                   </span>
                 ),
-                children: <EnhancedOverviewTab matchData={matchData} playerData={playerData} teamData={teamData} responsive={responsive} />
+                children: <EnhancedOverviewTab matchData={matchData} playerData={playerData} teamData={teamData} onSelectPlayer={setSelectedSlot} responsive={responsive} />
+              },
+              {
+                key: 'timeline',
+                label: (
+                  <span className={device.type === 'tablet' ? 'tablet-tab-label' : ''}>
+                    <ClockCircleOutlined className="mr-2" />
+                    {device.type !== 'tablet' && 'Timeline'}
+                  </span>
+                ),
+                children: <MatchTimeline matchData={matchData} onOpenEvent={openTimelineEvent} />
               },
               {
                 key: 'performance',
@@ -306,6 +387,119 @@ export const MatchAnalysis = ({ matchId, onBack }) => {
 };
 
 
+// Picks which of the ten players the tabs analyze
+const PlayerSelector = ({ players, heroStats, value, onChange, viewerAccountId }) => {
+  const toOption = (player) => {
+    const hero = heroStats?.find(h => h.id === player.hero_id);
+    const isViewer = viewerAccountId && player.account_id === Number(viewerAccountId);
+    return {
+      value: player.player_slot,
+      searchText: `${player.personaname || 'Anonymous'} ${hero?.localized_name || ''}`,
+      label: (
+        <Space size="small">
+          <Avatar size={20} shape="square" src={getHeroIconById(player.hero_id, heroStats)} />
+          <Text className="text-white">{player.personaname || 'Anonymous'}</Text>
+          <Text type="secondary">{hero?.localized_name || `Hero ${player.hero_id}`}</Text>
+          {isViewer && <Tag color="cyan">YOU</Tag>}
+        </Space>
+      )
+    };
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-6">
+      <Text type="secondary" className="uppercase tracking-wider text-xs">
+        <UserOutlined className="mr-2" />Analyzing
+      </Text>
+      <Select
+        showSearch
+        value={value}
+        onChange={onChange}
+        optionFilterProp="searchText"
+        style={{ minWidth: 320 }}
+        options={[
+          { label: 'Radiant', options: players.filter(p => p.player_slot < 128).map(toOption) },
+          { label: 'Dire', options: players.filter(p => p.player_slot >= 128).map(toOption) }
+        ]}
+      />
+    </div>
+  );
+};
+
+// Typical OpenDota parse time, used to scale the progress bar
+const EXPECTED_PARSE_TIME = 90 * 1000;
+
+const PARSE_STAGE_LABELS = {
+  requesting: 'Sending parse request...',
+  queued: 'Waiting for OpenDota to parse the replay...',
+  fetching: 'Parsed - loading the full match...'
+};
+
+// Offered when replay data (lane CS, teamfights, wards) is missing from the match
+const ParseRequestBanner = ({ matchId, onParsed }) => {
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setProgress(null);
+    setError(null);
+  }, [matchId]);
+
+  const requestParse = async () => {
+    setError(null);
+    setProgress({ stage: 'requesting', elapsed: 0 });
+    try {
+      await parseService.request(matchId, { onProgress: setProgress });
+      onParsed();
+    } catch (parseError) {
+      console.error('[MATCH ANALYSIS] Parse request failed:', parseError);
+      setError(parseError.message);
+      setProgress(null);
+    }
+  };
+
+  const percent = progress?.stage === 'fetching'
+    ? 99
+    : Math.min(95, Math.round(((progress?.elapsed || 0) / EXPECTED_PARSE_TIME) * 100));
+
+  return (
+    <Alert
+      className="mb-6"
+      type={error ? 'error' : 'info'}
+      showIcon
+      message="This match hasn't been parsed yet"
+      description={
+        <Space direction="vertical" className="w-full">
+          <Text className="text-gray-300">
+            Laning, economy, teamfight and vision details need OpenDota to parse the replay.
+            Parsing usually takes a minute or two.
+          </Text>
+          {progress && (
+            <div>
+              <Text className="text-gray-400">
+                {PARSE_STAGE_LABELS[progress.stage]} ({Math.round(progress.elapsed / 1000)}s)
+              </Text>
+              <Progress percent={percent} status="active" strokeColor={gamingColors.electric.cyan} />
+            </div>
+          )}
+          {error && <Text type="danger">{error}</Text>}
+        </Space>
+      }
+      action={
+        <Button type="primary" onClick={requestParse} loading={Boolean(progress)}>
+          {progress ? 'Parsing' : 'Request parse'}
+        </Button>
+      }
+    />
+  );
+};
+
+// Grade of the analyzed player; matchData.benchmarks always belong to their hero
+const gradeSelectedPlayer = (matchData, playerData) => gradePlayerMatch(matchData, playerData, {
+  benchmarks: matchData?.benchmarks,
+  heroName: matchData?.heroStats?.find(h => h.id === playerData?.hero_id)?.localized_name
+});
+
 const getGradeColor = (grade) => {
   const colors = {
     S: { color: '#FFD700', glow: '0 0 20px #FFD700' },
@@ -318,7 +512,7 @@ const getGradeColor = (grade) => {
 };
 
 // Enhanced Overview Tab Component
-const EnhancedOverviewTab = ({ matchData, playerData, teamData }) => {
+const EnhancedOverviewTab = ({ matchData, playerData, teamData, onSelectPlayer }) => {
   // Calculate draft analysis
   const draftAnalysis = useMemo(() => {
     if (!matchData.picks_bans || !matchData.heroStats) return null;
@@ -371,17 +565,19 @@ const EnhancedOverviewTab = ({ matchData, playerData, teamData }) => {
     return events.sort((a, b) => a.time - b.time);
   }, [matchData]);
 
+  const positions = useMemo(() => classifyMatchPositions(matchData), [matchData]);
+  const playerGrade = useMemo(() => gradeSelectedPlayer(matchData, playerData), [matchData, playerData]);
+
   const PlayerRow = ({ player, isCurrentPlayer }) => {
-    const kda = ((player.kills + player.assists) / Math.max(player.deaths, 1)).toFixed(2);
-    const kdaGrade = kda >= 5 ? 'S' : kda >= 4 ? 'A' : kda >= 3 ? 'B' : kda >= 2 ? 'C' : 'D';
-    const gradeStyle = getGradeColor(kdaGrade);
+    const gradeStyle = getGradeColor(playerGrade.grade);
     
     return (
       <div 
-        className={`flex items-center justify-between p-3 rounded-lg mb-2 transition-all ${
+        className={`flex items-center justify-between p-3 rounded-lg mb-2 transition-all cursor-pointer ${
           isCurrentPlayer ? 'bg-cyan-900/20 border border-cyan-400/30' : 'bg-gray-800/30 hover:bg-gray-800/50'
         }`}
         style={isCurrentPlayer ? { boxShadow: gradeStyle.glow } : {}}
+        onClick={() => onSelectPlayer?.(player.player_slot)}
       >
       <Space size="middle">
         <Avatar 
@@ -404,15 +600,18 @@ const EnhancedOverviewTab = ({ matchData, playerData, teamData }) => {
           <div className="flex items-center gap-2">
             <Text type="secondary" className="text-xs">
               {player.hero_name} • Level {player.level}
+              {positions.has(player.player_slot) && ` • Pos ${positions.get(player.player_slot)}`}
             </Text>
-            {isCurrentPlayer && (
-              <Tag 
-                color={gradeStyle.color} 
-                className="text-xs animate-pulse"
-                style={{ borderColor: gradeStyle.color }}
-              >
-                Grade {kdaGrade}
-              </Tag>
+            {isCurrentPlayer && playerGrade.grade && (
+              <Tooltip title={playerGrade.explanation}>
+                <Tag 
+                  color={gradeStyle.color} 
+                  className="text-xs animate-pulse"
+                  style={{ borderColor: gradeStyle.color }}
+                >
+                  Grade {playerGrade.grade}
+                </Tag>
+              </Tooltip>
             )}
           </div>
         </div>
@@ -466,7 +665,7 @@ const EnhancedOverviewTab = ({ matchData, playerData, teamData }) => {
             <PlayerRow 
               key={player.player_slot} 
               player={player} 
-              isCurrentPlayer={player.account_id === playerData?.account_id}
+              isCurrentPlayer={player.player_slot === playerData?.player_slot}
             />
           ))}
           
@@ -510,7 +709,7 @@ const EnhancedOverviewTab = ({ matchData, playerData, teamData }) => {
             <PlayerRow 
               key={player.player_slot} 
               player={player} 
-              isCurrentPlayer={player.account_id === playerData?.account_id}
+              isCurrentPlayer={player.player_slot === playerData?.player_slot}
             />
           ))}
           
@@ -624,106 +823,17 @@ const EnhancedPerformanceTab = ({ matchData, playerData }) => {
     return <Alert message="Player data not found in this match" type="warning" />;
   }
   
-  // Determine player role based on lane and farm priority
-  const getPlayerRole = () => {
-    const lane = playerData.lane_role;
-    const goldShare = playerData.gold_per_min / matchData.radiant_gold_adv?.length || 1;
-    
-    if (lane === 1) return 'Carry';
-    if (lane === 2) return 'Mid';
-    if (lane === 3) return 'Offlane';
-    if (playerData.obs_placed > 10) return 'Support';
-    if (goldShare < 0.15) return 'Hard Support';
-    return 'Roamer';
-  };
-  
-  const role = getPlayerRole();
-  
-  // Calculate role-specific performance scores
-  const getRolePerformance = () => {
-    const benchmarks = matchData.benchmarks?.result || {};
-    
-    switch(role) {
-      case 'Carry':
-        return {
-          'CS Efficiency': { 
-            value: playerData.last_hits, 
-            benchmark: benchmarks.gold_per_min?.[75] || 300,
-            score: Math.min(10, (playerData.last_hits / (benchmarks.last_hits?.[75] || 300)) * 10)
-          },
-          'Farm Speed': { 
-            value: playerData.gold_per_min, 
-            benchmark: benchmarks.gold_per_min?.[75] || 600,
-            score: Math.min(10, (playerData.gold_per_min / (benchmarks.gold_per_min?.[75] || 600)) * 10)
-          },
-          'Late Game Impact': { 
-            value: playerData.hero_damage, 
-            benchmark: benchmarks.hero_damage?.[75] || 20000,
-            score: Math.min(10, (playerData.hero_damage / (benchmarks.hero_damage?.[75] || 20000)) * 10)
-          },
-          'Death Avoidance': { 
-            value: playerData.deaths, 
-            benchmark: 5,
-            score: Math.max(0, 10 - (playerData.deaths * 2))
-          }
-        };
-      case 'Support':
-      case 'Hard Support':
-        return {
-          'Ward Efficiency': { 
-            value: playerData.obs_placed || 0, 
-            benchmark: 15,
-            score: Math.min(10, ((playerData.obs_placed || 0) / 15) * 10)
-          },
-          'Save Plays': { 
-            value: playerData.hero_healing || 0, 
-            benchmark: 3000,
-            score: Math.min(10, ((playerData.hero_healing || 0) / 3000) * 10)
-          },
-          'Space Creation': { 
-            value: playerData.stuns || 0, 
-            benchmark: 30,
-            score: Math.min(10, ((playerData.stuns || 0) / 30) * 10)
-          },
-          'Gold Efficiency': { 
-            value: playerData.gold_spent || 0, 
-            benchmark: playerData.total_gold || 1,
-            score: Math.min(10, (playerData.gold_spent / playerData.total_gold) * 10)
-          }
-        };
-      default:
-        return {
-          'Lane Dominance': { 
-            value: playerData.lane_efficiency || 0, 
-            benchmark: 0.8,
-            score: Math.min(10, (playerData.lane_efficiency || 0) * 12.5)
-          },
-          'Rotation Impact': { 
-            value: playerData.kills + playerData.assists, 
-            benchmark: 20,
-            score: Math.min(10, ((playerData.kills + playerData.assists) / 20) * 10)
-          },
-          'Map Control': { 
-            value: playerData.tower_damage || 0, 
-            benchmark: 3000,
-            score: Math.min(10, ((playerData.tower_damage || 0) / 3000) * 10)
-          },
-          'Team Fighting': { 
-            value: playerData.teamfight_participation || 0, 
-            benchmark: 0.7,
-            score: Math.min(10, (playerData.teamfight_participation || 0.5) * 14)
-          }
-        };
-    }
-  };
-  
-  const rolePerformance = getRolePerformance();
-  const overallScore = Object.values(rolePerformance).reduce((acc, metric) => acc + metric.score, 0) / Object.keys(rolePerformance).length;
+  const grading = gradeSelectedPlayer(matchData, playerData);
+  const position = grading.position;
+  const role = getPositionName(position);
+  const heroName = matchData.heroStats?.find(h => h.id === playerData.hero_id)?.localized_name;
+  const bracket = getBracket(playerData.rank_tier);
+  const bracketWinRate = getBracketWinRate(matchData.heroStats, playerData.hero_id, bracket);
 
   // Calculate efficiency ratings
   const efficiencyMetrics = {
     'Farm Priority vs Actual': {
-      expected: role === 'Carry' ? 1 : role === 'Mid' ? 2 : role === 'Offlane' ? 3 : 5,
+      expected: position || 3,
       actual: playerData.gold_per_min / (matchData.players.reduce((sum, p) => sum + p.gold_per_min, 0) / 10),
       rating: 'Good'
     },
@@ -752,46 +862,59 @@ const EnhancedPerformanceTab = ({ matchData, playerData }) => {
           title={
             <Space>
               <span className="uppercase text-white">ROLE PERFORMANCE</span>
-              <Tag color={overallScore >= 8 ? 'gold' : overallScore >= 6 ? 'cyan' : overallScore >= 4 ? 'green' : 'red'}>
-                {role.toUpperCase()}
+              <Tag color={grading.grade === 'S' ? 'gold' : grading.grade === 'A' ? 'cyan' : grading.grade === 'B' ? 'green' : 'red'}>
+                {position ? `POS ${position} • ${role.toUpperCase()}` : role.toUpperCase()}
               </Tag>
             </Space>
           }
           className="bg-gray-800/50 border-gray-700"
           headStyle={{ borderBottom: '1px solid #374151' }}
           extra={
-            <div className="text-center">
-              <div 
-                className="text-4xl font-bold"
-                style={{ 
-                  color: getGradeColor(overallScore >= 9 ? 'S' : overallScore >= 7 ? 'A' : overallScore >= 5 ? 'B' : overallScore >= 3 ? 'C' : 'D').color,
-                  textShadow: getGradeColor(overallScore >= 9 ? 'S' : overallScore >= 7 ? 'A' : overallScore >= 5 ? 'B' : overallScore >= 3 ? 'C' : 'D').glow
-                }}
-              >
-                {overallScore.toFixed(1)}/10
+            <Tooltip title={grading.explanation}>
+              <div className="text-center">
+                <div 
+                  className="text-4xl font-bold"
+                  style={{ 
+                    color: getGradeColor(grading.grade).color,
+                    textShadow: getGradeColor(grading.grade).glow
+                  }}
+                >
+                  {grading.grade || '-'}
+                </div>
+                <Text type="secondary">
+                  {grading.score === null ? 'Not graded' : `${formatPercentile(grading.score)} percentile`}
+                </Text>
               </div>
-              <Text type="secondary">Overall Score</Text>
-            </div>
+            </Tooltip>
           }
         >
+          {bracketWinRate !== null && (
+            <Text type="secondary" className="text-xs block mb-4">
+              {heroName || 'This hero'} wins {(bracketWinRate * 100).toFixed(1)}% of games in {RANK_BRACKETS[bracket] || 'all brackets'}
+            </Text>
+          )}
           <Row gutter={[16, 16]}>
-            {Object.entries(rolePerformance).map(([metric, data]) => (
-              <Col span={6} key={metric}>
-                <div className="text-center p-4 bg-gray-900/50 rounded-lg">
-                  <Text className="text-xs text-gray-400 block mb-2">{metric}</Text>
-                  <Progress 
-                    type="circle" 
-                    percent={data.score * 10} 
-                    size={80}
-                    strokeColor={data.score >= 8 ? gamingColors.electric.cyan : data.score >= 5 ? gamingColors.electric.green : gamingColors.electric.orange}
-                    format={() => (
-                      <div>
-                        <div className="text-lg font-bold">{data.score.toFixed(1)}</div>
-                        <div className="text-xs text-gray-400">{data.value}</div>
-                      </div>
-                    )}
-                  />
-                </div>
+            {grading.metrics.map(metric => (
+              <Col xs={12} md={6} key={metric.key}>
+                <Tooltip title={metric.explanation}>
+                  <div className="text-center p-4 bg-gray-900/50 rounded-lg">
+                    <Text className="text-xs text-gray-400 block mb-2">{metric.label}</Text>
+                    <Progress 
+                      type="circle" 
+                      percent={metric.percentile ?? 0} 
+                      size={80}
+                      strokeColor={getGradeColor(metric.grade).color}
+                      format={() => (
+                        <div>
+                          <div className="text-lg font-bold">{metric.grade || '-'}</div>
+                          <div className="text-xs text-gray-400">
+                            {typeof metric.value === 'number' ? Number(metric.value.toFixed(1)).toLocaleString() : '-'}
+                          </div>
+                        </div>
+                      )}
+                    />
+                  </div>
+                </Tooltip>
               </Col>
             ))}
           </Row>
@@ -985,30 +1108,7 @@ const LaningPhaseTab = ({ playerData, responsive }) => {
   }, [playerData]);
   
   // Calculate lane outcome
-  const laneOutcome = useMemo(() => {
-    if (!playerData) return { outcome: 'UNKNOWN', color: 'gray', description: 'No data available' };
-    
-    const lastHitsAt10 = playerData.lh_t?.[9] || 0;
-    const xpAt10 = playerData.xp_t?.[9] || 0;
-    const deathsInLane = Array.isArray(playerData.life_state) 
-      ? playerData.life_state.slice(0, 600).filter(s => s === 2).length 
-      : 0;
-    
-    let score = 0;
-    if (lastHitsAt10 > 50) score += 2;
-    else if (lastHitsAt10 > 35) score += 1;
-    
-    if (xpAt10 > 4000) score += 2;
-    else if (xpAt10 > 3000) score += 1;
-    
-    if (deathsInLane === 0) score += 2;
-    else if (deathsInLane === 1) score += 1;
-    else score -= deathsInLane;
-    
-    if (score >= 5) return { outcome: 'WON', color: 'green', description: 'Dominated the lane' };
-    if (score >= 2) return { outcome: 'DRAW', color: 'blue', description: 'Even lane' };
-    return { outcome: 'LOST', color: 'red', description: 'Struggled in lane' };
-  }, [playerData]);
+  const laneOutcome = useMemo(() => getLaneOutcome(playerData), [playerData]);
   
   if (!playerData) {
     return <Alert message="Player data not found in this match" type="warning" />;
@@ -1125,9 +1225,7 @@ const LaningPhaseTab = ({ playerData, responsive }) => {
               <Col span={getColSpan(8, 8, 12)}>
                 <Statistic
                   title="Lane Deaths"
-                  value={Array.isArray(playerData.life_state) 
-                    ? playerData.life_state.slice(0, 600).filter(s => s === 2).length 
-                    : 0}
+                  value={getLaneDeaths(playerData)}
                   valueStyle={{ 
                     color: gamingColors.electric.red,
                     fontSize: responsive?.device.type === 'mobile' ? '18px' : '24px'
@@ -1287,35 +1385,13 @@ const EconomyResourcesTab = ({ matchData, playerData, responsive }) => {
   }, [playerData]);
   
   // Item timing analysis
-  const keyItemTimings = useMemo(() => {
-    if (!playerData) return [];
-    const benchmarkItems = {
-      'blink': { name: 'Blink Dagger', benchmark: 15 },
-      'black_king_bar': { name: 'Black King Bar', benchmark: 25 },
-      'aghanims_scepter': { name: "Aghanim's Scepter", benchmark: 30 },
-      'butterfly': { name: 'Butterfly', benchmark: 35 },
-      'assault': { name: 'Assault Cuirass', benchmark: 35 },
-      'heart': { name: 'Heart of Tarrasque', benchmark: 35 }
-    };
-    
-    const timings = [];
-    if (playerData.purchase_log) {
-      playerData.purchase_log.forEach(purchase => {
-        const item = benchmarkItems[purchase.key];
-        if (item) {
-          const timing = purchase.time / 60;
-          timings.push({
-            name: item.name,
-            timing: timing.toFixed(1),
-            benchmark: item.benchmark,
-            efficiency: timing <= item.benchmark ? 'Fast' : 'Slow',
-            color: timing <= item.benchmark ? gamingColors.electric.green : gamingColors.electric.orange
-          });
-        }
-      });
-    }
-    return timings;
-  }, [playerData]);
+  const keyItemTimings = useMemo(() => getKeyItemTimings(playerData).map(item => ({
+    name: item.name,
+    timing: item.minutes.toFixed(1),
+    benchmark: item.benchmark,
+    efficiency: item.fast ? 'Fast' : 'Slow',
+    color: item.fast ? gamingColors.electric.green : gamingColors.electric.orange
+  })), [playerData]);
   
   if (!playerData) {
     return <Alert message="Player data not found in this match" type="warning" />;
@@ -1701,78 +1777,6 @@ const EconomyResourcesTab = ({ matchData, playerData, responsive }) => {
   );
 };
 
-// Graphs Tab Component
-const GraphsTab = ({ matchData, teamData: TEAMDATA }) => {
-  const goldAdvantageData = useMemo(() => {
-    if (!matchData.radiant_gold_adv) return [];
-    
-    return matchData.radiant_gold_adv.map((gold, index) => ({
-      time: index,
-      advantage: gold,
-      type: gold > 0 ? 'Radiant' : 'Dire'
-    }));
-  }, [matchData]);
-
-  const xpAdvantageData = useMemo(() => {
-    if (!matchData.radiant_xp_adv) return [];
-    
-    return matchData.radiant_xp_adv.map((xp, index) => ({
-      time: index,
-      advantage: xp,
-      type: xp > 0 ? 'Radiant' : 'Dire'
-    }));
-  }, [matchData]);
-
-  const goldConfig = {
-    data: goldAdvantageData,
-    xField: 'time',
-    yField: 'advantage',
-    seriesField: 'type',
-    color: ['#52c41a', '#ff4d4f'],
-    areaStyle: {
-      fillOpacity: 0.6,
-    },
-    xAxis: {
-      label: {
-        formatter: (v) => `${v}m`,
-      },
-    },
-    yAxis: {
-      label: {
-        formatter: (v) => `${Math.abs(v / 1000)}k`,
-      },
-    },
-    theme: 'dark',
-  };
-
-  const xpConfig = {
-    ...goldConfig,
-    data: xpAdvantageData,
-  };
-
-  return (
-    <Row gutter={[16, 16]}>
-      <Col span={24}>
-        <Card 
-          title="GOLD ADVANTAGE"
-          className="bg-gray-800/50 border-gray-700"
-        >
-          <Line {...goldConfig} />
-        </Card>
-      </Col>
-      
-      <Col span={24}>
-        <Card 
-          title="EXPERIENCE ADVANTAGE"
-          className="bg-gray-800/50 border-gray-700"
-        >
-          <Line {...xpConfig} />
-        </Card>
-      </Col>
-    </Row>
-  );
-};
-
 // Combat Intelligence Tab Component
 const CombatIntelligenceTab = ({ matchData, playerData, teamData, responsive }) => {
   // Calculate teamfight impact
@@ -2029,85 +2033,10 @@ const CombatIntelligenceTab = ({ matchData, playerData, teamData, responsive })
 // Vision & Map Control Tab Component
 const VisionMapControlTab = ({ matchData, playerData }) => {
   // Enhanced vision statistics with advanced calculations
-  const visionStats = useMemo(() => {
-    if (!playerData) {
-      return {
-        wardUptime: 0,
-        dewardEfficiency: 0,
-        visionScore: 0,
-        wardsPerMinute: 0,
-        visionDensity: 0,
-        visionGrade: 'D',
-        obsKills: 0,
-        senKills: 0
-      };
-    }
-    
-    const obs = playerData.obs_placed || 0;
-    const sen = playerData.sen_placed || 0;
-    const obsKills = playerData.observer_kills || 0;
-    const senKills = playerData.sentry_kills || 0;
-    const duration = matchData.duration / 60; // in minutes
-    
-    // Advanced ward efficiency calculations
-    const wardUptime = Math.min((obs * 7) / duration * 100, 100);
-    const dewardEfficiency = sen > 0 ? ((obsKills + senKills) / sen * 100) : 0;
-    const visionScore = (obs * 2.5 + sen * 1.5 + obsKills * 3 + senKills * 2);
-    const wardsPerMinute = obs / duration;
-    const visionDensity = obs > 0 ? (duration / obs) : 0; // minutes between wards
-    
-    // Vision grade calculation
-    let visionGrade = 'D';
-    if (visionScore >= 50) visionGrade = 'S';
-    else if (visionScore >= 35) visionGrade = 'A';
-    else if (visionScore >= 25) visionGrade = 'B';
-    else if (visionScore >= 15) visionGrade = 'C';
-    
-    return {
-      wardUptime,
-      dewardEfficiency,
-      visionScore,
-      wardsPerMinute,
-      visionDensity,
-      visionGrade,
-      obsKills,
-      senKills
-    };
-  }, [playerData, matchData]);
+  const visionStats = useMemo(() => getVisionStats(playerData, matchData.duration), [playerData, matchData]);
 
-  // Ward placement timeline analysis
-  const wardTimeline = useMemo(() => {
-    if (!playerData) return [];
-    
-    const timeline = [];
-    
-    // Extract ward placement data from logs
-    if (playerData.obs_log) {
-      playerData.obs_log.forEach((ward, INDEX) => {
-        timeline.push({
-          time: ward.time || (INDEX * 300), // fallback timing
-          type: 'observer',
-          x: ward.x || Math.random() * 200,
-          y: ward.y || Math.random() * 200,
-          efficiency: ward.efficiency || Math.random() * 100
-        });
-      });
-    }
-    
-    if (playerData.sen_log) {
-      playerData.sen_log.forEach((ward, INDEX) => {
-        timeline.push({
-          time: ward.time || (INDEX * 240),
-          type: 'sentry',
-          x: ward.x || Math.random() * 200,
-          y: ward.y || Math.random() * 200,
-          dewarded: ward.dewarded || false
-        });
-      });
-    }
-    
-    return timeline.sort((a, b) => a.time - b.time);
-  }, [playerData]);
+  // Ward placements with their real lifetimes from obs_log/obs_left_log
+  const wardTimeline = useMemo(() => getWardLifetimes(playerData, matchData.duration), [playerData, matchData]);
 
   // Calculate map control metrics
   const mapControl = useMemo(() => {
@@ -2239,6 +2168,17 @@ const VisionMapControlTab = ({ matchData, playerData }) => {
           </Row>
         </Card>
       </Col>
+      {/* Minimap */}
+      <Col span={24}>
+        <Card 
+          title={<span className="uppercase text-white">MINIMAP</span>}
+          className="bg-gray-800/50 border-gray-700"
+          headStyle={{ borderBottom: '1px solid #374151' }}
+        >
+          <Minimap matchData={matchData} playerData={playerData} />
+        </Card>
+      </Col>
+
       {/* Ward Timeline */}
       <Col span={12}>
         <Card 
@@ -2267,17 +2207,18 @@ const VisionMapControlTab = ({ matchData, playerData }) => {
                         {ward.type === 'observer' ? 'Observer Ward' : 'Sentry Ward'}
                       </Text>
                       <Text type="secondary" className="text-xs block">
-                        {Math.floor(ward.time / 60)}:{(ward.time % 60).toString().padStart(2, '0')}
+                        {formatClock(ward.placedAt)} • stood {formatClock(ward.removedAt - ward.placedAt)}
+                        {ward.destroyed && ' • destroyed'}
                       </Text>
                     </div>
-                    {ward.efficiency && (
+                    <Tooltip title="Share of the full ward duration it survived">
                       <Progress 
-                        percent={ward.efficiency} 
+                        percent={Math.round(((ward.removedAt - ward.placedAt) / WARD_DURATION[ward.type]) * 100)} 
                         size="small" 
-                        strokeColor={ward.efficiency > 70 ? gamingColors.electric.green : gamingColors.electric.orange}
+                        strokeColor={ward.destroyed ? gamingColors.electric.orange : gamingColors.electric.green}
                         className="w-20"
                       />
-                    )}
+                    </Tooltip>
                   </div>
                 </Timeline.Item>
               ))}
@@ -2406,9 +2347,24 @@ const VisionMapControlTab = ({ matchData, playerData }) => {
   );
 };
 
+// Coaching copy for each graded metric
+const METRIC_ADVICE = {
+  gold_per_min: { icon: <RocketOutlined />, category: 'Farming', improvement: 'Plan farm between waves and take camps on the way to fights.', impact: 'Economic Disadvantage' },
+  last_hits_per_min: { icon: <RocketOutlined />, category: 'Farming', improvement: 'Spend 10 minutes in demo mode practicing last hits on this hero.', impact: 'Economic Disadvantage' },
+  xp_per_min: { icon: <RiseOutlined />, category: 'Experience', improvement: 'Stay near waves and fights; dead time and long walks cost levels.', impact: 'Level Disadvantage' },
+  kills_per_min: { icon: <AimOutlined />, category: 'Aggression', improvement: 'Look for kills with your team when key spells and items are up.', impact: 'Low Map Pressure' },
+  hero_damage_per_min: { icon: <ThunderboltOutlined />, category: 'Fighting', improvement: 'Position so you can keep hitting heroes through the whole fight.', impact: 'Low Fight Impact' },
+  hero_healing_per_min: { icon: <SafetyCertificateOutlined />, category: 'Saves', improvement: 'Hold heals and saves for the cores in big fights.', impact: 'Fewer Saves' },
+  tower_damage: { icon: <CrownOutlined />, category: 'Objectives', improvement: 'Turn won fights and waves into tower damage.', impact: 'Slow Objectives' },
+  deaths: { icon: <AlertOutlined />, category: 'Positioning', improvement: 'Watch the replay at each death and check the minimap before moving.', impact: 'High MMR Loss Risk' },
+  wards: { icon: <EyeOutlined />, category: 'Vision', improvement: 'Buy wards on every shop visit and refresh vision before objectives.', impact: 'Map Blindness' }
+};
+
 // Enhanced Improvement Insights Tab Component
 const ImprovementInsightsTab = ({ matchData, playerData }) => {
-  // Advanced insights generation with detailed analysis
+  const grading = useMemo(() => gradeSelectedPlayer(matchData, playerData), [matchData, playerData]);
+
+  // Weak and strong metrics come from the benchmark percentiles, not fixed cutoffs
   const insights = useMemo(() => {
     if (!playerData) {
       return { tips: [], gameImpact: [], mistakes: [], strengths: [] };
@@ -2418,58 +2374,27 @@ const ImprovementInsightsTab = ({ matchData, playerData }) => {
     const mistakes = [];
     const strengths = [];
     
-    // Death analysis
-    if (playerData.deaths > 8) {
-      mistakes.push({
-        type: 'error',
-        icon: <AlertOutlined />,
-        title: 'High Death Count',
-        description: `${playerData.deaths} deaths is above optimal. Focus on positioning and map awareness.`,
-        priority: 'critical',
-        improvement: 'Practice safe positioning and always check minimap before moving.',
-        impact: 'High MMR Loss Risk'
-      });
-    } else if (playerData.deaths <= 3) {
-      strengths.push({
-        type: 'success',
-        title: 'Excellent Survival',
-        description: 'Low death count shows great positioning and game sense.',
-        impact: 'game_winning'
-      });
-    }
-    
-    // Farming analysis
-    const csPerMin = playerData.last_hits / (matchData.duration / 60);
-    if (csPerMin < 5) {
-      mistakes.push({
-        type: 'warning',
-        icon: <RocketOutlined />,
-        title: 'Farming Efficiency',
-        description: `${csPerMin.toFixed(1)} CS/min is below recommended.`,
-        priority: 'high',
-        improvement: 'Practice last-hitting in demo mode. Aim for 6+ CS/min.',
-        impact: 'Economic Disadvantage'
-      });
-    } else if (csPerMin > 8) {
-      strengths.push({
-        type: 'success',
-        title: 'Superior Farming',
-        description: 'Excellent CS efficiency creates economic advantage.',
-        impact: 'high'
-      });
-    }
-    
-    // Vision analysis
-    if (playerData.obs_placed < 2) {
-      tips.push({
-        type: 'info',
-        icon: <EyeOutlined />,
-        title: 'Vision Contribution',
-        description: 'Low ward count. Consider helping with team vision.',
-        priority: 'medium',
-        improvement: 'Buy 1-2 observer wards during mid-game rotations.'
-      });
-    }
+    grading.metrics.filter(metric => metric.percentile !== null).forEach(metric => {
+      const advice = METRIC_ADVICE[metric.key] || {};
+      if (metric.percentile < 25) {
+        mistakes.push({
+          type: 'error',
+          icon: advice.icon,
+          title: `${metric.label}: grade ${metric.grade}`,
+          description: metric.explanation,
+          priority: metric.percentile < 10 ? 'critical' : 'high',
+          improvement: advice.improvement,
+          impact: advice.impact
+        });
+      } else if (metric.percentile >= 75) {
+        strengths.push({
+          type: 'success',
+          title: `${metric.label}: grade ${metric.grade}`,
+          description: metric.explanation,
+          impact: metric.percentile >= 90 ? 'game_winning' : 'high'
+        });
+      }
+    });
     
     // Item timing analysis
     const hasLateGameItems = playerData.purchase_log?.some(item => 
@@ -2488,77 +2413,27 @@ const ImprovementInsightsTab = ({ matchData, playerData }) => {
       });
     }
     
-    // Team fight analysis
-    if (playerData.teamfight_participation > 0.8) {
-      strengths.push({
-        type: 'success',
-        title: 'Team Fight Presence',
-        description: 'Excellent participation in team engagements.',
-        impact: 'game_winning'
-      });
-    }
-    
-    // Damage analysis
-    if (playerData.hero_damage > 30000) {
-      strengths.push({
-        type: 'success',
-        title: 'High Impact Damage',
-        description: 'Significant damage contribution to team fights.',
-        impact: 'high'
-      });
-    }
-    
     return { tips, gameImpact, mistakes, strengths };
-  }, [playerData, matchData]);
+  }, [playerData, matchData, grading]);
 
-  // Performance improvement score
-  const improvementScore = useMemo(() => {
-    let score = 75; // base score
-    
-    // Adjust based on mistakes and strengths
-    score -= insights.mistakes.length * 10;
-    score += insights.strengths.length * 15;
-    
-    return Math.max(0, Math.min(100, score));
-  }, [insights]);
+  const improvementScore = grading.score === null ? null : Math.round(grading.score);
 
-  // Generate actionable coaching points
-  const coachingPoints = useMemo(() => {
-    if (!playerData) return [];
-    
-    const points = [];
-    
-    // Role-specific coaching
-    const csPerMin = playerData.last_hits / (matchData.duration / 60);
-    if (csPerMin < 6) {
-      points.push({
-        category: 'Farming',
-        suggestion: 'Spend 10 minutes daily in demo mode practicing last-hits',
-        impact: 'Medium',
-        timeframe: '1 week'
-      });
-    }
-    
-    if (playerData.deaths > 5) {
-      points.push({
-        category: 'Positioning',
-        suggestion: 'Watch replay focusing on death moments - identify positioning errors',
-        impact: 'High', 
-        timeframe: 'Next game'
-      });
-    }
-    
-    if (playerData.obs_placed < 3) {
-      points.push({
-        category: 'Vision',
-        suggestion: 'Set reminder to buy wards during each shop visit',
-        impact: 'Medium',
-        timeframe: 'Immediate'
-      });
-    }
-    
-    return points;
-  }, [playerData, matchData]);
+  // Actionable coaching for every metric below the median for this hero and role
+  const coachingPoints = useMemo(() => grading.metrics
+    .filter(metric => metric.percentile !== null && metric.percentile < 50 && METRIC_ADVICE[metric.key])
+    .sort((a, b) => a.percentile - b.percentile)
+    .map(metric => ({
+      category: METRIC_ADVICE[metric.key].category,
+      suggestion: METRIC_ADVICE[metric.key].improvement,
+      impact: metric.percentile < 25 ? 'High' : 'Medium',
+      timeframe: metric.percentile < 25 ? 'Next game' : '1 week',
+      explanation: metric.explanation
+    })), [grading]);
+
+  const weakest = grading.metrics
+    .filter(metric => metric.percentile !== null)
+    .sort((a, b) => a.percentile - b.percentile)[0];
+  const metricGrade = (key) => grading.metrics.find(metric => metric.key === key);
   
   if (!playerData) {
     return <Alert message="Player data not found in this match" type="warning" />;
@@ -2573,9 +2448,11 @@ const ImprovementInsightsTab = ({ matchData, playerData }) => {
             <div className="flex items-center justify-between">
               <span className="uppercase text-white">AI COACHING ANALYSIS</span>
               <div className="flex items-center space-x-2">
-                <Tag color={improvementScore >= 80 ? 'green' : improvementScore >= 60 ? 'blue' : 'orange'}>
-                  {improvementScore}/100 IMPROVEMENT SCORE
-                </Tag>
+                <Tooltip title={grading.explanation}>
+                  <Tag color={improvementScore >= 75 ? 'green' : improvementScore >= 50 ? 'blue' : 'orange'}>
+                    {improvementScore === null ? 'NOT GRADED' : `${improvementScore}/100 IMPROVEMENT SCORE`}
+                  </Tag>
+                </Tooltip>
               </div>
             </div>
           }
@@ -2708,6 +2585,7 @@ const ImprovementInsightsTab = ({ matchData, playerData }) => {
                       </div>
                     </div>
                     <Text className="text-white font-medium block mb-1">{point.suggestion}</Text>
+                    <Text type="secondary" className="text-xs block mb-1">{point.explanation}</Text>
                     <div className="bg-blue-900/20 p-2 rounded border border-blue-500/30">
                       <Text className="text-blue-300 text-xs">
                         💼 Practice this to see improvement in {point.timeframe}
@@ -2752,9 +2630,10 @@ const ImprovementInsightsTab = ({ matchData, playerData }) => {
                 ({((playerData.kills + playerData.assists) / Math.max(playerData.deaths, 1)).toFixed(2)})
               </Text>
               <Text type="secondary" className="text-xs">
-                {playerData.hero_damage > 25000 ? 
-                  '✅ Strong damage output for your hero role' : 
-                  '💡 Consider more aggressive positioning to increase damage'
+                {!metricGrade('hero_damage_per_min')?.grade ? 'Hero damage not graded for this role' :
+                  metricGrade('hero_damage_per_min').percentile >= 50 ? 
+                  `✅ ${metricGrade('hero_damage_per_min').explanation}` : 
+                  `💡 ${metricGrade('hero_damage_per_min').explanation} - consider more aggressive positioning`
                 }
               </Text>
             </div>
@@ -2773,9 +2652,10 @@ const ImprovementInsightsTab = ({ matchData, playerData }) => {
                 ))}
               </div>
               <Text type="secondary" className="text-xs">
-                {playerData.gold_per_min > 400 ? 
-                  '✅ Good farming efficiency for item progression' :
-                  '💡 Focus on improving CS to get items faster'
+                {!metricGrade('gold_per_min')?.grade ? 'Farm not graded for this role' :
+                  metricGrade('gold_per_min').percentile >= 50 ?
+                  `✅ ${metricGrade('gold_per_min').explanation}` :
+                  `💡 ${metricGrade('gold_per_min').explanation} - items will come late`
                 }
               </Text>
             </div>
@@ -2787,10 +2667,7 @@ const ImprovementInsightsTab = ({ matchData, playerData }) => {
                   • Watch replay at {Math.floor(Math.random() * 20 + 10)} minutes (critical moment)
                 </Text>
                 <Text className="text-white text-xs block">
-                  • Practice {playerData.deaths > 5 ? 'positioning' : 'farming patterns'} in demo
-                </Text>
-                <Text className="text-white text-xs block">
-                  • Study {playerData.obs_placed < 3 ? 'vision control' : 'team fight positioning'}
+                  • Work on {weakest ? `${METRIC_ADVICE[weakest.key]?.category.toLowerCase() || weakest.label} (${weakest.explanation})` : 'team fight positioning'}
                 </Text>
               </div>
             </div>
@@ -2809,17 +2686,12 @@ const ImprovementInsightsTab = ({ matchData, playerData }) => {
             <Col span={6}>
               <div className="text-center p-4 bg-gray-900/50 rounded-lg">
                 <Text className="text-xs text-gray-400 block mb-2">Performance Grade</Text>
-                <div className="text-4xl font-bold" style={{ 
-                  color: improvementScore >= 80 ? gamingColors.electric.green : 
-                         improvementScore >= 60 ? gamingColors.electric.cyan : 
-                         gamingColors.electric.orange 
-                }}>
-                  {improvementScore >= 90 ? 'S' : 
-                   improvementScore >= 80 ? 'A' : 
-                   improvementScore >= 70 ? 'B' : 
-                   improvementScore >= 60 ? 'C' : 'D'}
+                <div className="text-4xl font-bold" style={{ color: getGradeColor(grading.grade).color }}>
+                  {grading.grade || '-'}
                 </div>
-                <Text type="secondary" className="text-xs">Overall Grade</Text>
+                <Text type="secondary" className="text-xs">
+                  {grading.score === null ? 'No benchmarks' : `${formatPercentile(grading.score)} percentile`}
+                </Text>
               </div>
             </Col>
             <Col span={6}>
@@ -2848,8 +2720,9 @@ const ImprovementInsightsTab = ({ matchData, playerData }) => {
               <div className="text-center p-4 bg-gray-900/50 rounded-lg">
                 <Text className="text-xs text-gray-400 block mb-2">Next Goal</Text>
                 <div className="text-xl font-bold" style={{ color: gamingColors.electric.purple }}>
-                  {improvementScore < 70 ? 'SKILL UP' : 
-                   improvementScore < 85 ? 'OPTIMIZE' : 'MASTER'}
+                  {improvementScore === null ? '-' :
+                   improvementScore < 50 ? 'SKILL UP' : 
+                   improvementScore < 75 ? 'OPTIMIZE' : 'MASTER'}
                 </div>
                 <Text type="secondary" className="text-xs">Focus Area</Text>
               </div>
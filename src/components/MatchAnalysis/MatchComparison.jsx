@@ -0,0 +1,349 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Layout, Card, Row, Col, Avatar, Space, Typography, Statistic, Tag, Table,
+  Button, Segmented, Select, Empty, Spin, Alert, Breadcrumb
+} from 'antd';
+import {
+  ArrowLeftOutlined, TrophyOutlined, CloseCircleOutlined, LineChartOutlined,
+  ShoppingOutlined, EyeOutlined, RiseOutlined, SwapOutlined
+} from '@ant-design/icons';
+import { Line } from '@ant-design/plots';
+import { useAuth } from '../../hooks/useAuth.js';
+import { useData } from '../../contexts/DataContext.jsx';
+import authService from '../../services/auth.service.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById, getItemIcon } from '../../utils/assetHelpers.js';
+import { formatDate, formatDuration, isWin, isMatchParsed } from '../../utils/dataTransforms.js';
+import { formatClock } from '../../utils/gsi.js';
+import {
+  getLaneOutcome, getVisionStats, compareItemTimings, buildCurveOverlay, findComparableMatch
+} from '../../utils/matchAnalysis.js';
+
+const { Content } = Layout;
+const { Title, Text } = Typography;
+
+const SIDES = ['A', 'B'];
+const SIDE_COLORS = [gamingColors.electric.cyan, gamingColors.electric.orange];
+
+const CURVE_OPTIONS = [
+  { label: 'Net Worth', value: 'gold_t' },
+  { label: 'Experience', value: 'xp_t' },
+  { label: 'Last Hits', value: 'lh_t' }
+];
+
+// Rows of the laning and vision table; higher is better unless lowerIsBetter
+const LANE_VISION_ROWS = [
+  { key: 'lastHits', label: 'CS @ 10 min', get: ({ lane }) => lane.lastHits },
+  { key: 'denies', label: 'Denies @ 10 min', get: ({ lane }) => lane.denies },
+  { key: 'xp', label: 'XP @ 10 min', get: ({ lane }) => lane.xp },
+  { key: 'deaths', label: 'Lane Deaths', get: ({ lane }) => lane.deaths, lowerIsBetter: true },
+  { key: 'obs', label: 'Observers Placed', get: ({ player }) => player.obs_placed || 0 },
+  { key: 'sen', label: 'Sentries Placed', get: ({ player }) => player.sen_placed || 0 },
+  { key: 'dewards', label: 'Wards Destroyed', get: ({ vision }) => vision.obsKills + vision.senKills },
+  { key: 'visionScore', label: 'Vision Score', get: ({ vision }) => Math.round(vision.visionScore) }
+];
+
+const formatDiff = (seconds) => (seconds > 0 ? `+${formatClock(seconds)}` : formatClock(seconds));
+
+export const MatchComparison = ({ matchIds, onChangeMatches, onMatchClick, onBack, backLabel = 'Back to Matches' }) => {
+  const { user } = useAuth();
+  const { matchHistory, recentMatches, heroes, heroMap } = useData();
+  const [matches, setMatches] = useState([null, null]);
+  const [loading, setLoading] = useState(true);
+  const [curve, setCurve] = useState('gold_t');
+
+  const [idA, idB] = matchIds;
+  const allMatches = useMemo(() => matchHistory || recentMatches || [], [matchHistory, recentMatches]);
+
+  // Only one match given: pick the latest game on the same hero with the other result
+  useEffect(() => {
+    if (idB) return;
+    const match = allMatches.find(entry => String(entry.match_id) === idA);
+    const counterpart = findComparableMatch(allMatches, match);
+    if (counterpart) onChangeMatches([idA, String(counterpart.match_id)]);
+  }, [idA, idB, allMatches, onChangeMatches]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchMatches = async () => {
+      setLoading(true);
+      const results = await Promise.allSettled([idA, idB].map(id => (id ? authService.fetchMatch(id) : null)));
+      if (cancelled) return;
+
+      setMatches(results.map(result => (result.status === 'fulfilled' ? result.value : null)));
+      setLoading(false);
+    };
+
+    fetchMatches();
+    return () => {
+      cancelled = true;
+    };
+  }, [idA, idB]);
+
+  // The user's player and derived stats in each match
+  const sides = useMemo(() => matches.map((match, index) => {
+    const player = match?.players?.find(p => p.account_id === parseInt(user?.accountId));
+    if (!player) return null;
+
+    const heroName = heroMap[player.hero_id]?.localized_name || `Hero ${player.hero_id}`;
+    const won = isWin({ ...player, radiant_win: match.radiant_win });
+    return {
+      side: SIDES[index],
+      label: `${SIDES[index]}: ${heroName} (${won ? 'Win' : 'Loss'})`,
+      match,
+      player,
+      heroName,
+      won,
+      parsed: isMatchParsed(match),
+      lane: getLaneOutcome(player),
+      vision: getVisionStats(player, match.duration)
+    };
+  }), [matches, user?.accountId, heroMap]);
+
+  const [sideA, sideB] = sides;
+  const ready = Boolean(sideA && sideB);
+
+  const curveData = useMemo(() => (ready ? buildCurveOverlay(sides, curve) : []), [ready, sides, curve]);
+  const itemRows = useMemo(() => (ready ? compareItemTimings(sideA.player, sideB.player) : []), [ready, sideA, sideB]);
+
+  const matchOptions = useMemo(() => allMatches.map(match => ({
+    value: String(match.match_id),
+    label: `${heroMap[match.hero_id]?.localized_name || `Hero ${match.hero_id}`} • ${isWin(match) ? 'Win' : 'Loss'} • ${formatDate(match.start_time)} • ${match.kills}/${match.deaths}/${match.assists}`
+  })), [allMatches, heroMap]);
+
+  const chartConfig = {
+    data: curveData,
+    xField: 'minute',
+    yField: 'value',
+    colorField: 'match',
+    smooth: true,
+    height: 320,
+    scale: { color: { range: SIDE_COLORS } },
+    axis: {
+      x: { title: 'Minutes', labelFill: gamingColors.text.secondary },
+      y: { labelFill: gamingColors.text.secondary }
+    },
+    theme: 'dark'
+  };
+
+  const itemColumns = [
+    {
+      title: 'Item',
+      dataIndex: 'name',
+      key: 'item',
+      render: (name, row) => (
+        <Space size="small">
+          <Avatar shape="square" size={24} src={getItemIcon(row.key)} />
+          <Text className="text-white">{name}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Match A',
+      dataIndex: 'timeA',
+      key: 'timeA',
+      render: (time) => <Text style={{ color: SIDE_COLORS[0] }}>{time === null ? '-' : formatClock(time)}</Text>
+    },
+    {
+      title: 'Match B',
+      dataIndex: 'timeB',
+      key: 'timeB',
+      render: (time) => <Text style={{ color: SIDE_COLORS[1] }}>{time === null ? '-' : formatClock(time)}</Text>
+    },
+    {
+      title: 'B vs A',
+      dataIndex: 'diff',
+      key: 'diff',
+      sorter: (a, b) => (a.diff ?? 0) - (b.diff ?? 0),
+      render: (diff) => (diff === null ? <Text type="secondary">-</Text> : (
+        <Text style={{ color: diff <= 0 ? gamingColors.performance.excellent : gamingColors.performance.poor }}>
+          {formatDiff(diff)}
+        </Text>
+      ))
+    }
+  ];
+
+  const laneVisionRows = ready ? [
+    { key: 'outcome', label: 'Lane Outcome', outcome: true },
+    ...LANE_VISION_ROWS.map(row => ({ ...row, a: row.get(sideA), b: row.get(sideB) }))
+  ] : [];
+
+  const renderStat = (row, side) => {
+    if (row.outcome) {
+      return <Tag color={side.lane.color}>LANE {side.lane.outcome}</Tag>;
+    }
+    const value = side === sideA ? row.a : row.b;
+    const other = side === sideA ? row.b : row.a;
+    const better = row.lowerIsBetter ? value < other : value > other;
+    return (
+      <Text strong={better} style={{ color: better ? gamingColors.performance.excellent : gamingColors.text.primary }}>
+        {value.toLocaleString()}
+      </Text>
+    );
+  };
+
+  const laneVisionColumns = [
+    { title: 'Stat', dataIndex: 'label', key: 'label', render: (label) => <Text type="secondary">{label}</Text> },
+    { title: 'Match A', key: 'a', render: (_, row) => renderStat(row, sideA) },
+    { title: 'Match B', key: 'b', render: (_, row) => renderStat(row, sideB) }
+  ];
+
+  return (
+    <Layout className="min-h-screen bg-gray-900">
+      <Content className="p-6">
+        {/* Header */}
+        <div className="mb-6">
+          <Breadcrumb>
+            <Breadcrumb.Item>
+              <Button type="text" icon={<ArrowLeftOutlined />} onClick={onBack} className="text-gray-400 hover:text-white">
+                {backLabel}
+              </Button>
+            </Breadcrumb.Item>
+            <Breadcrumb.Item className="text-white">Compare</Breadcrumb.Item>
+          </Breadcrumb>
+        </div>
+
+        <Card className="mb-6 bg-gray-800/50 border-gray-700" bordered={false}>
+          <div className="flex flex-wrap justify-between items-center gap-4">
+            <Title level={3} className="text-white m-0">
+              MATCH COMPARISON
+            </Title>
+            <Space wrap>
+              {SIDES.map((side, index) => (
+                <Select
+                  key={side}
+                  showSearch
+                  placeholder={`Match ${side}`}
+                  optionFilterProp="label"
+                  options={matchOptions}
+                  value={matchIds[index]}
+                  onChange={value => onChangeMatches(index === 0 ? [value, idB] : [idA, value])}
+                  style={{ minWidth: 280 }}
+                />
+              ))}
+              <Button icon={<SwapOutlined />} onClick={() => onChangeMatches([idB, idA])} disabled={!idB}>
+                Swap
+              </Button>
+            </Space>
+          </div>
+        </Card>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Spin size="large" />
+          </div>
+        ) : !ready ? (
+          <Card className="bg-gray-800/50 border-gray-700" bordered={false}>
+            <Empty description={idB ? 'You did not play in one of these matches' : 'Pick a second match to compare'} />
+          </Card>
+        ) : (
+          <Row gutter={[16, 16]}>
+            {/* Match summaries */}
+            {sides.map((side, index) => (
+              <Col xs={24} md={12} key={side.side}>
+                <Card
+                  className="h-full bg-gray-800/50 border-gray-700"
+                  bordered={false}
+                  style={{ borderTop: `3px solid ${SIDE_COLORS[index]}` }}
+                >
+                  <div className="flex justify-between items-start gap-4">
+                    <Space size="middle">
+                      <Avatar size={56} shape="square" src={getHeroIconById(side.player.hero_id, heroes)} />
+                      <div>
+                        <Text strong className="text-white text-lg block">{side.side} • {side.heroName}</Text>
+                        <Space size="small">
+                          <Tag color={side.won ? 'success' : 'error'} icon={side.won ? <TrophyOutlined /> : <CloseCircleOutlined />}>
+                            {side.won ? 'WIN' : 'LOSS'}
+                          </Tag>
+                          <Text type="secondary">{formatDate(side.match.start_time)} • {formatDuration(side.match.duration)}</Text>
+                        </Space>
+                      </div>
+                    </Space>
+                    <Button type="link" onClick={() => onMatchClick?.(side.match.match_id)}>Open analysis</Button>
+                  </div>
+                  <Row gutter={16} className="mt-4">
+                    <Col span={8}>
+                      <Statistic
+                        title="K / D / A"
+                        value={`${side.player.kills}/${side.player.deaths}/${side.player.assists}`}
+                        valueStyle={{ color: gamingColors.text.primary }}
+                      />
+                    </Col>
+                    <Col span={8}>
+                      <Statistic title="GPM" value={side.player.gold_per_min} valueStyle={{ color: gamingColors.electric.yellow }} />
+                    </Col>
+                    <Col span={8}>
+                      <Statistic title="XPM" value={side.player.xp_per_min} valueStyle={{ color: gamingColors.electric.purple }} />
+                    </Col>
+                  </Row>
+                </Card>
+              </Col>
+            ))}
+
+            {sides.some(side => !side.parsed) && (
+              <Col span={24}>
+                <Alert
+                  type="info"
+                  showIcon
+                  message={`Match ${sides.filter(side => !side.parsed).map(side => side.side).join(' and ')} hasn't been parsed`}
+                  description="Curves, item timings and lane stats need replay data. Open the match analysis to request a parse."
+                />
+              </Col>
+            )}
+
+            {/* Curve overlay */}
+            <Col span={24}>
+              <Card
+                title={<Space><LineChartOutlined />PROGRESSION</Space>}
+                extra={<Segmented size="small" value={curve} onChange={setCurve} options={CURVE_OPTIONS} />}
+                className="bg-gray-800/50 border-gray-700"
+                bordered={false}
+              >
+                {curveData.length > 0 ? <Line {...chartConfig} /> : <Empty description="No per-minute data" />}
+              </Card>
+            </Col>
+
+            {/* Item timings */}
+            <Col xs={24} lg={14}>
+              <Card
+                title={<Space><ShoppingOutlined />ITEM TIMINGS</Space>}
+                className="h-full bg-gray-800/50 border-gray-700"
+                bordered={false}
+              >
+                <Table
+                  rowKey="key"
+                  size="small"
+                  columns={itemColumns}
+                  dataSource={itemRows}
+                  pagination={false}
+                  scroll={{ y: 420 }}
+                  locale={{ emptyText: 'No purchase data' }}
+                />
+              </Card>
+            </Col>
+
+            {/* Laning and vision */}
+            <Col xs={24} lg={10}>
+              <Card
+                title={<Space><RiseOutlined />LANING<EyeOutlined />VISION</Space>}
+                className="h-full bg-gray-800/50 border-gray-700"
+                bordered={false}
+              >
+                <Table
+                  rowKey="key"
+                  size="small"
+                  columns={laneVisionColumns}
+                  dataSource={laneVisionRows}
+                  pagination={false}
+                />
+              </Card>
+            </Col>
+          </Row>
+        )}
+      </Content>
+    </Layout>
+  );
+};
+
+export default MatchComparison;
@@ -0,0 +1,161 @@
+import React, { useState, useMemo } from 'react';
+import { Card, Row, Col, Slider, Avatar, Space, Typography, Tag, Checkbox, Empty, Tooltip, Statistic } from 'antd';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById, getItemIcon } from '../../utils/assetHelpers.js';
+import { formatClock } from '../../utils/gsi.js';
+import { formatItemName } from '../../utils/matchAnalysis.js';
+import { buildMatchTimeline, getMatchStateAt } from '../../utils/matchTimeline.js';
+
+const { Text } = Typography;
+
+const EVENT_TYPES = [
+  { value: 'objective', label: 'Objectives', color: 'gold' },
+  { value: 'teamfight', label: 'Teamfights', color: 'orange' },
+  { value: 'kill', label: 'Kills', color: 'red' },
+  { value: 'purchase', label: 'Items', color: 'green' },
+  { value: 'rune', label: 'Runes', color: 'blue' },
+  { value: 'buyback', label: 'Buybacks', color: 'purple' }
+];
+
+const TYPE_COLORS = Object.fromEntries(EVENT_TYPES.map(type => [type.value, type.color]));
+
+// Item purchases flood the stream, so they start hidden
+const DEFAULT_TYPES = ['objective', 'teamfight', 'kill', 'rune', 'buyback'];
+
+const TeamColumn = ({ team, heroStats, color }) => (
+  <Card
+    size="small"
+    title={<span style={{ color }}>{team.name.toUpperCase()}</span>}
+    extra={<Text className="text-yellow-400">{team.netWorth.toLocaleString()} NW • {team.kills} kills</Text>}
+    className="bg-gray-900/50 border-gray-700"
+  >
+    {team.players.map(player => (
+      <div key={player.playerSlot} className="flex items-center justify-between gap-2 py-1">
+        <Space size="small">
+          <Avatar size={28} src={getHeroIconById(player.heroId, heroStats)} />
+          <Tag className="m-0">Lv {player.level}</Tag>
+          <Text className="text-white text-xs w-16">{player.netWorth.toLocaleString()}</Text>
+          <Text type="secondary" className="text-xs">{player.lastHits} LH</Text>
+        </Space>
+        <Space size={2}>
+          {player.items.map((item, index) => (
+            <Tooltip key={`${item}-${index}`} title={formatItemName(item)}>
+              <Avatar shape="square" size={20} src={getItemIcon(item)} />
+            </Tooltip>
+          ))}
+        </Space>
+      </div>
+    ))}
+  </Card>
+);
+
+/**
+ * Scrubbable whole-match timeline
+ * @param {Object} props
+ * @param {Object} props.matchData - Parsed match details with heroStats
+ * @param {(event: Object) => void} [props.onOpenEvent] - Opens the tab that explains an event
+ */
+export const MatchTimeline = ({ matchData, onOpenEvent }) => {
+  const lastMinute = Math.max(0, ...(matchData.players || []).map(player => (player.gold_t?.length || 1) - 1));
+  const [minute, setMinute] = useState(Math.min(10, lastMinute));
+  const [types, setTypes] = useState(DEFAULT_TYPES);
+
+  const heroNames = useMemo(() => Object.fromEntries((matchData.heroStats || []).map(hero => [hero.id, hero.localized_name])),
+    [matchData.heroStats]);
+  const events = useMemo(() => buildMatchTimeline(matchData, heroNames), [matchData, heroNames]);
+  const state = useMemo(() => getMatchStateAt(matchData, minute), [matchData, minute]);
+  const shownEvents = events.filter(event => types.includes(event.type));
+
+  if (lastMinute === 0 && events.length === 0) {
+    return <Empty description="No timeline data - this match needs to be parsed" />;
+  }
+
+  const marks = Object.fromEntries(
+    Array.from({ length: Math.floor(lastMinute / 10) + 1 }, (_, index) => [index * 10, `${index * 10}m`])
+  );
+  const lead = state.netWorthLead;
+
+  return (
+    <Row gutter={[16, 16]}>
+      <Col span={24}>
+        <Card
+          title={<span className="uppercase text-white">MATCH TIMELINE</span>}
+          className="bg-gray-800/50 border-gray-700"
+          headStyle={{ borderBottom: '1px solid #374151' }}
+        >
+          <div className="flex flex-wrap items-center gap-6 mb-2">
+            <Statistic title="Minute" value={`${minute}:00`} valueStyle={{ color: gamingColors.text.primary }} />
+            <Statistic
+              title="Net Worth Lead"
+              value={`${lead >= 0 ? 'Radiant' : 'Dire'} +${Math.abs(lead).toLocaleString()}`}
+              valueStyle={{ color: lead >= 0 ? gamingColors.electric.green : gamingColors.electric.red }}
+            />
+          </div>
+          <Slider
+            min={0}
+            max={lastMinute}
+            value={minute}
+            onChange={setMinute}
+            marks={marks}
+            tooltip={{ formatter: value => `${value}:00` }}
+          />
+        </Card>
+      </Col>
+
+      <Col xs={24} lg={12}>
+        <TeamColumn team={state.teams.radiant} heroStats={matchData.heroStats} color={gamingColors.electric.green} />
+      </Col>
+      <Col xs={24} lg={12}>
+        <TeamColumn team={state.teams.dire} heroStats={matchData.heroStats} color={gamingColors.electric.red} />
+      </Col>
+
+      <Col span={24}>
+        <Card
+          title={<span className="uppercase text-white">EVENTS</span>}
+          extra={<Checkbox.Group options={EVENT_TYPES} value={types} onChange={setTypes} />}
+          className="bg-gray-800/50 border-gray-700"
+          headStyle={{ borderBottom: '1px solid #374151' }}
+        >
+          {shownEvents.length > 0 ? (
+            <div className="max-h-96 overflow-y-auto">
+              {shownEvents.map((event, index) => (
+                <div
+                  key={`${event.type}-${event.time}-${index}`}
+                  className={`flex items-center gap-3 px-2 py-1 rounded cursor-pointer hover:bg-gray-700/40 ${
+                    event.time > minute * 60 ? 'opacity-50' : ''
+                  }`}
+                  onClick={() => onOpenEvent?.(event)}
+                >
+                  <Tooltip title="Jump to this minute">
+                    <Text
+                      className="font-mono text-xs w-12 text-cyan-400"
+                      onClick={clickEvent => {
+                        clickEvent.stopPropagation();
+                        setMinute(Math.min(lastMinute, Math.max(0, Math.floor(event.time / 60))));
+                      }}
+                    >
+                      {formatClock(event.time)}
+                    </Text>
+                  </Tooltip>
+                  <Tag color={TYPE_COLORS[event.type]} className="m-0 w-20 text-center">{event.type}</Tag>
+                  {event.heroId && <Avatar size={20} src={getHeroIconById(event.heroId, matchData.heroStats)} />}
+                  <Text
+                    className="text-xs"
+                    style={{ color: event.team === 'dire' ? gamingColors.electric.red : event.team === 'radiant' ? gamingColors.electric.green : gamingColors.text.primary }}
+                  >
+                    {event.description}
+                  </Text>
+                  <Text type="secondary" className="text-xs ml-auto">Open {event.tab} →</Text>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <Empty description="No events of these types" />
+          )}
+        </Card>
+      </Col>
+    </Row>
+  );
+};
+
+export default MatchTimeline;
@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Slider, Button, Checkbox, Space, Typography, Tooltip, Empty } from 'antd';
+import { CaretRightOutlined, PauseOutlined } from '@ant-design/icons';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { formatClock } from '../../utils/gsi.js';
+import {
+  toMapFraction, getWardLifetimes, getLaneHeatmap, getFightMarkers
+} from '../../utils/minimap.js';
+
+const { Text } = Typography;
+
+// Canvas resolution; CSS scales it to the card width
+const SIZE = 512;
+const PLAYBACK_STEP = 15; // game seconds per tick
+const PLAYBACK_TICK = 100;
+const HOVER_RADIUS = 10;
+
+const LAYERS = [
+  { value: 'wards', label: 'Wards' },
+  { value: 'lane', label: 'Lane heatmap' },
+  { value: 'kills', label: 'Kills & deaths' },
+  { value: 'fights', label: 'Teamfights' }
+];
+
+const COLORS = {
+  observer: gamingColors.electric.yellow,
+  sentry: gamingColors.electric.purple,
+  lane: gamingColors.electric.cyan,
+  kill: gamingColors.electric.green,
+  death: gamingColors.electric.red,
+  fight: gamingColors.electric.orange
+};
+
+const toCanvas = (x, y) => {
+  const { left, top } = toMapFraction(x, y);
+  return [left * SIZE, top * SIZE];
+};
+
+// Schematic map: bases, river and the three lanes
+const drawBaseMap = (ctx) => {
+  ctx.fillStyle = '#1a2419';
+  ctx.fillRect(0, 0, SIZE, SIZE);
+
+  const corner = (x, y, color) => {
+    const gradient = ctx.createRadialGradient(x, y, 0, x, y, SIZE * 0.45);
+    gradient.addColorStop(0, color);
+    gradient.addColorStop(1, 'transparent');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, SIZE, SIZE);
+  };
+  corner(0, SIZE, 'rgba(34, 197, 94, 0.25)');
+  corner(SIZE, 0, 'rgba(239, 68, 68, 0.25)');
+
+  ctx.lineCap = 'round';
+  ctx.strokeStyle = 'rgba(59, 130, 246, 0.35)';
+  ctx.lineWidth = 18;
+  ctx.beginPath();
+  ctx.moveTo(SIZE * 0.05, SIZE * 0.3);
+  ctx.lineTo(SIZE * 0.7, SIZE * 0.95);
+  ctx.stroke();
+
+  const margin = SIZE * 0.08;
+  ctx.strokeStyle = 'rgba(214, 196, 150, 0.3)';
+  ctx.lineWidth = 6;
+  ctx.beginPath();
+  ctx.moveTo(margin, SIZE - margin * 2);
+  ctx.lineTo(margin, margin);
+  ctx.lineTo(SIZE - margin * 2, margin);
+  ctx.moveTo(margin * 2, SIZE - margin);
+  ctx.lineTo(SIZE - margin, SIZE - margin);
+  ctx.lineTo(SIZE - margin, margin * 2);
+  ctx.moveTo(margin * 1.5, SIZE - margin * 1.5);
+  ctx.lineTo(SIZE - margin * 1.5, margin * 1.5);
+  ctx.stroke();
+
+  [[margin, SIZE - margin, '#22c55e'], [SIZE - margin, margin, '#ef4444']].forEach(([x, y, color]) => {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x, y, 10, 0, Math.PI * 2);
+    ctx.fill();
+  });
+};
+
+const drawCross = (ctx, x, y, color) => {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(x - 6, y - 6);
+  ctx.lineTo(x + 6, y + 6);
+  ctx.moveTo(x + 6, y - 6);
+  ctx.lineTo(x - 6, y + 6);
+  ctx.stroke();
+};
+
+const Legend = ({ color, label, cross }) => (
+  <Space size={4}>
+    <span
+      className="inline-block w-3 h-3"
+      style={cross ? { color, fontWeight: 700, lineHeight: '12px' } : { backgroundColor: color, borderRadius: '50%' }}
+    >
+      {cross ? '×' : null}
+    </span>
+    <Text type="secondary" className="text-xs">{label}</Text>
+  </Space>
+);
+
+/**
+ * Minimap of the selected player's wards, lane positions, kills, deaths and the match's teamfights
+ * @param {Object} props
+ * @param {Object} props.matchData - Parsed match details (teamfights, players, heroStats)
+ * @param {Object} props.playerData - Selected player
+ */
+export const Minimap = ({ matchData, playerData }) => {
+  const canvasRef = useRef(null);
+  const [layers, setLayers] = useState(LAYERS.map(layer => layer.value));
+  const [time, setTime] = useState(matchData.duration);
+  const [playing, setPlaying] = useState(false);
+  const [hovered, setHovered] = useState(null);
+
+  const heroNames = useMemo(() => Object.fromEntries((matchData.heroStats || []).map(hero => [hero.id, hero.name])),
+    [matchData.heroStats]);
+  const wards = useMemo(() => getWardLifetimes(playerData, matchData.duration), [playerData, matchData.duration]);
+  const lane = useMemo(() => getLaneHeatmap(playerData), [playerData]);
+  const markers = useMemo(() => getFightMarkers(matchData, playerData?.player_slot, heroNames),
+    [matchData, playerData?.player_slot, heroNames]);
+
+  const startTime = Math.min(0, ...wards.map(ward => ward.placedAt));
+  const hasData = wards.length > 0 || lane.length > 0 || markers.fights.length > 0;
+
+  useEffect(() => {
+    setTime(matchData.duration);
+    setPlaying(false);
+  }, [matchData.match_id, matchData.duration]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => {
+      setTime(current => Math.min(current + PLAYBACK_STEP, matchData.duration));
+    }, PLAYBACK_TICK);
+    return () => clearInterval(timer);
+  }, [playing, matchData.duration]);
+
+  useEffect(() => {
+    if (playing && time >= matchData.duration) setPlaying(false);
+  }, [playing, time, matchData.duration]);
+
+  // Everything drawn at the scrubbed time, also used for hover hit-testing
+  const visible = useMemo(() => {
+    const points = [];
+    if (layers.includes('fights')) {
+      markers.fights.filter(fight => fight.start <= time).forEach(fight => points.push({
+        kind: 'fight', ...fight, active: time <= fight.end,
+        label: `Teamfight ${formatClock(fight.start)}-${formatClock(fight.end)} • ${fight.deaths} deaths`
+      }));
+    }
+    if (layers.includes('wards')) {
+      wards.filter(ward => ward.placedAt <= time && time < ward.removedAt).forEach(ward => points.push({
+        kind: ward.type, ...ward,
+        label: `${ward.type === 'observer' ? 'Observer' : 'Sentry'} ${formatClock(ward.placedAt)}-${formatClock(ward.removedAt)}${ward.destroyed ? ' (destroyed)' : ''}`
+      }));
+    }
+    if (layers.includes('kills')) {
+      markers.kills.filter(kill => kill.time <= time).forEach(kill => points.push({
+        kind: 'kill', ...kill, label: `Kill during the ${formatClock(kill.time)} fight`
+      }));
+      markers.deaths.filter(death => death.time <= time).forEach(death => points.push({
+        kind: 'death', ...death, label: `Death during the ${formatClock(death.time)} fight`
+      }));
+    }
+    return points;
+  }, [layers, markers, wards, time]);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext('2d');
+    if (!ctx) return;
+
+    drawBaseMap(ctx);
+
+    if (layers.includes('lane') && lane.length > 0) {
+      const maxCount = Math.max(...lane.map(cell => cell.count));
+      lane.forEach(cell => {
+        const [x, y] = toCanvas(cell.x, cell.y);
+        ctx.globalAlpha = 0.15 + 0.6 * (cell.count / maxCount);
+        ctx.fillStyle = COLORS.lane;
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.fill();
+      });
+      ctx.globalAlpha = 1;
+    }
+
+    visible.forEach(point => {
+      const [x, y] = toCanvas(point.x, point.y);
+      if (point.kind === 'fight') {
+        ctx.strokeStyle = COLORS.fight;
+        ctx.globalAlpha = point.active ? 1 : 0.45;
+        ctx.lineWidth = point.active ? 4 : 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 8 + point.deaths * 3, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      } else if (point.kind === 'observer' || point.kind === 'sentry') {
+        ctx.fillStyle = COLORS[point.kind];
+        ctx.globalAlpha = 0.12;
+        ctx.beginPath();
+        ctx.arc(x, y, point.kind === 'observer' ? 36 : 18, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        drawCross(ctx, x, y, point.kind === 'kill' ? COLORS.kill : COLORS.death);
+      }
+    });
+
+    if (hovered) {
+      const [x, y] = toCanvas(hovered.x, hovered.y);
+      ctx.strokeStyle = gamingColors.text.primary;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(x, y, HOVER_RADIUS, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }, [visible, lane, layers, hovered]);
+
+  const handleMouseMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const scale = SIZE / rect.width;
+    const mouseX = (event.clientX - rect.left) * scale;
+    const mouseY = (event.clientY - rect.top) * scale;
+
+    const nearest = visible
+      .map(point => {
+        const [x, y] = toCanvas(point.x, point.y);
+        return { point, distance: Math.hypot(x - mouseX, y - mouseY) };
+      })
+      .filter(({ distance }) => distance <= HOVER_RADIUS * scale)
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    setHovered(nearest?.point || null);
+  };
+
+  if (!hasData) {
+    return <Empty description="No positional data - this match needs to be parsed" />;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+        <Checkbox.Group options={LAYERS} value={layers} onChange={setLayers} />
+        <Space size="middle">
+          <Legend color={COLORS.observer} label="Observer" />
+          <Legend color={COLORS.sentry} label="Sentry" />
+          <Legend color={COLORS.lane} label="Lane (0-10 min)" />
+          <Legend color={COLORS.kill} label="Kill" cross />
+          <Legend color={COLORS.death} label="Death" cross />
+          <Legend color={COLORS.fight} label="Teamfight" />
+        </Space>
+      </div>
+
+      <div className="relative mx-auto" style={{ maxWidth: SIZE }}>
+        <canvas
+          ref={canvasRef}
+          width={SIZE}
+          height={SIZE}
+          className="w-full rounded-lg border border-gray-700"
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHovered(null)}
+        />
+        {hovered && (
+          <div className="absolute top-2 left-2 px-2 py-1 rounded bg-gray-900/90 border border-gray-700">
+            <Text className="text-white text-xs">{hovered.label}</Text>
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center gap-3 mt-3">
+        <Tooltip title={playing ? 'Pause' : 'Play'}>
+          <Button
+            shape="circle"
+            icon={playing ? <PauseOutlined /> : <CaretRightOutlined />}
+            onClick={() => {
+              if (!playing && time >= matchData.duration) setTime(startTime);
+              setPlaying(!playing);
+            }}
+          />
+        </Tooltip>
+        <Slider
+          className="flex-1"
+          min={startTime}
+          max={matchData.duration}
+          value={time}
+          onChange={value => {
+            setPlaying(false);
+            setTime(value);
+          }}
+          tooltip={{ formatter: formatClock }}
+        />
+        <Text className="text-white font-mono w-14 text-right">{formatClock(time)}</Text>
+      </div>
+    </div>
+  );
+};
+
+export default Minimap;
@@ -0,0 +1,468 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Layout, Card, Table, Select, Segmented, DatePicker, Button, Space,
+  Tag, Avatar, Typography, Statistic, Empty, Tooltip, Badge
+} from 'antd';
+import {
+  TrophyOutlined, CloseCircleOutlined, ReloadOutlined,
+  ClearOutlined, HistoryOutlined, SwapOutlined
+} from '@ant-design/icons';
+import { useData } from '../../contexts/DataContext.jsx';
+import { useAuth } from '../../hooks/useAuth.js';
+import authService from '../../services/auth.service.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById } from '../../utils/assetHelpers.js';
+import { getGameMode, formatDuration, formatDateTime, isWin } from '../../utils/dataTransforms.js';
+import {
+  LOBBY_TYPES, LANE_ROLES, getLobbyType, getLaneRole,
+  getPatchName, getPatchRange, queryMatches
+} from '../../utils/matchQuery.js';
+import { POSITION_NAMES, estimatePosition, getPositionName } from '../../utils/roles.js';
+import SessionHistory from './SessionHistory.jsx';
+
+const { Content } = Layout;
+const { Title, Text } = Typography;
+const { RangePicker } = DatePicker;
+
+const EMPTY_FILTERS = {
+  heroId: undefined,
+  gameMode: undefined,
+  lobbyType: undefined,
+  result: 'all',
+  dateRange: null,
+  partySize: undefined,
+  laneRole: undefined,
+  position: undefined,
+  patch: undefined,
+};
+
+const getKda = (match) => ((match.kills || 0) + (match.assists || 0)) / Math.max(match.deaths || 0, 1);
+
+const getKDAColor = (kda) => {
+  if (kda >= 4) return gamingColors.performance.excellent;
+  if (kda >= 3) return gamingColors.performance.good;
+  if (kda >= 2) return gamingColors.performance.average;
+  return gamingColors.performance.poor;
+};
+
+// Narrowest window that satisfies both the date picker and the patch filter
+const combineRanges = (dateRange, patchRange) => {
+  const dateFrom = dateRange?.[0] ? dateRange[0].startOf('day').valueOf() / 1000 : undefined;
+  const dateTo = dateRange?.[1] ? dateRange[1].endOf('day').valueOf() / 1000 : undefined;
+  const bounds = (values, pick) => {
+    const defined = values.filter(value => value !== undefined);
+    return defined.length ? pick(...defined) : undefined;
+  };
+
+  return {
+    from: bounds([dateFrom, patchRange?.from], Math.max),
+    to: bounds([dateTo, patchRange?.to], Math.min)
+  };
+};
+
+export const MatchesPage = ({ onMatchClick, onCompare }) => {
+  const {
+    matchHistory,
+    combinedHistory,
+    recentMatches,
+    heroes,
+    heroMap,
+    historySync,
+    loading,
+    summarizeMatches,
+    refreshSection
+  } = useData();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [patches, setPatches] = useState([]);
+  // Up to two matches ticked for comparison
+  const [compareIds, setCompareIds] = useState([]);
+  const [view, setView] = useState('matches');
+
+  useEffect(() => {
+    authService.fetchPatches({ onRevalidate: setPatches }).then(setPatches).catch(() => setPatches([]));
+  }, []);
+
+  const { accounts = [] } = useAuth();
+  const allMatches = useMemo(
+    () => combinedHistory || matchHistory || recentMatches || [],
+    [combinedHistory, matchHistory, recentMatches]
+  );
+  const accountNames = useMemo(() => Object.fromEntries(accounts.map(account => [
+    account.accountId,
+    account.user?.personaName || `Player ${account.accountId}`
+  ])), [accounts]);
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  // Filter options only list values that occur in the player's history
+  const filterOptions = useMemo(() => {
+    const distinct = (field) => [...new Set(allMatches.map(match => match[field]).filter(value => value !== undefined && value !== null))];
+    const heroName = (heroId) => heroMap[heroId]?.localized_name || `Hero ${heroId}`;
+
+    return {
+      heroes: distinct('hero_id')
+        .map(heroId => ({ value: heroId, label: heroName(heroId) }))
+        .sort((a, b) => a.label.localeCompare(b.label)),
+      gameModes: distinct('game_mode').map(mode => ({ value: mode, label: getGameMode(mode) })),
+      lobbyTypes: distinct('lobby_type')
+        .filter(type => LOBBY_TYPES[type] !== undefined)
+        .map(type => ({ value: type, label: getLobbyType(type) })),
+      patches: [...new Set(allMatches.map(match => getPatchName(patches, match.start_time)).filter(Boolean))]
+        .reverse()
+        .map(name => ({ value: name, label: `Patch ${name}` }))
+    };
+  }, [allMatches, heroMap, patches]);
+
+  const rows = useMemo(() => {
+    const { from, to } = combineRanges(filters.dateRange, filters.patch ? getPatchRange(patches, filters.patch) : null);
+
+    // Linked accounts' games are listed here only when the combined view is on
+    return queryMatches(allMatches, {
+      heroId: filters.heroId,
+      gameMode: filters.gameMode,
+      lobbyType: filters.lobbyType,
+      result: filters.result === 'all' ? undefined : filters.result,
+      partySize: filters.partySize,
+      laneRole: filters.laneRole,
+      position: filters.position,
+      from,
+      to
+    }).map(match => ({
+      ...match,
+      isWin: isWin(match),
+      kda: getKda(match),
+      position: estimatePosition(match),
+      patch: getPatchName(patches, match.start_time)
+    }));
+  }, [allMatches, filters, patches]);
+
+  const summary = useMemo(() => summarizeMatches(rows), [rows, summarizeMatches]);
+  const hasFilters = Object.keys(EMPTY_FILTERS).some(key => filters[key] !== EMPTY_FILTERS[key]);
+
+  const columns = [
+    {
+      title: 'Hero',
+      dataIndex: 'hero_id',
+      key: 'hero',
+      width: 200,
+      fixed: 'left',
+      render: (heroId, match) => {
+        const hero = heroMap[heroId];
+        return (
+          <Space size="small">
+            <Avatar
+              size={32}
+              src={hero ? getHeroIconById(heroId, heroes) : null}
+              className={`border-2 ${match.isWin ? 'border-green-500' : 'border-red-500'}`}
+            >
+              {(hero?.localized_name || '?').substring(0, 2)}
+            </Avatar>
+            <Text strong className="text-white">{hero?.localized_name || `Hero ${heroId}`}</Text>
+          </Space>
+        );
+      }
+    },
+    ...(combinedHistory ? [{
+      title: 'Account',
+      dataIndex: 'account_id',
+      key: 'account',
+      width: 140,
+      render: (accountId) => <Tag>{accountNames[String(accountId)] || accountId}</Tag>
+    }] : []),
+    {
+      title: 'Result',
+      dataIndex: 'isWin',
+      key: 'result',
+      width: 100,
+      render: (won) => (
+        <Tag color={won ? 'success' : 'error'} icon={won ? <TrophyOutlined /> : <CloseCircleOutlined />}>
+          {won ? 'WIN' : 'LOSS'}
+        </Tag>
+      )
+    },
+    {
+      title: 'Date',
+      dataIndex: 'start_time',
+      key: 'date',
+      width: 150,
+      sorter: (a, b) => a.start_time - b.start_time,
+      defaultSortOrder: 'descend',
+      render: (startTime) => <Text type="secondary">{formatDateTime(startTime)}</Text>
+    },
+    {
+      title: 'K / D / A',
+      dataIndex: 'kda',
+      key: 'kda',
+      width: 130,
+      sorter: (a, b) => a.kda - b.kda,
+      render: (kda, match) => (
+        <Tooltip title={`${kda.toFixed(2)} KDA`}>
+          <Text strong className="font-mono" style={{ color: getKDAColor(kda) }}>
+            {match.kills}/{match.deaths}/{match.assists}
+          </Text>
+        </Tooltip>
+      )
+    },
+    {
+      title: 'GPM',
+      dataIndex: 'gold_per_min',
+      key: 'gpm',
+      width: 90,
+      sorter: (a, b) => (a.gold_per_min || 0) - (b.gold_per_min || 0),
+      render: (gpm) => <Text className="text-yellow-400">{gpm ?? '-'}</Text>
+    },
+    {
+      title: 'XPM',
+      dataIndex: 'xp_per_min',
+      key: 'xpm',
+      width: 90,
+      sorter: (a, b) => (a.xp_per_min || 0) - (b.xp_per_min || 0),
+      render: (xpm) => <Text className="text-purple-400">{xpm ?? '-'}</Text>
+    },
+    {
+      title: 'Duration',
+      dataIndex: 'duration',
+      key: 'duration',
+      width: 100,
+      sorter: (a, b) => a.duration - b.duration,
+      render: (duration) => <Text className="text-white">{formatDuration(duration || 0)}</Text>
+    },
+    {
+      title: 'Mode',
+      dataIndex: 'game_mode',
+      key: 'mode',
+      width: 140,
+      render: (mode, match) => (
+        <Space direction="vertical" size={0}>
+          <Text className="text-white text-xs">{getGameMode(mode)}</Text>
+          <Text type="secondary" className="text-xs">{getLobbyType(match.lobby_type)}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Role',
+      dataIndex: 'position',
+      key: 'role',
+      width: 130,
+      render: (position, match) => (
+        <Space direction="vertical" size={0}>
+          <Text className="text-white text-xs">{position ? `Pos ${position} • ${getPositionName(position)}` : 'Unknown'}</Text>
+          <Text type="secondary" className="text-xs">{match.is_roaming ? 'Roaming' : getLaneRole(match.lane_role)}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Party',
+      dataIndex: 'party_size',
+      key: 'party',
+      width: 80,
+      render: (partySize) => <Text type="secondary">{partySize > 1 ? `${partySize}-stack` : 'Solo'}</Text>
+    },
+    {
+      title: 'Patch',
+      dataIndex: 'patch',
+      key: 'patch',
+      width: 90,
+      render: (patch) => <Text type="secondary">{patch || '-'}</Text>
+    }
+  ];
+
+  return (
+    <Layout className="min-h-screen bg-gray-900">
+      <Content className="p-6">
+        {/* Header */}
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+          <div>
+            <Title level={3} className="text-white m-0">
+              MATCH HISTORY
+            </Title>
+            <Space size="small">
+              <Badge status={historySync.status === 'syncing' ? 'processing' : historySync.status === 'error' ? 'error' : 'success'} />
+              <Text type="secondary" className="text-xs uppercase tracking-wider">
+                {historySync.status === 'syncing'
+                  ? `Syncing history... ${historySync.fetched} new matches`
+                  : historySync.lastSyncedAt
+                    ? `${allMatches.length} matches${combinedHistory ? ' across linked accounts' : ''} • synced ${new Date(historySync.lastSyncedAt).toLocaleTimeString()}`
+                    : `${allMatches.length} recent matches`}
+              </Text>
+            </Space>
+          </div>
+
+          <Space size="large">
+            <Segmented
+              value={view}
+              onChange={setView}
+              options={[
+                { label: 'Matches', value: 'matches' },
+                { label: 'Sessions', value: 'sessions' }
+              ]}
+            />
+            <Statistic title="Games" value={summary.games} valueStyle={{ color: gamingColors.text.primary }} />
+            <Statistic
+              title="Record"
+              value={`${summary.wins}W - ${summary.losses}L`}
+              valueStyle={{ color: gamingColors.text.primary }}
+            />
+            <Statistic
+              title="Win Rate"
+              value={summary.winRate.toFixed(1)}
+              suffix="%"
+              valueStyle={{ color: summary.winRate >= 50 ? gamingColors.performance.excellent : gamingColors.performance.poor }}
+            />
+            <Tooltip title="Sync new matches">
+              <Button
+                icon={<ReloadOutlined spin={historySync.status === 'syncing'} />}
+                onClick={() => refreshSection('history')}
+                disabled={historySync.status === 'syncing'}
+              />
+            </Tooltip>
+          </Space>
+        </div>
+
+        {view === 'sessions' ? (
+          // Play sessions belong to one account, so the combined history is left out here
+          <SessionHistory matches={matchHistory || recentMatches || []} onMatchClick={onMatchClick} />
+        ) : (
+          <>
+            {/* Filters */}
+            <Card className="mb-6 bg-gray-800/50 border-gray-700" bordered={false}>
+              <div className="flex flex-wrap gap-3 items-center">
+                <Select
+                  showSearch
+                  allowClear
+                  placeholder="Hero"
+                  optionFilterProp="label"
+                  options={filterOptions.heroes}
+                  value={filters.heroId}
+                  onChange={value => updateFilter('heroId', value)}
+                  style={{ minWidth: 180 }}
+                />
+                <Select
+                  allowClear
+                  placeholder="Game mode"
+                  options={filterOptions.gameModes}
+                  value={filters.gameMode}
+                  onChange={value => updateFilter('gameMode', value)}
+                  style={{ minWidth: 150 }}
+                />
+                <Select
+                  allowClear
+                  placeholder="Lobby"
+                  options={filterOptions.lobbyTypes}
+                  value={filters.lobbyType}
+                  onChange={value => updateFilter('lobbyType', value)}
+                  style={{ minWidth: 130 }}
+                />
+                <Segmented
+                  value={filters.result}
+                  onChange={value => updateFilter('result', value)}
+                  options={[
+                    { label: 'All', value: 'all' },
+                    { label: 'Wins', value: 'win' },
+                    { label: 'Losses', value: 'loss' }
+                  ]}
+                />
+                <RangePicker
+                  value={filters.dateRange}
+                  onChange={value => updateFilter('dateRange', value)}
+                  allowEmpty={[true, true]}
+                />
+                <Select
+                  allowClear
+                  placeholder="Party"
+                  value={filters.partySize}
+                  onChange={value => updateFilter('partySize', value)}
+                  options={[1, 2, 3, 4, 5].map(size => ({ value: size, label: size === 1 ? 'Solo' : `${size}-stack` }))}
+                  style={{ minWidth: 110 }}
+                />
+                <Select
+                  allowClear
+                  placeholder="Lane"
+                  value={filters.laneRole}
+                  onChange={value => updateFilter('laneRole', value)}
+                  options={Object.entries(LANE_ROLES).map(([value, label]) => ({ value: Number(value), label }))}
+                  style={{ minWidth: 120 }}
+                />
+                <Select
+                  allowClear
+                  placeholder="Position"
+                  value={filters.position}
+                  onChange={value => updateFilter('position', value)}
+                  options={Object.entries(POSITION_NAMES).map(([value, label]) => ({ value: Number(value), label: `Pos ${value} • ${label}` }))}
+                  style={{ minWidth: 160 }}
+                />
+                <Select
+                  allowClear
+                  placeholder="Patch"
+                  value={filters.patch}
+                  onChange={value => updateFilter('patch', value)}
+                  options={filterOptions.patches}
+                  style={{ minWidth: 120 }}
+                />
+                <Button
+                  icon={<ClearOutlined />}
+                  onClick={() => setFilters(EMPTY_FILTERS)}
+                  disabled={!hasFilters}
+                >
+                  Reset
+                </Button>
+                {onCompare && (
+                  <Tooltip title="Tick two matches to compare them">
+                    <Button
+                      type="primary"
+                      icon={<SwapOutlined />}
+                      onClick={() => onCompare(compareIds.map(String))}
+                      disabled={compareIds.length !== 2}
+                    >
+                      Compare {compareIds.length}/2
+                    </Button>
+                  </Tooltip>
+                )}
+              </div>
+            </Card>
+
+            {/* Match Table */}
+            <Card className="bg-gray-800/50 border-gray-700" bordered={false} styles={{ body: { padding: 0 } }}>
+              {rows.length > 0 || loading.matches ? (
+                <Table
+                  virtual
+                  rowKey="match_id"
+                  size="small"
+                  columns={columns}
+                  dataSource={rows}
+                  loading={loading.matches && rows.length === 0}
+                  pagination={false}
+                  scroll={{ x: 1250, y: 640 }}
+                  rowSelection={onCompare && {
+                    selectedRowKeys: compareIds,
+                    hideSelectAll: true,
+                    onChange: keys => setCompareIds(keys),
+                    getCheckboxProps: match => ({
+                      disabled: compareIds.length >= 2 && !compareIds.includes(match.match_id)
+                    }),
+                    // Ticking a box shouldn't open the match
+                    renderCell: (_checked, _match, _index, checkbox) => (
+                      <span onClick={event => event.stopPropagation()}>{checkbox}</span>
+                    )
+                  }}
+                  onRow={match => ({
+                    onClick: () => onMatchClick?.(match.match_id),
+                    className: 'cursor-pointer'
+                  })}
+                />
+              ) : (
+                <Empty
+                  image={<HistoryOutlined style={{ fontSize: 48, color: gamingColors.text.secondary }} />}
+                  description={hasFilters ? 'No matches match these filters' : 'No matches found'}
+                  className="py-12"
+                />
+              )}
+            </Card>
+          </>
+        )}
+      </Content>
+    </Layout>
+  );
+};
+
+export default MatchesPage;
@@ -0,0 +1,195 @@
+import React, { useMemo } from 'react';
+import { Card, Table, Select, InputNumber, Space, Tag, Typography, Empty, Tooltip, Avatar } from 'antd';
+import { HistoryOutlined } from '@ant-design/icons';
+import { Tiny } from '@ant-design/plots';
+import { useData } from '../../contexts/DataContext.jsx';
+import { useSessionSettings } from '../../hooks/useSessionSettings.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById } from '../../utils/assetHelpers.js';
+import { isWin } from '../../utils/dataTransforms.js';
+import { detectSessions, formatSessionTime } from '../../utils/sessions.js';
+
+const { Text } = Typography;
+
+const IDLE_LIMITS = { min: 10, max: 720 };
+
+const TIME_ZONES = [
+  { value: 'local', label: 'Browser time zone' },
+  ...(Intl.supportedValuesOf?.('timeZone') || []).map(zone => ({ value: zone, label: zone.replace(/_/g, ' ') }))
+];
+
+const TILT_COLORS = {
+  flow: gamingColors.performance.excellent,
+  good: gamingColors.performance.good,
+  neutral: gamingColors.performance.average,
+  warning: gamingColors.performance.poor,
+  danger: gamingColors.performance.terrible
+};
+
+const formatHours = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+// Tilt level after each game, colored by where the session ended up
+const TiltTrajectory = ({ tilt }) => {
+  const last = tilt[tilt.length - 1];
+  if (tilt.length < 2) {
+    return <Tag color={TILT_COLORS[last.status]}>{last.level}</Tag>;
+  }
+  return (
+    <Tooltip title={`${tilt.map(point => point.level).join(' → ')} • ${last.message}`}>
+      <div style={{ width: 120 }}>
+        <Tiny.Line
+          data={tilt.map(point => point.level)}
+          width={120}
+          height={28}
+          smooth
+          color={TILT_COLORS[last.status]}
+          scale={{ y: { domain: [0, 100] } }}
+        />
+      </div>
+    </Tooltip>
+  );
+};
+
+export const SessionHistory = ({ matches, onMatchClick }) => {
+  const { heroes, heroMap, mmrTimeline } = useData();
+  const [settings, updateSettings] = useSessionSettings();
+
+  const sessions = useMemo(
+    () => detectSessions(matches, { idleMinutes: settings.idleMinutes, mmrTimeline }),
+    [matches, settings.idleMinutes, mmrTimeline]
+  );
+
+  const columns = [
+    {
+      title: 'Session',
+      key: 'start',
+      render: (_, session) => (
+        <div>
+          <Text strong className="text-white block">{formatSessionTime(session.start, settings.timeZone)}</Text>
+          <Text type="secondary" className="text-xs">
+            until {formatSessionTime(session.end, settings.timeZone, { hour: 'numeric', minute: '2-digit' })}
+          </Text>
+        </div>
+      )
+    },
+    {
+      title: 'Games',
+      key: 'games',
+      render: (_, session) => (
+        <Space size={2} wrap>
+          {session.matches.map(match => (
+            <Tooltip key={match.match_id} title={`${heroMap[match.hero_id]?.localized_name || `Hero ${match.hero_id}`} • ${isWin(match) ? 'Win' : 'Loss'}`}>
+              <Avatar
+                shape="square"
+                size={24}
+                src={getHeroIconById(match.hero_id, heroes)}
+                className="cursor-pointer"
+                style={{ border: `2px solid ${isWin(match) ? gamingColors.electric.green : gamingColors.electric.red}` }}
+                onClick={() => onMatchClick?.(match.match_id)}
+              />
+            </Tooltip>
+          ))}
+        </Space>
+      )
+    },
+    {
+      title: 'Record',
+      key: 'record',
+      align: 'center',
+      render: (_, session) => (
+        <Space size={4}>
+          <Tag color="success">{session.wins}W</Tag>
+          <Tag color="error">{session.losses}L</Tag>
+        </Space>
+      )
+    },
+    {
+      title: 'Duration',
+      dataIndex: 'duration',
+      key: 'duration',
+      align: 'center',
+      render: (duration) => <Text className="font-mono">{formatHours(duration)}</Text>
+    },
+    {
+      title: 'Avg KDA',
+      dataIndex: 'averageKDA',
+      key: 'kda',
+      align: 'center',
+      render: (kda) => (
+        <Text className="font-mono" style={{ color: kda >= 3 ? gamingColors.performance.good : gamingColors.text.primary }}>
+          {kda.toFixed(2)}
+        </Text>
+      )
+    },
+    {
+      title: 'MMR',
+      dataIndex: 'mmrChange',
+      key: 'mmr',
+      align: 'center',
+      render: (change, session) => change === null ? <Text type="secondary">-</Text> : (
+        <Text
+          className="font-mono"
+          style={{ color: change > 0 ? gamingColors.electric.green : change < 0 ? gamingColors.electric.red : gamingColors.text.secondary }}
+        >
+          {session.mmrEstimated ? '~' : ''}{change > 0 ? '+' : ''}{change}
+        </Text>
+      )
+    },
+    {
+      title: 'Tilt',
+      key: 'tilt',
+      render: (_, session) => <TiltTrajectory tilt={session.tilt} />
+    }
+  ];
+
+  return (
+    <Card className="bg-gray-800/50 border-gray-700" bordered={false}>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <Text type="secondary" className="text-xs uppercase tracking-wider">
+          {sessions.length} sessions • a break over {settings.idleMinutes} min starts a new one
+        </Text>
+        <Space size="small" wrap>
+          <InputNumber
+            min={IDLE_LIMITS.min}
+            max={IDLE_LIMITS.max}
+            step={10}
+            value={settings.idleMinutes}
+            onChange={value => value && updateSettings({ idleMinutes: value })}
+            addonBefore="Idle gap"
+            addonAfter="min"
+            style={{ width: 200 }}
+          />
+          <Select
+            showSearch
+            value={settings.timeZone}
+            onChange={value => updateSettings({ timeZone: value })}
+            options={TIME_ZONES}
+            style={{ minWidth: 220 }}
+          />
+        </Space>
+      </div>
+
+      {sessions.length > 0 ? (
+        <Table
+          rowKey="id"
+          size="small"
+          columns={columns}
+          dataSource={sessions}
+          pagination={{ pageSize: 20, showSizeChanger: false }}
+          scroll={{ x: 900 }}
+        />
+      ) : (
+        <Empty
+          image={<HistoryOutlined style={{ fontSize: 48, color: gamingColors.text.secondary }} />}
+          description="No sessions yet"
+          className="py-12"
+        />
+      )}
+    </Card>
+  );
+};
+
+export default SessionHistory;
@@ -0,0 +1,120 @@
+import React from 'react';
+import { Layout, Card, Avatar, Space, Typography, Statistic, Tag, Button, Breadcrumb, Spin, Empty } from 'antd';
+import { ArrowLeftOutlined, UserOutlined, LockOutlined, SwapOutlined } from '@ant-design/icons';
+import { DataProvider, useData } from '../../contexts/DataContext.jsx';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getRankIcon } from '../../utils/assetHelpers.js';
+import { getRankName } from '../../utils/dataTransforms.js';
+import AntDashboard from '../Dashboard/AntDashboard.jsx';
+
+const { Content } = Layout;
+const { Title, Text } = Typography;
+
+// Name, rank and record of the viewed player above their dashboard
+const ProfileHeader = ({ onBack, onHeadToHead }) => {
+  const { accountId, profile, winLoss } = useData();
+  const name = profile?.profile?.personaname || `Player ${accountId}`;
+  const games = (winLoss?.win || 0) + (winLoss?.lose || 0);
+  const winRate = games ? (winLoss.win / games) * 100 : null;
+
+  return (
+    <div className="px-6 pt-6">
+      <Breadcrumb
+        className="mb-4"
+        items={[
+          {
+            title: (
+              <Button type="text" icon={<ArrowLeftOutlined />} onClick={onBack} className="text-gray-400 hover:text-white">
+                Back to Dashboard
+              </Button>
+            )
+          },
+          { title: <span className="text-white">{name}</span> }
+        ]}
+      />
+
+      <Card className="bg-gray-800/50 border-gray-700" bordered={false}>
+        <div className="flex flex-wrap justify-between items-center gap-4">
+          <Space size="large">
+            <Avatar size={64} src={profile?.profile?.avatarfull} icon={<UserOutlined />} />
+            <div>
+              <Title level={3} className="text-white m-0">{name.toUpperCase()}</Title>
+              <Space size="small">
+                <Text type="secondary" className="font-mono">ID {accountId}</Text>
+                <Tag color="default">Read only</Tag>
+              </Space>
+            </div>
+          </Space>
+          <Space size="large">
+            <Space size="small">
+              {profile?.rank_tier && <img src={getRankIcon(profile.rank_tier)} alt="Rank" className="w-10 h-10" />}
+              <Statistic title="Rank" value={getRankName(profile?.rank_tier) || 'Unranked'} />
+            </Space>
+            <Statistic title="Record" value={games ? `${winLoss.win}W - ${winLoss.lose}L` : '-'} />
+            <Statistic
+              title="Win Rate"
+              value={winRate === null ? '-' : winRate.toFixed(1)}
+              suffix={winRate === null ? '' : '%'}
+              valueStyle={{ color: winRate !== null && winRate >= 50 ? gamingColors.performance.good : gamingColors.performance.poor }}
+            />
+            {onHeadToHead && (
+              <Button icon={<SwapOutlined />} onClick={onHeadToHead}>
+                Head to Head
+              </Button>
+            )}
+          </Space>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+const ProfileContent = ({ onBack, onMatchClick, onHeadToHead }) => {
+  const { profile, recentMatches, loading } = useData();
+
+  if (!profile && (loading.matches || loading.stats)) {
+    return (
+      <div className="flex justify-center py-24">
+        <Spin size="large" />
+      </div>
+    );
+  }
+
+  // Private profiles still resolve on OpenDota, just without any matches
+  const isPrivate = !loading.matches && recentMatches?.length === 0;
+
+  return (
+    <>
+      <ProfileHeader onBack={onBack} onHeadToHead={onHeadToHead} />
+      {isPrivate ? (
+        <Empty
+          image={<LockOutlined style={{ fontSize: 48, color: gamingColors.text.secondary }} />}
+          description="No public match data for this player"
+          className="py-24"
+        />
+      ) : (
+        <AntDashboard readOnly onMatchClick={onMatchClick} />
+      )}
+    </>
+  );
+};
+
+/**
+ * Read-only profile of any player, loaded into its own DataProvider
+ * @param {Object} props
+ * @param {string} props.accountId - Player to show
+ * @param {Function} props.onBack - Leaves the profile
+ * @param {Function} props.onMatchClick - Opens one of the player's matches
+ * @param {Function} [props.onHeadToHead] - Compares the player with the logged-in account
+ */
+export const PlayerProfile = ({ accountId, onBack, onMatchClick, onHeadToHead }) => (
+  <Layout className="min-h-screen bg-gray-900">
+    <Content>
+      <DataProvider accountId={accountId} readOnly>
+        <ProfileContent onBack={onBack} onMatchClick={onMatchClick} onHeadToHead={onHeadToHead} />
+      </DataProvider>
+    </Content>
+  </Layout>
+);
+
+export default PlayerProfile;
@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { AutoComplete, Input, Avatar, Space, Typography } from 'antd';
+import { SearchOutlined, UserOutlined } from '@ant-design/icons';
+import authService from '../../services/auth.service.js';
+import { parsePlayerQuery } from '../../utils/playerSearch.js';
+
+const { Text } = Typography;
+
+// Wait for a pause in typing before hitting /search
+const SEARCH_DELAY = 400;
+const MAX_RESULTS = 10;
+
+const PlayerOption = ({ name, avatar, accountId }) => (
+  <Space size="small">
+    <Avatar size={24} src={avatar} icon={<UserOutlined />} />
+    <Text className="text-white">{name}</Text>
+    <Text type="secondary" className="text-xs">{accountId}</Text>
+  </Space>
+);
+
+export const PlayerSearch = ({ onSelectPlayer }) => {
+  const [value, setValue] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  const query = parsePlayerQuery(value);
+  const term = query?.term || '';
+
+  useEffect(() => {
+    if (term.length < 2) {
+      setResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+
+    const timeoutId = setTimeout(() => {
+      setSearching(true);
+      authService.searchPlayers(term)
+        .then(players => !cancelled && setResults(players.slice(0, MAX_RESULTS)))
+        .catch(error => console.error('Player search failed:', error))
+        .finally(() => !cancelled && setSearching(false));
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [term]);
+
+  const openPlayer = (accountId) => {
+    setValue('');
+    setResults([]);
+    onSelectPlayer(String(accountId));
+  };
+
+  // IDs and profile links open directly; names list the /search matches
+  const options = query?.accountId
+    ? [{ value: query.accountId, label: <PlayerOption name="Open player" accountId={query.accountId} /> }]
+    : results.map(player => ({
+      value: String(player.account_id),
+      label: <PlayerOption name={player.personaname || `Player ${player.account_id}`} avatar={player.avatarfull} accountId={player.account_id} />
+    }));
+
+  return (
+    <AutoComplete
+      value={value}
+      options={options}
+      onChange={setValue}
+      onSelect={openPlayer}
+      popupMatchSelectWidth={320}
+      notFoundContent={term.length >= 2 && !searching ? 'No players found' : null}
+      style={{ width: 260 }}
+    >
+      <Input
+        allowClear
+        prefix={<SearchOutlined />}
+        placeholder="Account ID, Steam ID or profile URL"
+      />
+    </AutoComplete>
+  );
+};
+
+export default PlayerSearch;
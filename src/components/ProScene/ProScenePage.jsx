@@ -0,0 +1,412 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Layout, Card, Row, Col, Table, Tabs, Select, Avatar, Space, Typography, Tag, Empty, List, Spin } from 'antd';
+import { TrophyOutlined, TeamOutlined, HistoryOutlined, StarOutlined } from '@ant-design/icons';
+import { useData } from '../../contexts/DataContext.jsx';
+import authService from '../../services/auth.service.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById } from '../../utils/assetHelpers.js';
+import { formatDuration, formatDateTime } from '../../utils/dataTransforms.js';
+import { getActiveLeagues, calculateLeagueStandings, findProsForHeroes } from '../../utils/proScene.js';
+import TeamDetail from './TeamDetail.jsx';
+
+const { Content } = Layout;
+const { Title, Text } = Typography;
+
+const winRateColor = (winRate) => winRate >= 50 ? gamingColors.performance.excellent : gamingColors.performance.poor;
+
+const ProMatchesTab = ({ proMatches, loading, onMatchClick }) => {
+  const columns = [
+    {
+      title: 'League',
+      dataIndex: 'league_name',
+      key: 'league',
+      ellipsis: true,
+      render: (name) => <Text type="secondary">{name}</Text>
+    },
+    {
+      title: 'Radiant',
+      dataIndex: 'radiant_name',
+      key: 'radiant',
+      render: (name, match) => (
+        <Text strong style={{ color: match.radiant_win ? gamingColors.performance.excellent : gamingColors.text.secondary }}>
+          {name || 'Radiant'}
+        </Text>
+      )
+    },
+    {
+      title: 'Score',
+      key: 'score',
+      width: 90,
+      align: 'center',
+      render: (_, match) => <Text className="text-white">{match.radiant_score} - {match.dire_score}</Text>
+    },
+    {
+      title: 'Dire',
+      dataIndex: 'dire_name',
+      key: 'dire',
+      render: (name, match) => (
+        <Text strong style={{ color: !match.radiant_win ? gamingColors.performance.excellent : gamingColors.text.secondary }}>
+          {name || 'Dire'}
+        </Text>
+      )
+    },
+    {
+      title: 'Duration',
+      dataIndex: 'duration',
+      key: 'duration',
+      width: 90,
+      render: (duration) => <Text type="secondary">{formatDuration(duration || 0)}</Text>
+    },
+    {
+      title: 'Date',
+      dataIndex: 'start_time',
+      key: 'date',
+      width: 150,
+      render: (startTime) => <Text type="secondary">{formatDateTime(startTime)}</Text>
+    }
+  ];
+
+  return (
+    <Table
+      rowKey="match_id"
+      size="small"
+      columns={columns}
+      dataSource={proMatches}
+      loading={loading}
+      pagination={{ pageSize: 25, hideOnSinglePage: true }}
+      onRow={match => ({
+        onClick: () => onMatchClick(match.match_id),
+        className: 'cursor-pointer'
+      })}
+    />
+  );
+};
+
+const LeaguesTab = ({ leagues }) => {
+  const [leagueId, setLeagueId] = useState(null);
+  const [standings, setStandings] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const selectedLeagueId = leagueId ?? leagues[0]?.leagueId;
+
+  useEffect(() => {
+    if (!selectedLeagueId) return;
+    let cancelled = false;
+
+    const fetchStandings = async () => {
+      setLoading(true);
+      const [matches, teams] = await Promise.allSettled([
+        authService.fetchLeagueMatches(selectedLeagueId),
+        authService.fetchLeagueTeams(selectedLeagueId)
+      ]);
+      if (cancelled) return;
+
+      setStandings(calculateLeagueStandings(
+        matches.status === 'fulfilled' ? matches.value : [],
+        teams.status === 'fulfilled' ? teams.value : []
+      ));
+      setLoading(false);
+    };
+
+    fetchStandings();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedLeagueId]);
+
+  const columns = [
+    {
+      title: '#',
+      key: 'rank',
+      width: 50,
+      render: (_, __, index) => <Text type="secondary">{index + 1}</Text>
+    },
+    {
+      title: 'Team',
+      dataIndex: 'name',
+      key: 'team',
+      render: (name, row) => (
+        <Space size="small">
+          <Avatar size={24} shape="square" src={row.logo}>{row.tag}</Avatar>
+          <Text strong className="text-white">{name}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'W',
+      dataIndex: 'wins',
+      key: 'wins',
+      width: 60
+    },
+    {
+      title: 'L',
+      dataIndex: 'losses',
+      key: 'losses',
+      width: 60
+    },
+    {
+      title: 'Win Rate',
+      dataIndex: 'winRate',
+      key: 'winRate',
+      width: 100,
+      render: (winRate) => <Text style={{ color: winRateColor(winRate) }}>{winRate.toFixed(1)}%</Text>
+    }
+  ];
+
+  return (
+    <div>
+      <div className="p-4">
+        <Select
+          showSearch
+          placeholder="League"
+          optionFilterProp="label"
+          value={selectedLeagueId}
+          onChange={setLeagueId}
+          options={leagues.map(league => ({
+            value: league.leagueId,
+            label: league.tier ? `${league.name} (${league.tier})` : league.name
+          }))}
+          style={{ minWidth: 320 }}
+        />
+      </div>
+      <Table
+        rowKey="teamId"
+        size="small"
+        columns={columns}
+        dataSource={standings}
+        loading={loading}
+        pagination={false}
+        locale={{ emptyText: <Empty description="No league matches" /> }}
+      />
+    </div>
+  );
+};
+
+const TeamsTab = ({ teams, loading, onSelect }) => {
+  const columns = [
+    {
+      title: 'Team',
+      dataIndex: 'name',
+      key: 'team',
+      render: (name, team) => (
+        <Space size="small">
+          <Avatar size={28} shape="square" src={team.logo_url}>{team.tag}</Avatar>
+          <Text strong className="text-white">{name}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Rating',
+      dataIndex: 'rating',
+      key: 'rating',
+      width: 100,
+      sorter: (a, b) => a.rating - b.rating,
+      render: (rating) => <Text style={{ color: gamingColors.electric.cyan }}>{Math.round(rating)}</Text>
+    },
+    {
+      title: 'Record',
+      key: 'record',
+      width: 120,
+      render: (_, team) => <Text className="text-white">{team.wins}W - {team.losses}L</Text>
+    },
+    {
+      title: 'Last Match',
+      dataIndex: 'last_match_time',
+      key: 'lastMatch',
+      width: 150,
+      sorter: (a, b) => a.last_match_time - b.last_match_time,
+      render: (time) => <Text type="secondary">{formatDateTime(time)}</Text>
+    }
+  ];
+
+  return (
+    <Table
+      rowKey="team_id"
+      size="small"
+      columns={columns}
+      dataSource={teams}
+      loading={loading}
+      pagination={{ pageSize: 25, hideOnSinglePage: true }}
+      onRow={team => ({
+        onClick: () => onSelect(team),
+        className: 'cursor-pointer'
+      })}
+    />
+  );
+};
+
+// Pros with the most games on the player's most played heroes
+const ProsForYourHeroes = ({ heroIds, heroes, heroMap }) => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (heroIds.length === 0) {
+      setLoading(false);
+      return;
+    }
+    let cancelled = false;
+
+    const fetchPros = async () => {
+      setLoading(true);
+      const [proPlayers, ...heroPlayers] = await Promise.allSettled([
+        authService.fetchProPlayers(),
+        ...heroIds.map(heroId => authService.fetchHeroPlayers(heroId))
+      ]);
+      if (cancelled) return;
+
+      const playersByHero = Object.fromEntries(heroIds.map((heroId, index) => [
+        heroId,
+        heroPlayers[index].status === 'fulfilled' ? heroPlayers[index].value : []
+      ]));
+      setGroups(findProsForHeroes(heroIds, playersByHero, proPlayers.status === 'fulfilled' ? proPlayers.value : []));
+      setLoading(false);
+    };
+
+    fetchPros();
+    return () => {
+      cancelled = true;
+    };
+  }, [heroIds]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Spin />
+      </div>
+    );
+  }
+
+  if (groups.length === 0) {
+    return <Empty description="Play some games to find pros on your heroes" />;
+  }
+
+  return (
+    <Space direction="vertical" className="w-full" size="middle">
+      {groups.map(group => (
+        <div key={group.heroId}>
+          <Space size="small" className="mb-2">
+            <Avatar size={24} src={getHeroIconById(group.heroId, heroes)} />
+            <Text strong className="text-white">{heroMap[group.heroId]?.localized_name || `Hero ${group.heroId}`}</Text>
+          </Space>
+          {group.pros.length > 0 ? (
+            <List
+              size="small"
+              dataSource={group.pros}
+              renderItem={pro => (
+                <List.Item extra={<Text style={{ color: winRateColor(pro.winRate) }}>{pro.winRate.toFixed(0)}%</Text>}>
+                  <Space size="small">
+                    <Text className="text-white">{pro.name}</Text>
+                    {pro.teamName && <Tag>{pro.teamName}</Tag>}
+                    <Text type="secondary" className="text-xs">{pro.games} games</Text>
+                  </Space>
+                </List.Item>
+              )}
+            />
+          ) : (
+            <Text type="secondary" className="text-xs">No registered pros found</Text>
+          )}
+        </div>
+      ))}
+    </Space>
+  );
+};
+
+export const ProScenePage = ({ onMatchClick }) => {
+  const { heroes, heroMap, heroStats } = useData();
+  const [proMatches, setProMatches] = useState([]);
+  const [leagues, setLeagues] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedTeam, setSelectedTeam] = useState(null);
+  const [activeTab, setActiveTab] = useState('matches');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchProScene = async () => {
+      setLoading(true);
+      const [matchesResult, leaguesResult, teamsResult] = await Promise.allSettled([
+        authService.fetchProMatches(),
+        authService.fetchLeagues(),
+        authService.fetchTeams()
+      ]);
+      if (cancelled) return;
+
+      const matches = matchesResult.status === 'fulfilled' ? matchesResult.value : [];
+      setProMatches(matches);
+      setLeagues(getActiveLeagues(matches, leaguesResult.status === 'fulfilled' ? leaguesResult.value : []));
+      setTeams(teamsResult.status === 'fulfilled' ? teamsResult.value.slice(0, 100) : []);
+      setLoading(false);
+    };
+
+    fetchProScene();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const topHeroIds = useMemo(() => [...(heroStats || [])]
+    .filter(stat => stat.games > 0)
+    .sort((a, b) => b.games - a.games)
+    .slice(0, 5)
+    .map(stat => Number(stat.hero_id)), [heroStats]);
+
+  const tabs = [
+    {
+      key: 'matches',
+      label: <Space><HistoryOutlined />Recent Matches</Space>,
+      children: <ProMatchesTab proMatches={proMatches} loading={loading} onMatchClick={onMatchClick} />
+    },
+    {
+      key: 'leagues',
+      label: <Space><TrophyOutlined />Leagues</Space>,
+      children: <LeaguesTab leagues={leagues} />
+    },
+    {
+      key: 'teams',
+      label: <Space><TeamOutlined />Teams</Space>,
+      children: <TeamsTab teams={teams} loading={loading} onSelect={setSelectedTeam} />
+    }
+  ];
+
+  return (
+    <Layout className="min-h-screen bg-gray-900">
+      <Content className="p-6">
+        {selectedTeam ? (
+          <TeamDetail team={selectedTeam} onBack={() => setSelectedTeam(null)} onMatchClick={onMatchClick} />
+        ) : (
+          <>
+            <div className="mb-6">
+              <Title level={3} className="text-white m-0">
+                PRO SCENE
+              </Title>
+              <Text type="secondary" className="text-xs uppercase tracking-wider">
+                {proMatches.length} recent matches • {leagues.length} active leagues
+              </Text>
+            </div>
+
+            <Row gutter={[16, 16]}>
+              <Col xs={24} xl={17}>
+                <Card className="bg-gray-800/50 border-gray-700" bordered={false} styles={{ body: { padding: 0 } }}>
+                  <Tabs activeKey={activeTab} onChange={setActiveTab} items={tabs} className="px-4" />
+                </Card>
+              </Col>
+              <Col xs={24} xl={7}>
+                <Card
+                  title={<Space><StarOutlined />PROS ON YOUR HEROES</Space>}
+                  className="bg-gray-800/50 border-gray-700"
+                  bordered={false}
+                >
+                  <ProsForYourHeroes heroIds={topHeroIds} heroes={heroes} heroMap={heroMap} />
+                </Card>
+              </Col>
+            </Row>
+          </>
+        )}
+      </Content>
+    </Layout>
+  );
+};
+
+export default ProScenePage;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Row, Col, Avatar, Space, Typography, Table, Button, Tag, Statistic, Spin, Empty } from 'antd';
+import { ArrowLeftOutlined, TeamOutlined, HistoryOutlined } from '@ant-design/icons';
+import authService from '../../services/auth.service.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { formatDuration, formatDateTime } from '../../utils/dataTransforms.js';
+import { getTeamForm } from '../../utils/proScene.js';
+
+const { Title, Text } = Typography;
+
+export const FormTags = ({ form }) => (
+  <Space size={2}>
+    {form.map((result, index) => (
+      <Tag key={index} color={result === 'W' ? 'green' : 'red'} className="m-0">
+        {result}
+      </Tag>
+    ))}
+  </Space>
+);
+
+export const TeamDetail = ({ team, onBack, onMatchClick }) => {
+  const [players, setPlayers] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchTeam = async () => {
+      setLoading(true);
+      const [playersResult, matchesResult] = await Promise.allSettled([
+        authService.fetchTeamPlayers(team.team_id),
+        authService.fetchTeamMatches(team.team_id)
+      ]);
+      if (cancelled) return;
+
+      setPlayers(playersResult.status === 'fulfilled' ? playersResult.value : []);
+      setMatches(matchesResult.status === 'fulfilled' ? matchesResult.value : []);
+      setLoading(false);
+    };
+
+    fetchTeam();
+    return () => {
+      cancelled = true;
+    };
+  }, [team.team_id]);
+
+  const roster = players.filter(player => player.is_current_team_member);
+  const form = getTeamForm(matches, 10);
+  const formWins = form.filter(result => result === 'W').length;
+
+  const rosterColumns = [
+    {
+      title: 'Player',
+      dataIndex: 'name',
+      key: 'name',
+      render: (name, player) => <Text strong className="text-white">{name || player.account_id}</Text>
+    },
+    {
+      title: 'Games',
+      dataIndex: 'games_played',
+      key: 'games',
+      width: 90
+    },
+    {
+      title: 'Win Rate',
+      key: 'winRate',
+      width: 100,
+      render: (_, player) => {
+        const winRate = player.games_played ? (player.wins / player.games_played) * 100 : 0;
+        return (
+          <Text style={{ color: winRate >= 50 ? gamingColors.performance.excellent : gamingColors.performance.poor }}>
+            {winRate.toFixed(1)}%
+          </Text>
+        );
+      }
+    }
+  ];
+
+  const matchColumns = [
+    {
+      title: 'Result',
+      key: 'result',
+      width: 80,
+      render: (_, match) => {
+        const won = match.radiant === match.radiant_win;
+        return <Tag color={won ? 'green' : 'red'}>{won ? 'WIN' : 'LOSS'}</Tag>;
+      }
+    },
+    {
+      title: 'Opponent',
+      dataIndex: 'opposing_team_name',
+      key: 'opponent',
+      render: (name, match) => (
+        <Space size="small">
+          <Avatar size={20} src={match.opposing_team_logo} />
+          <Text className="text-white">{name || 'Unknown'}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'League',
+      dataIndex: 'league_name',
+      key: 'league',
+      ellipsis: true,
+      render: (name) => <Text type="secondary">{name}</Text>
+    },
+    {
+      title: 'Duration',
+      dataIndex: 'duration',
+      key: 'duration',
+      width: 90,
+      render: (duration) => <Text type="secondary">{formatDuration(duration || 0)}</Text>
+    },
+    {
+      title: 'Date',
+      dataIndex: 'start_time',
+      key: 'date',
+      width: 150,
+      render: (startTime) => <Text type="secondary">{formatDateTime(startTime)}</Text>
+    }
+  ];
+
+  return (
+    <div>
+      <Button type="text" icon={<ArrowLeftOutlined />} onClick={onBack} className="text-gray-400 hover:text-white mb-4">
+        Back to Teams
+      </Button>
+
+      <Card className="mb-6 bg-gray-800/50 border-gray-700" bordered={false}>
+        <div className="flex flex-wrap justify-between items-center gap-4">
+          <Space size="large">
+            <Avatar size={64} shape="square" src={team.logo_url}>{team.tag}</Avatar>
+            <div>
+              <Title level={3} className="text-white m-0">{team.name}</Title>
+              <FormTags form={form} />
+            </div>
+          </Space>
+          <Space size="large">
+            <Statistic title="Rating" value={Math.round(team.rating || 0)} valueStyle={{ color: gamingColors.electric.cyan }} />
+            <Statistic title="Record" value={`${team.wins}W - ${team.losses}L`} valueStyle={{ color: gamingColors.text.primary }} />
+            <Statistic title="Last 10" value={`${formWins}-${form.length - formWins}`} valueStyle={{ color: gamingColors.text.primary }} />
+          </Space>
+        </div>
+      </Card>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Spin size="large" />
+        </div>
+      ) : (
+        <Row gutter={[16, 16]}>
+          <Col xs={24} lg={9}>
+            <Card
+              title={<Space><TeamOutlined />ROSTER</Space>}
+              className="bg-gray-800/50 border-gray-700"
+              bordered={false}
+              styles={{ body: { padding: 0 } }}
+            >
+              <Table
+                rowKey="account_id"
+                size="small"
+                columns={rosterColumns}
+                dataSource={roster}
+                pagination={false}
+                locale={{ emptyText: <Empty description="No current roster" /> }}
+              />
+            </Card>
+          </Col>
+          <Col xs={24} lg={15}>
+            <Card
+              title={<Space><HistoryOutlined />RECENT MATCHES</Space>}
+              className="bg-gray-800/50 border-gray-700"
+              bordered={false}
+              styles={{ body: { padding: 0 } }}
+            >
+              <Table
+                rowKey="match_id"
+                size="small"
+                columns={matchColumns}
+                dataSource={matches.slice(0, 20)}
+                pagination={false}
+                onRow={match => ({
+                  onClick: () => onMatchClick(match.match_id),
+                  className: 'cursor-pointer'
+                })}
+              />
+            </Card>
+          </Col>
+        </Row>
+      )}
+    </div>
+  );
+};
+
+export default TeamDetail;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Layout, Card, Row, Col, Avatar, Space, Typography, Statistic, Table, Button,
+  Segmented, Empty, Spin, Tag, Breadcrumb
+} from 'antd';
+import { ArrowLeftOutlined, UserOutlined, SwapOutlined } from '@ant-design/icons';
+import { useData } from '../../contexts/DataContext.jsx';
+import authService from '../../services/auth.service.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { getHeroIconById } from '../../utils/assetHelpers.js';
+import { formatDateTime, isWin } from '../../utils/dataTransforms.js';
+import { getPeerInMatch, summarizeDuoHeroes } from '../../utils/peers.js';
+
+const { Content } = Layout;
+const { Title, Text } = Typography;
+
+const getWinRateColor = (winRate) => {
+  if (winRate >= 60) return gamingColors.performance.excellent;
+  if (winRate >= 50) return gamingColors.performance.good;
+  if (winRate >= 45) return gamingColors.performance.average;
+  return gamingColors.performance.poor;
+};
+
+export const TeammateDetail = ({ peerId, peer, onBack, onMatchClick, onHeadToHead }) => {
+  const { accountId, heroes, heroMap, queryMatches } = useData();
+  const [sharedMatches, setSharedMatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [side, setSide] = useState('all');
+
+  const name = peer?.name || `Player ${peerId}`;
+  const heroName = (heroId) => heroMap[heroId]?.localized_name || `Hero ${heroId}`;
+
+  useEffect(() => {
+    if (!accountId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    authService.fetchMatchesWith(accountId, peerId)
+      .then(value => !cancelled && setSharedMatches(value))
+      .catch(error => console.error('Failed to fetch shared matches:', error))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [peerId, accountId]);
+
+  // Shared games as full rows from the synced history, falling back to the lookup's own fields
+  const rows = useMemo(() => {
+    const history = new Map(queryMatches().map(match => [match.match_id, match]));
+    return sharedMatches
+      .map(match => {
+        const peerInMatch = getPeerInMatch(match, peerId);
+        return {
+          ...match,
+          ...history.get(match.match_id),
+          peerHeroId: peerInMatch?.heroId,
+          together: peerInMatch ? peerInMatch.together : null,
+          isWin: isWin(match)
+        };
+      })
+      .filter(match => side === 'all' || (side === 'with' ? match.together : match.together === false))
+      .sort((a, b) => b.start_time - a.start_time);
+  }, [sharedMatches, queryMatches, peerId, side]);
+
+  const duos = useMemo(() => summarizeDuoHeroes(sharedMatches, peerId), [sharedMatches, peerId]);
+
+  const matchColumns = [
+    {
+      title: 'Date',
+      dataIndex: 'start_time',
+      key: 'date',
+      width: 150,
+      render: (time) => <Text type="secondary">{formatDateTime(time)}</Text>
+    },
+    {
+      title: 'You',
+      dataIndex: 'hero_id',
+      key: 'hero',
+      render: (heroId) => (
+        <Space size="small">
+          <Avatar size={24} src={getHeroIconById(heroId, heroes)} />
+          <Text className="text-white">{heroName(heroId)}</Text>
+        </Space>
+      )
+    },
+    {
+      title: name,
+      dataIndex: 'peerHeroId',
+      key: 'peerHero',
+      render: (heroId) => heroId ? (
+        <Space size="small">
+          <Avatar size={24} src={getHeroIconById(heroId, heroes)} />
+          <Text className="text-white">{heroName(heroId)}</Text>
+        </Space>
+      ) : <Text type="secondary">-</Text>
+    },
+    {
+      title: 'Side',
+      dataIndex: 'together',
+      key: 'side',
+      width: 100,
+      render: (together) => together === null ? <Text type="secondary">-</Text> : (
+        <Tag color={together ? 'blue' : 'orange'}>{together ? 'With' : 'Against'}</Tag>
+      )
+    },
+    {
+      title: 'Result',
+      dataIndex: 'isWin',
+      key: 'result',
+      width: 90,
+      render: (won) => <Tag color={won ? 'success' : 'error'}>{won ? 'Win' : 'Loss'}</Tag>
+    },
+    {
+      title: 'K/D/A',
+      key: 'kda',
+      width: 100,
+      render: (_, match) => match.kills === undefined ? <Text type="secondary">-</Text> : (
+        <Text className="font-mono text-white">{match.kills}/{match.deaths}/{match.assists}</Text>
+      )
+    }
+  ];
+
+  const duoColumns = [
+    {
+      title: 'Pair',
+      key: 'pair',
+      render: (_, duo) => (
+        <Space size="small">
+          <Avatar size={24} src={getHeroIconById(duo.heroId, heroes)} />
+          <Text className="text-white">{heroName(duo.heroId)}</Text>
+          <Text type="secondary">+</Text>
+          <Avatar size={24} src={getHeroIconById(duo.peerHeroId, heroes)} />
+          <Text className="text-white">{heroName(duo.peerHeroId)}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'Games',
+      dataIndex: 'games',
+      key: 'games',
+      width: 80,
+      align: 'center'
+    },
+    {
+      title: 'Win Rate',
+      dataIndex: 'winRate',
+      key: 'winRate',
+      width: 100,
+      align: 'center',
+      render: (winRate) => <Text strong style={{ color: getWinRateColor(winRate) }}>{winRate.toFixed(0)}%</Text>
+    }
+  ];
+
+  return (
+    <Layout className="min-h-screen bg-gray-900">
+      <Content className="p-6">
+        {/* Header */}
+        <div className="mb-6">
+          <Breadcrumb
+            items={[
+              {
+                title: (
+                  <Button type="text" icon={<ArrowLeftOutlined />} onClick={onBack} className="text-gray-400 hover:text-white">
+                    Back to Teammates
+                  </Button>
+                )
+              },
+              { title: <span className="text-white">{name}</span> }
+            ]}
+          />
+        </div>
+
+        <Card className="mb-6 bg-gray-800/50 border-gray-700" bordered={false}>
+          <div className="flex flex-wrap justify-between items-center gap-4">
+            <Space size="large">
+              <Avatar size={64} src={peer?.avatar} icon={<UserOutlined />} />
+              <Title level={3} className="text-white m-0">{name.toUpperCase()}</Title>
+            </Space>
+            {peer && (
+              <Space size="large">
+                <Statistic
+                  title={`With • ${peer.withGames} games`}
+                  value={peer.withWinRate === null ? '-' : peer.withWinRate.toFixed(1)}
+                  suffix={peer.withWinRate === null ? '' : '%'}
+                  valueStyle={{ color: peer.withWinRate === null ? gamingColors.text.secondary : getWinRateColor(peer.withWinRate) }}
+                />
+                <Statistic
+                  title={`Against • ${peer.againstGames} games`}
+                  value={peer.againstWinRate === null ? '-' : peer.againstWinRate.toFixed(1)}
+                  suffix={peer.againstWinRate === null ? '' : '%'}
+                  valueStyle={{ color: peer.againstWinRate === null ? gamingColors.text.secondary : getWinRateColor(peer.againstWinRate) }}
+                />
+                {onHeadToHead && (
+                  <Button icon={<SwapOutlined />} onClick={() => onHeadToHead(peerId)}>
+                    Head to Head
+                  </Button>
+                )}
+              </Space>
+            )}
+          </div>
+        </Card>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Spin size="large" />
+          </div>
+        ) : (
+          <Row gutter={[16, 16]}>
+            <Col xs={24} lg={9}>
+              <Card
+                title={<span className="uppercase text-white">Best Duo Heroes</span>}
+                className="bg-gray-800/50 border-gray-700"
+                bordered={false}
+              >
+                {duos.length > 0 ? (
+                  <Table
+                    rowKey={duo => `${duo.heroId}-${duo.peerHeroId}`}
+                    size="small"
+                    columns={duoColumns}
+                    dataSource={duos}
+                    pagination={{ pageSize: 10, hideOnSinglePage: true }}
+                  />
+                ) : (
+                  <Empty description="No games on the same team" />
+                )}
+              </Card>
+            </Col>
+            <Col xs={24} lg={15}>
+              <Card
+                title={<span className="uppercase text-white">Matches Together</span>}
+                extra={(
+                  <Segmented
+                    value={side}
+                    onChange={setSide}
+                    options={[
+                      { label: 'All', value: 'all' },
+                      { label: 'With', value: 'with' },
+                      { label: 'Against', value: 'against' }
+                    ]}
+                  />
+                )}
+                className="bg-gray-800/50 border-gray-700"
+                bordered={false}
+                styles={{ body: { padding: 0 } }}
+              >
+                {rows.length > 0 ? (
+                  <Table
+                    rowKey="match_id"
+                    size="small"
+                    columns={matchColumns}
+                    dataSource={rows}
+                    pagination={{ pageSize: 20, hideOnSinglePage: true }}
+                    onRow={match => ({
+                      onClick: () => onMatchClick?.(match.match_id),
+                      className: 'cursor-pointer'
+                    })}
+                  />
+                ) : (
+                  <Empty description="No shared matches found" className="py-12" />
+                )}
+              </Card>
+            </Col>
+          </Row>
+        )}
+      </Content>
+    </Layout>
+  );
+};
+
+export default TeammateDetail;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Layout, Card, Table, Input, Avatar, Space, Typography, Progress, Empty, Tooltip, Row, Col, Statistic } from 'antd';
+import { SearchOutlined, UserOutlined } from '@ant-design/icons';
+import { useData } from '../../contexts/DataContext.jsx';
+import authService from '../../services/auth.service.js';
+import { gamingColors } from '../../theme/antdTheme.js';
+import { summarizePeers, summarizePartyResults } from '../../utils/peers.js';
+import TeammateDetail from './TeammateDetail.jsx';
+
+const { Content } = Layout;
+const { Title, Text } = Typography;
+
+const getWinRateColor = (winRate) => {
+  if (winRate >= 60) return gamingColors.performance.excellent;
+  if (winRate >= 50) return gamingColors.performance.good;
+  if (winRate >= 45) return gamingColors.performance.average;
+  return gamingColors.performance.poor;
+};
+
+const getTimeAgo = (timestamp) => {
+  if (!timestamp) return 'Never';
+  const days = Math.floor((Date.now() / 1000 - timestamp) / 86400);
+  if (days < 1) return 'Today';
+  if (days < 30) return `${days}d ago`;
+  if (days < 365) return `${Math.floor(days / 30)}mo ago`;
+  return `${Math.floor(days / 365)}y ago`;
+};
+
+const WinRateBar = ({ winRate, wins, games }) => {
+  if (winRate === null) return <Text type="secondary">-</Text>;
+  return (
+    <Tooltip title={`${wins}W - ${games - wins}L`}>
+      <Progress
+        percent={winRate}
+        format={percent => `${percent.toFixed(1)}%`}
+        strokeColor={getWinRateColor(winRate)}
+        size="small"
+      />
+    </Tooltip>
+  );
+};
+
+// Solo queue next to each party size, from the synced history
+const PartyResults = ({ matches }) => {
+  const results = useMemo(() => summarizePartyResults(matches), [matches]);
+
+  return (
+    <Card
+      title={<span className="uppercase text-white">Solo vs Party</span>}
+      className="mb-6 bg-gray-800/50 border-gray-700"
+      bordered={false}
+    >
+      <Row gutter={[16, 16]}>
+        {[results.solo, results.party, ...results.bySize.filter(row => row.key !== 1)].map(row => (
+          <Col key={row.key} xs={12} md={8} lg={4}>
+            <Statistic
+              title={`${row.label} • ${row.games} games`}
+              value={row.winRate === null ? '-' : row.winRate.toFixed(1)}
+              suffix={row.winRate === null ? '' : '%'}
+              valueStyle={{ color: row.winRate === null ? gamingColors.text.secondary : getWinRateColor(row.winRate) }}
+            />
+          </Col>
+        ))}
+      </Row>
+    </Card>
+  );
+};
+
+export const TeammatesPage = ({ peerId, onSelectPeer, onMatchClick, onHeadToHead }) => {
+  const { accountId, matchHistory, recentMatches } = useData();
+  const [peers, setPeers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [localPeerId, setLocalPeerId] = useState(null);
+
+  // The selected teammate lives in the URL when the router passes it in
+  const selectedPeerId = onSelectPeer ? peerId : localPeerId;
+  const setSelectedPeerId = onSelectPeer || setLocalPeerId;
+
+  useEffect(() => {
+    if (!accountId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    authService.fetchPeers(accountId, { onRevalidate: value => !cancelled && setPeers(value) })
+      .then(value => !cancelled && setPeers(value))
+      .catch(error => console.error('Failed to fetch peers:', error))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [accountId]);
+
+  const rows = useMemo(() => summarizePeers(peers), [peers]);
+
+  const filteredRows = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return term ? rows.filter(row => row.name.toLowerCase().includes(term)) : rows;
+  }, [rows, search]);
+
+  if (selectedPeerId) {
+    return (
+      <TeammateDetail
+        peerId={selectedPeerId}
+        peer={rows.find(row => row.accountId === String(selectedPeerId))}
+        onBack={() => setSelectedPeerId(null)}
+        onMatchClick={onMatchClick}
+        onHeadToHead={onHeadToHead}
+      />
+    );
+  }
+
+  const columns = [
+    {
+      title: 'Player',
+      dataIndex: 'name',
+      key: 'player',
+      sorter: (a, b) => a.name.localeCompare(b.name),
+      render: (name, row) => (
+        <Space size="small">
+          <Avatar size={36} src={row.avatar} icon={<UserOutlined />} />
+          <Text strong className="text-white">{name}</Text>
+        </Space>
+      )
+    },
+    {
+      title: 'With',
+      dataIndex: 'withGames',
+      key: 'withGames',
+      width: 90,
+      defaultSortOrder: 'descend',
+      sorter: (a, b) => a.withGames - b.withGames,
+      render: (games) => <Text className="text-white">{games}</Text>
+    },
+    {
+      title: 'Win Rate With',
+      dataIndex: 'withWinRate',
+      key: 'withWinRate',
+      width: 200,
+      sorter: (a, b) => (a.withWinRate ?? -1) - (b.withWinRate ?? -1),
+      render: (winRate, row) => <WinRateBar winRate={winRate} wins={row.withWins} games={row.withGames} />
+    },
+    {
+      title: 'Against',
+      dataIndex: 'againstGames',
+      key: 'againstGames',
+      width: 90,
+      sorter: (a, b) => a.againstGames - b.againstGames,
+      render: (games) => <Text className="text-white">{games}</Text>
+    },
+    {
+      title: 'Win Rate Against',
+      dataIndex: 'againstWinRate',
+      key: 'againstWinRate',
+      width: 200,
+      sorter: (a, b) => (a.againstWinRate ?? -1) - (b.againstWinRate ?? -1),
+      render: (winRate, row) => <WinRateBar winRate={winRate} wins={row.againstWins} games={row.againstGames} />
+    },
+    {
+      title: 'Last Played',
+      dataIndex: 'lastPlayed',
+      key: 'lastPlayed',
+      width: 130,
+      sorter: (a, b) => (a.lastPlayed || 0) - (b.lastPlayed || 0),
+      render: (lastPlayed) => <Text type="secondary">{getTimeAgo(lastPlayed)}</Text>
+    }
+  ];
+
+  return (
+    <Layout className="min-h-screen bg-gray-900">
+      <Content className="p-6">
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+          <div>
+            <Title level={3} className="text-white m-0">
+              TEAMMATES
+            </Title>
+            <Text type="secondary" className="text-xs uppercase tracking-wider">
+              {rows.length} players you have shared a game with
+            </Text>
+          </div>
+          <Input
+            allowClear
+            prefix={<SearchOutlined />}
+            placeholder="Search players"
+            value={search}
+            onChange={event => setSearch(event.target.value)}
+            style={{ maxWidth: 260 }}
+          />
+        </div>
+
+        <PartyResults matches={matchHistory || recentMatches} />
+
+        <Card className="bg-gray-800/50 border-gray-700" bordered={false} styles={{ body: { padding: 0 } }}>
+          {filteredRows.length > 0 || loading ? (
+            <Table
+              rowKey="accountId"
+              size="small"
+              columns={columns}
+              dataSource={filteredRows}
+              loading={loading}
+              pagination={{ pageSize: 25, hideOnSinglePage: true }}
+              onRow={row => ({
+                onClick: () => setSelectedPeerId(row.accountId),
+                className: 'cursor-pointer'
+              })}
+            />
+          ) : (
+            <Empty description={search ? 'No players match your search' : 'No teammates found'} className="py-12" />
+          )}
+        </Card>
+      </Content>
+    </Layout>
+  );
+};
+
+export default TeammatesPage;
@@ -1,13 +1,40 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useAuth } from '../hooks/useAuth.js';
 import authService from '../services/auth.service.js';
+import matchHistoryService, { combineHistories } from '../services/matchHistory.service.js';
+import rankHistoryService from '../services/rankHistory.service.js';
+import { queryMatches, summarizeMatches } from '../utils/matchQuery.js';
+import { buildMmrTimeline } from '../utils/rankHistory.js';
 
 // Data Context
 const DataContext = createContext(null);
 
-// Data Provider Component
-export const DataProvider = ({ children }) => {
-  const { user, isAuthenticated } = useAuth();
+const toHeroData = (heroesArray) => ({
+  array: heroesArray,
+  map: heroesArray.reduce((acc, hero) => {
+    acc[hero.id] = hero;
+    return acc;
+  }, {})
+});
+
+/**
+ * Dashboard data for one player
+ * @param {Object} props
+ * @param {string|number} [props.accountId] - Player to load; defaults to the logged-in account
+ * @param {boolean} [props.readOnly] - Viewing someone else: nothing is stored for them (no full
+ *   match history sync, no rank history) and queries run on their recent matches
+ */
+export const DataProvider = ({ children, accountId: viewedAccountId, readOnly = false }) => {
+  const { user, isAuthenticated, accounts = [], combinedView = false, isDemo = false } = useAuth();
+  const accountId = viewedAccountId ?? user?.accountId ?? null;
+
+  // Other accounts merged into the combined view; viewed profiles and the demo always stand alone
+  const linkedKey = !viewedAccountId && !isDemo && combinedView
+    ? accounts
+      .filter(account => account.linked && account.accountId !== String(accountId))
+      .map(account => account.accountId)
+      .join(',')
+    : '';
   const [data, setData] = useState({
     recentMatches: null,
     heroStats: null,
@@ -15,6 +42,9 @@ export const DataProvider = ({ children }) => {
     ratings: null,
     playerTotals: null,
     heroes: null, // Hero mapping data
+    matchHistory: null, // Every match the player has, newest first
+    rankHistory: null, // Rank snapshots, ratings and manual MMR checkpoints
+    profile: null, // OpenDota profile with name, avatar and rank tier
   });
   
   const [loading, setLoading] = useState({
@@ -26,6 +56,18 @@ export const DataProvider = ({ children }) => {
   });
   
   const [errors, setErrors] = useState({});
+  const [historySync, setHistorySync] = useState({ status: 'idle', lastSyncedAt: null, fetched: 0 });
+  const [linkedHistories, setLinkedHistories] = useState([]);
+
+  // Account whose data is on screen; background refreshes for others are dropped
+  const activeAccountRef = useRef(null);
+  activeAccountRef.current = accountId;
+
+  // Cached data renders immediately; this applies the background refresh
+  const revalidateInto = useCallback((accountId, field, transform = value => value) => (value) => {
+    if (activeAccountRef.current !== accountId) return;
+    setData(prev => ({ ...prev, [field]: transform(value) }));
+  }, []);
 
   const resetData = () => {
     setData({
@@ -35,15 +77,57 @@ export const DataProvider = ({ children }) => {
       ratings: null,
       playerTotals: null,
       heroes: null,
+      matchHistory: null,
+      rankHistory: null,
+      profile: null,
     });
     setErrors({});
+    setHistorySync({ status: 'idle', lastSyncedAt: null, fetched: 0 });
   };
 
+  // Show the stored history straight away, then fetch only newer matches
+  const syncMatchHistory = useCallback(async (accountId) => {
+    if (readOnly) return;
+    const isActive = () => activeAccountRef.current === accountId;
+
+    const stored = await matchHistoryService.load(accountId);
+    if (!isActive()) return;
+    setData(prev => ({ ...prev, matchHistory: stored?.matches || null }));
+
+    setHistorySync(prev => ({ ...prev, status: 'syncing', fetched: 0, lastSyncedAt: stored?.lastSyncedAt || null }));
+    try {
+      const history = await matchHistoryService.sync(accountId, {
+        onProgress: ({ fetched }) => isActive() && setHistorySync(prev => ({ ...prev, fetched }))
+      });
+      if (!isActive()) return;
+
+      setData(prev => ({ ...prev, matchHistory: history.matches }));
+      setHistorySync({ status: 'done', lastSyncedAt: history.lastSyncedAt, fetched: history.added });
+      setErrors(prev => ({ ...prev, history: null }));
+    } catch (error) {
+      console.error('Match history sync failed:', error);
+      if (!isActive()) return;
+      setHistorySync(prev => ({ ...prev, status: 'error' }));
+      setErrors(prev => ({ ...prev, history: error.message }));
+    }
+  }, [readOnly]);
+
+  // Every profile or ratings sync of your own accounts adds to the stored rank history
+  const recordRanks = useCallback(async (accountId, synced) => {
+    if (readOnly) return;
+    try {
+      const rankHistory = await rankHistoryService.record(accountId, synced);
+      if (activeAccountRef.current === accountId) setData(prev => ({ ...prev, rankHistory }));
+    } catch (error) {
+      console.error('Rank history update failed:', error);
+    }
+  }, [readOnly]);
+
   const fetchAllData = useCallback(async () => {
-    if (!user?.accountId) return;
+    if (!accountId) return;
+    // Responses for an account that is no longer on screen are dropped
+    const isActive = () => activeAccountRef.current === accountId;
 
-    const accountId = user.accountId;
-    
     // Set all loading states
     setLoading({
       matches: true,
@@ -55,7 +139,7 @@ export const DataProvider = ({ children }) => {
 
     try {
       // Fetch hero mapping first (needed for other data)
-      const heroesPromise = fetchHeroes();
+      const heroesPromise = fetchHeroes(revalidateInto(accountId, 'heroes', toHeroData));
       
       // Fetch all data in parallel
       const [
@@ -64,25 +148,40 @@ export const DataProvider = ({ children }) => {
         winLoss,
         ratings,
         playerTotals,
-        heroes
+        heroes,
+        profile
       ] = await Promise.allSettled([
-        authService.fetchRecentMatches(accountId),
-        authService.fetchHeroStats(accountId),
-        authService.fetchWinLoss(accountId),
-        authService.fetchRatings(accountId),
-        authService.fetchPlayerTotals(accountId),
-        heroesPromise
+        authService.fetchRecentMatches(accountId, 20, { onRevalidate: revalidateInto(accountId, 'recentMatches') }),
+        authService.fetchHeroStats(accountId, { onRevalidate: revalidateInto(accountId, 'heroStats') }),
+        authService.fetchWinLoss(accountId, { onRevalidate: revalidateInto(accountId, 'winLoss') }),
+        authService.fetchRatings(accountId, {
+          onRevalidate: (value) => {
+            revalidateInto(accountId, 'ratings')(value);
+            recordRanks(accountId, { ratings: value });
+          }
+        }),
+        authService.fetchPlayerTotals(accountId, { onRevalidate: revalidateInto(accountId, 'playerTotals') }),
+        heroesPromise,
+        authService.fetchOpenDotaProfile(accountId, {
+          onRevalidate: (value) => {
+            revalidateInto(accountId, 'profile')(value);
+            recordRanks(accountId, { profile: value });
+          }
+        })
       ]);
+      if (!isActive()) return;
 
       // Update data with successful results
-      setData({
+      setData(prev => ({
+        ...prev,
         recentMatches: recentMatches.status === 'fulfilled' ? recentMatches.value : null,
         heroStats: heroStats.status === 'fulfilled' ? heroStats.value : null,
         winLoss: winLoss.status === 'fulfilled' ? winLoss.value : null,
         ratings: ratings.status === 'fulfilled' ? ratings.value : null,
         playerTotals: playerTotals.status === 'fulfilled' ? playerTotals.value : null,
         heroes: heroes.status === 'fulfilled' ? heroes.value : null,
-      });
+        profile: profile.status === 'fulfilled' ? profile.value : null,
+      }));
 
       // Handle errors
       const newErrors = {};
@@ -94,11 +193,16 @@ export const DataProvider = ({ children }) => {
       
       setErrors(newErrors);
 
+      await recordRanks(accountId, {
+        profile: profile.status === 'fulfilled' ? profile.value : null,
+        ratings: ratings.status === 'fulfilled' ? ratings.value : null
+      });
+
     } catch (error) {
       console.error('Failed to fetch dashboard data:', error);
-      setErrors({ general: 'Failed to load dashboard data' });
+      if (isActive()) setErrors({ general: 'Failed to load dashboard data' });
     } finally {
-      setLoading({
+      if (isActive()) setLoading({
         matches: false,
         heroes: false,
         stats: false,
@@ -106,33 +210,21 @@ export const DataProvider = ({ children }) => {
         totals: false,
       });
     }
-  }, [user?.accountId]);
+  }, [accountId, revalidateInto, recordRanks]);
 
-  // Fetch all dashboard data when user changes
+  // Fetch all dashboard data when the player changes; nothing of the previous player stays on screen
   useEffect(() => {
-    if (isAuthenticated && user?.accountId) {
-      fetchAllData();
-    } else {
-      resetData();
+    resetData();
+    if (isAuthenticated && accountId) {
+      fetchAllData().then(() => syncMatchHistory(accountId));
     }
-  }, [isAuthenticated, user?.accountId, fetchAllData]);
+  }, [isAuthenticated, accountId, fetchAllData, syncMatchHistory]);
 
-  const fetchHeroes = async () => {
+  const fetchHeroes = async (onRevalidate) => {
     try {
-      const cached = authService.getCacheItem('heroes_mapping');
-      if (cached) return cached;
-
-      // Use auth service method which includes API key
-      const heroesArray = await authService.fetchHeroes();
-      const heroMap = heroesArray.reduce((acc, hero) => {
-        acc[hero.id] = hero;
-        return acc;
-      }, {});
-      
-      // Cache both the array and the map
-      const heroData = { array: heroesArray, map: heroMap };
-      authService.setCacheItem('heroes_mapping', heroData);
-      return heroData;
+      // Hero constants are cached persistently by the auth service
+      const heroesArray = await authService.fetchHeroes({ onRevalidate });
+      return toHeroData(heroesArray);
     } catch (error) {
       console.error('Failed to fetch heroes:', error);
       return { array: [], map: {} };
@@ -140,19 +232,19 @@ export const DataProvider = ({ children }) => {
   };
 
   const refreshData = async () => {
-    if (!user?.accountId) return;
+    if (!accountId) return;
     
-    // Clear cache for this user
-    authService.cache.delete(`player_${user.accountId}`);
+    // Clear cache for this player
+    await authService.invalidatePlayer(accountId);
     
     // Fetch fresh data
     await fetchAllData();
+    await syncMatchHistory(accountId);
   };
 
   const refreshSection = async (section) => {
-    if (!user?.accountId) return;
+    if (!accountId) return;
 
-    const accountId = user.accountId;
     setLoading(prev => ({ ...prev, [section]: true }));
 
     try {
@@ -160,25 +252,29 @@ export const DataProvider = ({ children }) => {
       
       switch (section) {
         case 'matches':
-          result = await authService.fetchRecentMatches(accountId);
+          result = await authService.fetchRecentMatches(accountId, 20, { forceRefresh: true });
           setData(prev => ({ ...prev, recentMatches: result }));
           break;
         case 'heroes':
-          result = await authService.fetchHeroStats(accountId);
+          result = await authService.fetchHeroStats(accountId, { forceRefresh: true });
           setData(prev => ({ ...prev, heroStats: result }));
           break;
         case 'stats':
-          result = await authService.fetchWinLoss(accountId);
+          result = await authService.fetchWinLoss(accountId, { forceRefresh: true });
           setData(prev => ({ ...prev, winLoss: result }));
           break;
         case 'ratings':
-          result = await authService.fetchRatings(accountId);
+          result = await authService.fetchRatings(accountId, { forceRefresh: true });
           setData(prev => ({ ...prev, ratings: result }));
+          await recordRanks(accountId, { ratings: result });
           break;
         case 'totals':
-          result = await authService.fetchPlayerTotals(accountId);
+          result = await authService.fetchPlayerTotals(accountId, { forceRefresh: true });
           setData(prev => ({ ...prev, playerTotals: result }));
           break;
+        case 'history':
+          await syncMatchHistory(accountId);
+          break;
       }
 
       // Clear error for this section
@@ -192,6 +288,71 @@ export const DataProvider = ({ children }) => {
     }
   };
 
+  // Stored histories of the linked accounts show first, then each is synced in turn
+  useEffect(() => {
+    if (!linkedKey) {
+      setLinkedHistories([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const linkedIds = linkedKey.split(',');
+
+    const loadLinkedHistories = async () => {
+      const stored = await Promise.all(linkedIds.map(id => matchHistoryService.load(id)));
+      if (cancelled) return;
+      setLinkedHistories(stored.filter(Boolean));
+
+      // One account at a time leaves the request queue to the active account
+      const synced = [];
+      for (const [index, id] of linkedIds.entries()) {
+        try {
+          synced.push(await matchHistoryService.sync(id));
+        } catch (error) {
+          console.error(`Linked account ${id} history sync failed:`, error);
+          if (stored[index]) synced.push(stored[index]);
+        }
+        if (cancelled) return;
+      }
+      setLinkedHistories(synced);
+    };
+
+    loadLinkedHistories();
+    return () => {
+      cancelled = true;
+    };
+  }, [linkedKey]);
+
+  // Every linked account's games in one list for the Matches page; hero, teammate,
+  // rank and session views keep using this account's games alone
+  const combinedHistory = useMemo(() => (linkedHistories.length > 0
+    ? combineHistories([{ accountId, matches: data.matchHistory || data.recentMatches || [] }, ...linkedHistories])
+    : null
+  ), [linkedHistories, accountId, data.matchHistory, data.recentMatches]);
+
+  // Queries run against the synced history, or recent matches until it arrives
+  const queryHistory = useCallback(
+    (query) => queryMatches(data.matchHistory || data.recentMatches || [], query),
+    [data.matchHistory, data.recentMatches]
+  );
+
+  const addRankCheckpoint = async (checkpoint) => {
+    if (!accountId || readOnly) return;
+    const rankHistory = await rankHistoryService.addCheckpoint(accountId, checkpoint);
+    setData(prev => ({ ...prev, rankHistory }));
+  };
+
+  const removeRankCheckpoint = async (id) => {
+    if (!accountId || readOnly) return;
+    const rankHistory = await rankHistoryService.removeCheckpoint(accountId, id);
+    setData(prev => ({ ...prev, rankHistory }));
+  };
+
+  // MMR after each ranked game, anchored on the confirmed points in the rank history
+  const mmrTimeline = useMemo(
+    () => buildMmrTimeline(data.rankHistory, data.matchHistory || data.recentMatches),
+    [data.rankHistory, data.matchHistory, data.recentMatches]
+  );
+
   // Computed values
   const isLoading = Object.values(loading).some(Boolean);
   const hasErrors = Object.keys(errors).length > 0;
@@ -200,6 +361,8 @@ export const DataProvider = ({ children }) => {
     <DataContext.Provider value={{
       // Raw data
       ...data,
+      accountId,
+      readOnly,
       // Provide heroes as both array and map for compatibility
       heroes: data.heroes?.array || [],
       heroMap: data.heroes?.map || {},
@@ -212,6 +375,18 @@ export const DataProvider = ({ children }) => {
       errors,
       hasErrors,
       
+      // Match history dataset
+      historySync,
+      combinedHistory,
+      linkedAccountIds: linkedKey ? linkedKey.split(',') : [],
+      queryMatches: queryHistory,
+      summarizeMatches,
+
+      // Rank tracking
+      mmrTimeline,
+      addRankCheckpoint,
+      removeRankCheckpoint,
+
       // Actions
       refreshData,
       refreshSection,
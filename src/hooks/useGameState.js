@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import gsiService from '../services/gsi.service.js';
+
+const subscribe = (listener) => gsiService.subscribe(listener);
+const getSnapshot = () => gsiService.getSnapshot();
+
+// Custom hook exposing the latest live (or replayed) GSI game state
+export const useGameState = () => useSyncExternalStore(subscribe, getSnapshot);
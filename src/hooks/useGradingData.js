@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react';
+import authService from '../services/auth.service.js';
+
+/**
+ * Benchmark curves for a set of heroes plus global /heroStats, for grading a run of matches
+ * @param {Array<number>} heroIds - Heroes to load benchmarks for
+ * @returns {{benchmarksByHero: Object, heroStats: Array, loading: boolean}}
+ */
+export const useGradingData = (heroIds) => {
+  const [state, setState] = useState({ benchmarksByHero: {}, heroStats: [], loading: false });
+  // Stable dependency for the effect; callers usually pass a fresh array
+  const key = [...new Set((heroIds || []).filter(Boolean))].sort((a, b) => a - b).join(',');
+
+  useEffect(() => {
+    const ids = key ? key.split(',').map(Number) : [];
+    if (ids.length === 0) return undefined;
+    let cancelled = false;
+
+    setState(prev => ({ ...prev, loading: true }));
+    Promise.allSettled([
+      authService.fetchGeneralHeroStats(),
+      ...ids.map(heroId => authService.fetchBenchmarks(heroId))
+    ]).then(([heroStats, ...benchmarks]) => {
+      if (cancelled) return;
+      setState({
+        heroStats: heroStats.status === 'fulfilled' ? heroStats.value : [],
+        benchmarksByHero: Object.fromEntries(ids
+          .map((heroId, index) => [heroId, benchmarks[index].status === 'fulfilled' ? benchmarks[index].value : null])
+          .filter(([, value]) => value)),
+        loading: false
+      });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  return state;
+};
+
+export default useGradingData;
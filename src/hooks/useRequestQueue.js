@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import requestScheduler from '../services/requestScheduler.service.js';
+
+const subscribe = (listener) => requestScheduler.subscribe(listener);
+const getSnapshot = () => requestScheduler.getStatus();
+
+// Custom hook exposing the OpenDota request queue (depth, rate limit waits)
+export const useRequestQueue = () => useSyncExternalStore(subscribe, getSnapshot);
@@ -0,0 +1,37 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { parseRoute } from '../utils/routes.js';
+
+// Fired after pushState/replaceState, which don't emit popstate themselves
+const NAVIGATE_EVENT = 'app:navigate';
+
+const subscribe = (listener) => {
+  window.addEventListener('popstate', listener);
+  window.addEventListener(NAVIGATE_EVENT, listener);
+  return () => {
+    window.removeEventListener('popstate', listener);
+    window.removeEventListener(NAVIGATE_EVENT, listener);
+  };
+};
+
+const getSnapshot = () => window.location.pathname;
+
+/**
+ * Change the URL without reloading the app
+ * @param {string} path - New path
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Replace the current history entry
+ * @param {Object} [options.state] - History state (e.g. the page we came from)
+ */
+export const navigate = (path, { replace = false, state = null } = {}) => {
+  if (path === window.location.pathname && !replace) return;
+
+  window.history[replace ? 'replaceState' : 'pushState'](state, '', path);
+  if (!replace) window.scrollTo(0, 0);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+};
+
+// Custom hook exposing the current page and its parameters from the URL
+export const useRoute = () => {
+  const pathname = useSyncExternalStore(subscribe, getSnapshot);
+  return useMemo(() => parseRoute(pathname), [pathname]);
+};
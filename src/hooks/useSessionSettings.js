@@ -0,0 +1,50 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { SESSION_DEFAULTS } from '../utils/sessions.js';
+
+const STORAGE_KEY = 'session-settings';
+
+// Fired after a change in this tab; other tabs get the storage event
+const CHANGE_EVENT = 'app:session-settings';
+
+const subscribe = (listener) => {
+  window.addEventListener('storage', listener);
+  window.addEventListener(CHANGE_EVENT, listener);
+  return () => {
+    window.removeEventListener('storage', listener);
+    window.removeEventListener(CHANGE_EVENT, listener);
+  };
+};
+
+// Parsed once per stored value so the snapshot stays referentially stable
+let cached = { raw: undefined, settings: SESSION_DEFAULTS };
+
+const getSnapshot = () => {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (raw !== cached.raw) {
+    let stored = {};
+    try {
+      stored = raw ? JSON.parse(raw) : {};
+    } catch {
+      stored = {};
+    }
+    cached = { raw, settings: { ...SESSION_DEFAULTS, ...stored } };
+  }
+  return cached.settings;
+};
+
+/**
+ * Session detection settings shared by the dashboard and the session history
+ * @returns {[{idleMinutes: number, timeZone: string}, (changes: Object) => void]}
+ */
+export const useSessionSettings = () => {
+  const settings = useSyncExternalStore(subscribe, getSnapshot);
+
+  const updateSettings = useCallback((changes) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...getSnapshot(), ...changes }));
+    window.dispatchEvent(new Event(CHANGE_EVENT));
+  }, []);
+
+  return [settings, updateSettings];
+};
+
+export default useSessionSettings;
@@ -0,0 +1,101 @@
+// Accounts saved on this device for quick switching
+// The active session stays in `dota2_auth`; this list remembers every account signed in
+// here, which ones are linked (smurfs of the same person) and whether the combined view is on.
+
+import authService from './auth.service.js';
+import matchHistoryService from './matchHistory.service.js';
+
+const STORAGE_KEY = 'dota2_accounts';
+
+const emptyState = () => ({ accounts: [], combined: false });
+
+class AccountsService {
+  read() {
+    try {
+      return { ...emptyState(), ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch {
+      return emptyState();
+    }
+  }
+
+  write(state) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    return state;
+  }
+
+  /**
+   * Saved accounts, most recently used first
+   * @returns {Array<{accountId: string, user: Object, authMode: string, linked: boolean, addedAt: number, lastUsedAt: number}>}
+   */
+  list() {
+    return [...this.read().accounts].sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  }
+
+  isCombined() {
+    return this.read().combined;
+  }
+
+  /**
+   * Remember an account after signing in, or update its stored profile
+   * @param {Object} user - User data from the auth service
+   * @param {string} authMode - 'development' or 'steam'
+   * @returns {Array} Updated account list
+   */
+  save(user, authMode) {
+    const state = this.read();
+    const accountId = String(user.accountId);
+    const existing = state.accounts.find(account => account.accountId === accountId);
+    const now = Date.now();
+
+    const account = {
+      linked: false,
+      addedAt: now,
+      ...existing,
+      accountId,
+      user,
+      authMode,
+      lastUsedAt: now
+    };
+    this.write({ ...state, accounts: [account, ...state.accounts.filter(entry => entry.accountId !== accountId)] });
+    return this.list();
+  }
+
+  /**
+   * Forget an account and drop its cached API data and match history;
+   * rank history and MMR checkpoints stay on the device in case it signs in again
+   * @param {string} accountId - Dota 2 account ID
+   * @returns {Promise<Array>} Updated account list
+   */
+  async remove(accountId) {
+    const state = this.read();
+    this.write({ ...state, accounts: state.accounts.filter(account => account.accountId !== String(accountId)) });
+
+    await Promise.all([
+      authService.invalidatePlayer(accountId),
+      matchHistoryService.clear(accountId)
+    ]);
+    return this.list();
+  }
+
+  /**
+   * Include or leave out an account in the combined match history
+   * @param {string} accountId - Dota 2 account ID
+   * @param {boolean} linked
+   * @returns {Array} Updated account list
+   */
+  setLinked(accountId, linked) {
+    const state = this.read();
+    this.write({
+      ...state,
+      accounts: state.accounts.map(account => (account.accountId === String(accountId) ? { ...account, linked } : account))
+    });
+    return this.list();
+  }
+
+  setCombined(combined) {
+    this.write({ ...this.read(), combined });
+    return combined;
+  }
+}
+
+export default new AccountsService();
@@ -1,21 +1,27 @@
 // Authentication Service for Steam and OpenDota API integration
 
+import cacheService from './cache.service.js';
+import requestScheduler from './requestScheduler.service.js';
+import demoService, { DEMO_ACCOUNT_ID } from './demo.service.js';
+
 class AuthService {
   constructor() {
-    this.baseUrl = import.meta.env.VITE_OPENDOTA_API_URL || 'https://api.opendota.com/api';
-    this.steamApiUrl = import.meta.env.VITE_STEAM_API_URL || 'https://api.steampowered.com';
-    this.openDotaApiKey = import.meta.env.VITE_OPENDOTA_API_KEY;
-    this.cache = new Map();
-    this.cacheTTL = parseInt(import.meta.env.VITE_CACHE_TTL) || 300000; // 5 minutes default
+    // API keys live on the server: requests go through the /api proxy
+    // functions, which attach OPENDOTA_API_KEY / STEAM_API_KEY upstream.
+    this.apiProxyUrl = import.meta.env.VITE_API_PROXY_URL || '/api';
+    this.baseUrl = import.meta.env.VITE_OPENDOTA_API_URL || `${this.apiProxyUrl}/opendota`;
+    this.steamApiUrl = import.meta.env.VITE_STEAM_API_URL || `${this.apiProxyUrl}/steam`;
+    this.authApiUrl = import.meta.env.VITE_AUTH_API_URL || this.apiProxyUrl;
+
+    // Where OpenDota requests are answered: the live API, or recorded fixtures for the demo.
+    // The backend name also prefixes cache keys so the two never share cached responses.
+    this.backends = {
+      opendota: { request: (endpoint, options) => this.requestOpenDota(endpoint, options) },
+      demo: demoService
+    };
+    this.backend = 'opendota';
     
-    // Log API key status for debugging
-    if (this.openDotaApiKey) {
-      console.log(`[AUTH SERVICE] OpenDota API key configured (${this.openDotaApiKey.substring(0, 8)}...)`);
-      console.log('[AUTH SERVICE] Enhanced rate limits enabled (60,000 requests/hour)');
-    } else {
-      console.log('[AUTH SERVICE] No OpenDota API key configured - using free tier limits (60 requests/minute)');
-      console.log('[AUTH SERVICE] Add VITE_OPENDOTA_API_KEY to .env.local to enable enhanced limits');
-    }
+    console.log(`[AUTH SERVICE] OpenDota requests via ${this.baseUrl}`);
   }
 
   // Utility: Convert Steam ID to Account ID
@@ -32,36 +38,68 @@ class AuthService {
     return steamId64.toString();
   }
 
-  // Helper method to construct API URLs with optional API key
+  // Helper method to construct API URLs (base may be a relative proxy path)
   buildApiUrl(endpoint) {
-    const url = new URL(`${this.baseUrl}${endpoint}`);
-    
-    // Add API key if available
-    if (this.openDotaApiKey) {
-      url.searchParams.append('api_key', this.openDotaApiKey);
-    }
-    
+    const url = new URL(`${this.baseUrl}${endpoint}`, window.location.origin);
     return url.toString();
   }
 
-  // Cache management
-  setCacheItem(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
+  // Switch the data source for every later request ('opendota' or 'demo')
+  setBackend(backend) {
+    if (!this.backends[backend]) throw new Error(`Unknown data backend: ${backend}`);
+    this.backend = backend;
+  }
+
+  // Uncached request to the active backend
+  requestJson(endpoint, { method = 'GET' } = {}) {
+    return this.backends[this.backend].request(endpoint, { method });
+  }
+
+  // Live OpenDota request; all traffic shares one rate-limited queue
+  requestOpenDota(endpoint, { method = 'GET' } = {}) {
+    const key = method === 'GET' ? endpoint : `${method} ${endpoint}`;
+    return requestScheduler.schedule(key, async () => {
+      const response = await fetch(this.buildApiUrl(endpoint), { method });
+      if (!response.ok) {
+        const error = new Error(`OpenDota API error: ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = parseInt(response.headers.get('retry-after')) || null;
+        throw error;
+      }
+      return response.json();
     });
   }
 
-  getCacheItem(key) {
-    const item = this.cache.get(key);
-    if (!item) return null;
-    
-    if (Date.now() - item.timestamp > this.cacheTTL) {
-      this.cache.delete(key);
-      return null;
+  /**
+   * Fetch an OpenDota endpoint through the persistent cache
+   * @param {string} endpoint - API path, also used as the cache key
+   * @param {string} policy - Cache policy name (see CACHE_POLICIES)
+   * @param {Object} options
+   * @param {*} [options.fallback] - Returned (uncached) when the API answers with an error status
+   * @param {Function} [options.transform] - Applied to cached, fetched and revalidated data
+   * @param {Function} [options.onRevalidate] - Receives fresh data after a stale cache hit
+   * @param {boolean} [options.forceRefresh] - Bypass the cache
+   * @returns {Promise<*>} Response data
+   */
+  async getJson(endpoint, policy, { fallback, transform = data => data, onRevalidate, forceRefresh } = {}) {
+    const fetcher = () => this.requestJson(endpoint);
+
+    try {
+      const data = await cacheService.fetchWithCache(`${this.backend}:${endpoint}`, policy, fetcher, {
+        onRevalidate: onRevalidate && (fresh => onRevalidate(transform(fresh))),
+        forceRefresh
+      });
+      return transform(data);
+    } catch (error) {
+      if (error.status && fallback !== undefined) return fallback;
+      throw error;
     }
-    
-    return item.data;
+  }
+
+  // Drop every cached response for one player, from any backend
+  async invalidatePlayer(accountId) {
+    const prefixes = Object.keys(this.backends).map(backend => `${backend}:/players/${accountId}`);
+    await cacheService.deleteWhere(key => prefixes.some(prefix => key === prefix || key.startsWith(`${prefix}/`)));
   }
 
   // Development Mode: Login with Player ID
@@ -74,17 +112,6 @@ class AuthService {
 
       const accountId = playerId;
       
-      // Check cache first
-      const cacheKey = `player_${accountId}`;
-      const cachedData = this.getCacheItem(cacheKey);
-      if (cachedData) {
-        return {
-          ...cachedData,
-          fromCache: true,
-          lastSync: new Date(this.cache.get(cacheKey).timestamp)
-        };
-      }
-
       // Fetch data from OpenDota API
       const [profile, winLoss, recentMatches, heroes] = await Promise.allSettled([
         this.fetchOpenDotaProfile(accountId),
@@ -103,15 +130,18 @@ class AuthService {
         throw new Error('Player not found or profile is private. Please try a different Account ID.');
       }
 
+      // /players/{id} nests the Steam fields under `profile`
+      const steamProfile = profileData.profile || profileData;
+
       // Create comprehensive user data
       const userData = {
         // Steam-like data structure
         steamId: this.convertAccountIdToSteamId(accountId),
-        personaName: profileData.personaname || profileData.name || `Player ${accountId}`,
-        avatar: profileData.avatar || profileData.avatarfull || '/default-avatar.png',
-        avatarMedium: profileData.avatarmedium || profileData.avatarfull || '/default-avatar.png',
-        avatarFull: profileData.avatarfull || '/default-avatar.png',
-        profileUrl: profileData.profileurl || `https://www.dotabuff.com/players/${accountId}`,
+        personaName: steamProfile.personaname || steamProfile.name || `Player ${accountId}`,
+        avatar: steamProfile.avatar || steamProfile.avatarfull || '/default-avatar.png',
+        avatarMedium: steamProfile.avatarmedium || steamProfile.avatarfull || '/default-avatar.png',
+        avatarFull: steamProfile.avatarfull || '/default-avatar.png',
+        profileUrl: steamProfile.profileurl || `https://www.dotabuff.com/players/${accountId}`,
         
         // Dota-specific data
         accountId: accountId,
@@ -147,9 +177,6 @@ class AuthService {
         fromCache: false
       };
 
-      // Cache the result
-      this.setCacheItem(cacheKey, userData);
-
       return userData;
     } catch (error) {
       console.error('Login with Player ID failed:', error);
@@ -157,107 +184,222 @@ class AuthService {
     }
   }
 
+  // Demo Mode: sign in as the recorded demo player, served entirely from bundled fixtures
+  async loginWithDemo() {
+    this.setBackend('demo');
+    try {
+      const userData = await this.loginWithPlayerId(DEMO_ACCOUNT_ID);
+      userData.authMode = 'demo';
+      return userData;
+    } catch (error) {
+      this.setBackend('opendota');
+      throw error;
+    }
+  }
+
   // Fetch player profile from OpenDota
-  async fetchOpenDotaProfile(accountId) {
-    const url = this.buildApiUrl(`/players/${accountId}`);
-    const response = await fetch(url);
-    if (!response.ok) {
-      if (response.status === 404) {
+  async fetchOpenDotaProfile(accountId, options) {
+    try {
+      return await this.getJson(`/players/${accountId}`, 'profile', options);
+    } catch (error) {
+      if (error.status === 404) {
         throw new Error('Player not found. Please check the Account ID.');
       }
-      throw new Error(`OpenDota API error: ${response.status}`);
+      throw error;
     }
-    return response.json();
   }
 
   // Fetch win/loss data
-  async fetchWinLoss(accountId) {
-    const url = this.buildApiUrl(`/players/${accountId}/wl`);
-    const response = await fetch(url);
-    if (!response.ok) return { win: 0, lose: 0 };
-    return response.json();
+  async fetchWinLoss(accountId, options) {
+    return this.getJson(`/players/${accountId}/wl`, 'winLoss', { fallback: { win: 0, lose: 0 }, ...options });
   }
 
   // Fetch recent matches
-  async fetchRecentMatches(accountId, limit = 20) {
-    const url = this.buildApiUrl(`/players/${accountId}/recentMatches`);
-    const response = await fetch(url);
-    if (!response.ok) return [];
-    const matches = await response.json();
-    return matches.slice(0, limit);
+  async fetchRecentMatches(accountId, limit = 20, options) {
+    return this.getJson(`/players/${accountId}/recentMatches`, 'recentMatches', {
+      fallback: [],
+      transform: matches => matches.slice(0, limit),
+      ...options
+    });
+  }
+
+  /**
+   * Fetch one page of a player's full match list (not cached - the match
+   * history service stores the merged result)
+   * @param {string} accountId - Dota 2 account ID
+   * @param {Object} params - limit, offset, project (field list) and other OpenDota filters
+   * @returns {Promise<Array>} Matches, newest first
+   */
+  async fetchPlayerMatches(accountId, { project = [], ...params } = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) query.append(key, value);
+    });
+    project.forEach(field => query.append('project', field));
+
+    return this.requestJson(`/players/${accountId}/matches?${query.toString()}`);
   }
 
   // Fetch hero statistics
-  async fetchHeroStats(accountId) {
-    const url = this.buildApiUrl(`/players/${accountId}/heroes`);
-    const response = await fetch(url);
-    if (!response.ok) return [];
-    const heroes = await response.json();
-    return heroes.sort((a, b) => b.games - a.games);
+  async fetchHeroStats(accountId, options) {
+    return this.getJson(`/players/${accountId}/heroes`, 'playerHeroes', {
+      fallback: [],
+      transform: heroes => [...heroes].sort((a, b) => b.games - a.games),
+      ...options
+    });
+  }
+
+  // Fetch with/against records for every hero, limited to games on one hero
+  async fetchHeroMatchups(accountId, heroId, options) {
+    return this.getJson(`/players/${accountId}/heroes?hero_id=${heroId}`, 'playerHeroes', { fallback: [], ...options });
+  }
+
+  // Fetch final inventories for the player's recent games on one hero
+  async fetchHeroItems(accountId, heroId, limit = 100, options) {
+    const project = ['match_id', 'player_slot', 'radiant_win', 'item_0', 'item_1', 'item_2', 'item_3', 'item_4', 'item_5']
+      .map(field => `project=${field}`)
+      .join('&');
+    return this.getJson(`/players/${accountId}/matches?hero_id=${heroId}&limit=${limit}&${project}`, 'playerHeroes', {
+      fallback: [],
+      ...options
+    });
   }
 
   // Fetch player ratings (MMR history)
-  async fetchRatings(accountId) {
-    const url = this.buildApiUrl(`/players/${accountId}/ratings`);
-    const response = await fetch(url);
-    if (!response.ok) return [];
-    return response.json();
+  async fetchRatings(accountId, options) {
+    return this.getJson(`/players/${accountId}/ratings`, 'ratings', { fallback: [], ...options });
   }
 
   // Fetch player totals (for GPM, XPM, etc.)
-  async fetchPlayerTotals(accountId) {
-    const url = this.buildApiUrl(`/players/${accountId}/totals`);
-    const response = await fetch(url);
-    if (!response.ok) return [];
-    return response.json();
+  async fetchPlayerTotals(accountId, options) {
+    return this.getJson(`/players/${accountId}/totals`, 'totals', { fallback: [], ...options });
   }
 
   // Fetch match details
-  async fetchMatch(matchId) {
-    const url = this.buildApiUrl(`/matches/${matchId}`);
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`Failed to fetch match ${matchId}`);
-    return response.json();
+  async fetchMatch(matchId, options) {
+    try {
+      return await this.getJson(`/matches/${matchId}`, 'match', options);
+    } catch (error) {
+      if (error.status) throw new Error(`Failed to fetch match ${matchId}`);
+      throw error;
+    }
+  }
+
+  // Ask OpenDota to parse a match replay; resolves to { job: { jobId } }
+  async requestParse(matchId) {
+    return this.requestJson(`/request/${matchId}`, { method: 'POST' });
+  }
+
+  // Parse job status; null once the job has left the queue
+  async fetchParseJob(jobId) {
+    return this.requestJson(`/request/${jobId}`);
   }
 
   // Fetch player's peers (frequent teammates)
-  async fetchPeers(accountId) {
-    const url = this.buildApiUrl(`/players/${accountId}/peers`);
-    const response = await fetch(url);
-    if (!response.ok) return [];
-    return response.json();
+  async fetchPeers(accountId, options) {
+    return this.getJson(`/players/${accountId}/peers`, 'peers', { fallback: [], ...options });
+  }
+
+  // Matches played in the same game as another account, with every player's hero for duo stats
+  async fetchMatchesWith(accountId, peerId, options) {
+    const query = new URLSearchParams({ included_account_id: peerId });
+    ['match_id', 'player_slot', 'radiant_win', 'start_time', 'hero_id', 'heroes'].forEach(field => query.append('project', field));
+    return this.getJson(`/players/${accountId}/matches?${query.toString()}`, 'peers', { fallback: [], ...options });
+  }
+
+  // Players whose name matches a search term
+  async searchPlayers(term, options) {
+    return this.getJson(`/search?q=${encodeURIComponent(term)}`, 'search', { fallback: [], ...options });
   }
 
   // Fetch player's wordcloud
-  async fetchWordcloud(accountId) {
-    const url = this.buildApiUrl(`/players/${accountId}/wordcloud`);
-    const response = await fetch(url);
-    if (!response.ok) return {};
-    return response.json();
+  async fetchWordcloud(accountId, options) {
+    return this.getJson(`/players/${accountId}/wordcloud`, 'wordcloud', { fallback: {}, ...options });
   }
 
   // Fetch heroes list (used by DataContext)
-  async fetchHeroes() {
-    const url = this.buildApiUrl('/heroes');
-    const response = await fetch(url);
-    if (!response.ok) throw new Error('Failed to fetch heroes');
-    return response.json();
+  async fetchHeroes(options) {
+    try {
+      return await this.getJson('/heroes', 'heroes', options);
+    } catch (error) {
+      if (error.status) throw new Error('Failed to fetch heroes');
+      throw error;
+    }
   }
 
   // Fetch benchmarks for hero performance comparison
-  async fetchBenchmarks(heroId) {
-    const url = this.buildApiUrl(`/benchmarks?hero_id=${heroId}`);
-    const response = await fetch(url);
-    if (!response.ok) return null;
-    return response.json();
+  async fetchBenchmarks(heroId, options) {
+    return this.getJson(`/benchmarks?hero_id=${heroId}`, 'benchmarks', { fallback: null, ...options });
+  }
+
+  // Fetch a hero's record against every other hero (wins are the hero's own)
+  async fetchHeroCounters(heroId, options) {
+    return this.getJson(`/heroes/${heroId}/matchups`, 'heroStats', { fallback: [], ...options });
+  }
+
+  // Fetch the player's hero records in games where an ally played the given hero
+  async fetchHeroSynergies(accountId, allyHeroId, options) {
+    return this.getJson(`/players/${accountId}/heroes?with_hero_id=${allyHeroId}`, 'playerHeroes', { fallback: [], ...options });
+  }
+
+  // Fetch patch release dates (name, date, id), oldest first
+  async fetchPatches(options) {
+    return this.getJson('/constants/patch', 'constants', { fallback: [], ...options });
+  }
+
+  // Fetch item id -> internal name mapping (e.g. 1 -> 'blink')
+  async fetchItemIds(options) {
+    return this.getJson('/constants/item_ids', 'constants', { fallback: {}, ...options });
   }
 
   // Fetch general hero stats for meta analysis
-  async fetchGeneralHeroStats() {
-    const url = this.buildApiUrl('/heroStats');
-    const response = await fetch(url);
-    if (!response.ok) return [];
-    return response.json();
+  async fetchGeneralHeroStats(options) {
+    return this.getJson('/heroStats', 'heroStats', { fallback: [], ...options });
+  }
+
+  // Fetch the most recent professional matches
+  async fetchProMatches(options) {
+    return this.getJson('/proMatches', 'proMatches', { fallback: [], ...options });
+  }
+
+  // Fetch every league (leagueid, name, tier)
+  async fetchLeagues(options) {
+    return this.getJson('/leagues', 'pro', { fallback: [], ...options });
+  }
+
+  // Fetch matches played in a league
+  async fetchLeagueMatches(leagueId, options) {
+    return this.getJson(`/leagues/${leagueId}/matches`, 'pro', { fallback: [], ...options });
+  }
+
+  // Fetch teams that played in a league
+  async fetchLeagueTeams(leagueId, options) {
+    return this.getJson(`/leagues/${leagueId}/teams`, 'pro', { fallback: [], ...options });
+  }
+
+  // Fetch teams ordered by rating
+  async fetchTeams(options) {
+    return this.getJson('/teams', 'pro', { fallback: [], ...options });
+  }
+
+  // Fetch players who have played for a team
+  async fetchTeamPlayers(teamId, options) {
+    return this.getJson(`/teams/${teamId}/players`, 'pro', { fallback: [], ...options });
+  }
+
+  // Fetch a team's recent matches
+  async fetchTeamMatches(teamId, options) {
+    return this.getJson(`/teams/${teamId}/matches`, 'pro', { fallback: [], ...options });
+  }
+
+  // Fetch registered professional players
+  async fetchProPlayers(options) {
+    return this.getJson('/proPlayers', 'proPlayers', { fallback: [], ...options });
+  }
+
+  // Fetch players with the most games on a hero
+  async fetchHeroPlayers(heroId, options) {
+    return this.getJson(`/heroes/${heroId}/players`, 'heroStats', { fallback: [], ...options });
   }
 
   // Get deployment-aware URLs for Steam OAuth
@@ -303,22 +445,39 @@ class AuthService {
     window.location.href = `https://steamcommunity.com/openid/login?${params}`;
   }
 
-  // Handle Steam callback (would typically be done on server)
+  // Verify the OpenID assertion server-side and return the authenticated SteamID64
+  async verifySteamAssertion(urlParams) {
+    const response = await fetch(`${this.authApiUrl}/auth/steam/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ params: Object.fromEntries(urlParams.entries()) })
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.steamId) {
+      throw new Error(result.error || `Verification endpoint error: ${response.status}`);
+    }
+
+    return result.steamId;
+  }
+
+  // Handle Steam callback
   async handleSteamCallback(urlParams) {
+    // Never trust claimed_id from the URL: replay the assertion to Steam first
+    let steamId;
     try {
-      // Extract Steam ID from claimed_id
-      const claimedId = urlParams.get('openid.claimed_id');
-      if (!claimedId || !claimedId.includes('steamcommunity.com/openid/id/')) {
-        throw new Error('Steam authentication successful! Please enter your Dota 2 Account ID in development mode to continue.');
-      }
+      steamId = await this.verifySteamAssertion(urlParams);
+    } catch (error) {
+      console.error('Steam assertion verification failed:', error);
+      const verificationError = new Error(`Steam login could not be verified. ${error.message}`);
+      verificationError.verificationFailed = true;
+      throw verificationError;
+    }
 
-      const steamId = claimedId.replace('https://steamcommunity.com/openid/id/', '');
+    try {
       const accountId = this.convertSteamIdToAccountId(steamId);
 
-      console.log('Steam authentication successful:', { steamId, accountId });
-
-      // Since this is a client-side only demo, we'll create a basic user object
-      // In production, this would be validated on the server
+      console.log('Steam authentication verified:', { steamId, accountId });
       
       try {
         // Try to fetch OpenDota data for this account
@@ -363,18 +522,12 @@ class AuthService {
     }
   }
 
-  // Fetch Steam profile (requires API key)
+  // Fetch Steam profile (the proxy supplies the Steam API key)
   async fetchSteamProfile(steamId) {
-    const apiKey = import.meta.env.VITE_STEAM_API_KEY;
-    if (!apiKey) {
-      console.warn('Steam API key not configured');
-      return null;
-    }
-
     try {
-      const response = await fetch(
-        `${this.steamApiUrl}/ISteamUser/GetPlayerSummaries/v0002/?key=${apiKey}&steamids=${steamId}`
-      );
+      const url = new URL(`${this.steamApiUrl}/ISteamUser/GetPlayerSummaries/v0002/`, window.location.origin);
+      url.searchParams.set('steamids', steamId);
+      const response = await fetch(url.toString());
       
       if (!response.ok) {
         throw new Error(`Steam API error: ${response.status}`);
@@ -389,13 +542,14 @@ class AuthService {
   }
 
   // Refresh user data
-  async refreshUserData(accountId) {
+  async refreshUserData(accountId, authMode) {
     // Clear cache for this user
-    const cacheKey = `player_${accountId}`;
-    this.cache.delete(cacheKey);
+    await this.invalidatePlayer(accountId);
 
     // Re-fetch data
-    return this.loginWithPlayerId(accountId);
+    const userData = await this.loginWithPlayerId(accountId);
+    if (authMode) userData.authMode = authMode;
+    return userData;
   }
 
   // Get famous player data for quick testing
@@ -431,7 +585,7 @@ class AuthService {
 
   // Clear all cached data
   clearCache() {
-    this.cache.clear();
+    return cacheService.clear();
   }
 }
 
@@ -0,0 +1,223 @@
+// Persistent API cache backed by IndexedDB
+// Falls back to memory only when IndexedDB is unavailable (private mode, tests).
+
+import { isMatchParsed } from '../utils/dataTransforms.js';
+
+const DB_NAME = 'dota2-companion';
+const DB_VERSION = 1;
+const STORE_NAME = 'api-cache';
+const TIMESTAMP_INDEX = 'timestamp';
+
+// Size bounds: the memory map drops its least recently used entries,
+// IndexedDB the ones written longest ago
+export const MAX_MEMORY_ENTRIES = 500;
+const MAX_STORED_ENTRIES = 5000;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Expired responses older than this are refetched instead of being served stale;
+// entries that never expire (parsed matches) are kept until evicted for space
+const STALE_LIMIT = 30 * DAY;
+
+// How long each kind of response counts as fresh; a ttl function receives the cached data
+export const CACHE_POLICIES = {
+  // Game constants only change with patches
+  heroes: { ttl: 7 * DAY },
+  constants: { ttl: 7 * DAY },
+  heroStats: { ttl: DAY },
+  benchmarks: { ttl: DAY },
+  // Parsed match details never change; unparsed ones gain replay data once parsed
+  match: { ttl: match => (isMatchParsed(match) ? Infinity : HOUR) },
+  // Player data moves with every game played
+  profile: { ttl: HOUR },
+  recentMatches: { ttl: 5 * MINUTE },
+  winLoss: { ttl: 5 * MINUTE },
+  playerHeroes: { ttl: 30 * MINUTE },
+  ratings: { ttl: HOUR },
+  totals: { ttl: 30 * MINUTE },
+  peers: { ttl: HOUR },
+  wordcloud: { ttl: DAY },
+  search: { ttl: 5 * MINUTE },
+  // Pro scene
+  proMatches: { ttl: 5 * MINUTE },
+  pro: { ttl: HOUR },
+  proPlayers: { ttl: DAY }
+};
+
+class CacheService {
+  constructor() {
+    this.memory = new Map();
+    this.inFlight = new Map();
+    this.dbPromise = null;
+    this.defaultTTL = parseInt(import.meta.env.VITE_CACHE_TTL) || 300000; // 5 minutes default
+    this.maxMemoryEntries = MAX_MEMORY_ENTRIES;
+    this.maxStoredEntries = MAX_STORED_ENTRIES;
+  }
+
+  // Open (and create) the database once; resolves to null without IndexedDB
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex(TIMESTAMP_INDEX, 'timestamp');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('[CACHE] IndexedDB unavailable, using memory cache only:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run one object store request; storage failures never break a fetch
+  async runRequest(mode, operation) {
+    try {
+      const db = await this.openDatabase();
+      if (!db) return undefined;
+
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.warn('[CACHE] IndexedDB request failed:', error);
+      return undefined;
+    }
+  }
+
+  getTTL(policy, data) {
+    const ttl = CACHE_POLICIES[policy]?.ttl ?? this.defaultTTL;
+    return typeof ttl === 'function' ? ttl(data) : ttl;
+  }
+
+  /**
+   * Read a cache entry from memory or IndexedDB
+   * @param {string} key - Cache key
+   * @returns {Promise<{key: string, data: *, timestamp: number}|null>} Entry, regardless of age
+   */
+  async getEntry(key) {
+    let entry = this.memory.get(key);
+    if (!entry) {
+      entry = await this.runRequest('readonly', store => store.get(key));
+    }
+    if (entry) this.remember(entry);
+    return entry || null;
+  }
+
+  // Map iteration follows insertion order, so re-inserting keeps the oldest-used entry first
+  remember(entry) {
+    this.memory.delete(entry.key);
+    this.memory.set(entry.key, entry);
+    while (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  // Drop the entries written longest ago once IndexedDB holds more than maxStoredEntries
+  async evictStored() {
+    const count = await this.runRequest('readonly', store => store.count());
+    if (!(count > this.maxStoredEntries)) return;
+
+    let excess = count - this.maxStoredEntries;
+    await this.runRequest('readwrite', (store) => {
+      const request = store.index(TIMESTAMP_INDEX).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || excess === 0) return;
+        cursor.delete();
+        excess -= 1;
+        cursor.continue();
+      };
+      return request;
+    });
+  }
+
+  isFresh(entry, policy) {
+    return Date.now() - entry.timestamp < this.getTTL(policy, entry.data);
+  }
+
+  async set(key, data) {
+    const entry = { key, data, timestamp: Date.now() };
+    this.remember(entry);
+    await this.runRequest('readwrite', store => store.put(entry));
+    await this.evictStored();
+  }
+
+  async delete(key) {
+    this.memory.delete(key);
+    await this.runRequest('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Delete every entry whose key matches
+   * @param {(key: string) => boolean} predicate - Key filter
+   */
+  async deleteWhere(predicate) {
+    const storedKeys = await this.runRequest('readonly', store => store.getAllKeys()) || [];
+    const keys = new Set([...this.memory.keys(), ...storedKeys].filter(predicate));
+    await Promise.all([...keys].map(key => this.delete(key)));
+  }
+
+  async clear() {
+    this.memory.clear();
+    await this.runRequest('readwrite', store => store.clear());
+  }
+
+  // Fetch and store, sharing one request between concurrent callers
+  revalidate(key, fetcher) {
+    if (!this.inFlight.has(key)) {
+      const request = fetcher()
+        .then(async (data) => {
+          await this.set(key, data);
+          return data;
+        })
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, request);
+    }
+    return this.inFlight.get(key);
+  }
+
+  /**
+   * Stale-while-revalidate read: fresh entries are returned as-is, stale ones
+   * are returned immediately while a background fetch refreshes them.
+   * Failed fetches are never cached.
+   * @param {string} key - Cache key
+   * @param {string} policy - Name from CACHE_POLICIES
+   * @param {() => Promise<*>} fetcher - Loads the data from the network
+   * @param {Object} options
+   * @param {(data: *) => void} [options.onRevalidate] - Called with fresh data after a stale hit
+   * @param {boolean} [options.forceRefresh] - Skip the cache and fetch
+   * @returns {Promise<*>} Cached or fetched data
+   */
+  async fetchWithCache(key, policy, fetcher, { onRevalidate, forceRefresh = false } = {}) {
+    const entry = forceRefresh ? null : await this.getEntry(key);
+
+    if (entry && this.isFresh(entry, policy)) {
+      return entry.data;
+    }
+
+    if (entry && Date.now() - entry.timestamp <= STALE_LIMIT) {
+      this.revalidate(key, fetcher)
+        .then(data => onRevalidate?.(data))
+        .catch(error => console.warn(`[CACHE] Background refresh of ${key} failed:`, error.message));
+      return entry.data;
+    }
+
+    return this.revalidate(key, fetcher);
+  }
+}
+
+export default new CacheService();
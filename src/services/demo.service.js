@@ -0,0 +1,303 @@
+// Offline data source that answers OpenDota requests from recorded fixtures
+// The fixtures in ./demo are loaded on first use so they stay out of the main bundle.
+// Player endpoints are computed from the recorded match lists the way OpenDota does
+// (filters, projections, hero and peer aggregates), and every timestamp is shifted so
+// the recording looks as recent today as it did the evening it was made.
+// Every listed match has a detail: the newest few are parsed, the rest carry only the
+// scoreboard, like matches nobody asked OpenDota to parse.
+
+export const DEMO_ACCOUNT_ID = '4000000001';
+
+const RECENT_MATCHES = 20;
+
+// Per-game fields summed by /players/{id}/totals
+const TOTALS_FIELDS = [
+  'kills', 'deaths', 'assists', 'kda', 'gold_per_min', 'xp_per_min', 'last_hits', 'denies',
+  'duration', 'hero_damage', 'tower_damage', 'hero_healing'
+];
+
+const loadFixtures = async () => {
+  const [players, matches, heroStats, benchmarks, matchups, constants] = await Promise.all([
+    import('./demo/players.json'),
+    import('./demo/matches.json'),
+    import('./demo/heroStats.json'),
+    import('./demo/benchmarks.json'),
+    import('./demo/matchups.json'),
+    import('./demo/constants.json')
+  ]);
+  return {
+    recordedAt: players.default.recordedAt,
+    players: players.default.players,
+    matches: matches.default,
+    heroStats: heroStats.default,
+    benchmarks: benchmarks.default,
+    matchups: matchups.default,
+    constants: constants.default
+  };
+};
+
+const notFound = (endpoint) => {
+  const error = new Error(`Demo data has no response for ${endpoint}`);
+  error.status = 404;
+  return error;
+};
+
+const isRadiant = (playerSlot) => playerSlot < 128;
+const isWin = (match) => isRadiant(match.player_slot) === match.radiant_win;
+
+// Copy a response with match times moved forward; per-match offsets (logs, *_t series) are untouched
+const shiftTimes = (value, offset) => {
+  if (Array.isArray(value)) return value.map(item => shiftTimes(item, offset));
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => {
+    if ((key === 'start_time' || key === 'last_played') && typeof field === 'number') return [key, field + offset];
+    if ((key === 'time' || key === 'last_match_time') && typeof field === 'string') {
+      return [key, new Date(Date.parse(field) + offset * 1000).toISOString()];
+    }
+    return [key, shiftTimes(field, offset)];
+  }));
+};
+
+// /players/{id}/matches filters supported by the recorded data
+const filterMatches = (matches, params) => {
+  const heroId = params.get('hero_id');
+  const withHeroes = params.getAll('with_hero_id').map(Number);
+  const againstHeroes = params.getAll('against_hero_id').map(Number);
+  const included = params.getAll('included_account_id').map(Number);
+  const win = params.get('win');
+
+  return matches.filter(match => {
+    const others = Object.values(match.heroes || {}).filter(entry => entry.player_slot !== match.player_slot);
+    const allies = others.filter(entry => isRadiant(entry.player_slot) === isRadiant(match.player_slot));
+    const enemies = others.filter(entry => isRadiant(entry.player_slot) !== isRadiant(match.player_slot));
+
+    if (heroId && match.hero_id !== Number(heroId)) return false;
+    if (win !== null && isWin(match) !== (win === '1')) return false;
+    if (!withHeroes.every(id => allies.some(entry => entry.hero_id === id))) return false;
+    if (!againstHeroes.every(id => enemies.some(entry => entry.hero_id === id))) return false;
+    return included.every(id => others.some(entry => entry.account_id === id));
+  });
+};
+
+const pageMatches = (matches, params) => {
+  const offset = Number(params.get('offset')) || 0;
+  const limit = params.has('limit') ? Number(params.get('limit')) : undefined;
+  const page = matches.slice(offset, limit === undefined ? undefined : offset + limit);
+
+  const project = params.getAll('project');
+  if (project.length === 0) return page;
+  return page.map(match => Object.fromEntries(project.filter(field => field in match).map(field => [field, match[field]])));
+};
+
+// Own games per hero plus games with and against every other hero
+const aggregateHeroes = (matches) => {
+  const heroes = new Map();
+  const entry = (heroId) => {
+    if (!heroes.has(heroId)) {
+      heroes.set(heroId, {
+        hero_id: heroId, last_played: 0, games: 0, win: 0, with_games: 0, with_win: 0, against_games: 0, against_win: 0
+      });
+    }
+    return heroes.get(heroId);
+  };
+
+  matches.forEach(match => {
+    const won = isWin(match);
+    const own = entry(match.hero_id);
+    own.games += 1;
+    own.win += won ? 1 : 0;
+    own.last_played = Math.max(own.last_played, match.start_time);
+
+    Object.values(match.heroes || {})
+      .filter(other => other.player_slot !== match.player_slot)
+      .forEach(other => {
+        const hero = entry(other.hero_id);
+        const side = isRadiant(other.player_slot) === isRadiant(match.player_slot) ? 'with' : 'against';
+        hero[`${side}_games`] += 1;
+        hero[`${side}_win`] += won ? 1 : 0;
+      });
+  });
+
+  return [...heroes.values()].sort((a, b) => b.games - a.games || b.with_games - a.with_games);
+};
+
+const aggregatePeers = (matches, players) => {
+  const peers = new Map();
+
+  matches.forEach(match => {
+    const won = isWin(match);
+    Object.values(match.heroes || {})
+      .filter(other => other.account_id && other.player_slot !== match.player_slot)
+      .forEach(other => {
+        if (!peers.has(other.account_id)) {
+          const profile = players[other.account_id]?.profile.profile || {};
+          peers.set(other.account_id, {
+            account_id: other.account_id,
+            last_played: 0,
+            win: 0,
+            games: 0,
+            with_win: 0,
+            with_games: 0,
+            against_win: 0,
+            against_games: 0,
+            with_gpm_sum: 0,
+            with_xpm_sum: 0,
+            personaname: profile.personaname || null,
+            name: null,
+            is_contributor: false,
+            last_login: null,
+            avatar: profile.avatar || null,
+            avatarfull: profile.avatarfull || null
+          });
+        }
+        const peer = peers.get(other.account_id);
+        const together = isRadiant(other.player_slot) === isRadiant(match.player_slot);
+        peer.last_played = Math.max(peer.last_played, match.start_time);
+        if (together) {
+          peer.games += 1;
+          peer.win += won ? 1 : 0;
+          peer.with_games += 1;
+          peer.with_win += won ? 1 : 0;
+          peer.with_gpm_sum += match.gold_per_min || 0;
+          peer.with_xpm_sum += match.xp_per_min || 0;
+        } else {
+          peer.against_games += 1;
+          peer.against_win += won ? 1 : 0;
+        }
+      });
+  });
+
+  return [...peers.values()].sort((a, b) => b.with_games - a.with_games || b.against_games - a.against_games);
+};
+
+const aggregateTotals = (matches) => TOTALS_FIELDS.map(field => ({
+  field,
+  n: matches.length,
+  sum: matches.reduce((sum, match) => sum + (field === 'kda'
+    ? (match.kills + match.assists) / (match.deaths + 1)
+    : match[field] || 0), 0)
+}));
+
+const playerResponse = (fixtures, player, resource, params, endpoint) => {
+  const matches = filterMatches(player.matches, params);
+
+  switch (resource) {
+    case undefined:
+      return player.profile;
+    case 'wl': {
+      const win = matches.filter(isWin).length;
+      return { win, lose: matches.length - win };
+    }
+    case 'recentMatches':
+      return matches.slice(0, RECENT_MATCHES).map(({ heroes: _heroes, ...match }) => match);
+    case 'matches':
+      return pageMatches(matches, params);
+    case 'heroes':
+      return aggregateHeroes(matches);
+    case 'peers':
+      return aggregatePeers(matches, fixtures.players);
+    case 'totals':
+      return aggregateTotals(matches);
+    case 'ratings':
+      return player.ratings;
+    case 'wordcloud':
+      return player.wordcloud;
+    default:
+      throw notFound(endpoint);
+  }
+};
+
+const searchPlayers = (fixtures, term) => {
+  const query = term.trim().toLowerCase();
+  return Object.values(fixtures.players)
+    .map(player => player.profile.profile)
+    .filter(profile => query && profile.personaname.toLowerCase().includes(query))
+    .map(profile => ({
+      account_id: profile.account_id,
+      personaname: profile.personaname,
+      avatarfull: profile.avatarfull,
+      last_match_time: new Date(fixtures.players[profile.account_id].matches[0].start_time * 1000).toISOString(),
+      similarity: query.length / profile.personaname.length
+    }));
+};
+
+const respond = (fixtures, method, endpoint) => {
+  const url = new URL(endpoint, 'http://demo');
+  const [resource, id, sub] = url.pathname.split('/').filter(Boolean);
+  const params = url.searchParams;
+
+  if (resource === 'request') {
+    if (method === 'GET') return null;
+    const error = new Error('Replay parsing is not available in demo mode');
+    error.status = 501;
+    throw error;
+  }
+
+  switch (resource) {
+    case 'players': {
+      const player = fixtures.players[id];
+      if (!player) throw notFound(endpoint);
+      return playerResponse(fixtures, player, sub, params, endpoint);
+    }
+    case 'matches':
+      if (!fixtures.matches[id]) throw notFound(endpoint);
+      return fixtures.matches[id];
+    case 'search':
+      return searchPlayers(fixtures, params.get('q') || '');
+    case 'heroStats':
+      return fixtures.heroStats;
+    case 'heroes':
+      if (!id) {
+        return fixtures.heroStats.map(({ id: heroId, name, localized_name, primary_attr, attack_type, roles }) => (
+          { id: heroId, name, localized_name, primary_attr, attack_type, roles }
+        ));
+      }
+      if (sub === 'matchups') return fixtures.matchups[id] || [];
+      if (sub === 'players') return [];
+      throw notFound(endpoint);
+    case 'benchmarks': {
+      const heroId = params.get('hero_id');
+      return fixtures.benchmarks[heroId] || { hero_id: Number(heroId), result: {} };
+    }
+    case 'constants':
+      if (!fixtures.constants[id]) throw notFound(endpoint);
+      return fixtures.constants[id];
+    default:
+      // No pro scene recordings: leagues, teams and pro players fall back to empty lists
+      throw notFound(endpoint);
+  }
+};
+
+class DemoService {
+  constructor() {
+    this.fixtures = null;
+    this.offset = null;
+  }
+
+  load() {
+    if (!this.fixtures) {
+      this.fixtures = loadFixtures().catch(error => {
+        this.fixtures = null;
+        throw error;
+      });
+    }
+    return this.fixtures;
+  }
+
+  /**
+   * Answer an OpenDota request from the recorded fixtures
+   * @param {string} endpoint - API path with query, e.g. '/players/4000000001/matches?limit=20'
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @returns {Promise<*>} Response data; rejects with `status` 404 for anything not recorded
+   */
+  async request(endpoint, { method = 'GET' } = {}) {
+    const fixtures = await this.load();
+    // One shift per session so every response agrees on when each game was played
+    if (this.offset === null) this.offset = Math.floor(Date.now() / 1000) - fixtures.recordedAt;
+    return shiftTimes(respond(fixtures, method, endpoint), this.offset);
+  }
+}
+
+export default new DemoService();
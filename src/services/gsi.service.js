@@ -0,0 +1,100 @@
+// Live game state from the local GSI receiver (gsi/server.js), or from a
+// recorded replay when the game isn't running.
+
+import { parseGameState, parseReplay } from '../utils/gsi.js';
+
+const DEFAULT_STREAM_URL = 'http://127.0.0.1:3001/events';
+const DEFAULT_REPLAY_URL = '/gsi/replay.ndjson';
+
+class GsiService {
+  constructor() {
+    this.streamUrl = import.meta.env.VITE_GSI_URL || DEFAULT_STREAM_URL;
+    this.replayUrl = DEFAULT_REPLAY_URL;
+    this.source = null;
+    this.replayTimer = null;
+    this.listeners = new Set();
+    this.snapshot = { status: 'idle', source: null, game: null, updatedAt: null, error: null };
+  }
+
+  update(changes) {
+    this.snapshot = { ...this.snapshot, ...changes };
+    this.listeners.forEach(listener => listener());
+  }
+
+  receive(payload) {
+    const game = parseGameState(payload);
+    if (game) this.update({ game, updatedAt: Date.now() });
+  }
+
+  // Listen to the receiver's SSE stream
+  connect(url = this.streamUrl) {
+    this.stop();
+    this.update({ status: 'connecting', source: 'live', error: null });
+
+    const source = new EventSource(url);
+    source.onopen = () => this.update({ status: 'live' });
+    source.onmessage = (event) => {
+      try {
+        this.receive(JSON.parse(event.data));
+      } catch (error) {
+        console.warn('[GSI] Ignoring malformed update:', error);
+      }
+    };
+    source.onerror = () => {
+      // EventSource retries by itself; surface the outage meanwhile
+      this.update({ status: 'error', error: `No GSI receiver at ${url}` });
+    };
+    this.source = source;
+  }
+
+  /**
+   * Play a recorded replay (NDJSON of {t, state}) in the browser
+   * @param {Object} [options]
+   * @param {string} [options.url] - Replay file
+   * @param {number} [options.speed=1] - Playback speed multiplier
+   */
+  async playReplay({ url = this.replayUrl, speed = 1 } = {}) {
+    this.stop();
+    this.update({ status: 'connecting', source: 'replay', error: null });
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Replay not found: ${url}`);
+      const frames = parseReplay(await response.text());
+      if (frames.length === 0) throw new Error('Replay is empty');
+
+      this.update({ status: 'replay' });
+      let index = 0;
+      const next = () => {
+        this.receive(frames[index].state);
+        index = (index + 1) % frames.length;
+        const delay = index === 0 ? 2000 : (frames[index].t - frames[index - 1].t) / speed;
+        this.replayTimer = setTimeout(next, Math.max(0, delay));
+      };
+      next();
+    } catch (error) {
+      this.update({ status: 'error', error: error.message });
+    }
+  }
+
+  stop() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    clearTimeout(this.replayTimer);
+    this.replayTimer = null;
+    this.update({ status: 'idle', source: null });
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getSnapshot() {
+    return this.snapshot;
+  }
+}
+
+export default new GsiService();
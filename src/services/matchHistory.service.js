@@ -0,0 +1,113 @@
+// Incremental sync of a player's complete match list
+// Pages /players/{id}/matches newest first and stops at the first match
+// already stored, so after the initial sync only new games are fetched.
+
+import authService from './auth.service.js';
+import cacheService from './cache.service.js';
+
+const PAGE_SIZE = 500;
+
+// Fields kept per match - the same shape /recentMatches returns
+export const HISTORY_FIELDS = [
+  'match_id', 'player_slot', 'radiant_win', 'start_time', 'duration',
+  'game_mode', 'lobby_type', 'hero_id', 'kills', 'deaths', 'assists',
+  'gold_per_min', 'xp_per_min', 'last_hits', 'denies', 'hero_damage',
+  'tower_damage', 'hero_healing', 'party_size', 'lane_role', 'is_roaming',
+  'leaver_status', 'skill', 'average_rank', 'version'
+];
+
+// Newest first, one entry per match_id
+const mergeMatches = (newer, older) => {
+  const seen = new Set();
+  return [...newer, ...older]
+    .filter(match => {
+      if (seen.has(match.match_id)) return false;
+      seen.add(match.match_id);
+      return true;
+    })
+    .sort((a, b) => b.start_time - a.start_time);
+};
+
+/**
+ * One history across several accounts, each match tagged with the account that played it
+ * @param {Array<{accountId: string, matches: Array}>} histories - Stored histories, preferred account first
+ * @returns {Array} Newest first; a game two of the accounts played together is kept once
+ */
+export const combineHistories = (histories) => mergeMatches(
+  histories.flatMap(history => (history?.matches || []).map(match => ({ ...match, account_id: Number(history.accountId) }))),
+  []
+);
+
+class MatchHistoryService {
+  constructor() {
+    this.syncing = new Map();
+  }
+
+  storageKey(accountId) {
+    return `history:${accountId}`;
+  }
+
+  /**
+   * Stored history without touching the network
+   * @param {string} accountId - Dota 2 account ID
+   * @returns {Promise<{accountId: string, matches: Array, lastSyncedAt: number}|null>}
+   */
+  async load(accountId) {
+    const entry = await cacheService.getEntry(this.storageKey(accountId));
+    return entry?.data || null;
+  }
+
+  /**
+   * Fetch matches newer than the last sync and store the merged list.
+   * Concurrent calls for the same account share one sync.
+   * @param {string} accountId - Dota 2 account ID
+   * @param {Object} options
+   * @param {(progress: {fetched: number}) => void} [options.onProgress] - Called after each page
+   * @returns {Promise<{accountId: string, matches: Array, lastSyncedAt: number, added: number}>}
+   */
+  sync(accountId, { onProgress } = {}) {
+    if (!this.syncing.has(accountId)) {
+      const run = this.runSync(accountId, onProgress).finally(() => this.syncing.delete(accountId));
+      this.syncing.set(accountId, run);
+    }
+    return this.syncing.get(accountId);
+  }
+
+  async runSync(accountId, onProgress) {
+    const stored = await this.load(accountId);
+    const knownIds = new Set((stored?.matches || []).map(match => match.match_id));
+    const fetched = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await authService.fetchPlayerMatches(accountId, {
+        limit: PAGE_SIZE,
+        offset,
+        // Without it OpenDota leaves out turbo and other non-standard games
+        significant: 0,
+        project: HISTORY_FIELDS
+      });
+      const unseen = page.filter(match => !knownIds.has(match.match_id));
+      fetched.push(...unseen);
+      onProgress?.({ fetched: fetched.length });
+
+      // A short page is the end of the list; a known match means we caught up
+      if (page.length < PAGE_SIZE || unseen.length < page.length) break;
+    }
+
+    const history = {
+      accountId,
+      matches: mergeMatches(fetched, stored?.matches || []),
+      lastSyncedAt: Date.now()
+    };
+    await cacheService.set(this.storageKey(accountId), history);
+
+    console.log(`[MATCH HISTORY] ${accountId}: ${fetched.length} new, ${history.matches.length} total`);
+    return { ...history, added: fetched.length };
+  }
+
+  async clear(accountId) {
+    await cacheService.delete(this.storageKey(accountId));
+  }
+}
+
+export default new MatchHistoryService();
@@ -0,0 +1,75 @@
+// Replay parse requests for matches OpenDota hasn't parsed yet
+// POSTs /request/{match_id}, polls the returned job until it leaves the queue,
+// then refetches the match so the cache holds the parsed version.
+
+import authService from './auth.service.js';
+import { isMatchParsed } from '../utils/dataTransforms.js';
+
+const SECOND = 1000;
+const POLL_INTERVAL = 5 * SECOND;
+const TIMEOUT = 5 * 60 * SECOND;
+
+// Parse stages reported through onProgress, in order
+export const PARSE_STAGES = ['requesting', 'queued', 'fetching'];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ParseService {
+  constructor() {
+    this.pending = new Map();
+  }
+
+  /**
+   * Request a replay parse and wait for the parsed match.
+   * Concurrent calls for the same match share one request.
+   * @param {string|number} matchId - Match to parse
+   * @param {Object} options
+   * @param {(progress: {stage: string, elapsed: number, polls: number}) => void} [options.onProgress]
+   * @param {number} [options.interval] - Delay between job status checks (ms)
+   * @param {number} [options.timeout] - Give up after this long (ms)
+   * @returns {Promise<Object>} Parsed match details
+   */
+  request(matchId, { onProgress, interval = POLL_INTERVAL, timeout = TIMEOUT } = {}) {
+    const key = String(matchId);
+    if (!this.pending.has(key)) {
+      const run = this.runParse(key, { onProgress, interval, timeout })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, run);
+    }
+    return this.pending.get(key);
+  }
+
+  async runParse(matchId, { onProgress, interval, timeout }) {
+    const startedAt = Date.now();
+    const report = (stage, polls = 0) => onProgress?.({ stage, elapsed: Date.now() - startedAt, polls });
+
+    report('requesting');
+    const response = await authService.requestParse(matchId);
+    const jobId = response?.job?.jobId;
+    if (!jobId) throw new Error(`OpenDota did not queue a parse for match ${matchId}`);
+
+    // The job endpoint answers with the job while it is queued or running, null once done
+    for (let polls = 1; ; polls++) {
+      report('queued', polls);
+      await wait(interval);
+
+      const job = await authService.fetchParseJob(jobId);
+      if (!job) break;
+
+      if (Date.now() - startedAt > timeout) {
+        throw new Error(`Parsing match ${matchId} is taking too long, try again later`);
+      }
+    }
+
+    report('fetching');
+    const match = await authService.fetchMatch(matchId, { forceRefresh: true });
+    if (!isMatchParsed(match)) {
+      throw new Error(`OpenDota could not parse match ${matchId}, the replay may have expired`);
+    }
+
+    console.log(`[PARSE] Match ${matchId} parsed in ${Math.round((Date.now() - startedAt) / SECOND)}s`);
+    return match;
+  }
+}
+
+export default new ParseService();
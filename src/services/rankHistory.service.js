@@ -0,0 +1,111 @@
+// Rank and MMR data points for a player, kept across sessions
+// Every profile sync appends the rank medal when it changed and merges new /ratings entries;
+// manual checkpoints let players fill in MMR the API no longer exposes.
+// Stored in localStorage rather than the API cache: checkpoints are user input and must
+// survive clearing the cache and signing out.
+
+import { toSeconds } from '../utils/rankHistory.js';
+
+const emptyHistory = (accountId) => ({ accountId, snapshots: [], ratings: [], checkpoints: [] });
+
+const snapshotChanged = (last, snapshot) => !last
+  || last.rank_tier !== snapshot.rank_tier
+  || last.leaderboard_rank !== snapshot.leaderboard_rank
+  || last.solo_competitive_rank !== snapshot.solo_competitive_rank
+  || last.competitive_rank !== snapshot.competitive_rank;
+
+class RankHistoryService {
+  storageKey(accountId) {
+    return `dota2_ranks_${accountId}`;
+  }
+
+  read(accountId) {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey(accountId)) || 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stored rank history
+   * @param {string} accountId - Dota 2 account ID
+   * @returns {Promise<{accountId: string, snapshots: Array, ratings: Array, checkpoints: Array}>}
+   */
+  async load(accountId) {
+    return { ...emptyHistory(accountId), ...this.read(accountId) };
+  }
+
+  async save(history) {
+    localStorage.setItem(this.storageKey(history.accountId), JSON.stringify(history));
+    return history;
+  }
+
+  /**
+   * Record what a profile sync returned
+   * @param {string} accountId - Dota 2 account ID
+   * @param {Object} data
+   * @param {Object} [data.profile] - /players/{id} response
+   * @param {Array} [data.ratings] - /players/{id}/ratings response
+   * @returns {Promise<Object>} Updated history
+   */
+  async record(accountId, { profile, ratings } = {}) {
+    const history = await this.load(accountId);
+
+    if (profile?.rank_tier || profile?.solo_competitive_rank || profile?.competitive_rank) {
+      const snapshot = {
+        time: Math.floor(Date.now() / 1000),
+        rank_tier: profile.rank_tier || null,
+        leaderboard_rank: profile.leaderboard_rank || null,
+        solo_competitive_rank: profile.solo_competitive_rank || null,
+        competitive_rank: profile.competitive_rank || null
+      };
+      if (snapshotChanged(history.snapshots[history.snapshots.length - 1], snapshot)) {
+        history.snapshots = [...history.snapshots, snapshot];
+      }
+    }
+
+    if (Array.isArray(ratings) && ratings.length) {
+      const byKey = new Map(history.ratings.map(rating => [rating.match_id ?? rating.time, rating]));
+      ratings.forEach(rating => {
+        const entry = {
+          match_id: rating.match_id ?? null,
+          time: toSeconds(rating.time),
+          solo_competitive_rank: rating.solo_competitive_rank || null,
+          competitive_rank: rating.competitive_rank || null
+        };
+        byKey.set(entry.match_id ?? entry.time, entry);
+      });
+      history.ratings = [...byKey.values()].sort((a, b) => a.time - b.time);
+    }
+
+    return this.save(history);
+  }
+
+  /**
+   * Add an MMR the player read off their client
+   * @param {string} accountId - Dota 2 account ID
+   * @param {Object} checkpoint
+   * @param {number} checkpoint.mmr - MMR value
+   * @param {number} [checkpoint.time] - Unix seconds, defaults to now
+   * @param {string} [checkpoint.note] - Free text
+   * @returns {Promise<Object>} Updated history
+   */
+  async addCheckpoint(accountId, { mmr, time = Math.floor(Date.now() / 1000), note = '' }) {
+    if (!Number.isFinite(mmr) || mmr <= 0) {
+      throw new Error('MMR checkpoint needs a positive MMR value');
+    }
+    const history = await this.load(accountId);
+    history.checkpoints = [...history.checkpoints, { id: `${time}-${mmr}`, time, mmr, note }]
+      .sort((a, b) => a.time - b.time);
+    return this.save(history);
+  }
+
+  async removeCheckpoint(accountId, id) {
+    const history = await this.load(accountId);
+    history.checkpoints = history.checkpoints.filter(checkpoint => checkpoint.id !== id);
+    return this.save(history);
+  }
+}
+
+export default new RankHistoryService();
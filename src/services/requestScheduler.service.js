@@ -0,0 +1,169 @@
+// Shared request scheduler for OpenDota calls
+// Token bucket rate limiting, in-flight deduplication and retry with backoff.
+
+// OpenDota limits: free tier 60 requests/minute, keyed tier 60,000/hour
+export const RATE_LIMIT_TIERS = {
+  free: { requestsPerMinute: 60, burst: 10 },
+  premium: { requestsPerMinute: 1000, burst: 50 }
+};
+
+const RETRYABLE_STATUS = (status) => status === 429 || status >= 500;
+
+export class RequestScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerMinute - Sustained rate (token refill)
+   * @param {number} options.burst - Bucket capacity
+   * @param {number} [options.maxRetries=3] - Retries for 429/5xx responses
+   * @param {number} [options.baseDelay=1000] - First backoff delay in ms
+   */
+  constructor({ requestsPerMinute, burst, maxRetries = 3, baseDelay = 1000 }) {
+    this.capacity = burst;
+    this.tokens = burst;
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.lastRefill = Date.now();
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+
+    this.queue = [];
+    this.inFlight = new Map();
+    this.running = 0;
+    this.backingOff = 0;
+    // A 429 holds every queued request until this time (ms)
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.listeners = new Set();
+    this.status = this.computeStatus();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Queue a task; identical keys share one pending request
+   * @param {string} key - Request identity (usually the endpoint)
+   * @param {() => Promise<*>} task - Performs the request. Throw an error with
+   *   `status` (and optionally `retryAfter` in seconds) to trigger a retry.
+   * @returns {Promise<*>} Task result
+   */
+  schedule(key, task) {
+    if (!this.inFlight.has(key)) {
+      const request = this.runWithRetries(task).finally(() => {
+        this.inFlight.delete(key);
+        this.notify();
+      });
+      this.inFlight.set(key, request);
+      this.notify();
+    }
+    return this.inFlight.get(key);
+  }
+
+  async runWithRetries(task) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+      this.running++;
+      this.notify();
+
+      let failure;
+      try {
+        return await task();
+      } catch (error) {
+        failure = error;
+      } finally {
+        this.running--;
+        this.notify();
+      }
+
+      if (!failure.status || !RETRYABLE_STATUS(failure.status) || attempt >= this.maxRetries) {
+        throw failure;
+      }
+      await this.backoff(failure, attempt);
+    }
+  }
+
+  // Wait for Retry-After when the server sends it, otherwise exponential backoff.
+  // A 429 applies to the whole client, so it also holds back everything queued.
+  async backoff(error, attempt) {
+    const delay = error.retryAfter
+      ? error.retryAfter * 1000
+      : this.baseDelay * 2 ** attempt * (1 + Math.random() * 0.25);
+
+    console.warn(`[SCHEDULER] HTTP ${error.status}, retrying in ${Math.round(delay)}ms`);
+    if (error.status === 429) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+    }
+    this.backingOff++;
+    this.notify();
+    await new Promise(resolve => setTimeout(resolve, delay));
+    this.backingOff--;
+  }
+
+  // Resolves once a token is available, in FIFO order
+  acquire() {
+    return new Promise((resolve) => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  drain() {
+    this.refill();
+    const paused = this.pausedUntil > Date.now();
+    while (!paused && this.queue.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.queue.shift()();
+    }
+
+    if (this.queue.length > 0 && !this.timer) {
+      const wait = paused
+        ? this.pausedUntil - Date.now()
+        : Math.ceil((1 - this.tokens) / this.refillPerMs);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+    }
+    this.notify();
+  }
+
+  computeStatus() {
+    return {
+      queued: this.queue.length,
+      running: this.running,
+      pending: this.inFlight.size,
+      waitingForRateLimit: this.queue.length > 0 || this.backingOff > 0
+    };
+  }
+
+  /**
+   * Current queue state for UI indicators (same object until it changes)
+   * @returns {{queued: number, running: number, pending: number, waitingForRateLimit: boolean}}
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const next = this.computeStatus();
+    if (Object.keys(next).every(key => next[key] === this.status[key])) return;
+
+    this.status = next;
+    this.listeners.forEach(listener => listener(next));
+  }
+}
+
+// Tier comes from VITE_OPENDOTA_TIER; VITE_OPENDOTA_RATE_LIMIT overrides its rate
+const tier = RATE_LIMIT_TIERS[import.meta.env.VITE_OPENDOTA_TIER] || RATE_LIMIT_TIERS.free;
+
+export default new RequestScheduler({
+  ...tier,
+  requestsPerMinute: parseInt(import.meta.env.VITE_OPENDOTA_RATE_LIMIT) || tier.requestsPerMinute
+});
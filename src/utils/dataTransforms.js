@@ -74,13 +74,24 @@ export const isWin = (match) => {
   return match.radiant_win === isRadiant;
 };
 
+// Replay-derived data (lh_t, teamfights, obs_log) only exists once OpenDota has parsed the match
+export const isMatchParsed = (match) => {
+  if (!match) return false;
+  return Boolean(match.version) || (match.players || []).some(player => Array.isArray(player.lh_t));
+};
+
+// Grade letter -> impact label shown on match cards
+const IMPACT_LABELS = { S: 'MVP', A: 'Great', B: 'Good', C: 'Average', D: 'Poor' };
+
 // Transform OpenDota matches to dashboard format
-export const transformMatches = (matches, heroMap = {}) => {
+// `grades` holds gradeMatches() results by match_id; ungraded matches get no impact label
+export const transformMatches = (matches, heroMap = {}, grades = new Map()) => {
   if (!matches || !Array.isArray(matches)) return [];
   
-  return matches.slice(0, 20).map(match => {
+  return matches.map(match => {
     const hero = heroMap[match.hero_id];
     const playerWin = isWin(match);
+    const grade = grades.get(match.match_id);
     
     return {
       id: match.match_id,
@@ -95,7 +106,8 @@ export const transformMatches = (matches, heroMap = {}) => {
       mode: getGameMode(match.game_mode),
       skillBracket: getSkillBracket(match.skill),
       avgMmr: match.average_rank || null,
-      impactScore: calculateImpactScore(match),
+      impactScore: IMPACT_LABELS[grade?.grade] || null,
+      impactExplanation: grade?.explanation || null,
       laneOutcome: getLaneOutcome(match),
       partySize: match.party_size || 1,
       radiantSide: (match.player_slot || 0) < 128,
@@ -111,20 +123,6 @@ export const transformMatches = (matches, heroMap = {}) => {
   });
 };
 
-// Calculate impact score from match data
-const calculateImpactScore = (match) => {
-  const kills = match.kills || 0;
-  const deaths = match.deaths || 0;
-  const assists = match.assists || 0;
-  const kda = deaths > 0 ? (kills + assists) / deaths : kills + assists;
-  
-  if (kda >= 4) return 'MVP';
-  if (kda >= 2.5) return 'Great';
-  if (kda >= 1.5) return 'Good';
-  if (kda >= 0.8) return 'Average';
-  return 'Poor';
-};
-
 const getLaneOutcome = (match) => {
   // Simplified lane outcome based on KDA and GPM
   const kda = (match.kills + match.assists) / (match.deaths || 1);
@@ -135,51 +133,6 @@ const getLaneOutcome = (match) => {
   return 'Lost';
 };
 
-// Calculate today's session from recent matches
-export const calculateTodaySession = (matches) => {
-  if (!matches || !Array.isArray(matches)) {
-    return { wins: 0, losses: 0, mmrChange: 0, currentStreak: 0, gamesUntilBehaviorUpdate: 15 };
-  }
-
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const todayTimestamp = today.getTime() / 1000;
-
-  const todayMatches = matches.filter(match => 
-    match.start_time >= todayTimestamp
-  ).sort((a, b) => b.start_time - a.start_time);
-
-  const wins = todayMatches.filter(match => isWin(match)).length;
-  const losses = todayMatches.length - wins;
-
-  // Calculate MMR change (estimate)
-  const mmrChange = (wins * 25) - (losses * 25);
-
-  // Calculate current streak
-  let currentStreak = 0;
-  let lastResult = null;
-  
-  for (const match of todayMatches) {
-    const won = isWin(match);
-    if (lastResult === null) {
-      lastResult = won;
-      currentStreak = 1;
-    } else if (lastResult === won) {
-      currentStreak++;
-    } else {
-      break;
-    }
-  }
-
-  return {
-    wins,
-    losses,
-    mmrChange,
-    currentStreak,
-    gamesUntilBehaviorUpdate: Math.max(0, 15 - todayMatches.length)
-  };
-};
-
 // Transform hero stats to dashboard format
 export const transformHeroStats = (heroes, heroMap = {}) => {
   if (!heroes || !Array.isArray(heroes)) return [];
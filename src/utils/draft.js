@@ -0,0 +1,144 @@
+// Draft board state and pick/ban suggestions
+
+export const DRAFT_MODES = {
+  allPick: 'All Pick',
+  captainsMode: 'Captains Mode'
+};
+
+// 'A' is the side with first pick, 'B' the other side
+const DRAFT_ORDERS = {
+  // Ranked All Pick: ban nominations, then 1-2-2-2-2-1 picks
+  allPick: [
+    ...'ABABABABAB'.split('').map(side => ({ type: 'ban', side })),
+    ...'ABBAABBAAB'.split('').map(side => ({ type: 'pick', side }))
+  ],
+  // Captains Mode: three ban phases interleaved with three pick phases
+  captainsMode: [
+    ...'ABBABBA'.split('').map(side => ({ type: 'ban', side })),
+    ...'AB'.split('').map(side => ({ type: 'pick', side })),
+    ...'AAB'.split('').map(side => ({ type: 'ban', side })),
+    ...'BAABBA'.split('').map(side => ({ type: 'pick', side })),
+    ...'ABBA'.split('').map(side => ({ type: 'ban', side })),
+    ...'AB'.split('').map(side => ({ type: 'pick', side }))
+  ]
+};
+
+const otherTeam = (team) => team === 'radiant' ? 'dire' : 'radiant';
+
+/**
+ * Full pick/ban order for a mode
+ * @param {'allPick'|'captainsMode'} mode - Draft mode
+ * @param {'radiant'|'dire'} [firstPick='radiant'] - Team with first pick
+ * @returns {Array<{type: 'pick'|'ban', team: 'radiant'|'dire'}>}
+ */
+export const getDraftSequence = (mode, firstPick = 'radiant') => {
+  const order = DRAFT_ORDERS[mode];
+  if (!order) throw new Error(`Unknown draft mode: ${mode}`);
+
+  return order.map(({ type, side }) => ({
+    type,
+    team: side === 'A' ? firstPick : otherTeam(firstPick)
+  }));
+};
+
+/**
+ * Picks and bans per team with the next step to fill
+ * @param {Array} sequence - From getDraftSequence
+ * @param {Array<number>} heroIds - Heroes chosen so far, in draft order
+ * @returns {{radiant: {picks: number[], bans: number[]}, dire: {picks: number[], bans: number[]}, step: Object|null, stepIndex: number}}
+ */
+export const getDraftState = (sequence, heroIds) => {
+  const state = {
+    radiant: { picks: [], bans: [] },
+    dire: { picks: [], bans: [] }
+  };
+
+  heroIds.slice(0, sequence.length).forEach((heroId, index) => {
+    const { type, team } = sequence[index];
+    state[team][type === 'pick' ? 'picks' : 'bans'].push(heroId);
+  });
+
+  const stepIndex = Math.min(heroIds.length, sequence.length);
+  return { ...state, step: sequence[stepIndex] || null, stepIndex };
+};
+
+// Win rate pulled toward 50% for small samples
+const adjustedWinRate = (wins, games, prior = 20) => ((wins || 0) + prior * 0.5) / ((games || 0) + prior) * 100;
+
+// Global public win rate from a /heroStats row
+export const getMetaWinRate = (heroStat) => {
+  if (!heroStat) return null;
+  if (heroStat.pub_pick) return adjustedWinRate(heroStat.pub_win, heroStat.pub_pick);
+
+  let picks = 0;
+  let wins = 0;
+  for (let bracket = 1; bracket <= 8; bracket++) {
+    picks += heroStat[`${bracket}_pick`] || 0;
+    wins += heroStat[`${bracket}_win`] || 0;
+  }
+  return picks ? adjustedWinRate(wins, picks) : null;
+};
+
+const average = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+export const SUGGESTION_WEIGHTS = {
+  personal: 0.35,
+  counter: 0.3,
+  synergy: 0.15,
+  meta: 0.2
+};
+
+/**
+ * Rank available heroes for one side of the draft
+ * Each signal is a win rate; the score is the weighted edge over 50%.
+ * @param {Object} input
+ * @param {Array} input.heroStats - Global /heroStats rows (candidate pool)
+ * @param {Array} [input.playerHeroes] - /players/{id}/heroes rows; omit for the enemy side
+ * @param {Object} [input.counters] - Enemy hero id -> /heroes/{id}/matchups rows
+ * @param {Object} [input.synergies] - Ally hero id -> /players/{id}/heroes?with_hero_id= rows
+ * @param {Array<number>} [input.unavailable] - Picked or banned heroes
+ * @param {number} [input.limit=10] - Suggestions returned
+ * @returns {Array<{heroId: number, score: number, personal: number|null, counter: number|null, synergy: number|null, meta: number|null}>}
+ */
+export const suggestHeroes = ({
+  heroStats,
+  playerHeroes = [],
+  counters = {},
+  synergies = {},
+  unavailable = [],
+  limit = 10
+}) => {
+  const taken = new Set(unavailable.map(Number));
+  const personalById = new Map(playerHeroes.map(row => [Number(row.hero_id), row]));
+
+  // Enemy matchups report the enemy's wins, so invert them for the candidate
+  const counterRows = Object.values(counters).map(rows => new Map((rows || []).map(row => [Number(row.hero_id), row])));
+  const synergyRows = Object.values(synergies).map(rows => new Map((rows || []).map(row => [Number(row.hero_id), row])));
+
+  return (heroStats || [])
+    .filter(stat => !taken.has(Number(stat.id)))
+    .map(stat => {
+      const heroId = Number(stat.id);
+      const own = personalById.get(heroId);
+
+      const signals = {
+        personal: own?.games ? adjustedWinRate(own.win, own.games, 10) : null,
+        counter: average(counterRows
+          .map(rows => rows.get(heroId))
+          .filter(row => row?.games_played)
+          .map(row => adjustedWinRate(row.games_played - row.wins, row.games_played))),
+        synergy: average(synergyRows
+          .map(rows => rows.get(heroId))
+          .filter(row => row?.games)
+          .map(row => adjustedWinRate(row.win, row.games, 10))),
+        meta: getMetaWinRate(stat)
+      };
+
+      const score = Object.entries(SUGGESTION_WEIGHTS)
+        .reduce((sum, [key, weight]) => sum + (signals[key] === null ? 0 : (signals[key] - 50) * weight), 0);
+
+      return { heroId, score, ...signals };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,247 @@
+// Percentile-based grading used by match analysis and the dashboards
+// Every grade records the benchmark curve and percentile it came from, so the UI can explain it.
+
+import { BENCHMARK_METRICS, getBenchmarkPercentile } from './heroAnalytics.js';
+import { getPlayerPosition, estimatePosition, getPositionName } from './roles.js';
+import { isWin } from './dataTransforms.js';
+
+export const GRADE_THRESHOLDS = [
+  { grade: 'S', min: 90 },
+  { grade: 'A', min: 75 },
+  { grade: 'B', min: 50 },
+  { grade: 'C', min: 25 },
+  { grade: 'D', min: 0 }
+];
+
+// rank_tier tens digit -> /heroStats bracket prefix ('5_pick', '5_win')
+export const RANK_BRACKETS = {
+  1: 'Herald',
+  2: 'Guardian',
+  3: 'Crusader',
+  4: 'Archon',
+  5: 'Legend',
+  6: 'Ancient',
+  7: 'Divine',
+  8: 'Immortal'
+};
+
+// Weight of each metric per position; metrics a role isn't judged on are left out
+export const POSITION_WEIGHTS = {
+  1: { gold_per_min: 3, last_hits_per_min: 3, hero_damage_per_min: 2, xp_per_min: 1, tower_damage: 1, deaths: 1 },
+  2: { xp_per_min: 3, gold_per_min: 2, hero_damage_per_min: 2, kills_per_min: 2, last_hits_per_min: 1, deaths: 1 },
+  3: { xp_per_min: 2, hero_damage_per_min: 2, kills_per_min: 1, gold_per_min: 1, tower_damage: 1, deaths: 1 },
+  4: { kills_per_min: 2, hero_damage_per_min: 2, xp_per_min: 1, hero_healing_per_min: 1, wards: 2, deaths: 1 },
+  5: { wards: 3, hero_healing_per_min: 2, xp_per_min: 1, hero_damage_per_min: 1, deaths: 1 }
+};
+
+const DEFAULT_WEIGHTS = Object.fromEntries([...BENCHMARK_METRICS.map(metric => metric.key), 'deaths'].map(key => [key, 1]));
+
+// Share of a performance grade vs the result when grading a run of matches
+const PERFORMANCE_SHARE = 0.6;
+
+export const gradeFromPercentile = (percentile) => {
+  if (percentile === null || percentile === undefined) return null;
+  return GRADE_THRESHOLDS.find(threshold => percentile >= threshold.min).grade;
+};
+
+// 62 -> '62nd'
+export const formatPercentile = (percentile) => {
+  const value = Math.round(percentile);
+  const suffix = value % 100 >= 11 && value % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th');
+  return `${value}${suffix}`;
+};
+
+export const getBracket = (rankTier) => (rankTier ? Math.min(8, Math.max(1, Math.floor(rankTier / 10))) : null);
+
+/**
+ * Grade a value against one benchmark curve
+ * @param {Object} metric
+ * @param {string} metric.key - Metric key
+ * @param {string} metric.label - Display label
+ * @param {number} metric.value - Player's value
+ * @param {Array<{percentile: number, value: number}>} metric.points - Benchmark curve
+ * @param {string} metric.source - What the curve describes, e.g. 'Juggernaut benchmarks'
+ * @returns {{key: string, label: string, value: number, percentile: number|null, grade: string|null, source: string, explanation: string}}
+ */
+export const gradeMetric = ({ key, label, value, points, source }) => {
+  const percentile = getBenchmarkPercentile(points, value);
+  return {
+    key,
+    label,
+    value,
+    percentile,
+    grade: gradeFromPercentile(percentile),
+    source,
+    explanation: percentile === null
+      ? `No ${source} for ${label}`
+      : `${formatPercentile(percentile)} percentile ${label} on ${source}`
+  };
+};
+
+// Percentile of a player's value among everyone in the same match
+const gradeWithinMatch = (match, player, { key, label, value, lowerIsBetter = false }) => {
+  const others = (match?.players || []).filter(p => p.player_slot !== player.player_slot);
+  if (others.length === 0) return null;
+
+  const own = value(player);
+  const beaten = others.filter(p => (lowerIsBetter ? value(p) > own : value(p) < own)).length;
+  const tied = others.filter(p => value(p) === own).length;
+  const percentile = ((beaten + tied / 2) / others.length) * 100;
+
+  return {
+    key,
+    label,
+    value: own,
+    percentile,
+    grade: gradeFromPercentile(percentile),
+    source: 'this match',
+    explanation: `${lowerIsBetter ? 'Fewer' : 'More'} ${label.toLowerCase()} than ${Math.round(percentile)}% of players in this match`
+  };
+};
+
+const weightedScore = (metrics, weights) => {
+  const graded = metrics.filter(metric => metric.percentile !== null);
+  const totalWeight = graded.reduce((sum, metric) => sum + (weights[metric.key] || 0), 0);
+  if (!totalWeight) return null;
+  return graded.reduce((sum, metric) => sum + metric.percentile * (weights[metric.key] || 0), 0) / totalWeight;
+};
+
+/**
+ * Grade one player's game against their hero's benchmark curves, weighted for their position.
+ * Deaths and wards have no hero benchmark, so they are ranked within the match when it has all players.
+ * @param {Object} match - Match details, or a match list entry
+ * @param {Object} player - Player in the match (the entry itself for list entries)
+ * @param {Object} options
+ * @param {Object} [options.benchmarks] - /benchmarks response for the player's hero
+ * @param {string} [options.heroName] - Hero name used in explanations
+ * @returns {{score: number|null, grade: string|null, position: number|null, metrics: Array, explanation: string}}
+ */
+export const gradePlayerMatch = (match, player, { benchmarks, heroName } = {}) => {
+  if (!player) return { score: null, grade: null, position: null, metrics: [], explanation: 'No player to grade' };
+
+  const curves = benchmarks?.result || benchmarks || {};
+  const position = match?.players?.length ? getPlayerPosition(match, player.player_slot) : estimatePosition(player);
+  const weights = POSITION_WEIGHTS[position] || DEFAULT_WEIGHTS;
+  const source = `${heroName || 'hero'} benchmarks`;
+  const entry = { ...player, duration: player.duration ?? match?.duration };
+
+  const metrics = BENCHMARK_METRICS
+    .filter(metric => weights[metric.key])
+    .map(metric => gradeMetric({ key: metric.key, label: metric.label, value: metric.value(entry), points: curves[metric.key], source }));
+
+  if (weights.deaths) {
+    const deaths = gradeWithinMatch(match, player, { key: 'deaths', label: 'Deaths', value: p => p.deaths || 0, lowerIsBetter: true });
+    if (deaths) metrics.push(deaths);
+  }
+  if (weights.wards) {
+    const wards = gradeWithinMatch(match, player, { key: 'wards', label: 'Wards placed', value: p => (p.obs_placed || 0) + (p.sen_placed || 0) });
+    if (wards) metrics.push(wards);
+  }
+
+  const score = weightedScore(metrics, weights);
+  const graded = metrics.filter(metric => metric.percentile !== null).length;
+  return {
+    score,
+    grade: gradeFromPercentile(score),
+    position,
+    metrics,
+    explanation: score === null
+      ? `No ${source} loaded yet`
+      : `${formatPercentile(score)} percentile across ${graded} metrics weighted for ${position ? getPositionName(position) : 'any role'}, vs ${source}`
+  };
+};
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Win rate of a hero in one rank bracket from /heroStats
+ * @param {Array} heroStats - /heroStats rows
+ * @param {number} heroId - Hero
+ * @param {number} [bracket] - 1 (Herald) to 8 (Immortal); all brackets when unset
+ * @returns {number|null} Win rate 0-1
+ */
+export const getBracketWinRate = (heroStats, heroId, bracket) => {
+  const stat = heroStats?.find(row => Number(row.id ?? row.hero_id) === Number(heroId));
+  if (!stat) return null;
+
+  const brackets = bracket ? [bracket] : Object.keys(RANK_BRACKETS);
+  const picks = brackets.reduce((sum, b) => sum + (stat[`${b}_pick`] || 0), 0);
+  const wins = brackets.reduce((sum, b) => sum + (stat[`${b}_win`] || 0), 0);
+  return picks ? wins / picks : null;
+};
+
+/**
+ * Grade a run of results against what the heroes played usually achieve in the player's bracket.
+ * The percentile is how unlikely this many wins would be if every game went at the bracket win rate.
+ * @param {Array} matches - Match list entries
+ * @param {Array} [heroStats] - /heroStats rows
+ * @param {number} [bracket] - Player's bracket (1-8)
+ * @returns {{wins: number, games: number, expected: number, percentile: number|null, grade: string|null, explanation: string}}
+ */
+export const gradeWinRate = (matches, heroStats, bracket) => {
+  const list = matches || [];
+  if (list.length === 0) return { wins: 0, games: 0, expected: 0, percentile: null, grade: null, explanation: 'No matches to grade' };
+
+  const odds = list.map(match => getBracketWinRate(heroStats, match.hero_id, bracket) ?? 0.5);
+  const wins = list.filter(isWin).length;
+  const expected = odds.reduce((sum, p) => sum + p, 0);
+  const variance = odds.reduce((sum, p) => sum + p * (1 - p), 0);
+  const percentile = variance > 0 ? normalCdf((wins - expected) / Math.sqrt(variance)) * 100 : (wins >= expected ? 100 : 0);
+  const baseline = heroStats?.length
+    ? `your heroes win ${((expected / list.length) * 100).toFixed(1)}% in ${RANK_BRACKETS[bracket] || 'all brackets'}`
+    : 'against a 50% baseline';
+
+  return {
+    wins,
+    games: list.length,
+    expected,
+    percentile,
+    grade: gradeFromPercentile(percentile),
+    explanation: `Won ${wins} of ${list.length} where ${baseline} - ${formatPercentile(percentile)} percentile`
+  };
+};
+
+/**
+ * Grade a run of matches: per-game benchmark grades blended with the result against the bracket
+ * @param {Array} matches - Match list entries
+ * @param {Object} options
+ * @param {Object} [options.benchmarksByHero] - hero_id -> /benchmarks response
+ * @param {Array} [options.heroStats] - /heroStats rows
+ * @param {number} [options.bracket] - Player's bracket (1-8)
+ * @param {Object} [options.heroNames] - hero_id -> localized name
+ * @returns {{score: number|null, grade: string|null, performance: number|null, winRate: Object, matches: Array, explanation: string[]}}
+ */
+export const gradeMatches = (matches, { benchmarksByHero = {}, heroStats, bracket, heroNames = {} } = {}) => {
+  const list = matches || [];
+  const graded = list.map(match => ({
+    matchId: match.match_id,
+    ...gradePlayerMatch(match, match, { benchmarks: benchmarksByHero[match.hero_id], heroName: heroNames[match.hero_id] })
+  }));
+
+  const scores = graded.map(match => match.score).filter(score => score !== null);
+  const performance = scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+  const winRate = gradeWinRate(list, heroStats, bracket);
+
+  const score = performance === null ? winRate.percentile
+      : winRate.percentile === null ? performance
+        : performance * PERFORMANCE_SHARE + winRate.percentile * (1 - PERFORMANCE_SHARE);
+
+  return {
+    score,
+    grade: gradeFromPercentile(score),
+    performance,
+    winRate,
+    matches: graded,
+    explanation: [
+      performance === null
+        ? 'No hero benchmarks loaded yet'
+        : `${formatPercentile(performance)} percentile on hero benchmarks across ${scores.length} games`,
+      winRate.explanation
+    ]
+  };
+};
@@ -0,0 +1,169 @@
+// Dota 2 Game State Integration (GSI) payload helpers
+
+export const GAME_STATES = {
+  DOTA_GAMERULES_STATE_INIT: 'Loading',
+  DOTA_GAMERULES_STATE_WAIT_FOR_PLAYERS_TO_LOAD: 'Loading',
+  DOTA_GAMERULES_STATE_HERO_SELECTION: 'Hero Selection',
+  DOTA_GAMERULES_STATE_STRATEGY_TIME: 'Strategy Time',
+  DOTA_GAMERULES_STATE_PRE_GAME: 'Pre-Game',
+  DOTA_GAMERULES_STATE_GAME_IN_PROGRESS: 'In Progress',
+  DOTA_GAMERULES_STATE_POST_GAME: 'Post-Game',
+  DOTA_GAMERULES_STATE_DISCONNECT: 'Disconnected'
+};
+
+// Roshan respawns somewhere in this window after dying (seconds)
+export const ROSHAN_RESPAWN = { min: 8 * 60, max: 11 * 60 };
+
+// Rune spawns by clock time (seconds): first spawn, repeat interval, optional last spawn
+export const RUNE_SPAWNS = [
+  { key: 'bounty', label: 'Bounty', first: 0, interval: 3 * 60 },
+  { key: 'water', label: 'Water', first: 2 * 60, interval: 2 * 60, last: 4 * 60 },
+  { key: 'power', label: 'Power', first: 6 * 60, interval: 2 * 60 },
+  { key: 'wisdom', label: 'Wisdom', first: 7 * 60, interval: 7 * 60 }
+];
+
+const INVENTORY_SLOTS = ['slot0', 'slot1', 'slot2', 'slot3', 'slot4', 'slot5'];
+const BACKPACK_SLOTS = ['slot6', 'slot7', 'slot8'];
+
+const toItem = (slot, item) => (!item || item.name === 'empty' ? null : {
+  slot,
+  name: item.name.replace(/^item_/, ''),
+  charges: item.charges ?? null,
+  cooldown: item.cooldown || 0
+});
+
+/**
+ * Flatten a GSI post into the fields the live view needs
+ * @param {Object} payload - Raw GSI JSON body
+ * @returns {Object|null} Normalized state, or null for an empty payload
+ */
+export const parseGameState = (payload) => {
+  if (!payload?.map && !payload?.player) return null;
+
+  const { map = {}, player = {}, hero = {}, items = {} } = payload;
+  const roshanKills = (payload.events || [])
+    .filter(event => event.event_type === 'roshan_killed')
+    .map(event => event.game_time);
+
+  return {
+    matchId: map.matchid || null,
+    clock: map.clock_time ?? 0,
+    gameTime: map.game_time ?? 0,
+    state: GAME_STATES[map.game_state] || map.game_state || 'Unknown',
+    inProgress: map.game_state === 'DOTA_GAMERULES_STATE_GAME_IN_PROGRESS',
+    paused: Boolean(map.paused),
+    daytime: map.daytime ?? true,
+    score: { radiant: map.radiant_score || 0, dire: map.dire_score || 0 },
+    team: player.team_name || null,
+    player: {
+      name: player.name || null,
+      kills: player.kills || 0,
+      deaths: player.deaths || 0,
+      assists: player.assists || 0,
+      lastHits: player.last_hits || 0,
+      denies: player.denies || 0,
+      gold: player.gold || 0,
+      gpm: player.gpm || 0,
+      xpm: player.xpm || 0
+    },
+    hero: {
+      id: hero.id || null,
+      name: hero.name ? hero.name.replace(/^npc_dota_hero_/, '') : null,
+      level: hero.level || 0,
+      alive: hero.alive ?? true,
+      respawnSeconds: hero.respawn_seconds || 0,
+      healthPercent: hero.health_percent ?? 100,
+      manaPercent: hero.mana_percent ?? 100,
+      buybackCost: hero.buyback_cost || 0
+    },
+    items: {
+      inventory: INVENTORY_SLOTS.map(slot => toItem(slot, items[slot])),
+      backpack: BACKPACK_SLOTS.map(slot => toItem(slot, items[slot])),
+      neutral: toItem('neutral0', items.neutral0),
+      teleport: toItem('teleport0', items.teleport0)
+    },
+    lastRoshanKill: roshanKills.length ? Math.max(...roshanKills) : null
+  };
+};
+
+/**
+ * Next spawn of each rune type
+ * @param {number} clock - Map clock_time in seconds
+ * @returns {Array<{key: string, label: string, nextAt: number|null, secondsUntil: number|null}>}
+ */
+export const getRuneTimers = (clock) => RUNE_SPAWNS.map(rune => {
+  let nextAt = rune.first;
+  if (clock > rune.first) {
+    nextAt = rune.first + Math.ceil((clock - rune.first) / rune.interval) * rune.interval;
+  }
+  if (rune.last !== undefined && nextAt > rune.last) nextAt = null;
+
+  return {
+    key: rune.key,
+    label: rune.label,
+    nextAt,
+    secondsUntil: nextAt === null ? null : nextAt - clock
+  };
+});
+
+/**
+ * Roshan respawn window from the last kill
+ * @param {number|null} lastKill - game_time of the last roshan_killed event
+ * @param {number} gameTime - Current map game_time
+ * @returns {{status: 'alive'|'dead'|'maybe', minIn: number, maxIn: number}}
+ */
+export const getRoshanTimer = (lastKill, gameTime) => {
+  if (lastKill === null || lastKill === undefined) return { status: 'alive', minIn: 0, maxIn: 0 };
+
+  const minIn = lastKill + ROSHAN_RESPAWN.min - gameTime;
+  const maxIn = lastKill + ROSHAN_RESPAWN.max - gameTime;
+  if (maxIn <= 0) return { status: 'alive', minIn: 0, maxIn: 0 };
+
+  return { status: minIn > 0 ? 'dead' : 'maybe', minIn: Math.max(0, minIn), maxIn };
+};
+
+/**
+ * Last hits so far against what the player's average rate predicts
+ * @param {number} lastHits - Current last hits
+ * @param {number} clock - Map clock_time in seconds
+ * @param {Array} matches - Past matches with last_hits and duration
+ * @returns {{perMinute: number, averagePerMinute: number|null, expected: number|null, ratio: number|null}}
+ */
+export const calculateLastHitPace = (lastHits, clock, matches) => {
+  const minutes = Math.max(clock, 0) / 60;
+  const perMinute = minutes > 0 ? lastHits / minutes : 0;
+
+  const usable = (matches || []).filter(match => match.duration > 0 && typeof match.last_hits === 'number');
+  if (usable.length === 0) return { perMinute, averagePerMinute: null, expected: null, ratio: null };
+
+  const totalHits = usable.reduce((sum, match) => sum + match.last_hits, 0);
+  const totalMinutes = usable.reduce((sum, match) => sum + match.duration / 60, 0);
+  const averagePerMinute = totalHits / totalMinutes;
+  const expected = averagePerMinute * minutes;
+
+  return {
+    perMinute,
+    averagePerMinute,
+    expected,
+    ratio: expected > 0 ? lastHits / expected : null
+  };
+};
+
+/**
+ * Parse a recorded replay (one {"t": ms, "state": payload} JSON object per line)
+ * @param {string} text - Replay file contents
+ * @returns {Array<{t: number, state: Object}>} Frames in time order
+ */
+export const parseReplay = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => JSON.parse(line))
+  .sort((a, b) => a.t - b.t);
+
+// m:ss for clock values, with a leading minus before the horn
+export const formatClock = (seconds) => {
+  const sign = seconds < 0 ? '-' : '';
+  const total = Math.abs(Math.floor(seconds));
+  return `${sign}${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
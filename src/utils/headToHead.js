@@ -0,0 +1,113 @@
+// Side-by-side comparison of two players' stats and the games they met in
+
+import { isWin } from './dataTransforms.js';
+import { getPeerInMatch } from './peers.js';
+
+// Per-game averages from /totals worth comparing, in display order
+export const TOTALS_FIELDS = [
+  { field: 'kills', label: 'Kills' },
+  { field: 'deaths', label: 'Deaths', lowerIsBetter: true },
+  { field: 'assists', label: 'Assists' },
+  { field: 'last_hits', label: 'Last Hits' },
+  { field: 'denies', label: 'Denies' },
+  { field: 'hero_damage', label: 'Hero Damage' },
+  { field: 'tower_damage', label: 'Tower Damage' },
+  { field: 'hero_healing', label: 'Healing' },
+  { field: 'stuns', label: 'Stuns' }
+];
+
+// Fewer games than this on a hero is noise, not a delta worth acting on
+export const MIN_HERO_GAMES = 3;
+
+const rate = (wins, games) => (games ? (wins / games) * 100 : null);
+
+/**
+ * Pair two calculateCoreMetrics results, scaled so the better player sits at 100 on a shared radar
+ * @param {Array} metricsA - calculateCoreMetrics for the first player
+ * @param {Array} metricsB - calculateCoreMetrics for the second player
+ * @returns {Array<{label: string, suffix: string, a: number, b: number, scoreA: number, scoreB: number}>}
+ */
+export const compareMetrics = (metricsA, metricsB) => (metricsA || [])
+  .map(metric => ({ metric, other: (metricsB || []).find(entry => entry.label === metric.label) }))
+  .filter(({ other }) => other)
+  .map(({ metric, other }) => {
+    const best = Math.max(metric.value, other.value);
+    return {
+      label: metric.label,
+      suffix: metric.suffix,
+      a: metric.value,
+      b: other.value,
+      scoreA: best > 0 ? Math.round((metric.value / best) * 100) : 0,
+      scoreB: best > 0 ? Math.round((other.value / best) * 100) : 0
+    };
+  });
+
+/**
+ * Per-game averages for the TOTALS_FIELDS both players have
+ * @param {Array} totalsA - /players/{id}/totals for the first player
+ * @param {Array} totalsB - /players/{id}/totals for the second player
+ * @returns {Array<{field: string, label: string, a: number, b: number, leader: 'a'|'b'|null}>}
+ */
+export const compareTotals = (totalsA, totalsB) => {
+  const average = (totals, field) => {
+    const entry = (totals || []).find(total => total.field === field);
+    return entry?.n ? entry.sum / entry.n : null;
+  };
+
+  return TOTALS_FIELDS
+    .map(({ field, label, lowerIsBetter }) => {
+      const a = average(totalsA, field);
+      const b = average(totalsB, field);
+      if (a === null || b === null) return null;
+      const aLeads = lowerIsBetter ? a < b : a > b;
+      return { field, label, a, b, leader: a === b ? null : aLeads ? 'a' : 'b' };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Heroes both players have enough games on, with the win rate gap
+ * @param {Array} heroStatsA - /players/{id}/heroes for the first player
+ * @param {Array} heroStatsB - /players/{id}/heroes for the second player
+ * @param {number} [minGames] - Games each player needs on the hero
+ * @returns {Array<{heroId: number, a: Object, b: Object, delta: number}>} Biggest gap first; delta is A minus B in points
+ */
+export const compareHeroes = (heroStatsA, heroStatsB, minGames = MIN_HERO_GAMES) => {
+  const toEntry = (stat) => ({ games: stat.games, wins: stat.win, winRate: rate(stat.win, stat.games) });
+  const others = new Map((heroStatsB || []).map(stat => [Number(stat.hero_id), stat]));
+
+  return (heroStatsA || [])
+    .filter(stat => stat.games >= minGames && others.get(Number(stat.hero_id))?.games >= minGames)
+    .map(stat => {
+      const a = toEntry(stat);
+      const b = toEntry(others.get(Number(stat.hero_id)));
+      return { heroId: Number(stat.hero_id), a, b, delta: a.winRate - b.winRate };
+    })
+    .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta) || (y.a.games + y.b.games) - (x.a.games + x.b.games));
+};
+
+/**
+ * Games two players met in, split by side
+ * @param {Array} matches - First player's matches with the second (see fetchMatchesWith)
+ * @param {string|number} otherId - Second player's account ID
+ * @returns {{together: Array, against: Array, togetherWins: number, againstWins: number}} Newest first; wins are the first player's
+ */
+export const splitMeetings = (matches, otherId) => {
+  const together = [];
+  const against = [];
+
+  (matches || []).forEach(match => {
+    const other = getPeerInMatch(match, otherId);
+    if (!other) return;
+    const row = { ...match, otherHeroId: other.heroId, isWin: isWin(match) };
+    (other.together ? together : against).push(row);
+  });
+
+  const newestFirst = (x, y) => y.start_time - x.start_time;
+  return {
+    together: together.sort(newestFirst),
+    against: against.sort(newestFirst),
+    togetherWins: together.filter(match => match.isWin).length,
+    againstWins: against.filter(match => match.isWin).length
+  };
+};
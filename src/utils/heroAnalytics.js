@@ -0,0 +1,173 @@
+// Per-hero analytics: benchmark percentiles, item builds, matchups and trends
+
+import { isWin } from './dataTransforms.js';
+
+// /benchmarks metrics and how to derive each one from a player match
+export const BENCHMARK_METRICS = [
+  { key: 'gold_per_min', label: 'GPM', value: match => match.gold_per_min },
+  { key: 'xp_per_min', label: 'XPM', value: match => match.xp_per_min },
+  { key: 'kills_per_min', label: 'Kills / min', value: match => perMinute(match, match.kills) },
+  { key: 'last_hits_per_min', label: 'Last hits / min', value: match => perMinute(match, match.last_hits) },
+  { key: 'hero_damage_per_min', label: 'Hero damage / min', value: match => perMinute(match, match.hero_damage) },
+  { key: 'hero_healing_per_min', label: 'Healing / min', value: match => perMinute(match, match.hero_healing) },
+  { key: 'tower_damage', label: 'Tower damage', value: match => match.tower_damage }
+];
+
+const perMinute = (match, total) => {
+  if (total === undefined || total === null || !match.duration) return undefined;
+  return total / (match.duration / 60);
+};
+
+const average = (values) => {
+  const defined = values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+  return defined.length ? defined.reduce((sum, value) => sum + value, 0) / defined.length : null;
+};
+
+/**
+ * Percentile (0-100) of a value within one /benchmarks metric
+ * Interpolates linearly between the published percentile points.
+ * @param {Array<{percentile: number, value: number}>} points - Benchmark rows for one metric
+ * @param {number} value - Player's value
+ * @returns {number|null} Percentile, or null without data
+ */
+export const getBenchmarkPercentile = (points, value) => {
+  if (!points?.length || value === null || value === undefined) return null;
+
+  const sorted = [...points].sort((a, b) => a.value - b.value);
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+
+  if (value <= first.value) {
+    return first.value > 0 ? Math.max(0, (value / first.value) * first.percentile * 100) : 0;
+  }
+  if (value >= last.value) return last.percentile * 100;
+
+  const upperIndex = sorted.findIndex(point => point.value >= value);
+  const lower = sorted[upperIndex - 1];
+  const upper = sorted[upperIndex];
+  const ratio = upper.value === lower.value ? 0 : (value - lower.value) / (upper.value - lower.value);
+
+  return (lower.percentile + ratio * (upper.percentile - lower.percentile)) * 100;
+};
+
+/**
+ * Player averages on a hero compared against the hero's benchmarks
+ * @param {Array} matches - Player matches on the hero
+ * @param {Object} benchmarks - /benchmarks response (or its `result`)
+ * @returns {Array<{key: string, label: string, value: number|null, percentile: number|null}>}
+ */
+export const compareToBenchmarks = (matches, benchmarks) => {
+  const result = benchmarks?.result || benchmarks || {};
+
+  return BENCHMARK_METRICS.map(metric => {
+    const value = average((matches || []).map(metric.value));
+    return {
+      key: metric.key,
+      label: metric.label,
+      value,
+      percentile: getBenchmarkPercentile(result[metric.key], value)
+    };
+  });
+};
+
+/**
+ * How often each item ends up in the final inventory
+ * @param {Array} matches - Matches projected with item_0..item_5
+ * @param {Object} itemIds - /constants/item_ids mapping
+ * @param {number} [limit=12] - Items returned
+ * @returns {Array<{itemId: number, name: string, games: number, frequency: number, winRate: number}>}
+ */
+export const calculateItemFrequencies = (matches, itemIds = {}, limit = 12) => {
+  if (!matches?.length) return [];
+
+  const counts = new Map();
+  matches.forEach(match => {
+    const items = new Set([0, 1, 2, 3, 4, 5].map(slot => match[`item_${slot}`]).filter(Boolean));
+    const won = isWin(match);
+    items.forEach(itemId => {
+      const entry = counts.get(itemId) || { games: 0, wins: 0 };
+      entry.games++;
+      if (won) entry.wins++;
+      counts.set(itemId, entry);
+    });
+  });
+
+  return [...counts.entries()]
+    .map(([itemId, { games, wins }]) => ({
+      itemId,
+      name: itemIds[itemId] || `item_${itemId}`,
+      games,
+      frequency: (games / matches.length) * 100,
+      winRate: (wins / games) * 100
+    }))
+    .sort((a, b) => b.games - a.games)
+    .slice(0, limit);
+};
+
+/**
+ * Best and worst heroes to play with and against
+ * @param {Array} rows - /players/{id}/heroes?hero_id= response
+ * @param {number} [minGames=3] - Ignore matchups with fewer games
+ * @returns {{with: Array, against: Array}} Sorted by win rate, best first
+ */
+export const summarizeMatchups = (rows, minGames = 3) => {
+  const build = (gamesKey, winKey) => (rows || [])
+    .filter(row => row[gamesKey] >= minGames)
+    .map(row => ({
+      heroId: Number(row.hero_id),
+      games: row[gamesKey],
+      wins: row[winKey],
+      winRate: (row[winKey] / row[gamesKey]) * 100
+    }))
+    .sort((a, b) => b.winRate - a.winRate || b.games - a.games);
+
+  return {
+    with: build('with_games', 'with_win'),
+    against: build('against_games', 'against_win')
+  };
+};
+
+/**
+ * Recent form on a hero compared with the overall record
+ * @param {Array} matches - Player matches on the hero, newest first
+ * @param {number} [window=10] - Games counted as recent
+ * @returns {{recentWinRate: number|null, overallWinRate: number|null, delta: number, direction: 'up'|'down'|'flat'}}
+ */
+export const calculateHeroTrend = (matches, window = 10) => {
+  if (!matches?.length) {
+    return { recentWinRate: null, overallWinRate: null, delta: 0, direction: 'flat' };
+  }
+
+  const winRate = (list) => (list.filter(isWin).length / list.length) * 100;
+  const recentWinRate = winRate(matches.slice(0, window));
+  const overallWinRate = winRate(matches);
+  const delta = recentWinRate - overallWinRate;
+
+  return {
+    recentWinRate,
+    overallWinRate,
+    delta,
+    direction: Math.abs(delta) < 5 || matches.length <= window ? 'flat' : delta > 0 ? 'up' : 'down'
+  };
+};
+
+/**
+ * Chronological per-game series with a rolling win rate
+ * @param {Array} matches - Player matches on the hero, any order
+ * @param {number} [window=10] - Rolling window size
+ * @returns {Array<{matchId: number, date: Date, gpm: number, kda: number, rollingWinRate: number}>}
+ */
+export const buildHeroPerformanceSeries = (matches, window = 10) => {
+  const chronological = [...(matches || [])].sort((a, b) => a.start_time - b.start_time);
+
+  return chronological.map((match, index) => {
+    const recent = chronological.slice(Math.max(0, index - window + 1), index + 1);
+    return {
+      matchId: match.match_id,
+      date: new Date(match.start_time * 1000),
+      gpm: match.gold_per_min || 0,
+      kda: ((match.kills || 0) + (match.assists || 0)) / Math.max(match.deaths || 0, 1),
+      rollingWinRate: (recent.filter(isWin).length / recent.length) * 100
+    };
+  });
+};
@@ -0,0 +1,201 @@
+// Per-player match calculations shared by the MatchAnalysis tabs and the match comparison
+
+import { isWin } from './dataTransforms.js';
+
+const LANE_SECONDS = 600;
+
+// Items whose timing is checked against a typical completion minute
+export const KEY_ITEM_BENCHMARKS = {
+  blink: { name: 'Blink Dagger', benchmark: 15 },
+  black_king_bar: { name: 'Black King Bar', benchmark: 25 },
+  aghanims_scepter: { name: "Aghanim's Scepter", benchmark: 30 },
+  butterfly: { name: 'Butterfly', benchmark: 35 },
+  assault: { name: 'Assault Cuirass', benchmark: 35 },
+  heart: { name: 'Heart of Tarrasque', benchmark: 35 }
+};
+
+// Bought over and over, so their timings say nothing about the build
+const CONSUMABLES = new Set([
+  'tango', 'flask', 'clarity', 'enchanted_mango', 'faerie_fire', 'ward_observer',
+  'ward_sentry', 'ward_dispenser', 'tpscroll', 'smoke_of_deceit', 'dust', 'blood_grenade',
+  'tome_of_knowledge', 'famango', 'great_famango', 'greater_famango'
+]);
+
+// Items that make up a build, as opposed to consumables and recipe scrolls
+export const isBuildItem = (key) => !CONSUMABLES.has(key) && !key.startsWith('recipe_');
+
+export const formatItemName = (key) => KEY_ITEM_BENCHMARKS[key]?.name
+  || key.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+/**
+ * Slot to analyze when none is picked: the viewer's own, else the first Radiant player
+ * @param {Object} match - Match details with players
+ * @param {string|number} [accountId] - Viewer's account ID
+ * @returns {number|null} player_slot
+ */
+export const getDefaultPlayerSlot = (match, accountId) => {
+  const players = match?.players || [];
+  const own = accountId ? players.find(player => player.account_id === Number(accountId)) : null;
+  return (own || players[0])?.player_slot ?? null;
+};
+
+/**
+ * Deaths in the first 10 minutes
+ * @param {Object} player - Parsed match player
+ * @returns {number}
+ */
+export const getLaneDeaths = (player) => (Array.isArray(player?.life_state)
+  ? player.life_state.slice(0, LANE_SECONDS).filter(state => state === 2).length
+  : 0);
+
+/**
+ * Lane result from CS, XP and deaths at 10 minutes
+ * @param {Object} player - Parsed match player
+ * @returns {{outcome: string, color: string, description: string, lastHits: number, denies: number, xp: number, deaths: number}}
+ */
+export const getLaneOutcome = (player) => {
+  if (!player) return { outcome: 'UNKNOWN', color: 'gray', description: 'No data available' };
+
+  const lastHits = player.lh_t?.[9] || 0;
+  const denies = player.dn_t?.[9] || 0;
+  const xp = player.xp_t?.[9] || 0;
+  const deaths = getLaneDeaths(player);
+  const stats = { lastHits, denies, xp, deaths };
+
+  let score = 0;
+  if (lastHits > 50) score += 2;
+  else if (lastHits > 35) score += 1;
+
+  if (xp > 4000) score += 2;
+  else if (xp > 3000) score += 1;
+
+  if (deaths === 0) score += 2;
+  else if (deaths === 1) score += 1;
+  else score -= deaths;
+
+  if (score >= 5) return { outcome: 'WON', color: 'green', description: 'Dominated the lane', ...stats };
+  if (score >= 2) return { outcome: 'DRAW', color: 'blue', description: 'Even lane', ...stats };
+  return { outcome: 'LOST', color: 'red', description: 'Struggled in lane', ...stats };
+};
+
+/**
+ * Ward placement and dewarding summary
+ * @param {Object} player - Match player
+ * @param {number} duration - Match duration in seconds
+ * @returns {Object} Vision metrics and a letter grade
+ */
+export const getVisionStats = (player, duration) => {
+  if (!player) {
+    return {
+      wardUptime: 0,
+      dewardEfficiency: 0,
+      visionScore: 0,
+      wardsPerMinute: 0,
+      visionDensity: 0,
+      visionGrade: 'D',
+      obsKills: 0,
+      senKills: 0
+    };
+  }
+
+  const obs = player.obs_placed || 0;
+  const sen = player.sen_placed || 0;
+  const obsKills = player.observer_kills || 0;
+  const senKills = player.sentry_kills || 0;
+  const minutes = duration / 60;
+
+  const wardUptime = Math.min((obs * 7) / minutes * 100, 100);
+  const dewardEfficiency = sen > 0 ? ((obsKills + senKills) / sen * 100) : 0;
+  const visionScore = (obs * 2.5 + sen * 1.5 + obsKills * 3 + senKills * 2);
+  const wardsPerMinute = obs / minutes;
+  const visionDensity = obs > 0 ? (minutes / obs) : 0; // minutes between wards
+
+  let visionGrade = 'D';
+  if (visionScore >= 50) visionGrade = 'S';
+  else if (visionScore >= 35) visionGrade = 'A';
+  else if (visionScore >= 25) visionGrade = 'B';
+  else if (visionScore >= 15) visionGrade = 'C';
+
+  return {
+    wardUptime,
+    dewardEfficiency,
+    visionScore,
+    wardsPerMinute,
+    visionDensity,
+    visionGrade,
+    obsKills,
+    senKills
+  };
+};
+
+/**
+ * Purchases of the benchmarked key items
+ * @param {Object} player - Parsed match player
+ * @returns {Array<{key: string, name: string, minutes: number, benchmark: number, fast: boolean}>}
+ */
+export const getKeyItemTimings = (player) => (player?.purchase_log || [])
+  .filter(purchase => KEY_ITEM_BENCHMARKS[purchase.key])
+  .map(purchase => {
+    const { name, benchmark } = KEY_ITEM_BENCHMARKS[purchase.key];
+    const minutes = purchase.time / 60;
+    return { key: purchase.key, name, minutes, benchmark, fast: minutes <= benchmark };
+  });
+
+// First purchase time (seconds) of each non-consumable item
+const getFirstPurchases = (player) => {
+  const first = new Map();
+  (player?.purchase_log || []).forEach(({ key, time }) => {
+    if (!isBuildItem(key) || first.has(key)) return;
+    first.set(key, time);
+  });
+  return first;
+};
+
+/**
+ * Item timings of two players side by side
+ * @param {Object} playerA - Player in the first match
+ * @param {Object} playerB - Player in the second match
+ * @returns {Array<{key: string, name: string, timeA: number|null, timeB: number|null, diff: number|null}>}
+ *   Ordered by first purchase; diff is B minus A in seconds when both bought the item
+ */
+export const compareItemTimings = (playerA, playerB) => {
+  const timingsA = getFirstPurchases(playerA);
+  const timingsB = getFirstPurchases(playerB);
+  const keys = new Set([...timingsA.keys(), ...timingsB.keys()]);
+
+  return [...keys]
+    .map(key => {
+      const timeA = timingsA.get(key) ?? null;
+      const timeB = timingsB.get(key) ?? null;
+      return {
+        key,
+        name: formatItemName(key),
+        timeA,
+        timeB,
+        diff: timeA !== null && timeB !== null ? timeB - timeA : null
+      };
+    })
+    .sort((a, b) => Math.min(a.timeA ?? Infinity, a.timeB ?? Infinity) - Math.min(b.timeA ?? Infinity, b.timeB ?? Infinity));
+};
+
+/**
+ * Per-minute series of both players for an overlay chart
+ * @param {Array<{label: string, player: Object}>} entries - One entry per match
+ * @param {string} field - Per-minute array such as 'gold_t', 'xp_t' or 'lh_t'
+ * @returns {Array<{minute: number, value: number, match: string}>}
+ */
+export const buildCurveOverlay = (entries, field) => entries.flatMap(({ label, player }) => (player?.[field] || [])
+  .map((value, minute) => ({ minute, value, match: label })));
+
+/**
+ * Most recent match on the same hero with the opposite result
+ * @param {Array} matches - Match history, newest first
+ * @param {Object} match - Match to find a counterpart for (hero_id, player_slot, radiant_win)
+ * @returns {Object|null}
+ */
+export const findComparableMatch = (matches, match) => {
+  if (!match) return null;
+  const others = (matches || []).filter(other => other.match_id !== match.match_id);
+  const sameHero = others.filter(other => other.hero_id === match.hero_id);
+  return sameHero.find(other => isWin(other) !== isWin(match)) || sameHero[0] || null;
+};
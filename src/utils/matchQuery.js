@@ -0,0 +1,141 @@
+// Query helpers for the locally stored match history
+
+import { isWin } from './dataTransforms.js';
+import { estimatePosition } from './roles.js';
+
+/**
+ * Filter, sort and page a match list
+ * @param {Array} matches - Raw OpenDota player matches
+ * @param {Object} query
+ * @param {number} [query.heroId] - Only this hero
+ * @param {'win'|'loss'} [query.result] - Only wins or losses
+ * @param {number} [query.gameMode] - OpenDota game_mode id
+ * @param {number} [query.lobbyType] - OpenDota lobby_type id (7 = ranked)
+ * @param {number} [query.laneRole] - OpenDota lane_role (1 safe, 2 mid, 3 off, 4 jungle)
+ * @param {number} [query.position] - Estimated position 1-5
+ * @param {number} [query.partySize] - Exact party size (1 = solo)
+ * @param {Date|number} [query.from] - Start time, inclusive (Date or unix seconds)
+ * @param {Date|number} [query.to] - Start time, inclusive (Date or unix seconds)
+ * @param {string} [query.sortBy='start_time'] - Match field to sort on
+ * @param {'asc'|'desc'} [query.order='desc'] - Sort direction
+ * @param {number} [query.offset=0] - Rows to skip
+ * @param {number} [query.limit] - Maximum rows returned
+ * @returns {Array} Matching rows
+ */
+export const queryMatches = (matches, {
+  heroId,
+  result,
+  gameMode,
+  lobbyType,
+  laneRole,
+  position,
+  partySize,
+  from,
+  to,
+  sortBy = 'start_time',
+  order = 'desc',
+  offset = 0,
+  limit
+} = {}) => {
+  if (!matches || !Array.isArray(matches)) return [];
+
+  const toSeconds = (value) => value instanceof Date ? value.getTime() / 1000 : value;
+  const fromSeconds = toSeconds(from);
+  const toSecondsValue = toSeconds(to);
+
+  const filtered = matches.filter(match => {
+    if (heroId !== undefined && match.hero_id !== heroId) return false;
+    if (result === 'win' && !isWin(match)) return false;
+    if (result === 'loss' && isWin(match)) return false;
+    if (gameMode !== undefined && match.game_mode !== gameMode) return false;
+    if (lobbyType !== undefined && match.lobby_type !== lobbyType) return false;
+    if (laneRole !== undefined && match.lane_role !== laneRole) return false;
+    if (position !== undefined && estimatePosition(match) !== position) return false;
+    if (partySize !== undefined && (match.party_size || 1) !== partySize) return false;
+    if (fromSeconds !== undefined && match.start_time < fromSeconds) return false;
+    if (toSecondsValue !== undefined && match.start_time > toSecondsValue) return false;
+    return true;
+  });
+
+  const direction = order === 'asc' ? 1 : -1;
+  const sorted = [...filtered].sort((a, b) => ((a[sortBy] ?? 0) - (b[sortBy] ?? 0)) * direction);
+
+  return sorted.slice(offset, limit !== undefined ? offset + limit : undefined);
+};
+
+// Win/loss summary for a (filtered) match list
+export const summarizeMatches = (matches) => {
+  const games = matches?.length || 0;
+  const wins = games ? matches.filter(isWin).length : 0;
+
+  return {
+    games,
+    wins,
+    losses: games - wins,
+    winRate: games ? (wins / games) * 100 : 0
+  };
+};
+
+// Lobby type mappings
+export const LOBBY_TYPES = {
+  0: 'Normal',
+  1: 'Practice',
+  2: 'Tournament',
+  4: 'Co-op Bots',
+  5: 'Team Ranked',
+  6: 'Solo Ranked',
+  7: 'Ranked',
+  8: '1v1 Mid',
+  9: 'Battle Cup',
+  12: 'Event',
+};
+
+// Lane role mappings (OpenDota lane_role)
+export const LANE_ROLES = {
+  1: 'Safe Lane',
+  2: 'Mid Lane',
+  3: 'Off Lane',
+  4: 'Jungle',
+};
+
+export const getLobbyType = (lobbyTypeId) => {
+  return LOBBY_TYPES[lobbyTypeId] || `Lobby ${lobbyTypeId}`;
+};
+
+export const getLaneRole = (laneRole) => {
+  return LANE_ROLES[laneRole] || 'Unknown';
+};
+
+/**
+ * Patch a match was played on
+ * @param {Array} patches - /constants/patch entries, oldest first
+ * @param {number} startTime - Match start (unix seconds)
+ * @returns {string|null} Patch name
+ */
+export const getPatchName = (patches, startTime) => {
+  if (!patches?.length) return null;
+
+  let current = null;
+  for (const patch of patches) {
+    if (Date.parse(patch.date) / 1000 > startTime) break;
+    current = patch.name;
+  }
+  return current;
+};
+
+/**
+ * Time span of one patch, for use as a from/to query
+ * @param {Array} patches - /constants/patch entries, oldest first
+ * @param {string} name - Patch name, e.g. '7.37'
+ * @returns {{from: number, to: number|undefined}|null} Unix seconds; `to` is unset for the live patch
+ */
+export const getPatchRange = (patches, name) => {
+  const index = patches?.findIndex(patch => patch.name === name) ?? -1;
+  if (index === -1) return null;
+
+  const next = patches[index + 1];
+  return {
+    from: Date.parse(patches[index].date) / 1000,
+    to: next ? Date.parse(next.date) / 1000 - 1 : undefined
+  };
+};
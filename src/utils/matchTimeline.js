@@ -0,0 +1,163 @@
+// Whole-match event stream and per-minute snapshots for the timeline scrubber
+
+import { isBuildItem, formatItemName } from './matchAnalysis.js';
+
+// Total experience needed for each hero level (index 0 = level 1)
+export const LEVEL_XP = [
+  0, 240, 640, 1160, 1760, 2440, 3200, 4000, 4900, 5900,
+  7000, 8200, 9500, 10900, 12400, 14000, 15700, 17500, 19400, 21400,
+  23600, 26000, 28600, 31400, 34400, 38400, 43400, 49400, 56400, 63900
+];
+
+export const RUNE_NAMES = {
+  0: 'Double Damage',
+  1: 'Haste',
+  2: 'Illusion',
+  3: 'Invisibility',
+  4: 'Regeneration',
+  5: 'Bounty',
+  6: 'Arcane',
+  7: 'Water',
+  8: 'Wisdom',
+  9: 'Shield'
+};
+
+// MatchAnalysis tab that explains each kind of event
+export const EVENT_TABS = {
+  objective: 'overview',
+  teamfight: 'combat',
+  kill: 'combat',
+  buyback: 'combat',
+  purchase: 'economy',
+  rune: 'vision'
+};
+
+export const levelFromXp = (xp) => {
+  const level = LEVEL_XP.findIndex(threshold => threshold > (xp || 0));
+  return level === -1 ? LEVEL_XP.length : level;
+};
+
+const teamOf = (playerSlot) => (playerSlot < 128 ? 'radiant' : 'dire');
+
+const TEAM_NAMES = { radiant: 'Radiant', dire: 'Dire' };
+
+// 'npc_dota_badguys_tower2_bot' -> 'Dire tower2 bot'
+const describeBuilding = (key) => {
+  const owner = key.includes('goodguys') ? 'Radiant' : key.includes('badguys') ? 'Dire' : '';
+  const building = key.replace(/^npc_dota_(goodguys|badguys)_/, '').replace(/_/g, ' ');
+  return `${owner} ${building}`.trim();
+};
+
+const describeObjective = (objective) => {
+  const team = objective.team === 2 ? 'Radiant' : objective.team === 3 ? 'Dire' : null;
+  switch (objective.type) {
+    case 'CHAT_MESSAGE_FIRSTBLOOD':
+      return 'First blood';
+    case 'building_kill':
+      return `${describeBuilding(objective.key || '')} destroyed`;
+    case 'CHAT_MESSAGE_ROSHAN_KILL':
+      return `${team || 'A team'} killed Roshan`;
+    case 'CHAT_MESSAGE_AEGIS':
+      return 'Aegis picked up';
+    case 'CHAT_MESSAGE_AEGIS_STOLEN':
+      return 'Aegis stolen';
+    case 'CHAT_MESSAGE_COURIER_LOST':
+      return `${team || 'A team'} lost their courier`;
+    default:
+      return objective.type.replace(/^CHAT_MESSAGE_/, '').replace(/_/g, ' ').toLowerCase();
+  }
+};
+
+/**
+ * Every timed event of a parsed match, oldest first
+ * @param {Object} match - Parsed match details
+ * @param {Object} [heroNames] - hero_id -> localized name
+ * @returns {Array<{time: number, type: string, playerSlot: number|null, heroId: number|null, team: string|null, description: string, tab: string}>}
+ */
+export const buildMatchTimeline = (match, heroNames = {}) => {
+  if (!match) return [];
+  const players = match.players || [];
+  const heroName = (heroId) => heroNames[heroId] || `Hero ${heroId}`;
+  // kills_log names victims by npc name
+  const npcName = (key) => key?.replace('npc_dota_hero_', '').replace(/_/g, ' ');
+  const events = [];
+
+  const push = (event) => events.push({ playerSlot: null, heroId: null, team: null, ...event, tab: EVENT_TABS[event.type] });
+
+  (match.objectives || []).forEach(objective => {
+    const player = players.find(p => p.player_slot === objective.player_slot);
+    push({
+      time: objective.time,
+      type: 'objective',
+      playerSlot: player?.player_slot ?? null,
+      heroId: player?.hero_id ?? null,
+      team: player ? teamOf(player.player_slot) : objective.team === 2 ? 'radiant' : objective.team === 3 ? 'dire' : null,
+      description: describeObjective(objective)
+    });
+  });
+
+  (match.teamfights || []).forEach(fight => {
+    push({ time: fight.start, type: 'teamfight', description: `Teamfight: ${fight.deaths} deaths (${fight.end - fight.start}s)` });
+  });
+
+  players.forEach(player => {
+    const base = { playerSlot: player.player_slot, heroId: player.hero_id, team: teamOf(player.player_slot) };
+    const name = heroName(player.hero_id);
+
+    (player.kills_log || []).forEach(kill => push({
+      ...base, time: kill.time, type: 'kill', description: `${name} killed ${npcName(kill.key)}`
+    }));
+    (player.purchase_log || []).filter(purchase => isBuildItem(purchase.key)).forEach(purchase => push({
+      ...base, time: purchase.time, type: 'purchase', item: purchase.key,
+      description: `${name} bought ${formatItemName(purchase.key)}`
+    }));
+    (player.runes_log || []).forEach(rune => push({
+      ...base, time: rune.time, type: 'rune', description: `${name} took a ${RUNE_NAMES[rune.key] || 'rune'} rune`
+    }));
+    (player.buyback_log || []).forEach(buyback => push({
+      ...base, time: buyback.time, type: 'buyback', description: `${name} bought back`
+    }));
+  });
+
+  return events.sort((a, b) => a.time - b.time);
+};
+
+// Value of a per-minute array at a minute, holding the last value after the series ends
+const valueAt = (series, minute) => (series?.length ? series[Math.min(minute, series.length - 1)] : 0);
+
+/**
+ * Both teams as they stood at one minute of the match
+ * @param {Object} match - Parsed match details
+ * @param {number} minute - Minute to inspect
+ * @param {number} [itemCount=6] - Most recent build items shown per player
+ * @returns {{players: Array, teams: {radiant: Object, dire: Object}, netWorthLead: number}}
+ */
+export const getMatchStateAt = (match, minute, itemCount = 6) => {
+  const seconds = minute * 60;
+  const players = (match?.players || []).map(player => ({
+    playerSlot: player.player_slot,
+    heroId: player.hero_id,
+    team: teamOf(player.player_slot),
+    netWorth: valueAt(player.gold_t, minute),
+    level: levelFromXp(valueAt(player.xp_t, minute)),
+    lastHits: valueAt(player.lh_t, minute),
+    kills: (player.kills_log || []).filter(kill => kill.time <= seconds).length,
+    items: (player.purchase_log || [])
+      .filter(purchase => purchase.time <= seconds && isBuildItem(purchase.key))
+      .slice(-itemCount)
+      .map(purchase => purchase.key)
+  }));
+
+  const summarize = (team) => {
+    const members = players.filter(player => player.team === team);
+    return {
+      name: TEAM_NAMES[team],
+      netWorth: members.reduce((sum, player) => sum + player.netWorth, 0),
+      kills: members.reduce((sum, player) => sum + player.kills, 0),
+      players: members
+    };
+  };
+
+  const teams = { radiant: summarize('radiant'), dire: summarize('dire') };
+  return { players, teams, netWorthLead: teams.radiant.netWorth - teams.dire.netWorth };
+};
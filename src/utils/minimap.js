@@ -0,0 +1,120 @@
+// Map positions from parsed OpenDota matches for the minimap
+// Parsed logs use the replay's cell grid, where the playable map spans roughly 64-192 on both axes.
+
+export const MAP_BOUNDS = { min: 64, max: 192 };
+
+// Seconds a ward lives when nothing destroys it
+export const WARD_DURATION = {
+  observer: 360,
+  sentry: 420
+};
+
+/**
+ * Position on the minimap as fractions of its size, origin top-left
+ * @param {number} x - Cell x
+ * @param {number} y - Cell y (grows towards Dire, i.e. upwards)
+ * @returns {{left: number, top: number}}
+ */
+export const toMapFraction = (x, y) => {
+  const span = MAP_BOUNDS.max - MAP_BOUNDS.min;
+  const clamp = value => Math.min(1, Math.max(0, value));
+  return {
+    left: clamp((x - MAP_BOUNDS.min) / span),
+    top: clamp((MAP_BOUNDS.max - y) / span)
+  };
+};
+
+// { x: { y: count } } as used by lane_pos and deaths_pos
+const flattenPositions = (positions) => Object.entries(positions || {}).flatMap(([x, column]) =>
+  Object.entries(column).map(([y, count]) => ({ x: Number(x), y: Number(y), count })));
+
+/**
+ * Wards a player placed with how long each one stood
+ * @param {Object} player - Parsed match player
+ * @param {number} [matchEnd=Infinity] - Match duration in seconds; wards can't outlive it
+ * @returns {Array<{type: string, x: number, y: number, placedAt: number, removedAt: number, destroyed: boolean}>}
+ */
+export const getWardLifetimes = (player, matchEnd = Infinity) => {
+  if (!player) return [];
+
+  const collect = (placed, left, type) => {
+    const remaining = [...(left || [])];
+    return (placed || []).map(ward => {
+      // Match the removal by entity handle, or by spot for older parses without one
+      const index = remaining.findIndex(entry => (ward.ehandle !== undefined
+        ? entry.ehandle === ward.ehandle
+        : entry.key === ward.key && entry.time >= ward.time));
+      const removal = index >= 0 ? remaining.splice(index, 1)[0] : null;
+      const expiresAt = ward.time + WARD_DURATION[type];
+      const removedAt = Math.min(removal ? removal.time : expiresAt, matchEnd);
+
+      return {
+        type,
+        x: ward.x,
+        y: ward.y,
+        placedAt: ward.time,
+        removedAt,
+        destroyed: Boolean(removal) && removal.time < expiresAt - 1
+      };
+    });
+  };
+
+  return [
+    ...collect(player.obs_log, player.obs_left_log, 'observer'),
+    ...collect(player.sen_log, player.sen_left_log, 'sentry')
+  ].sort((a, b) => a.placedAt - b.placedAt);
+};
+
+/**
+ * Cells the player stood on during the laning phase
+ * @param {Object} player - Parsed match player
+ * @returns {Array<{x: number, y: number, count: number}>}
+ */
+export const getLaneHeatmap = (player) => flattenPositions(player?.lane_pos);
+
+/**
+ * Teamfight locations plus the selected player's kills and deaths inside them.
+ * Only teamfights record where heroes died, so other kills have no position.
+ * @param {Object} match - Parsed match with teamfights and players
+ * @param {number} playerSlot - Selected player's player_slot
+ * @param {Object} [heroNames] - hero_id -> npc name (e.g. 'npc_dota_hero_axe')
+ * @returns {{fights: Array, kills: Array, deaths: Array}}
+ */
+export const getFightMarkers = (match, playerSlot, heroNames = {}) => {
+  const players = match?.players || [];
+  const selectedIndex = players.findIndex(player => player.player_slot === playerSlot);
+  const isRadiant = playerSlot < 128;
+  const fights = [];
+  const kills = [];
+  const deaths = [];
+
+  (match?.teamfights || []).forEach(fight => {
+    const fightDeaths = (fight.players || []).flatMap((fighter, index) =>
+      flattenPositions(fighter.deaths_pos).map(position => ({ ...position, index })));
+    if (fightDeaths.length === 0) return;
+
+    const total = fightDeaths.reduce((sum, death) => sum + death.count, 0);
+    fights.push({
+      start: fight.start,
+      end: fight.end,
+      deaths: fight.deaths ?? total,
+      x: fightDeaths.reduce((sum, death) => sum + death.x * death.count, 0) / total,
+      y: fightDeaths.reduce((sum, death) => sum + death.y * death.count, 0) / total
+    });
+
+    if (selectedIndex < 0) return;
+    const killed = fight.players?.[selectedIndex]?.killed || {};
+
+    fightDeaths.forEach(death => {
+      const victim = players[death.index];
+      const marker = { x: death.x, y: death.y, time: fight.start, end: fight.end };
+      if (death.index === selectedIndex) {
+        deaths.push(marker);
+      } else if (victim && (victim.player_slot < 128) !== isRadiant && killed[heroNames[victim.hero_id]]) {
+        kills.push({ ...marker, heroId: victim.hero_id });
+      }
+    });
+  });
+
+  return { fights, kills, deaths };
+};
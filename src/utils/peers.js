@@ -0,0 +1,99 @@
+// Teammate and party analytics from /peers and the match history
+
+import { isWin } from './dataTransforms.js';
+
+const isRadiant = (playerSlot) => playerSlot < 128;
+
+const rate = (wins, games) => (games ? (wins / games) * 100 : null);
+
+/**
+ * /peers rows as teammates, most games together first
+ * @param {Array} peers - /players/{id}/peers response
+ * @returns {Array<{accountId: string, name: string, avatar: string|null, withGames: number, withWins: number, withWinRate: number|null, againstGames: number, againstWins: number, againstWinRate: number|null, lastPlayed: number|null}>}
+ */
+export const summarizePeers = (peers) => (peers || [])
+  .filter(peer => peer.account_id && ((peer.with_games || 0) + (peer.against_games || 0)) > 0)
+  .map(peer => ({
+    accountId: String(peer.account_id),
+    name: peer.personaname || peer.name || `Player ${peer.account_id}`,
+    avatar: peer.avatarfull || peer.avatar || null,
+    withGames: peer.with_games || 0,
+    withWins: peer.with_win || 0,
+    withWinRate: rate(peer.with_win || 0, peer.with_games || 0),
+    againstGames: peer.against_games || 0,
+    // against_win counts the user's wins in those games
+    againstWins: peer.against_win || 0,
+    againstWinRate: rate(peer.against_win || 0, peer.against_games || 0),
+    lastPlayed: peer.last_played || null
+  }))
+  .sort((a, b) => b.withGames - a.withGames || b.againstGames - a.againstGames);
+
+/**
+ * The peer's hero and side in a match fetched with the `heroes` projection
+ * @param {Object} match - Match list entry with `heroes` keyed by player slot
+ * @param {string|number} peerId - Peer account ID
+ * @returns {{heroId: number, together: boolean}|null}
+ */
+export const getPeerInMatch = (match, peerId) => {
+  const peer = Object.values(match?.heroes || {}).find(player => String(player.account_id) === String(peerId));
+  if (!peer) return null;
+  return {
+    heroId: peer.hero_id,
+    together: isRadiant(peer.player_slot) === isRadiant(match.player_slot)
+  };
+};
+
+/**
+ * Hero pairs the user and a peer played on the same team, best first
+ * @param {Array} matches - Matches with the peer (see getPeerInMatch)
+ * @param {string|number} peerId - Peer account ID
+ * @returns {Array<{heroId: number, peerHeroId: number, games: number, wins: number, winRate: number}>}
+ */
+export const summarizeDuoHeroes = (matches, peerId) => {
+  const combos = new Map();
+
+  (matches || []).forEach(match => {
+    const peer = getPeerInMatch(match, peerId);
+    if (!peer?.together || !match.hero_id || !peer.heroId) return;
+
+    const key = `${match.hero_id}-${peer.heroId}`;
+    const combo = combos.get(key) || { heroId: match.hero_id, peerHeroId: peer.heroId, games: 0, wins: 0 };
+    combo.games += 1;
+    if (isWin(match)) combo.wins += 1;
+    combos.set(key, combo);
+  });
+
+  // Net wins rank proven pairs above one-off wins
+  return [...combos.values()]
+    .map(combo => ({ ...combo, winRate: rate(combo.wins, combo.games) }))
+    .sort((a, b) => (b.wins * 2 - b.games) - (a.wins * 2 - a.games) || b.games - a.games);
+};
+
+export const PARTY_LABELS = {
+  1: 'Solo',
+  2: 'Duo',
+  3: '3-stack',
+  4: '4-stack',
+  5: '5-stack'
+};
+
+/**
+ * Results in solo queue versus each party size; matches without a known party size are left out
+ * @param {Array} matches - Match history entries
+ * @returns {{solo: Object, party: Object, bySize: Array}} Each row has games, wins and winRate
+ */
+export const summarizePartyResults = (matches) => {
+  const known = (matches || []).filter(match => match.party_size >= 1);
+  const summarize = (key, label, games) => {
+    const wins = games.filter(isWin).length;
+    return { key, label, games: games.length, wins, winRate: rate(wins, games.length) };
+  };
+
+  return {
+    solo: summarize('solo', 'Solo', known.filter(match => match.party_size === 1)),
+    party: summarize('party', 'Party', known.filter(match => match.party_size > 1)),
+    bySize: Object.entries(PARTY_LABELS).map(([size, label]) => (
+      summarize(Number(size), label, known.filter(match => Math.min(match.party_size, 5) === Number(size)))
+    ))
+  };
+};
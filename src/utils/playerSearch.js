@@ -0,0 +1,48 @@
+// Player lookup: account IDs, Steam IDs and profile links typed into the search box
+
+// SteamID64 of account ID 0; every individual account is offset from it
+const STEAM_ID64_BASE = BigInt('76561197960265728');
+
+/**
+ * 32-bit account ID for a SteamID64
+ * @param {string} steamId64 - 17-digit SteamID64
+ * @returns {string|null} Account ID, or null when the ID is outside the individual account range
+ */
+export const steamId64ToAccountId = (steamId64) => {
+  if (!/^\d{17}$/.test(steamId64)) return null;
+  const accountId = BigInt(steamId64) - STEAM_ID64_BASE;
+  return accountId > 0n && accountId < 2n ** 32n ? accountId.toString() : null;
+};
+
+/**
+ * What a search box entry points at
+ * @param {string} input - Account ID, SteamID64, Steam/OpenDota/Dotabuff profile URL, vanity name or persona name
+ * @returns {{accountId: string}|{term: string}|null} An account to open directly, a name to search for, or null when empty
+ */
+export const parsePlayerQuery = (input) => {
+  const query = (input || '').trim();
+  if (!query) return null;
+
+  // steamcommunity.com/profiles/<id64>, opendota.com/players/<id>, dotabuff.com/players/<id>
+  const profileId = query.match(/\/(?:profiles|players)\/(\d+)/)?.[1];
+  if (profileId) return parsePlayerQuery(profileId);
+
+  // steamcommunity.com/id/<vanity> has no ID in it; search for the name instead
+  const vanity = query.match(/\/id\/([^/?#]+)/)?.[1];
+  if (vanity) {
+    try {
+      return { term: decodeURIComponent(vanity) };
+    } catch {
+      // Not valid percent-encoding (e.g. '/id/100%'): search for it as typed
+      return { term: vanity };
+    }
+  }
+
+  if (/^\d{17}$/.test(query)) {
+    const accountId = steamId64ToAccountId(query);
+    return accountId ? { accountId } : { term: query };
+  }
+  if (/^\d{1,10}$/.test(query)) return { accountId: String(Number(query)) };
+
+  return { term: query };
+};
@@ -0,0 +1,107 @@
+// Pro scene helpers: leagues, standings, team form and pros per hero
+
+/**
+ * Leagues seen in a list of pro matches, most recently active first
+ * @param {Array} proMatches - /proMatches response
+ * @param {Array} [leagues] - /leagues response, used for tiers
+ * @returns {Array<{leagueId: number, name: string, tier: string|null, matches: number, lastMatch: number}>}
+ */
+export const getActiveLeagues = (proMatches, leagues = []) => {
+  const tiers = new Map(leagues.map(league => [league.leagueid, league.tier]));
+  const byId = new Map();
+
+  (proMatches || []).forEach(match => {
+    const league = byId.get(match.leagueid) || {
+      leagueId: match.leagueid,
+      name: match.league_name || `League ${match.leagueid}`,
+      tier: tiers.get(match.leagueid) || null,
+      matches: 0,
+      lastMatch: 0
+    };
+    league.matches++;
+    league.lastMatch = Math.max(league.lastMatch, match.start_time || 0);
+    byId.set(match.leagueid, league);
+  });
+
+  return [...byId.values()].sort((a, b) => b.lastMatch - a.lastMatch);
+};
+
+/**
+ * Win/loss table for a league from its matches
+ * @param {Array} matches - /leagues/{id}/matches response
+ * @param {Array} [teams] - /leagues/{id}/teams response, for names and logos
+ * @returns {Array<{teamId: number, name: string, tag: string|null, logo: string|null, wins: number, losses: number, games: number, winRate: number}>}
+ */
+export const calculateLeagueStandings = (matches, teams = []) => {
+  const info = new Map(teams.map(team => [team.team_id, team]));
+  const table = new Map();
+
+  const record = (teamId, won) => {
+    if (!teamId) return;
+    const row = table.get(teamId) || { teamId, wins: 0, losses: 0 };
+    if (won) row.wins++;
+    else row.losses++;
+    table.set(teamId, row);
+  };
+
+  (matches || []).forEach(match => {
+    record(match.radiant_team_id, match.radiant_win);
+    record(match.dire_team_id, !match.radiant_win);
+  });
+
+  return [...table.values()]
+    .map(row => {
+      const team = info.get(row.teamId);
+      const games = row.wins + row.losses;
+      return {
+        ...row,
+        name: team?.name || `Team ${row.teamId}`,
+        tag: team?.tag || null,
+        logo: team?.logo_url || null,
+        games,
+        winRate: (row.wins / games) * 100
+      };
+    })
+    .sort((a, b) => b.wins - a.wins || b.winRate - a.winRate);
+};
+
+/**
+ * Results of a team's latest matches, newest first
+ * @param {Array} matches - /teams/{id}/matches response
+ * @param {number} [count=5] - Matches included
+ * @returns {Array<'W'|'L'>}
+ */
+export const getTeamForm = (matches, count = 5) => [...(matches || [])]
+  .sort((a, b) => b.start_time - a.start_time)
+  .slice(0, count)
+  .map(match => (match.radiant === match.radiant_win ? 'W' : 'L'));
+
+/**
+ * Registered pros with the most games on each of the player's heroes
+ * @param {Array} heroIds - Heroes to look up, in display order
+ * @param {Object} heroPlayers - Hero id -> /heroes/{id}/players rows
+ * @param {Array} proPlayers - /proPlayers response
+ * @param {number} [perHero=3] - Pros listed per hero
+ * @returns {Array<{heroId: number, pros: Array<{accountId: number, name: string, teamName: string|null, games: number, winRate: number}>}>}
+ */
+export const findProsForHeroes = (heroIds, heroPlayers, proPlayers, perHero = 3) => {
+  const pros = new Map((proPlayers || []).map(pro => [pro.account_id, pro]));
+
+  return heroIds.map(heroId => ({
+    heroId,
+    pros: (heroPlayers[heroId] || [])
+      .filter(row => pros.has(row.account_id) && row.games_played > 0)
+      .sort((a, b) => b.games_played - a.games_played)
+      .slice(0, perHero)
+      .map(row => {
+        const pro = pros.get(row.account_id);
+        return {
+          accountId: row.account_id,
+          name: pro.name || pro.personaname,
+          teamName: pro.team_name || null,
+          games: row.games_played,
+          winRate: (row.wins / row.games_played) * 100
+        };
+      })
+  }));
+};
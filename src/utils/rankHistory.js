@@ -0,0 +1,146 @@
+// MMR timeline built from confirmed data points, with ranked games estimated in between
+// Confirmed points are /ratings entries, profile MMR, manual checkpoints and rank medals;
+// matches between two of them are walked ±25 per game and corrected to land on the next one.
+
+import { isWin } from './dataTransforms.js';
+
+export const MMR_PER_GAME = 25;
+export const RANKED_LOBBY = 7;
+
+// Each medal star spans roughly 154 MMR; Immortal starts at 5620
+const MMR_PER_STAR = 154;
+const IMMORTAL_MMR = 5620;
+
+export const SOURCE_LABELS = {
+  ratings: 'MMR rating',
+  profile: 'Profile MMR',
+  manual: 'Manual checkpoint',
+  rank: 'Rank medal',
+  matches: 'Estimated from result'
+};
+
+/**
+ * Approximate MMR in the middle of a rank medal
+ * @param {number} rankTier - OpenDota rank_tier, e.g. 54 for Legend 4
+ * @returns {number|null}
+ */
+export const rankTierToMmr = (rankTier) => {
+  const medal = Math.floor((rankTier || 0) / 10);
+  const stars = (rankTier || 0) % 10;
+  if (medal >= 8) return IMMORTAL_MMR;
+  if (medal < 1 || stars < 1) return null;
+  return ((medal - 1) * 5 + (stars - 1)) * MMR_PER_STAR + MMR_PER_STAR / 2;
+};
+
+export const getRatedMmr = (entry) => entry?.solo_competitive_rank || entry?.competitive_rank || null;
+
+// /ratings returns ISO strings, everything stored here uses unix seconds
+export const toSeconds = (time) => {
+  if (typeof time === 'number') return time > 1e12 ? Math.floor(time / 1000) : time;
+  return Math.floor(new Date(time).getTime() / 1000);
+};
+
+const step = (match) => (isWin(match) ? MMR_PER_GAME : -MMR_PER_GAME);
+
+/**
+ * Confirmed MMR points, oldest first.
+ * Rank medals only count after the last exact MMR, since they are a ±77 approximation.
+ * @param {Object} history - Stored rank history
+ * @param {Array} [history.ratings] - /ratings entries
+ * @param {Array} [history.snapshots] - Profile snapshots with rank_tier and any MMR
+ * @param {Array} [history.checkpoints] - Manual {id, time, mmr, note} entries
+ * @returns {Array<{time: number, mmr: number, source: string}>}
+ */
+export const getConfirmedPoints = (history) => {
+  const { ratings = [], snapshots = [], checkpoints = [] } = history || {};
+  const exact = [
+    ...ratings.map(rating => ({ time: toSeconds(rating.time), mmr: getRatedMmr(rating), source: 'ratings', matchId: rating.match_id ?? null })),
+    ...snapshots.map(snapshot => ({ time: snapshot.time, mmr: getRatedMmr(snapshot), source: 'profile' })),
+    ...checkpoints.map(checkpoint => ({ time: checkpoint.time, mmr: checkpoint.mmr, source: 'manual', id: checkpoint.id, note: checkpoint.note }))
+  ].filter(point => point.mmr);
+
+  const latestExact = exact.reduce((latest, point) => Math.max(latest, point.time), -Infinity);
+  const medals = snapshots
+    .filter(snapshot => snapshot.time > latestExact)
+    .map(snapshot => ({ time: snapshot.time, mmr: rankTierToMmr(snapshot.rank_tier), source: 'rank', rankTier: snapshot.rank_tier }))
+    .filter(point => point.mmr);
+
+  return [...exact, ...medals].sort((a, b) => a.time - b.time);
+};
+
+/**
+ * MMR after every ranked game, anchored on confirmed points.
+ * Each point is marked `confirmed` or `estimated`; there is no timeline without at least one confirmed point.
+ * @param {Object} history - Stored rank history (see getConfirmedPoints)
+ * @param {Array} matches - Match list entries
+ * @returns {Array<{time: number, mmr: number, kind: 'confirmed'|'estimated', source: string}>} Oldest first
+ */
+export const buildMmrTimeline = (history, matches) => {
+  const anchors = getConfirmedPoints(history);
+  if (anchors.length === 0) return [];
+
+  const ranked = (matches || [])
+    .filter(match => match.lobby_type === RANKED_LOBBY)
+    .sort((a, b) => a.start_time - b.start_time);
+  const estimate = (match, mmr) => ({
+    time: match.start_time,
+    mmr: Math.round(mmr),
+    kind: 'estimated',
+    source: 'matches',
+    matchId: match.match_id,
+    isWin: isWin(match)
+  });
+  const points = anchors.map(anchor => ({ ...anchor, kind: 'confirmed' }));
+
+  // Before the first confirmed point, walk back from it
+  const first = anchors[0];
+  let mmr = first.mmr;
+  ranked.filter(match => match.start_time < first.time).reverse().forEach(match => {
+    points.push(estimate(match, mmr));
+    mmr -= step(match);
+  });
+
+  // Between two confirmed points, spread the gap the results don't explain over the games
+  anchors.slice(1).forEach((to, index) => {
+    const from = anchors[index];
+    const games = ranked.filter(match => match.start_time >= from.time && match.start_time < to.time);
+    const drift = games.length ? (to.mmr - from.mmr - games.reduce((sum, match) => sum + step(match), 0)) / games.length : 0;
+    let value = from.mmr;
+    games.forEach(match => {
+      value += step(match) + drift;
+      points.push(estimate(match, value));
+    });
+  });
+
+  // After the last confirmed point, carry on from it
+  const last = anchors[anchors.length - 1];
+  mmr = last.mmr;
+  ranked.filter(match => match.start_time >= last.time).forEach(match => {
+    mmr += step(match);
+    points.push(estimate(match, mmr));
+  });
+
+  return points.sort((a, b) => a.time - b.time);
+};
+
+/**
+ * MMR change over a window, from the last point before it to the last point inside it
+ * @param {Array} timeline - buildMmrTimeline output
+ * @param {number} from - Unix seconds
+ * @param {number} [to] - Unix seconds, open-ended by default
+ * @returns {{change: number, estimated: boolean}|null} Null without any MMR data
+ */
+export const getMmrChange = (timeline, from, to = Infinity) => {
+  if (!timeline?.length) return null;
+
+  const before = timeline.filter(point => point.time < from);
+  const inside = timeline.filter(point => point.time >= from && point.time <= to);
+  if (inside.length === 0) return { change: 0, estimated: false };
+
+  const start = before[before.length - 1] || inside[0];
+  const end = inside[inside.length - 1];
+  return {
+    change: end.mmr - start.mmr,
+    estimated: start.kind === 'estimated' || end.kind === 'estimated'
+  };
+};
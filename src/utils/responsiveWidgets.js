@@ -174,6 +174,14 @@ export const RESPONSIVE_WIDGET_CONFIGS = {
     priority: 5,
     contentType: 'metrics',
   },
+  'role-analytics': {
+    id: 'role-analytics',
+    heightUnits: 5,
+    minHeight: 4,
+    maxHeight: 8,
+    priority: 6,
+    contentType: 'table',
+  },
 };
 
 /**
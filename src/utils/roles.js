@@ -0,0 +1,182 @@
+// Position (1-5) classification shared by match analysis, the match list and the dashboard
+// Full matches rank each team by farm priority; history entries fall back to lane and GPM.
+
+import { isWin } from './dataTransforms.js';
+
+export const POSITIONS = [1, 2, 3, 4, 5];
+
+export const POSITION_NAMES = {
+  1: 'Carry',
+  2: 'Mid',
+  3: 'Offlane',
+  4: 'Soft Support',
+  5: 'Hard Support'
+};
+
+// Rough public-match averages per position - what a typical game in the role looks like
+export const POSITION_BENCHMARKS = {
+  1: { gold_per_min: 600, xp_per_min: 650, last_hits_per_min: 6.5, kda: 3.5 },
+  2: { gold_per_min: 570, xp_per_min: 700, last_hits_per_min: 6, kda: 3.5 },
+  3: { gold_per_min: 450, xp_per_min: 560, last_hits_per_min: 4, kda: 3 },
+  4: { gold_per_min: 330, xp_per_min: 430, last_hits_per_min: 1.5, kda: 3 },
+  5: { gold_per_min: 270, xp_per_min: 370, last_hits_per_min: 1, kda: 2.8 }
+};
+
+export const POSITION_METRICS = [
+  { key: 'gold_per_min', label: 'GPM' },
+  { key: 'xp_per_min', label: 'XPM' },
+  { key: 'last_hits_per_min', label: 'LH / min' },
+  { key: 'kda', label: 'KDA' }
+];
+
+// Below this a history entry without team context is treated as a support
+const CORE_GPM = 400;
+const SUPPORT_WARDS = 6;
+
+export const getPositionName = (position) => POSITION_NAMES[position] || 'Unknown';
+
+const wardsPlaced = (player) => (player.obs_placed || 0) + (player.sen_placed || 0);
+
+/**
+ * Position from a single player's own numbers, for history entries without teammates
+ * @param {Object} player - Match list entry or match player
+ * @returns {number|null} Position 1-5, or null when the lane is unknown
+ */
+export const estimatePosition = (player) => {
+  if (!player) return null;
+  const support = (player.gold_per_min || 0) < CORE_GPM || wardsPlaced(player) >= SUPPORT_WARDS;
+
+  if (player.is_roaming) return 4;
+  switch (player.lane_role) {
+    case 1: return support ? 5 : 1;
+    case 2: return support ? 4 : 2;
+    case 3:
+    case 4: return support ? 4 : 3;
+    default: return null;
+  }
+};
+
+// Higher means more of the team's farm went to this player
+const farmPriority = (player, teamGpm) => {
+  const goldShare = teamGpm ? (player.gold_per_min || 0) / teamGpm : 0;
+  return goldShare * 10
+    + (player.lane_efficiency || 0) * 2
+    - wardsPlaced(player) * 0.1
+    - (player.is_roaming ? 1 : 0);
+};
+
+// Removes and returns the first entry matching the predicate
+const take = (list, predicate) => {
+  const index = list.findIndex(predicate);
+  return index === -1 ? null : list.splice(index, 1)[0];
+};
+
+/**
+ * Positions of one team: the three players with the most farm are cores,
+ * placed by lane, and the supports are split by who shared the safe lane
+ * @param {Array} team - Players of one side
+ * @returns {Map<number, number>} player_slot -> position
+ */
+export const classifyTeamPositions = (team) => {
+  const positions = new Map();
+  if (!team?.length) return positions;
+
+  const teamGpm = team.reduce((sum, player) => sum + (player.gold_per_min || 0), 0);
+  const ranked = [...team].sort((a, b) => farmPriority(b, teamGpm) - farmPriority(a, teamGpm));
+  const cores = ranked.slice(0, 3);
+  const supports = ranked.slice(3);
+
+  const assigned = {
+    2: take(cores, player => player.lane_role === 2 && !player.is_roaming),
+    1: take(cores, player => player.lane_role === 1),
+    3: take(cores, player => player.lane_role === 3 || player.lane_role === 4)
+  };
+  // Cores outside their usual lane fill the open slots by farm
+  [1, 2, 3].forEach(position => {
+    if (!assigned[position]) assigned[position] = cores.shift() || null;
+  });
+
+  // The least-farmed support that stayed in the safe lane is the 5, otherwise the least farmed
+  assigned[5] = take(supports, player => player.lane_role === 1 && !player.is_roaming) || supports.pop() || null;
+  assigned[4] = supports.shift() || null;
+
+  Object.entries(assigned).forEach(([position, player]) => {
+    if (player) positions.set(player.player_slot, Number(position));
+  });
+  return positions;
+};
+
+/**
+ * Positions of every player in a full match
+ * @param {Object} match - Match details with players
+ * @returns {Map<number, number>} player_slot -> position
+ */
+export const classifyMatchPositions = (match) => {
+  const players = match?.players || [];
+  return new Map([
+    ...classifyTeamPositions(players.filter(player => player.player_slot < 128)),
+    ...classifyTeamPositions(players.filter(player => player.player_slot >= 128))
+  ]);
+};
+
+/**
+ * Position of one player, using the whole team when the match has it
+ * @param {Object} match - Match details, or a match list entry
+ * @param {number} [playerSlot] - Player to classify; defaults to the entry's own slot
+ * @returns {number|null}
+ */
+export const getPlayerPosition = (match, playerSlot = match?.player_slot) => {
+  if (!match) return null;
+  if (!match.players?.length) return estimatePosition(match);
+
+  const player = match.players.find(p => p.player_slot === playerSlot);
+  const teammates = match.players.filter(p => (p.player_slot < 128) === (playerSlot < 128));
+  if (teammates.length < 5) return estimatePosition(player);
+  return classifyMatchPositions(match).get(playerSlot) ?? estimatePosition(player);
+};
+
+const average = (values) => {
+  const defined = values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+  return defined.length ? defined.reduce((sum, value) => sum + value, 0) / defined.length : null;
+};
+
+const metricValue = (match, key) => {
+  switch (key) {
+    case 'last_hits_per_min':
+      return match.duration ? (match.last_hits || 0) / (match.duration / 60) : undefined;
+    case 'kda':
+      return ((match.kills || 0) + (match.assists || 0)) / Math.max(1, match.deaths || 0);
+    default:
+      return match[key];
+  }
+};
+
+/**
+ * Win rate and averages per position, each metric against the position benchmark
+ * @param {Array} matches - Match list entries
+ * @returns {Array<{position: number, name: string, games: number, wins: number, winRate: number|null, share: number, metrics: Array}>}
+ */
+export const summarizePositions = (matches) => {
+  const list = matches || [];
+  const byPosition = new Map(POSITIONS.map(position => [position, []]));
+  list.forEach(match => byPosition.get(estimatePosition(match))?.push(match));
+  const classified = [...byPosition.values()].reduce((sum, games) => sum + games.length, 0);
+
+  return POSITIONS.map(position => {
+    const games = byPosition.get(position);
+    const wins = games.filter(isWin).length;
+    return {
+      position,
+      name: POSITION_NAMES[position],
+      games: games.length,
+      wins,
+      winRate: games.length ? (wins / games.length) * 100 : null,
+      share: classified ? (games.length / classified) * 100 : 0,
+      metrics: POSITION_METRICS.map(metric => {
+        const value = average(games.map(match => metricValue(match, metric.key)));
+        const benchmark = POSITION_BENCHMARKS[position][metric.key];
+        return { ...metric, value, benchmark, ratio: value === null ? null : value / benchmark };
+      })
+    };
+  });
+};
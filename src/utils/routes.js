@@ -0,0 +1,98 @@
+// URL <-> page mapping for the path-based router
+
+export const MATCH_TABS = ['overview', 'timeline', 'performance', 'laning', 'economy', 'combat', 'vision', 'insights'];
+
+// Top-level pages without parameters
+const PAGES = ['matches', 'heroes', 'teammates', 'head-to-head', 'live', 'pro', 'draft'];
+
+const NOT_FOUND = { page: 'not-found', params: {} };
+
+/**
+ * Page and parameters for a URL path
+ * @param {string} pathname - e.g. '/matches/7812345678/laning'
+ * @returns {{page: string, params: Object}}
+ */
+export const parseRoute = (pathname) => {
+  let segments;
+  try {
+    segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    // Malformed percent-encoding, e.g. '/heroes/%E0%A4%A'
+    return NOT_FOUND;
+  }
+  const [section, id, tab, ...rest] = segments;
+
+  if (!section) return { page: 'dashboard', params: {} };
+
+  // A viewed player's match: /players/{accountId}/matches/{matchId}[/{tab}]
+  if (section === 'players' && tab === 'matches') {
+    const [matchId, matchTab, ...extra] = rest;
+    if (!/^\d+$/.test(id) || !/^\d+$/.test(matchId || '') || extra.length > 0) return NOT_FOUND;
+    if (matchTab && !MATCH_TABS.includes(matchTab)) return NOT_FOUND;
+    return { page: 'player-match', params: { accountId: id, matchId, tab: matchTab || 'overview' } };
+  }
+
+  if (rest.length > 0) return NOT_FOUND;
+
+  if (section === 'matches' && id) {
+    if (!/^\d+$/.test(id) || (tab && !MATCH_TABS.includes(tab))) return NOT_FOUND;
+    return { page: 'match-analysis', params: { matchId: id, tab: tab || 'overview' } };
+  }
+
+  // Second match is optional; the comparison page suggests one
+  if (section === 'compare' && id) {
+    if (![id, tab].filter(Boolean).every(matchId => /^\d+$/.test(matchId))) return NOT_FOUND;
+    return { page: 'match-compare', params: { matchIds: tab ? [id, tab] : [id] } };
+  }
+
+  if (tab) return NOT_FOUND;
+
+  if (section === 'heroes' && id) {
+    return /^\d+$/.test(id) ? { page: 'heroes', params: { heroId: Number(id) } } : NOT_FOUND;
+  }
+
+  if (section === 'teammates' && id) {
+    return /^\d+$/.test(id) ? { page: 'teammates', params: { peerId: id } } : NOT_FOUND;
+  }
+
+  if (section === 'players' && id) {
+    return /^\d+$/.test(id) ? { page: 'player', params: { accountId: id } } : NOT_FOUND;
+  }
+
+  if (section === 'head-to-head' && id) {
+    return /^\d+$/.test(id) ? { page: 'head-to-head', params: { accountId: id } } : NOT_FOUND;
+  }
+
+  return PAGES.includes(section) && !id ? { page: section, params: {} } : NOT_FOUND;
+};
+
+/**
+ * URL path for a page
+ * @param {string} page - Page key as returned by parseRoute
+ * @param {Object} [params] - matchId/tab, matchIds, heroId, peerId or accountId (with matchId/tab for player-match)
+ * @returns {string}
+ */
+export const buildPath = (page, params = {}) => {
+  switch (page) {
+    case 'dashboard':
+      return '/';
+    case 'match-analysis':
+      return params.tab && params.tab !== 'overview'
+        ? `/matches/${params.matchId}/${params.tab}`
+        : `/matches/${params.matchId}`;
+    case 'match-compare':
+      return `/compare/${params.matchIds.filter(Boolean).join('/')}`;
+    case 'heroes':
+      return params.heroId ? `/heroes/${params.heroId}` : '/heroes';
+    case 'teammates':
+      return params.peerId ? `/teammates/${params.peerId}` : '/teammates';
+    case 'player':
+      return `/players/${params.accountId}`;
+    case 'head-to-head':
+      return params.accountId ? `/head-to-head/${params.accountId}` : '/head-to-head';
+    case 'player-match':
+      return `/players/${params.accountId}${buildPath('match-analysis', params)}`;
+    default:
+      return `/${page}`;
+  }
+};
@@ -0,0 +1,153 @@
+// Play sessions detected from idle gaps between games
+// A session ends when the next game starts more than the idle threshold after the last one finished,
+// so a late-night block that runs past midnight stays one session.
+
+import { isWin } from './dataTransforms.js';
+import { getMmrChange } from './rankHistory.js';
+
+export const SESSION_DEFAULTS = {
+  idleMinutes: 60,
+  timeZone: 'local'
+};
+
+// Games the tilt level looks back over
+const TILT_WINDOW = 5;
+
+const getKda = (match) => ((match.kills || 0) + (match.assists || 0)) / Math.max(match.deaths || 0, 1);
+
+const getEndTime = (match) => match.start_time + (match.duration || 0);
+
+/**
+ * Tilt level from the win rate and KDA of a handful of games
+ * @param {Array} matches - Games to judge, any order
+ * @returns {{level: number, status: string, message: string}}
+ */
+export const getTiltLevel = (matches) => {
+  const games = matches || [];
+  if (games.length === 0) return { level: 50, status: 'neutral', message: 'Not enough data' };
+
+  const winRate = games.filter(isWin).length / games.length;
+  const avgKDA = games.reduce((sum, match) => sum + getKda(match), 0) / games.length;
+
+  const level = Math.max(0, Math.min(100, 50 + (winRate - 0.5) * 60 + Math.min((avgKDA - 2) * 15, 20)));
+
+  if (level >= 80) return { level: Math.round(level), status: 'flow', message: 'In the zone! Keep playing!' };
+  if (level >= 60) return { level: Math.round(level), status: 'good', message: 'Playing well, maintain focus' };
+  if (level >= 40) return { level: Math.round(level), status: 'neutral', message: 'Stable performance' };
+  if (level >= 20) return { level: Math.round(level), status: 'warning', message: 'Consider taking a break' };
+  return { level: Math.round(level), status: 'danger', message: 'Stop playing now!' };
+};
+
+// Win or loss streak at the end of the session; negative for losses
+const getStreak = (games) => {
+  const newestFirst = [...games].reverse();
+  if (newestFirst.length === 0) return 0;
+  const won = isWin(newestFirst[0]);
+  const length = newestFirst.findIndex(match => isWin(match) !== won);
+  const streak = length === -1 ? newestFirst.length : length;
+  return won ? streak : -streak;
+};
+
+const summarizeSession = (games, mmrTimeline) => {
+  const wins = games.filter(isWin).length;
+  const start = games[0].start_time;
+  const end = getEndTime(games[games.length - 1]);
+  const mmr = getMmrChange(mmrTimeline, start, end);
+
+  return {
+    id: games[0].match_id,
+    start,
+    end,
+    duration: end - start,
+    matches: games,
+    gamesPlayed: games.length,
+    wins,
+    losses: games.length - wins,
+    winRate: (wins / games.length) * 100,
+    averageKDA: games.reduce((sum, match) => sum + getKda(match), 0) / games.length,
+    averageDuration: games.reduce((sum, match) => sum + (match.duration || 0), 0) / games.length / 60,
+    currentStreak: getStreak(games),
+    mmrChange: mmr ? mmr.change : null,
+    mmrEstimated: mmr?.estimated || false,
+    // Tilt after each game, over the last few games of the session so far
+    tilt: games.map((match, index) => ({
+      matchId: match.match_id,
+      ...getTiltLevel(games.slice(Math.max(0, index + 1 - TILT_WINDOW), index + 1))
+    }))
+  };
+};
+
+/**
+ * Split matches into sessions wherever the idle gap between games exceeds the threshold
+ * @param {Array} matches - Match list entries, any order
+ * @param {Object} [options]
+ * @param {number} [options.idleMinutes] - Longest break that still counts as the same session
+ * @param {Array} [options.mmrTimeline] - Rank history timeline for per-session MMR change
+ * @returns {Array} Sessions, newest first, each with its games oldest first
+ */
+export const detectSessions = (matches, { idleMinutes = SESSION_DEFAULTS.idleMinutes, mmrTimeline = [] } = {}) => {
+  const games = (matches || []).filter(match => match.start_time).sort((a, b) => a.start_time - b.start_time);
+  const sessions = [];
+
+  games.forEach((match, index) => {
+    const previous = games[index - 1];
+    if (!previous || match.start_time - getEndTime(previous) > idleMinutes * 60) {
+      sessions.push([match]);
+    } else {
+      sessions[sessions.length - 1].push(match);
+    }
+  });
+
+  return sessions.map(session => summarizeSession(session, mmrTimeline)).reverse();
+};
+
+/**
+ * The session still in progress: the latest one, if its last game ended within the idle threshold
+ * @param {Array} matches - Match list entries
+ * @param {Array} [mmrTimeline] - Rank history timeline
+ * @param {Object} [options]
+ * @param {number} [options.idleMinutes] - Session idle threshold
+ * @param {number} [options.now] - Unix seconds, defaults to the current time
+ * @returns {Object} Session summary with `active`; an empty one when no session is running
+ */
+export const calculateCurrentSession = (matches, mmrTimeline = [], { idleMinutes = SESSION_DEFAULTS.idleMinutes, now = Date.now() / 1000 } = {}) => {
+  const [latest] = detectSessions(matches, { idleMinutes, mmrTimeline });
+
+  if (!latest || now - latest.end > idleMinutes * 60) {
+    return {
+      active: false,
+      matches: [],
+      gamesPlayed: 0,
+      wins: 0,
+      losses: 0,
+      winRate: 0,
+      averageKDA: 0,
+      averageDuration: 0,
+      currentStreak: 0,
+      mmrChange: mmrTimeline.length ? 0 : null,
+      mmrEstimated: false,
+      tilt: [],
+      gamesUntilBehaviorUpdate: 15
+    };
+  }
+
+  return {
+    ...latest,
+    active: true,
+    gamesUntilBehaviorUpdate: Math.max(0, 15 - latest.gamesPlayed)
+  };
+};
+
+/**
+ * Format a session time in the configured time zone
+ * @param {number} timestamp - Unix seconds
+ * @param {string} [timeZone] - IANA zone, or 'local' for the browser's
+ * @param {Object} [format] - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export const formatSessionTime = (timestamp, timeZone = SESSION_DEFAULTS.timeZone, format = {
+  weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+}) => new Date(timestamp * 1000).toLocaleString('en-US', {
+  ...format,
+  ...(timeZone && timeZone !== 'local' ? { timeZone } : {})
+});
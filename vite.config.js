@@ -1,7 +1,58 @@
-import { defineConfig } from 'vite'
+import fs from 'node:fs'
+import path from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Map /api/<path> to its function file the way Vercel does: an exact match
+// first, then the nearest catch-all ([...name].js). Files under _-prefixed
+// directories are shared helpers, not routes.
+const resolveApiModule = (root, pathname) => {
+  const segments = pathname.split('/').filter(Boolean)
+  if (segments.some(segment => segment.startsWith('_'))) return null
+
+  const exact = path.join(root, 'api', ...segments) + '.js'
+  if (fs.existsSync(exact)) return exact
+
+  for (let depth = segments.length - 1; depth >= 0; depth--) {
+    const dir = path.join(root, 'api', ...segments.slice(0, depth))
+    if (!fs.existsSync(dir)) continue
+    const catchAll = fs.readdirSync(dir).find(file => /^\[\.\.\..+\]\.js$/.test(file))
+    if (catchAll) return path.join(dir, catchAll)
+  }
+  return null
+}
+
+// Serve the Vercel functions in /api from the dev server so serverless
+// routes behave the same locally as they do when deployed.
+const localApiRoutes = () => ({
+  name: 'local-api-routes',
+  configureServer(server) {
+    server.middlewares.use('/api', async (req, res, next) => {
+      const { pathname } = new URL(req.url, 'http://localhost')
+      const modulePath = resolveApiModule(server.config.root, pathname)
+
+      if (!modulePath) return next()
+
+      try {
+        const { default: handler } = await server.ssrLoadModule(modulePath)
+        await handler(req, res)
+      } catch (error) {
+        server.config.logger.error(`[api] ${pathname} failed: ${error.message}`)
+        next(error)
+      }
+    })
+  },
+})
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // Expose server-only variables (no VITE_ prefix) to the local API routes
+  const env = loadEnv(mode, process.cwd(), '')
+  for (const [key, value] of Object.entries(env)) {
+    if (process.env[key] === undefined) process.env[key] = value
+  }
+
+  return {
+    plugins: [react(), localApiRoutes()],
+  }
 })
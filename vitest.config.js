@@ -38,6 +38,8 @@ export default defineConfig({
   define: {
     'import.meta.env.VITE_TEST_MODE': '"true"',
     'import.meta.env.VITE_AUTH_MODE': '"development"',
-    'import.meta.env.VITE_DEV_MODE_ENABLED': '"true"'
+    'import.meta.env.VITE_DEV_MODE_ENABLED': '"true"',
+    // No proxy functions run under vitest, so talk to OpenDota directly
+    'import.meta.env.VITE_OPENDOTA_API_URL': '"https://api.opendota.com/api"'
   }
 });
\ No newline at end of file